@@ -17,7 +17,9 @@ import {
   Z_INDEX,
   ZOOM_SETTINGS,
   TIMING,
-  AUTO_REFRESH_INTERVAL_MS
+  AUTO_REFRESH_INTERVAL_MS,
+  REPEAT_OPTIONS,
+  RECURRENCE_SCOPE_OPTIONS
 } from './js/config.js';
 
 // Import utilities
@@ -25,6 +27,8 @@ import {
   getDefaultDateRange,
   getWeekNumber,
   parseLocalDate,
+  toLocalDateTimeInputs,
+  getBrowserTimeZone,
   getContrastColor,
   hexToRgba,
   calculateEventPosition,
@@ -64,18 +68,21 @@ import {
   clearCalendarSelections,
   addEvent,
   updateEvent,
-  removeEvent
+  removeEvent,
+  applyEventChanges
 } from './js/state.js';
 
 // Import API functions
 import {
   loadData,
   fetchWithRetry,
-  withTimeout
+  withTimeout,
+  subscribeToEventChanges
 } from './js/api.js';
 
 // Import audit history functions
 import { initAuditModal } from './js/audit.js';
+import { initChangesModal, updateChangesBadge, isChangedSinceLastVisit } from './js/changes.js';
 
 console.log('📱 Mobile Timeline v1760277100 loaded');
 
@@ -356,6 +363,10 @@ async function init() {
   // Update history badge with recent changes count
   updateHistoryBadge();
   
+  // Setup changes since last visit (re-render to highlight changed events)
+  initChangesModal({ onChange: () => render() });
+  updateChangesBadge();
+  
   // Show loading overlay
   const loadingOverlay = document.getElementById('loadingOverlay');
   if (loadingOverlay) loadingOverlay.classList.remove('hidden');
@@ -726,7 +737,8 @@ function render() {
       
       const calendarId = laneEl.dataset.calendarId;
       const calendar = getCalendars().find(c => c.id === calendarId);
-      if (!calendar) return;
+      // Read-only calendars (per-calendar permissions) cannot get new events
+      if (!calendar || calendar.canEdit === false) return;
       
       // Calculate which date was clicked
       const container = document.querySelector('.timeline-container');
@@ -824,6 +836,16 @@ async function showCreateEventModal(calendar, clickedDate) {
               <input type="date" id="eventEnd" value="${escapeHtml(endDateStr)}" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
             </div>
           </div>
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 12px;">
+            <div>
+              <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Start time (optional)</label>
+              <input type="time" id="eventStartTime" value="" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+            </div>
+            <div>
+              <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">End time (optional)</label>
+              <input type="time" id="eventEndTime" value="" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+            </div>
+          </div>
           <div style="margin-bottom: 12px;">
             <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Description</label>
             <textarea id="eventDescription" rows="3" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; font-family: inherit; resize: vertical;"></textarea>
@@ -835,11 +857,17 @@ async function showCreateEventModal(calendar, clickedDate) {
           <div style="margin-bottom: 12px;">
             <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Calendar</label>
             <select id="eventCalendar" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
-              ${getCalendars().map(cal => 
+              ${getCalendars().filter(cal => cal.canEdit !== false).map(cal => 
                 `<option value="${escapeHtml(cal.url)}" ${cal.id === calendar.id ? 'selected' : ''}>${escapeHtml(cal.content || cal.displayName)}</option>`
               ).join('')}
             </select>
           </div>
+          <div style="margin-bottom: 12px;">
+            <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Repeat</label>
+            <select id="eventRepeat" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+              ${REPEAT_OPTIONS.map(opt => `<option value="${escapeHtml(opt.rrule)}">${escapeHtml(opt.label)}</option>`).join('')}
+            </select>
+          </div>
         </div>
         
         <!-- Right column: Metadata and map -->
@@ -884,6 +912,16 @@ async function showCreateEventModal(calendar, clickedDate) {
           <input type="date" id="eventEnd" value="${escapeHtml(endDateStr)}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; box-sizing: border-box;">
         </div>
       </div>
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 15px;">
+        <div>
+          <label style="display: block; font-weight: 600; margin-bottom: 5px;">Start time (optional):</label>
+          <input type="time" id="eventStartTime" value="" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; box-sizing: border-box;">
+        </div>
+        <div>
+          <label style="display: block; font-weight: 600; margin-bottom: 5px;">End time (optional):</label>
+          <input type="time" id="eventEndTime" value="" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; box-sizing: border-box;">
+        </div>
+      </div>
       <div style="margin-bottom: 15px;">
         <label style="display: block; font-weight: 600; margin-bottom: 5px;">Description:</label>
         <textarea id="eventDescription" rows="3" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; font-family: inherit;"></textarea>
@@ -907,11 +945,17 @@ async function showCreateEventModal(calendar, clickedDate) {
       <div style="margin-bottom: 15px;">
         <label style="display: block; font-weight: 600; margin-bottom: 5px;">Calendar:</label>
         <select id="eventCalendar" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
-          ${getCalendars().map(cal => 
+          ${getCalendars().filter(cal => cal.canEdit !== false).map(cal => 
             `<option value="${escapeHtml(cal.url)}" ${cal.id === calendar.id ? 'selected' : ''}>${escapeHtml(cal.content || cal.displayName)}</option>`
           ).join('')}
         </select>
       </div>
+      <div style="margin-bottom: 15px;">
+        <label style="display: block; font-weight: 600; margin-bottom: 5px;">Repeat:</label>
+        <select id="eventRepeat" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
+          ${REPEAT_OPTIONS.map(opt => `<option value="${escapeHtml(opt.rrule)}">${escapeHtml(opt.label)}</option>`).join('')}
+        </select>
+      </div>
     `;
   }
   
@@ -930,6 +974,7 @@ async function showCreateEventModal(calendar, clickedDate) {
   
   const newSaveBtn = saveEventBtn.cloneNode(true);
   saveEventBtn.parentNode.replaceChild(newSaveBtn, saveEventBtn);
+  newSaveBtn.style.display = '';
   
   closeModal?.addEventListener('click', closeHandler);
   closeModalBtn?.addEventListener('click', closeHandler);
@@ -940,11 +985,14 @@ async function showCreateEventModal(calendar, clickedDate) {
       const calendarUrl = document.getElementById('eventCalendar').value;
       const start = document.getElementById('eventStart').value;
       const end = document.getElementById('eventEnd').value;
+      const startTime = document.getElementById('eventStartTime').value;
+      const endTime = document.getElementById('eventEndTime').value;
       const description = document.getElementById('eventDescription').value;
       const location = document.getElementById('eventLocation').value;
       const orderNumber = document.getElementById('eventOrderNumber').value;
       const ticketLink = document.getElementById('eventTicketLink').value;
       const systemType = document.getElementById('eventSystemType').value;
+      const rrule = document.getElementById('eventRepeat')?.value || '';
       
       if (!title || !start || !end) {
         alert('Please fill in title, start date, and end date');
@@ -957,6 +1005,13 @@ async function showCreateEventModal(calendar, clickedDate) {
         return;
       }
       
+      // Both times set = timed event in the browser's time zone, otherwise all-day
+      const isTimed = Boolean(startTime && endTime);
+      if (isTimed && new Date(`${end}T${endTime}`) <= new Date(`${start}T${startTime}`)) {
+        alert('End time must be after start time. Please check your times.');
+        return;
+      }
+      
       // Build meta object (only include non-empty fields)
       const meta = {};
       if (orderNumber) meta.orderNumber = orderNumber;
@@ -968,15 +1023,17 @@ async function showCreateEventModal(calendar, clickedDate) {
       // Use retry logic with timeout
       const response = await withTimeout(
         fetchWithRetry(
-          `${API_BASE}/api/events/all-day`,
+          isTimed ? `${API_BASE}/api/events/create` : `${API_BASE}/api/events/all-day`,
           {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
               calendarUrl: calendarUrl,
               summary: title,
-              start: start,
-              end: end,
+              start: isTimed ? `${start}T${startTime}` : start,
+              end: isTimed ? `${end}T${endTime}` : end,
+              ...(isTimed && { allDay: false, timezone: getBrowserTimeZone() }),
+              ...(rrule && { rrule }),
               description: description || '',
               location: location || '',
               meta: Object.keys(meta).length > 0 ? meta : undefined
@@ -1008,8 +1065,9 @@ async function showCreateEventModal(calendar, clickedDate) {
         group: targetCalendar?.id || 'cal-1',
         content: title,
         title: title,
-        start: start,
-        end: end,
+        start: isTimed ? new Date(`${start}T${startTime}`).toISOString() : start,
+        end: isTimed ? new Date(`${end}T${endTime}`).toISOString() : end,
+        allDay: !isTimed,
         description: description,
         location: location,
         meta: Object.keys(meta).length > 0 ? meta : {}
@@ -1059,22 +1117,60 @@ async function showCreateEventModal(calendar, clickedDate) {
 }
 
 /**
- * Handle conflict resolution when a 409 error occurs
- * Shows a comparison modal and lets user choose which version to keep
+ * Format a merge conflict value for display
+ * @param {*} value - Conflicting value (dates are {start, end})
+ * @returns {string} Display text
+ */
+function formatConflictValue(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object' && 'start' in value) return `${value.start} – ${value.end}`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Build the request body resolving merge conflicts in favour of one side
+ * @param {Object} merged - Server merge result (conflicting fields at the server value)
+ * @param {Array} conflicts - Conflicting fields from the server
+ * @param {string} side - 'mine' or 'theirs'
+ * @returns {Object} Request body for PUT /api/events/:uid
+ */
+function resolveMergeConflicts(merged, conflicts, side) {
+  const body = { ...merged, meta: { ...(merged.meta || {}) } };
+  for (const conflict of conflicts) {
+    const value = conflict[side];
+    if (conflict.field === 'dates') {
+      body.start = value.start;
+      body.end = value.end;
+    } else if (conflict.field.startsWith('meta.')) {
+      const key = conflict.field.slice('meta.'.length);
+      if (value === undefined || value === null) {
+        delete body.meta[key];
+      } else {
+        body.meta[key] = value;
+      }
+    } else {
+      body[conflict.field] = value;
+    }
+  }
+  if (Object.keys(body.meta).length === 0) body.meta = null;
+  return body;
+}
+
+/**
+ * Handle conflict resolution when an update is rejected with 412 or 409
+ * Shows a comparison modal and lets user choose which version to keep.
+ * For 409 (merge conflict) only the fields both sides changed are shown and
+ * the user's other changes are kept whichever side wins.
  * @param {string} eventUid - UID of the conflicting event
- * @param {Object} localChanges - User's local changes
- * @returns {Promise<void>}
+ * @param {Object} localChanges - Request body the user tried to save
+ * @param {Object} conflict - 412 body ({ currentEvent, etag }) or 409 body ({ conflicts, merged, currentEvent, etag })
+ * @returns {Promise<string>} 'cancel', 'server' or 'mine'
  */
-async function handleConflict(eventUid, localChanges) {
+async function handleConflict(eventUid, localChanges, conflict) {
   try {
-    // Fetch the current server version
-    console.log('Fetching current server version...');
-    const response = await fetch(`${API_BASE}/api/events/${encodeURIComponent(eventUid)}`);
-    if (!response.ok) {
-      throw new Error('Failed to fetch current event version');
-    }
-    
-    const serverEvent = await response.json();
+    const serverEvent = conflict.currentEvent || {};
+    const mergeConflicts = Array.isArray(conflict.conflicts) ? conflict.conflicts : null;
     console.log('Server version:', serverEvent);
     
     // Show conflict modal
@@ -1082,18 +1178,29 @@ async function handleConflict(eventUid, localChanges) {
     const conflictComparison = document.getElementById('conflictComparison');
     
     // Build comparison HTML
-    const fields = [
-      { key: 'summary', label: 'Title' },
-      { key: 'start', label: 'Start Date' },
-      { key: 'end', label: 'End Date' },
-      { key: 'description', label: 'Description' },
-      { key: 'location', label: 'Location' }
-    ];
+    const fieldLabels = {
+      summary: 'Title',
+      start: 'Start Date',
+      end: 'End Date',
+      dates: 'Dates',
+      description: 'Description',
+      location: 'Location'
+    };
+    const fields = mergeConflicts
+      ? mergeConflicts.map(c => ({
+        label: fieldLabels[c.field] || c.field.replace(/^meta\./, ''),
+        localValue: formatConflictValue(c.mine),
+        serverValue: formatConflictValue(c.theirs)
+      }))
+      : ['summary', 'start', 'end', 'description', 'location'].map(key => ({
+        label: fieldLabels[key],
+        localValue: localChanges[key] || '',
+        serverValue: serverEvent[key] || ''
+      }));
     
     let comparisonHTML = '';
     fields.forEach(field => {
-      const serverValue = serverEvent[field.key] || '';
-      const localValue = localChanges[field.key] || '';
+      const { serverValue, localValue } = field;
       const isDifferent = serverValue !== localValue;
       
       comparisonHTML += `
@@ -1114,11 +1221,12 @@ async function handleConflict(eventUid, localChanges) {
     conflictModal.classList.add('active');
     
     // Handle button clicks
-    return new Promise((resolve) => {
+    return await new Promise((resolve) => {
       const closeBtn = document.getElementById('closeConflictModal');
       const cancelBtn = document.getElementById('conflictCancelBtn');
       const useServerBtn = document.getElementById('conflictUseServerBtn');
       const keepMineBtn = document.getElementById('conflictKeepMineBtn');
+      const loadingOverlay = document.getElementById('loadingOverlay');
       
       const cleanup = () => {
         conflictModal.classList.remove('active');
@@ -1128,34 +1236,80 @@ async function handleConflict(eventUid, localChanges) {
         keepMineBtn.removeEventListener('click', handleKeepMine);
       };
       
+      const reloadTimeline = async () => {
+        loadingOverlay?.classList.remove('hidden');
+        try {
+          await loadData();
+          render();
+        } finally {
+          loadingOverlay?.classList.add('hidden');
+        }
+      };
+      
       const handleCancel = () => {
         cleanup();
         resolve('cancel');
       };
       
-      const handleUseServer = () => {
+      const putVersion = (body) => fetchWithRetry(
+        `${API_BASE}/api/events/${encodeURIComponent(eventUid)}`,
+        {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            'If-Match': conflict.etag || '*'
+          },
+          body: JSON.stringify(body)
+        },
+        { maxRetries: 0 }
+      );
+      
+      const handleUseServer = async () => {
         cleanup();
         console.log('User chose to use server version');
-        window.location.reload(); // Reload to show server version
+        document.getElementById('eventModal')?.classList.remove('active');
+        if (mergeConflicts && conflict.merged) {
+          // Keep the user's non-conflicting changes
+          try {
+            await putVersion(resolveMergeConflicts(conflict.merged, mergeConflicts, 'theirs'));
+          } catch (error) {
+            console.error('Saving merged version failed:', error);
+            alert(`Failed to save your other changes: ${error.message}`);
+          }
+        }
+        await reloadTimeline();
         resolve('server');
       };
       
       const handleKeepMine = async () => {
         cleanup();
-        console.log('User chose to keep their changes - forcing update');
+        console.log('User chose to keep their changes - overwriting server version');
         
         // Show loading
-        const loadingOverlay = document.getElementById('loadingOverlay');
         const loadingText = loadingOverlay?.querySelector('p');
         if (loadingText) loadingText.textContent = 'Force updating event...';
         loadingOverlay?.classList.remove('hidden');
         
-        // TODO: Implement force update (would need backend support for If-Match: *)
-        // For now, just alert the user
-        alert('Force update not yet implemented. Please refresh and try again, or use the server version.');
-        window.location.reload();
-        
-        resolve('mine');
+        try {
+          // Overwrite exactly the version shown in the comparison; a newer edit triggers another conflict
+          const body = mergeConflicts && conflict.merged
+            ? resolveMergeConflicts(conflict.merged, mergeConflicts, 'mine')
+            : localChanges;
+          await putVersion(body);
+          await reloadTimeline();
+          resolve('mine');
+        } catch (error) {
+          loadingOverlay?.classList.add('hidden');
+          if ((error.status === 412 || error.status === 409) && error.response) {
+            // Changed again while the user was deciding - show the newer version
+            const newer = await error.response.json().catch(() => ({}));
+            resolve(await handleConflict(eventUid, localChanges, newer));
+            return;
+          }
+          console.error('Force update failed:', error);
+          alert(`Failed to save your version: ${error.message}`);
+          resolve('cancel');
+        }
       };
       
       closeBtn.addEventListener('click', handleCancel);
@@ -1167,6 +1321,7 @@ async function handleConflict(eventUid, localChanges) {
   } catch (error) {
     console.error('Error handling conflict:', error);
     alert('Failed to resolve conflict. Please refresh and try again.');
+    return 'cancel';
   }
 }
 
@@ -1185,7 +1340,6 @@ async function handleConflict(eventUid, localChanges) {
  * @param {string} [event.description] - Event description
  * @param {string} [event.location] - Event location
  * @param {Object} [event.meta] - Event metadata (orderNumber, ticketLink, systemType)
- * @param {string} [event.updatedAt] - Last update timestamp for staleness detection
  * @returns {Promise<void>}
  */
 async function showEventModal(event) {
@@ -1201,6 +1355,8 @@ async function showEventModal(event) {
   
   const calendar = getCalendars().find(c => c.id === event.group);
   const calendarName = calendar?.content || calendar?.displayName || 'Unknown';
+  // Events on calendars the user may not edit are shown without save/delete
+  const isReadOnly = calendar?.canEdit === false;
   
   // Detect event planning state
   const isUnconfirmed = event.content.includes(EVENT_STATES.UNCONFIRMED.marker);
@@ -1218,6 +1374,7 @@ async function showEventModal(event) {
     ${systemType ? `<span style="display: inline-flex; align-items: center; padding: 2px 8px; background: #e5e7eb; color: #374151; border-radius: 12px; font-size: 11px; font-weight: 500; margin-left: 8px;">${escapeHtml(systemType)}</span>` : ''}
     ${isUnconfirmed ? `<span style="display: inline-flex; align-items: center; padding: 2px 8px; background: #fef3c7; color: #92400e; border-radius: 12px; font-size: 11px; font-weight: 500; margin-left: 8px;">? Unconfirmed</span>` : ''}
     ${isBooked ? `<span style="display: inline-flex; align-items: center; padding: 2px 8px; background: #dcfce7; color: #166534; border-radius: 12px; font-size: 11px; font-weight: 500; margin-left: 8px;">✓ Booked</span>` : ''}
+    ${isReadOnly ? `<span style="display: inline-flex; align-items: center; padding: 2px 8px; background: #e5e7eb; color: #374151; border-radius: 12px; font-size: 11px; font-weight: 500; margin-left: 8px;">Read-only</span>` : ''}
   `;
   modalTitle.innerHTML = `${escapeHtml(displayTitle)}${pillsHtml}`;
   
@@ -1226,10 +1383,27 @@ async function showEventModal(event) {
   const endDate = parseLocalDate(event.end);
   const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
   
-  // Store original updatedAt for staleness detection
-  const originalUpdatedAt = event.updatedAt;
+  // Timed events are edited as local date + time, all-day events as dates only
+  const isTimedEvent = event.allDay === false;
+  const startInputs = isTimedEvent ? toLocalDateTimeInputs(event.start) : { date: event.start, time: '' };
+  const endInputs = isTimedEvent ? toLocalDateTimeInputs(event.end) : { date: event.end, time: '' };
+  
+  // Occurrences of a recurring event ask which part of the series a change applies to
+  const isRecurringEvent = Boolean(event.isRecurring && event.recurrenceId);
+  const scopeSelectHtml = (labelStyle, selectStyle, label) => isRecurringEvent ? `
+      <div style="margin-bottom: 12px;">
+        <label style="${labelStyle}">${label}</label>
+        <select id="eventScope" style="${selectStyle}">
+          ${RECURRENCE_SCOPE_OPTIONS.map(opt => `<option value="${escapeHtml(opt.scope)}">${escapeHtml(opt.label)}</option>`).join('')}
+        </select>
+      </div>
+  ` : '';
+  
   const originalEventUid = event.uid || event.id.split('/').pop().replace(/^-/, '');
   
+  // ETag of the version shown in the timeline; sent as If-Match on save to detect concurrent edits
+  const etag = event.etag || null;
+  
   // Use clean description (without YAML) and pre-parsed metadata
   const description = event.description || '';
   const metadata = event.meta || {};
@@ -1239,7 +1413,6 @@ async function showEventModal(event) {
   console.log('Clean description:', description);
   console.log('Metadata object:', metadata);
   console.log('Event location:', event.location);
-  console.log('Original updatedAt:', originalUpdatedAt);
   
   const location = event.location || '';
   const orderNumber = metadata.orderNumber || '';
@@ -1262,16 +1435,28 @@ async function showEventModal(event) {
             <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Title</label>
             <input type="text" id="eventTitle" value="${escapeHtml(event.content)}" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
           </div>
+          ${scopeSelectHtml('display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;', 'width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;', 'Apply to')}
           <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 12px;">
             <div>
               <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Start</label>
-              <input type="date" id="eventStart" value="${escapeHtml(event.start)}" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+              <input type="date" id="eventStart" value="${escapeHtml(startInputs.date)}" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
             </div>
             <div>
               <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">End</label>
-              <input type="date" id="eventEnd" value="${escapeHtml(event.end)}" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+              <input type="date" id="eventEnd" value="${escapeHtml(endInputs.date)}" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
             </div>
           </div>
+          ${isTimedEvent ? `
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 12px;">
+            <div>
+              <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Start time</label>
+              <input type="time" id="eventStartTime" value="${escapeHtml(startInputs.time)}" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+            </div>
+            <div>
+              <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">End time</label>
+              <input type="time" id="eventEndTime" value="${escapeHtml(endInputs.time)}" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+            </div>
+          </div>` : ''}
           <div style="margin-bottom: 12px;">
             <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Description</label>
             <textarea id="eventDescription" rows="2" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; font-family: inherit; resize: vertical;">${escapeHtml(description)}</textarea>
@@ -1283,7 +1468,7 @@ async function showEventModal(event) {
           <div style="margin-bottom: 12px;">
             <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Calendar</label>
             <select id="eventCalendar" style="width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
-              ${getCalendars().map(cal => 
+              ${getCalendars().filter(cal => cal.canEdit !== false || cal.id === event.group).map(cal => 
                 `<option value="${escapeHtml(cal.id)}" ${cal.id === event.group ? 'selected' : ''}>${escapeHtml(cal.content || cal.displayName)}</option>`
               ).join('')}
             </select>
@@ -1347,16 +1532,28 @@ async function showEventModal(event) {
         <label style="display: block; font-weight: 600; margin-bottom: 5px;">Title:</label>
         <input type="text" id="eventTitle" value="${escapeHtml(event.content)}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
       </div>
+      ${scopeSelectHtml('display: block; font-weight: 600; margin-bottom: 5px;', 'width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;', 'Apply to:')}
       <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 15px;">
         <div>
           <label style="display: block; font-weight: 600; margin-bottom: 5px;">Start:</label>
-          <input type="date" id="eventStart" value="${escapeHtml(event.start)}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; box-sizing: border-box;">
+          <input type="date" id="eventStart" value="${escapeHtml(startInputs.date)}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; box-sizing: border-box;">
         </div>
         <div>
           <label style="display: block; font-weight: 600; margin-bottom: 5px;">End:</label>
-          <input type="date" id="eventEnd" value="${escapeHtml(event.end)}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; box-sizing: border-box;">
+          <input type="date" id="eventEnd" value="${escapeHtml(endInputs.date)}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; box-sizing: border-box;">
         </div>
       </div>
+      ${isTimedEvent ? `
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 15px;">
+        <div>
+          <label style="display: block; font-weight: 600; margin-bottom: 5px;">Start time:</label>
+          <input type="time" id="eventStartTime" value="${escapeHtml(startInputs.time)}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; box-sizing: border-box;">
+        </div>
+        <div>
+          <label style="display: block; font-weight: 600; margin-bottom: 5px;">End time:</label>
+          <input type="time" id="eventEndTime" value="${escapeHtml(endInputs.time)}" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; box-sizing: border-box;">
+        </div>
+      </div>` : ''}
       <div style="margin-bottom: 15px;">
         <label style="display: block; font-weight: 600; margin-bottom: 5px;">Description:</label>
         <textarea id="eventDescription" rows="3" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; font-family: inherit;">${escapeHtml(description)}</textarea>
@@ -1386,7 +1583,7 @@ async function showEventModal(event) {
       <div style="margin-bottom: 15px;">
         <label style="display: block; font-weight: 600; margin-bottom: 5px;">Calendar:</label>
         <select id="eventCalendar" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
-          ${getCalendars().map(cal => 
+          ${getCalendars().filter(cal => cal.canEdit !== false || cal.id === event.group).map(cal => 
             `<option value="${escapeHtml(cal.id)}" ${cal.id === event.group ? 'selected' : ''}>${escapeHtml(cal.content || cal.displayName)}</option>`
           ).join('')}
         </select>
@@ -1407,7 +1604,7 @@ async function showEventModal(event) {
   const copyEventLinkBtn = document.getElementById('copyEventLinkBtn');
   
   // Show delete button in edit mode
-  if (deleteEventBtn) deleteEventBtn.style.display = '';
+  if (deleteEventBtn) deleteEventBtn.style.display = isReadOnly ? 'none' : '';
   
   // Show modal
   modal.classList.add('active');
@@ -1424,6 +1621,7 @@ async function showEventModal(event) {
   
   const newSaveEventBtn = saveEventBtn.cloneNode(true);
   saveEventBtn.parentNode.replaceChild(newSaveEventBtn, saveEventBtn);
+  newSaveEventBtn.style.display = isReadOnly ? 'none' : '';
   
   const newDeleteEventBtn = deleteEventBtn?.cloneNode(true);
   if (deleteEventBtn && newDeleteEventBtn) {
@@ -1544,7 +1742,14 @@ async function showEventModal(event) {
       return;
     }
     
-    if (!confirm('Are you sure you want to delete this event?')) {
+    // Recurring events: delete the part of the series chosen in "Apply to"
+    const scope = isRecurringEvent ? (document.getElementById('eventScope')?.value || 'this') : null;
+    const confirmText = scope === 'all'
+      ? 'Are you sure you want to delete all events in this series?'
+      : scope === 'following'
+        ? 'Are you sure you want to delete this and all following events?'
+        : 'Are you sure you want to delete this event?';
+    if (!confirm(confirmText)) {
       return;
     }
     
@@ -1552,6 +1757,7 @@ async function showEventModal(event) {
     
     // Use event.uid if available, otherwise extract from id and remove leading hyphen
     const eventUid = event.uid || event.id.split('/').pop().replace(/^-/, '');
+    const scopeQuery = scope ? `?${new URLSearchParams({ scope, recurrenceId: event.recurrenceId })}` : '';
     console.log('Deleting event with UID:', eventUid, 'Original event.id:', event.id, 'event.uid:', event.uid);
     
     try {
@@ -1576,7 +1782,7 @@ async function showEventModal(event) {
       // NOTE: Only 1 retry for DELETE to prevent duplicate delete attempts
       const response = await withTimeout(
         fetchWithRetry(
-          `${API_BASE}/api/events/${encodeURIComponent(eventUid)}`,
+          `${API_BASE}/api/events/${encodeURIComponent(eventUid)}${scopeQuery}`,
           { method: 'DELETE' },
           {
             maxRetries: 1, // Reduced from 2 to prevent duplicate deletes
@@ -1664,6 +1870,8 @@ async function showEventModal(event) {
     const calendarId = document.getElementById('eventCalendar').value;
     const start = document.getElementById('eventStart').value;
     const end = document.getElementById('eventEnd').value;
+    const startTime = document.getElementById('eventStartTime')?.value || '';
+    const endTime = document.getElementById('eventEndTime')?.value || '';
     const description = document.getElementById('eventDescription').value;
     const location = document.getElementById('eventLocation').value;
     const orderNumber = document.getElementById('eventOrderNumber').value;
@@ -1671,8 +1879,8 @@ async function showEventModal(event) {
     const systemType = document.getElementById('eventSystemType').value;
     const isRemote = document.getElementById('eventIsRemote').checked;
     
-    if (!title || !start || !end) {
-      alert('Please fill in title, start date, and end date');
+    if (!title || !start || !end || (isTimedEvent && (!startTime || !endTime))) {
+      alert(isTimedEvent ? 'Please fill in title, start and end date and time' : 'Please fill in title, start date, and end date');
       return;
     }
     
@@ -1682,6 +1890,14 @@ async function showEventModal(event) {
       return;
     }
     
+    // Timed events send wall-clock values in the browser's time zone
+    const startValue = isTimedEvent ? `${start}T${startTime}` : start;
+    const endValue = isTimedEvent ? `${end}T${endTime}` : end;
+    if (isTimedEvent && new Date(endValue) <= new Date(startValue)) {
+      alert('End time must be after start time. Please check your times.');
+      return;
+    }
+    
     // Build metadata object (send as separate field, not embedded in description)
     const meta = {};
     if (orderNumber) meta.orderNumber = orderNumber;
@@ -1708,77 +1924,31 @@ async function showEventModal(event) {
     const eventUid = event.uid || event.id.split('/').pop().replace(/^-/, '');
     console.log('Updating event with UID:', eventUid, 'meta:', meta);
     
+    // Build request body - send description and meta separately
+    // Backend will combine them properly
+    const requestBody = {
+      summary: title,
+      start: startValue,
+      end: endValue,
+      ...(isTimedEvent && { timezone: getBrowserTimeZone() }),
+      ...(isRecurringEvent && {
+        scope: document.getElementById('eventScope')?.value || 'this',
+        recurrenceId: event.recurrenceId
+      }),
+      description: description || '', // Plain description without YAML
+      location: location || '',
+      meta: Object.keys(meta).length > 0 ? meta : undefined // Send meta as separate field
+    };
+    
+    // Add targetCalendarUrl if calendar changed (triggers MOVE operation)
+    if (targetCalendarUrl) {
+      requestBody.targetCalendarUrl = targetCalendarUrl;
+    }
+    
     try {
-      // STALENESS DETECTION: Check if event was modified since modal opened
-      if (originalUpdatedAt) {
-        console.log('[Staleness Check] Fetching current event version...');
-        try {
-          const checkResponse = await withTimeout(
-            fetchWithRetry(
-              `${API_BASE}/api/events/${encodeURIComponent(eventUid)}`,
-              {},
-              { maxRetries: 0 }
-            ),
-            10000,
-            'Staleness check timed out'
-          );
-
-          if (checkResponse.ok) {
-            const checkData = await checkResponse.json();
-            const currentEvent = checkData.event || checkData;
-            
-            if (currentEvent.updatedAt && currentEvent.updatedAt !== originalUpdatedAt) {
-              console.warn('[Staleness Check] Event was modified by someone else!', {
-                original: originalUpdatedAt,
-                current: currentEvent.updatedAt
-              });
-              
-              // Show user a choice
-              const userChoice = confirm(
-                '⚠️ WARNING: This event was modified by someone else since you opened it.\n\n' +
-                'Click OK to reload the latest version and lose your changes.\n' +
-                'Click Cancel to save anyway and overwrite their changes.'
-              );
-              
-              if (userChoice) {
-                // User chose to reload - close modal and reopen with fresh data
-                operationInProgress = false;
-                modal.classList.remove('active');
-                console.log('[Staleness Check] User chose to reload, fetching fresh data...');
-                
-                // Reload the event
-                showEventModal(currentEvent);
-                return;
-              } else {
-                console.log('[Staleness Check] User chose to overwrite, proceeding with save...');
-                // Continue with save (will overwrite)
-              }
-            } else {
-              console.log('[Staleness Check] Event has not been modified, safe to proceed');
-            }
-          }
-        } catch (checkError) {
-          // Non-critical error, log and continue with save
-          console.warn('[Staleness Check] Failed to check for staleness:', checkError);
-          console.log('[Staleness Check] Proceeding with save anyway');
-        }
-      }
-      
-      // Build request body - send description and meta separately
-      // Backend will combine them properly
-      const requestBody = {
-        summary: title,
-        start: start,
-        end: end,
-        description: description || '', // Plain description without YAML
-        location: location || '',
-        meta: Object.keys(meta).length > 0 ? meta : undefined // Send meta as separate field
-      };
-      
-      // Add targetCalendarUrl if calendar changed (triggers MOVE operation)
-      if (targetCalendarUrl) {
-        requestBody.targetCalendarUrl = targetCalendarUrl;
-      }
+      // Send the ETag of the version the form was filled from so the server can reject stale edits
+      const headers = { 'Content-Type': 'application/json' };
+      if (etag) headers['If-Match'] = etag;
       
       // Use retry logic with timeout
       // NOTE: Only 1 retry for UPDATE to prevent duplicates (not idempotent)
@@ -1787,7 +1957,7 @@ async function showEventModal(event) {
           `${API_BASE}/api/events/${encodeURIComponent(eventUid)}`,
           {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify(requestBody)
           },
           {
@@ -1816,8 +1986,8 @@ async function showEventModal(event) {
         const updatedEvent = {
           content: title,
           title: title,
-          start: start,
-          end: end,
+          start: isTimedEvent ? new Date(startValue).toISOString() : start,
+          end: isTimedEvent ? new Date(endValue).toISOString() : end,
           description: description,
           location: location,
           group: newGroup,
@@ -1858,19 +2028,6 @@ async function showEventModal(event) {
         const errorText = await response.text();
         console.error('Failed to update event:', response.status, errorText);
         
-        // Handle 409 conflict with conflict resolution UI
-        if (response.status === 409) {
-          console.log('Conflict detected, showing resolution UI...');
-          await handleConflict(eventUid, {
-            summary: title,
-            start: start,
-            end: end,
-            description: fullDescription,
-            location: location || ''
-          });
-          return; // Don't show alert, conflict UI handles it
-        }
-        
         // Provide user-friendly error messages for other errors
         let userMessage;
         if (response.status === 404) {
@@ -1884,6 +2041,18 @@ async function showEventModal(event) {
         alert(userMessage);
       }
     } catch (error) {
+      // 412/409: someone else changed the event since the modal opened and
+      // the server could not merge the edits
+      if ((error.status === 412 || error.status === 409) && error.response) {
+        console.log('Conflict detected, showing resolution UI...');
+        const conflict = await error.response.json().catch(() => ({}));
+        const choice = await handleConflict(eventUid, requestBody, conflict);
+        if (choice === 'mine') {
+          modal.classList.remove('active');
+        }
+        return; // Don't show alert, conflict UI handles it
+      }
+      
       console.error('Error updating event:', error);
       
       // User-friendly error messages
@@ -2252,7 +2421,9 @@ function renderEventsForCalendar(calendarId, pixelsPerDay) {
       boxShadow = '0 1px 2px rgba(0,0,0,0.2)';
     }
     
-    html += `<div class="timeline-event" data-event-id="${event.id}" style="position: absolute; left: ${pos.left}px; width: ${pos.width}px; top: ${top}px; height: ${eventHeight}px; background: ${backgroundColor}; color: ${textColor}; border: ${border}; border-radius: 3px; padding: 2px 4px; font-size: ${fontSize}px; line-height: 1.2; overflow: hidden; display: -webkit-box; -webkit-line-clamp: ${lineClamp}; -webkit-box-orient: vertical; box-shadow: ${boxShadow}; cursor: pointer;">${displayTitle}</div>`;
+    const changedClass = isChangedSinceLastVisit(event) ? ' changed-since-visit' : '';
+    
+    html += `<div class="timeline-event${changedClass}" data-event-id="${event.id}" style="position: absolute; left: ${pos.left}px; width: ${pos.width}px; top: ${top}px; height: ${eventHeight}px; background: ${backgroundColor}; color: ${textColor}; border: ${border}; border-radius: 3px; padding: 2px 4px; font-size: ${fontSize}px; line-height: 1.2; overflow: hidden; display: -webkit-box; -webkit-line-clamp: ${lineClamp}; -webkit-box-orient: vertical; box-shadow: ${boxShadow}; cursor: pointer;">${displayTitle}</div>`;
   });
   
   return html;
@@ -2314,12 +2485,72 @@ async function initEventMap(location) {
 }
 
 // ============================================
-// AUTO-REFRESH FOR MULTI-USER SYNC
+// LIVE UPDATES FOR MULTI-USER SYNC
 // ============================================
 
+/**
+ * Check whether a modal is open (don't interrupt the user with re-renders)
+ * @returns {boolean} True if the event or conflict modal is open
+ */
+function isModalOpen() {
+  const modal = document.getElementById('eventModal');
+  const conflictModal = document.getElementById('conflictModal');
+  return modal?.classList.contains('active') || conflictModal?.classList.contains('active');
+}
+
+let pendingRenderTimer = null;
+
+/**
+ * Re-render after a pushed change, deferred while a modal is open
+ */
+function scheduleLiveRender() {
+  if (isModalOpen()) {
+    if (!pendingRenderTimer) {
+      pendingRenderTimer = setTimeout(() => {
+        pendingRenderTimer = null;
+        scheduleLiveRender();
+      }, 2000);
+    }
+    return;
+  }
+  render();
+  showRefreshNotification();
+}
+
+/**
+ * Keep the timeline in sync with other users' changes
+ * 
+ * Patches local state from the server's event stream instead of reloading
+ * everything. Falls back to polling where EventSource is unavailable.
+ */
+function startLiveUpdates() {
+  if (typeof EventSource === 'undefined') {
+    startAutoRefresh();
+    return;
+  }
+  
+  subscribeToEventChanges({
+    onChange: (change) => {
+      if (applyEventChanges(change)) {
+        console.log(`[EventStream] Applied ${change.upserted.length} upserted, ${change.removed.length} removed`);
+        scheduleLiveRender();
+      }
+    },
+    onReconnect: async () => {
+      // Changes may have been missed while disconnected
+      try {
+        await loadData();
+        scheduleLiveRender();
+      } catch (error) {
+        console.error('[EventStream] Failed to resync after reconnect:', error);
+      }
+    }
+  });
+}
+
 /**
  * Auto-refresh data periodically to sync with other users' changes
- * Runs every 60 seconds to keep data fresh in multi-user environment
+ * Fallback for browsers without EventSource support
  */
 let autoRefreshInterval = null;
 let lastRefreshTime = Date.now();
@@ -2330,18 +2561,12 @@ function startAutoRefresh() {
     clearInterval(autoRefreshInterval);
   }
   
-  // Refresh every 60 seconds
   autoRefreshInterval = setInterval(async () => {
     try {
       console.log('[AutoRefresh] Checking for updates...');
-      const timeSinceLastRefresh = Date.now() - lastRefreshTime;
       
       // Only refresh if no modal is open (don't interrupt user)
-      const modal = document.getElementById('eventModal');
-      const conflictModal = document.getElementById('conflictModal');
-      const isModalOpen = modal?.classList.contains('active') || conflictModal?.classList.contains('active');
-      
-      if (isModalOpen) {
+      if (isModalOpen()) {
         console.log('[AutoRefresh] Modal open, skipping refresh');
         return;
       }
@@ -2357,9 +2582,9 @@ function startAutoRefresh() {
     } catch (error) {
       console.error('[AutoRefresh] Failed to refresh:', error);
     }
-  }, 15 * 1000); // 15 seconds - faster sync for multi-user
+  }, AUTO_REFRESH_INTERVAL_MS);
   
-  console.log('[AutoRefresh] Started (interval: 15s)');
+  console.log(`[AutoRefresh] Started (interval: ${AUTO_REFRESH_INTERVAL_MS / 1000}s)`);
 }
 
 /**
@@ -2595,8 +2820,8 @@ window.updateHistoryBadge = updateHistoryBadge;
 
 // Start the application
 init().then(() => {
-  // Start auto-refresh after initial load
-  startAutoRefresh();
+  // Start live updates after initial load
+  startLiveUpdates();
   
   // Setup keyboard shortcuts
   setupKeyboardShortcuts();
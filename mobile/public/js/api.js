@@ -223,6 +223,21 @@ export async function withTimeout(promise, timeoutMs, timeoutMessage = 'Operatio
 // API FUNCTIONS
 // ============================================
 
+/**
+ * Add the event UID derived from a timeline item id
+ * @param {Object} item - Timeline item from the API
+ * @returns {Object} Item with `uid`
+ */
+function withUid(item) {
+  return {
+    ...item,
+    // Extract UID: if id is a URL, get last segment and remove leading hyphen
+    uid: item.id.includes('/') 
+      ? item.id.split('/').pop().replace(/^-/, '') 
+      : item.id.split('-').slice(1).join('-')
+  };
+}
+
 /**
  * Load calendar and event data from the API
  * Fetches calendars, events for date range, and Berlin holidays
@@ -270,17 +285,12 @@ export async function loadData() {
     
     const evtData = await evtRes.json();
     // Process events to extract UID from the id field
-    setEvents((evtData.items || []).map(event => ({
-      ...event,
-      // Extract UID: if id is a URL, get last segment and remove leading hyphen
-      uid: event.id.includes('/') 
-        ? event.id.split('/').pop().replace(/^-/, '') 
-        : event.id.split('-').slice(1).join('-')
-    })));
+    setEvents((evtData.items || []).map(withUid));
     
-    // Use groups for calendar display names
+    // Use groups for calendar display names, keeping the edit permission per calendar
     if (evtData.groups) {
-      setCalendars(evtData.groups);
+      const canEdit = new Map((calData.calendars || []).map(c => [c.url, c.canEdit]));
+      setCalendars(evtData.groups.map(group => ({ ...group, canEdit: canEdit.get(group.url) })));
     }
     
     console.log(`Loaded: ${getCalendars().length} calendars, ${getEvents().length} events`);
@@ -326,3 +336,51 @@ export async function loadData() {
     throw error;
   }
 }
+
+/**
+ * Subscribe to live event changes pushed by the server
+ * 
+ * Opens an EventSource on /api/events/stream. Each change carries the
+ * timeline items added or changed in one calendar and the ids of removed
+ * items. EventSource reconnects by itself; since changes may have been
+ * missed while disconnected, `onReconnect` is called once it is back.
+ * 
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onChange - Called with {calendarUrl, upserted, removed}
+ * @param {Function} [handlers.onReconnect] - Called after a dropped connection is restored
+ * @returns {Function} Unsubscribe function closing the stream
+ */
+export function subscribeToEventChanges({ onChange, onReconnect }) {
+  const source = new EventSource(`${API_BASE}/api/events/stream`, { withCredentials: true });
+  let disconnected = false;
+  
+  source.addEventListener('open', () => {
+    console.log('[EventStream] Connected');
+    if (disconnected) {
+      disconnected = false;
+      onReconnect?.();
+    }
+  });
+  
+  source.addEventListener('error', () => {
+    if (!disconnected) {
+      console.warn('[EventStream] Connection lost, reconnecting...');
+    }
+    disconnected = true;
+  });
+  
+  source.addEventListener('change', (message) => {
+    try {
+      const change = JSON.parse(message.data);
+      onChange({
+        calendarUrl: change.calendarUrl,
+        upserted: (change.upserted || []).map(withUid),
+        removed: change.removed || []
+      });
+    } catch (error) {
+      console.error('[EventStream] Invalid change message:', error);
+    }
+  });
+  
+  return () => source.close();
+}
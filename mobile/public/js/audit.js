@@ -1,7 +1,9 @@
 /**
  * Audit History Module
  * 
- * Handles displaying audit history and undo operations
+ * Handles displaying audit history and undo operations.
+ * Any entry can be reverted (after a preview of the changes) and undone
+ * entries can be redone.
  */
 
 import { escapeHtml } from './security.js';
@@ -13,8 +15,33 @@ let currentFilters = {
   time: '24h'
 };
 
+// Entry and mode ('revert' or 'redo') of the open confirmation
 let currentUndoTarget = null;
 
+// Icons for the fields of a server-side change list
+const FIELD_ICONS = {
+  summary: '✏️',
+  location: '📍',
+  description: '📝',
+  start: '🕐',
+  end: '🕐',
+  timezone: '🌐',
+  rrule: '🔁',
+  calendar: '🔄'
+};
+
+// Labels for the fields of a server-side change preview
+const FIELD_LABELS = {
+  summary: 'Summary',
+  location: 'Location',
+  description: 'Description',
+  start: 'Start Time',
+  end: 'End Time',
+  timezone: 'Time Zone',
+  rrule: 'Repeat',
+  calendar: 'Calendar'
+};
+
 /**
  * Initialize audit history modal
  */
@@ -172,6 +199,7 @@ function createAuditEntry(entry, index) {
   operationDiv.className = 'entry-operation';
   operationDiv.innerHTML = `
     <span class="op-badge ${operation}">${escapeHtml(entry.operation)}</span>
+    ${entry.undone ? '<span class="op-badge undone">Undone</span>' : ''}
     <span class="entry-time">${escapeHtml(timeAgo)}</span>
   `;
   
@@ -179,16 +207,26 @@ function createAuditEntry(entry, index) {
   const isIncomplete = entry.operation === 'DELETE' && entry.beforeState && 
     ((!entry.beforeState.calendar && !entry.beforeState.calendarUrl) || 
      !entry.beforeState.start || !entry.beforeState.end);
+  const isFailed = entry.status && entry.status !== 'SUCCESS';
+  const isRoleChange = entry.operation.startsWith('ROLE_') || entry.operation.startsWith('TOKEN_');
+  // Undone entries offer redo instead of another undo
+  const mode = entry.undone ? 'redo' : 'revert';
   
   const undoBtn = document.createElement('button');
   undoBtn.className = 'undo-btn';
-  undoBtn.textContent = isIncomplete ? '⚠️ Incomplete' : '↩️ Undo';
-  undoBtn.disabled = isIncomplete;
-  undoBtn.title = isIncomplete ? 'Cannot undo: incomplete audit data (old entry)' : 'Undo this change';
-  if (!isIncomplete) {
+  undoBtn.textContent = isIncomplete ? '⚠️ Incomplete' : mode === 'redo' ? '↪️ Redo' : '↩️ Undo';
+  undoBtn.disabled = isIncomplete || isFailed || isRoleChange;
+  undoBtn.title = isIncomplete
+    ? 'Cannot undo: incomplete audit data (old entry)'
+    : isFailed
+    ? 'Failed operations cannot be undone'
+    : isRoleChange
+    ? 'Role and token changes are undone by granting or revoking again'
+    : mode === 'redo' ? 'Apply this change again' : 'Undo this change';
+  if (!undoBtn.disabled) {
     undoBtn.onclick = (e) => {
       e.stopPropagation();
-      showUndoConfirmation(entry);
+      showUndoConfirmation(entry, mode);
     };
   }
   
@@ -247,10 +285,29 @@ function formatEntrySummary(entry) {
       return `"${escapeHtml(entry.beforeState?.summary || 'Unnamed')}" (deleted)`;
       
     case 'MOVE':
-      const fromCal = extractCalendarName(entry.beforeState?.calendarUrl || entry.beforeState?.calendar);
-      const toCal = extractCalendarName(entry.afterState?.calendarUrl || entry.afterState?.calendar);
+      const calendarChange = entry.changes?.find(c => c.field === 'calendar');
+      const fromCal = calendarChange?.fromName || extractCalendarName(entry.beforeState?.calendarUrl || entry.beforeState?.calendar);
+      const toCal = calendarChange?.toName || extractCalendarName(entry.afterState?.calendarUrl || entry.afterState?.calendar);
       return `"${escapeHtml(entry.afterState?.summary || 'Unnamed')}" moved: ${escapeHtml(fromCal)} ${arrow} ${escapeHtml(toCal)}`;
       
+    case 'ROLE_GRANT':
+      if (entry.afterState?.calendarUrls) {
+        const count = entry.afterState.calendarUrls.length;
+        return `${escapeHtml(entry.afterState.subject || 'Unknown')} may edit ${count} calendar${count === 1 ? '' : 's'}`;
+      }
+      const until = entry.afterState?.expiresAt ? ` until ${formatDateTime(entry.afterState.expiresAt)}` : '';
+      return `${escapeHtml(entry.afterState?.subject || 'Unknown')} granted ${escapeHtml(entry.afterState?.role || '')}${escapeHtml(until)}`;
+      
+    case 'ROLE_REVOKE':
+      const revoked = entry.beforeState?.calendarUrls ? 'calendar edit rights' : entry.beforeState?.role || 'role';
+      return `${escapeHtml(entry.beforeState?.subject || 'Unknown')}: ${escapeHtml(revoked)} revoked`;
+      
+    case 'TOKEN_CREATE':
+      return `API token "${escapeHtml(entry.afterState?.name || 'Unnamed')}" created (${escapeHtml(entry.afterState?.role || '')})`;
+      
+    case 'TOKEN_REVOKE':
+      return `API token "${escapeHtml(entry.beforeState?.name || 'Unnamed')}" revoked`;
+      
     default:
       return escapeHtml(entry.afterState?.summary || entry.beforeState?.summary || 'Event');
   }
@@ -287,117 +344,29 @@ function createEntryDetails(entry) {
 }
 
 /**
- * Detect changes between before and after states
+ * Build the change list of an entry from its server-computed changes
  */
 function detectChanges(entry) {
-  const changes = [];
-  const before = entry.beforeState || {};
-  const after = entry.afterState || {};
   const arrow = '<span class="change-arrow">→</span>';
   
-  // Summary
-  if (before.summary !== after.summary) {
-    changes.push({
-      icon: '✏️',
-      label: 'Summary',
-      value: entry.operation === 'CREATE' 
-        ? escapeHtml(after.summary || '')
-        : entry.operation === 'DELETE'
-        ? escapeHtml(before.summary || '')
-        : `${escapeHtml(before.summary || '')} ${arrow} ${escapeHtml(after.summary || '')}`
-    });
-  }
-  
-  // Location
-  if (before.location !== after.location && (before.location || after.location)) {
-    changes.push({
-      icon: '📍',
-      label: 'Location',
-      value: entry.operation === 'CREATE'
-        ? escapeHtml(after.location || '')
-        : entry.operation === 'DELETE'
-        ? escapeHtml(before.location || '')
-        : `${escapeHtml(before.location || '(none)')} ${arrow} ${escapeHtml(after.location || '(none)')}`
-    });
-  }
-  
-  // Start time
-  if (before.start !== after.start && (before.start || after.start)) {
-    changes.push({
-      icon: '🕐',
-      label: 'Start Time',
-      value: entry.operation === 'CREATE'
-        ? formatDateTime(after.start)
-        : entry.operation === 'DELETE'
-        ? formatDateTime(before.start)
-        : `${formatDateTime(before.start)} ${arrow} ${formatDateTime(after.start)}`
-    });
-  }
-  
-  // End time
-  if (before.end !== after.end && (before.end || after.end)) {
-    changes.push({
-      icon: '🕐',
-      label: 'End Time',
-      value: entry.operation === 'CREATE'
-        ? formatDateTime(after.end)
-        : entry.operation === 'DELETE'
-        ? formatDateTime(before.end)
-        : `${formatDateTime(before.end)} ${arrow} ${formatDateTime(after.end)}`
-    });
-  }
-  
-  // Calendar
-  const beforeCal = before.calendarUrl || before.calendar;
-  const afterCal = after.calendarUrl || after.calendar;
-  
-  // Always show calendar for DELETE (or when calendars differ for other operations)
-  if (entry.operation === 'DELETE' || (beforeCal !== afterCal && (beforeCal || afterCal))) {
-    changes.push({
-      icon: '🔄',
-      label: 'Calendar',
+  const changes = (entry.changes || []).map(change => {
+    const from = formatChangeValue(change, 'from');
+    const to = formatChangeValue(change, 'to');
+    return {
+      icon: FIELD_ICONS[change.field] || (change.field.startsWith('meta.') ? '🏷️' : '✏️'),
+      label: fieldLabel(change.field),
       value: entry.operation === 'CREATE'
-        ? escapeHtml(extractCalendarName(afterCal) || '(not recorded)')
+        ? to
         : entry.operation === 'DELETE'
-        ? escapeHtml(extractCalendarName(beforeCal) || '(not recorded)')
-        : `${escapeHtml(extractCalendarName(beforeCal) || '(not recorded)')} ${arrow} ${escapeHtml(extractCalendarName(afterCal) || '(not recorded)')}`
-    });
-  }
-  
-  // Description (use clean description without embedded YAML)
-  const beforeCleanDesc = extractCleanDescription(before.description || '');
-  const afterCleanDesc = extractCleanDescription(after.description || '');
-  if (beforeCleanDesc !== afterCleanDesc && (beforeCleanDesc || afterCleanDesc)) {
-    const beforeDesc = truncateText(beforeCleanDesc, 100);
-    const afterDesc = truncateText(afterCleanDesc, 100);
-    changes.push({
-      icon: '📝',
-      label: 'Description',
-      value: entry.operation === 'CREATE'
-        ? escapeHtml(afterDesc)
-        : entry.operation === 'DELETE'
-        ? escapeHtml(beforeDesc)
-        : `${escapeHtml(beforeDesc)} ${arrow} ${escapeHtml(afterDesc)}`
-    });
-  }
-  
-  // Metadata
-  const beforeMeta = JSON.stringify(before.meta || {});
-  const afterMeta = JSON.stringify(after.meta || {});
-  if (beforeMeta !== afterMeta && (before.meta || after.meta)) {
-    changes.push({
-      icon: '🏷️',
-      label: 'Metadata',
-      value: entry.operation === 'CREATE'
-        ? formatMetadata(after.meta)
-        : entry.operation === 'DELETE'
-        ? formatMetadata(before.meta)
-        : `${formatMetadata(before.meta)} ${arrow} ${formatMetadata(after.meta)}`
-    });
-  }
+        ? from
+        : `${from} ${arrow} ${to}`
+    };
+  });
   
   // If no specific changes detected, show generic info
   if (changes.length === 0) {
+    const after = entry.afterState || {};
+    const before = entry.beforeState || {};
     changes.push({
       icon: entry.operation === 'CREATE' ? '➕' : entry.operation === 'DELETE' ? '🗑️' : '✏️',
       label: entry.operation,
@@ -408,6 +377,17 @@ function detectChanges(entry) {
   return changes;
 }
 
+/**
+ * Format one side of a server-computed change for display (escaped)
+ */
+function formatChangeValue(change, side) {
+  if (change.field === 'calendar') {
+    const name = change[`${side}Name`] || (change[side] && extractCalendarName(change[side]));
+    return escapeHtml(name || '(not recorded)');
+  }
+  return formatPreviewValue(change.field, change[side]);
+}
+
 /**
  * Extract calendar name from URL
  */
@@ -420,19 +400,6 @@ function extractCalendarName(url) {
   return decodeURIComponent(lastPart);
 }
 
-/**
- * Extract clean description without embedded YAML metadata
- */
-function extractCleanDescription(description) {
-  if (!description) return '';
-  
-  // Remove YAML fenced blocks (```yaml ... ```)
-  const yamlPattern = /```yaml\s*[\s\S]*?\s*```/g;
-  const cleaned = description.replace(yamlPattern, '').trim();
-  
-  return cleaned;
-}
-
 /**
  * Truncate text to specified length
  */
@@ -442,28 +409,6 @@ function truncateText(text, maxLength) {
   return text.substring(0, maxLength) + '...';
 }
 
-/**
- * Format metadata for display
- */
-function formatMetadata(meta) {
-  if (!meta || Object.keys(meta).length === 0) return '(none)';
-  
-  // Show key fields in a readable format
-  const fields = [];
-  if (meta.orderNumber) fields.push(`Order: ${meta.orderNumber}`);
-  if (meta.ticketLink) fields.push(`Ticket: ${meta.ticketLink}`);
-  if (meta.systemType) fields.push(`System: ${meta.systemType}`);
-  
-  if (fields.length > 0) {
-    return escapeHtml(fields.join(', '));
-  }
-  
-  // Fallback: show all keys
-  const keys = Object.keys(meta).filter(k => meta[k]);
-  if (keys.length === 0) return '(empty)';
-  return escapeHtml(keys.join(', ') + ' (set)');
-}
-
 /**
  * Format date/time for display
  */
@@ -518,7 +463,7 @@ function initUndoModal() {
   
   confirmUndo?.addEventListener('click', () => {
     if (currentUndoTarget) {
-      performUndo(currentUndoTarget);
+      performUndo(currentUndoTarget.entry, currentUndoTarget.mode);
     }
   });
   
@@ -531,127 +476,185 @@ function initUndoModal() {
 }
 
 /**
- * Show undo confirmation modal
+ * Show undo/redo confirmation modal
+ * 
+ * Opens immediately and fills in the server's preview of the changes;
+ * confirming is possible once the preview has loaded.
  */
-function showUndoConfirmation(entry) {
-  currentUndoTarget = entry;
+async function showUndoConfirmation(entry, mode = 'revert') {
+  currentUndoTarget = { entry, mode };
   
   const modal = document.getElementById('undoModal');
   const title = document.getElementById('undoModalTitle');
   const body = document.getElementById('undoModalBody');
+  const confirmBtn = document.getElementById('confirmUndo');
   
   // Set title based on operation
-  switch (entry.operation) {
-    case 'CREATE':
-      title.textContent = '⚠️ Undo Create Operation';
-      break;
-    case 'DELETE':
-      title.textContent = '↩️ Restore Deleted Event';
-      break;
-    case 'UPDATE':
-    case 'MOVE':
-      title.textContent = '↩️ Undo Changes';
-      break;
-    default:
-      title.textContent = '⚠️ Confirm Undo';
+  if (mode === 'redo') {
+    title.textContent = '↪️ Redo Change';
+  } else {
+    switch (entry.operation) {
+      case 'CREATE':
+        title.textContent = '⚠️ Undo Create Operation';
+        break;
+      case 'DELETE':
+        title.textContent = '↩️ Restore Deleted Event';
+        break;
+      case 'UPDATE':
+      case 'MOVE':
+        title.textContent = '↩️ Undo Changes';
+        break;
+      default:
+        title.textContent = '⚠️ Confirm Undo';
+    }
   }
   
   // Build confirmation content
-  body.innerHTML = buildUndoConfirmation(entry);
+  body.innerHTML = buildUndoConfirmation(entry, mode);
+  if (confirmBtn) {
+    confirmBtn.textContent = mode === 'redo' ? '↪️ Confirm Redo' : '↩️ Confirm Undo';
+    confirmBtn.disabled = true;
+  }
   
   modal?.classList.add('active');
+  
+  const previewEl = document.getElementById('undoPreview');
+  try {
+    const response = await fetch(`${API_BASE}/api/audit/${mode}/${entry.id}/preview`, {
+      credentials: 'include'
+    });
+    const preview = await response.json();
+    if (!response.ok) {
+      throw new Error(preview.error || `Preview failed: ${response.status}`);
+    }
+    
+    // Ignore previews of a confirmation that was replaced meanwhile
+    if (currentUndoTarget?.entry !== entry) return;
+    
+    if (previewEl) previewEl.innerHTML = buildPreview(preview);
+    if (confirmBtn) confirmBtn.disabled = false;
+  } catch (error) {
+    console.error('[Audit] Preview failed:', error);
+    if (previewEl && currentUndoTarget?.entry === entry) {
+      previewEl.innerHTML = `<div class="confirm-warning">⚠️ ${escapeHtml(error.message)}</div>`;
+    }
+  }
 }
 
 /**
- * Build undo confirmation content
+ * Build undo/redo confirmation content
+ * 
+ * The changes themselves are filled in from the preview (see buildPreview).
  */
-function buildUndoConfirmation(entry) {
+function buildUndoConfirmation(entry, mode) {
   const userName = entry.user?.email || 'Unknown';
   const timeAgo = formatTimeAgo(entry.timestamp);
   const summary = escapeHtml(entry.afterState?.summary || entry.beforeState?.summary || 'Event');
   
-  let content = `<p style="margin-bottom: 16px;">You are about to undo this change:</p>`;
+  let content = `<p style="margin-bottom: 16px;">You are about to ${mode === 'redo' ? 'redo' : 'undo'} this change:</p>`;
   
   content += `
     <div class="confirm-details">
       <h4>Operation: ${escapeHtml(entry.operation)}</h4>
       <ul>
+        <li>Event: "${summary}"</li>
         <li>Made by: ${escapeHtml(userName)}</li>
         <li>Time: ${escapeHtml(timeAgo)}</li>
       </ul>
     </div>
+    <div id="undoPreview">
+      <p class="preview-loading">Loading preview…</p>
+    </div>
   `;
   
-  switch (entry.operation) {
-    case 'CREATE':
-      content += `
+  content += `
+    <div class="confirm-warning" style="margin-top: 16px;">
+      ${mode === 'redo'
+        ? 'ℹ️ The change will be applied again on top of the current version.'
+        : 'ℹ️ Later changes to the event are overwritten. You can redo this change from the history.'}
+    </div>
+  `;
+  
+  return content;
+}
+
+/**
+ * Build the change list of a revert/redo preview
+ */
+function buildPreview(preview) {
+  const summary = escapeHtml(preview.current?.summary || preview.target?.summary || 'Event');
+  
+  switch (preview.action) {
+    case 'delete':
+      return `
         <p style="margin-bottom: 12px;"><strong>This will DELETE the event:</strong></p>
         <div class="confirm-details">
           <ul>
             <li>"${summary}"</li>
           </ul>
         </div>
-        <div class="confirm-warning">
-          ⚠️ The event will be permanently deleted.
-        </div>
       `;
-      break;
       
-    case 'DELETE':
-      content += `
+    case 'recreate':
+      return `
         <p style="margin-bottom: 12px;"><strong>This will RESTORE the deleted event:</strong></p>
         <div class="confirm-details">
           <ul>
             <li>"${summary}"</li>
-            <li>Location: ${escapeHtml(entry.beforeState?.location || '(none)')}</li>
-            <li>Time: ${formatDateTime(entry.beforeState?.start)} - ${formatDateTime(entry.beforeState?.end)}</li>
+            <li>Location: ${escapeHtml(preview.target?.location || '(none)')}</li>
+            <li>Time: ${formatDateTime(preview.target?.start)} - ${formatDateTime(preview.target?.end)}</li>
           </ul>
         </div>
       `;
-      break;
       
-    case 'UPDATE':
-    case 'MOVE':
-      const changes = detectChanges(entry);
-      content += `
-        <p style="margin-bottom: 12px;"><strong>This will restore the previous version:</strong></p>
+    default:
+      if (preview.changes.length === 0) {
+        return '<p style="margin-bottom: 12px;"><strong>The event already matches this version.</strong></p>';
+      }
+      return `
+        <p style="margin-bottom: 12px;"><strong>This will change "${summary}":</strong></p>
         <div class="confirm-details">
           <ul>
-            ${changes.map(c => `<li>• ${c.label}: ${c.value}</li>`).join('')}
+            ${preview.changes.map(c => `<li>• ${escapeHtml(fieldLabel(c.field))}: ${formatPreviewValue(c.field, c.from)} <span class="change-arrow">→</span> ${formatPreviewValue(c.field, c.to)}</li>`).join('')}
           </ul>
         </div>
       `;
-      break;
   }
-  
-  content += `
-    <div class="confirm-warning" style="margin-top: 16px;">
-      ⚠️ This action cannot be undone.
-    </div>
-  `;
-  
-  return content;
 }
 
 /**
- * Perform the undo operation
+ * Label for a preview field (metadata keys as "Metadata: key")
+ */
+function fieldLabel(field) {
+  if (field.startsWith('meta.')) return `Metadata: ${field.slice(5)}`;
+  return FIELD_LABELS[field] || field;
+}
+
+/**
+ * Format a preview value for display (escaped)
+ */
+function formatPreviewValue(field, value) {
+  if (value === null || value === undefined || value === '') return '(none)';
+  if (field === 'start' || field === 'end') return formatDateTime(value);
+  if (field === 'calendar') return escapeHtml(extractCalendarName(value));
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return escapeHtml(truncateText(text, 100));
+}
+
+/**
+ * Perform the undo (revert) or redo of an audit entry
  */
-async function performUndo(entry) {
+async function performUndo(entry, mode = 'revert') {
   const modal = document.getElementById('undoModal');
   const statusBar = document.getElementById('statusBar');
+  const done = mode === 'redo' ? 'Change redone' : 'Change undone';
   
   try {
-    // Get event UID
-    const uid = entry.afterState?.uid || entry.beforeState?.uid;
-    if (!uid) {
-      throw new Error('Event UID not found');
-    }
-    
     // Get CSRF token
     const csrfToken = await getCsrfToken();
     
-    // Call undo API
-    const response = await fetch(`${API_BASE}/api/audit/undo/${uid}`, {
+    // Revert or redo exactly this entry (not just the event's latest change)
+    const response = await fetch(`${API_BASE}/api/audit/${mode}/${entry.id}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -662,11 +665,11 @@ async function performUndo(entry) {
     
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.error || 'Undo failed');
+      throw new Error(error.error || `${mode === 'redo' ? 'Redo' : 'Undo'} failed`);
     }
     
     const result = await response.json();
-    console.log('[Audit] Undo successful:', result);
+    console.log(`[Audit] ${mode} successful:`, result);
     
     // Close modals
     modal?.classList.remove('active');
@@ -674,7 +677,7 @@ async function performUndo(entry) {
     
     // Show success message
     if (statusBar) {
-      statusBar.textContent = '✅ Change undone successfully - refreshing...';
+      statusBar.textContent = `✅ ${done} successfully - refreshing...`;
       statusBar.style.display = 'block';
     }
     
@@ -706,18 +709,18 @@ async function performUndo(entry) {
     
     // Update success message
     if (statusBar) {
-      statusBar.textContent = '✅ Change undone successfully';
+      statusBar.textContent = `✅ ${done} successfully`;
       setTimeout(() => {
         statusBar.style.display = 'none';
       }, 3000);
     }
     
   } catch (error) {
-    console.error('[Audit] Undo failed:', error);
+    console.error(`[Audit] ${mode} failed:`, error);
     
     // Show error message
     if (statusBar) {
-      statusBar.textContent = `❌ Undo failed: ${error.message}`;
+      statusBar.textContent = `❌ ${mode === 'redo' ? 'Redo' : 'Undo'} failed: ${error.message}`;
       statusBar.style.display = 'block';
       setTimeout(() => {
         statusBar.style.display = 'none';
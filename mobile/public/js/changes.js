@@ -0,0 +1,193 @@
+/**
+ * Changes Since Last Visit Module
+ *
+ * Shows what others changed on the user's calendars (and on events the user
+ * created) since the last visit: a digest badge in the menu, a list of the
+ * changed events and highlighting of those events on the timeline.
+ *
+ * @module changes
+ */
+
+import { escapeHtml } from './security.js';
+import { API_BASE } from './config.js';
+import { getCsrfToken } from './api.js';
+
+// Last loaded feed and the uids of the events it mentions
+let currentFeed = null;
+let changedUids = new Set();
+
+// Called after the feed changed, to re-render highlighted events
+let onFeedChange = () => {};
+
+const OPERATION_LABELS = {
+  CREATE: 'created',
+  UPDATE: 'updated',
+  MOVE: 'moved',
+  DELETE: 'deleted'
+};
+
+/**
+ * Initialize the changes modal
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - Called when the set of changed events changes
+ */
+export function initChangesModal({ onChange } = {}) {
+  const changesBtn = document.getElementById('changesBtn');
+  const changesModal = document.getElementById('changesModal');
+  const closeChangesModal = document.getElementById('closeChangesModal');
+  const markSeenBtn = document.getElementById('markChangesSeenBtn');
+
+  if (onChange) {
+    onFeedChange = onChange;
+  }
+
+  changesBtn?.addEventListener('click', async () => {
+    changesModal?.classList.add('active');
+    renderChanges();
+    await updateChangesBadge();
+    renderChanges();
+  });
+
+  closeChangesModal?.addEventListener('click', () => {
+    changesModal?.classList.remove('active');
+  });
+
+  changesModal?.addEventListener('click', (e) => {
+    if (e.target === changesModal) {
+      changesModal.classList.remove('active');
+    }
+  });
+
+  markSeenBtn?.addEventListener('click', async () => {
+    await markChangesSeen();
+    changesModal?.classList.remove('active');
+  });
+}
+
+/**
+ * Load the change feed and update the digest badge
+ * @async
+ */
+export async function updateChangesBadge() {
+  try {
+    const response = await fetch(`${API_BASE}/api/audit/feed`, { credentials: 'include' });
+    if (!response.ok) {
+      console.warn('[Changes] Failed to fetch change feed:', response.status);
+      return;
+    }
+
+    setFeed(await response.json());
+    console.log(`[Changes] ${currentFeed.events.length} events changed since ${currentFeed.since}`);
+  } catch (error) {
+    console.error('[Changes] Error loading change feed:', error);
+  }
+}
+
+/**
+ * Whether an event was changed by others since the last visit
+ * @param {Object} event - Timeline event
+ * @returns {boolean}
+ */
+export function isChangedSinceLastVisit(event) {
+  if (changedUids.size === 0) return false;
+  const uid = event.uid || event.id.split('/').pop().replace(/^-/, '');
+  return changedUids.has(uid);
+}
+
+/**
+ * Store the feed, update the badge and notify about changed events
+ * @param {Object} feed - Response of GET /api/audit/feed
+ */
+function setFeed(feed) {
+  const previous = changedUids;
+  currentFeed = feed;
+  changedUids = new Set(feed.events.map(event => event.uid));
+
+  const badge = document.getElementById('changesBadge');
+  if (badge) {
+    const count = feed.events.length;
+    if (count > 0) {
+      badge.textContent = count > 99 ? '99+' : count.toString();
+      badge.style.display = 'block';
+    } else {
+      badge.style.display = 'none';
+    }
+  }
+
+  const changed = previous.size !== changedUids.size || [...changedUids].some(uid => !previous.has(uid));
+  if (changed) {
+    onFeedChange();
+  }
+}
+
+/**
+ * Mark the loaded feed as seen, clearing badge and highlights
+ * @async
+ */
+async function markChangesSeen() {
+  if (!currentFeed) return;
+
+  try {
+    const csrfToken = await getCsrfToken();
+    const response = await fetch(`${API_BASE}/api/audit/feed/seen`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken
+      },
+      credentials: 'include',
+      // Only what was shown; later changes stay in the feed
+      body: JSON.stringify({ at: currentFeed.asOf })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to mark changes as seen: ${response.status}`);
+    }
+
+    setFeed({ ...currentFeed, since: currentFeed.asOf, count: 0, events: [], changes: [] });
+  } catch (error) {
+    console.error('[Changes] Error marking changes as seen:', error);
+  }
+}
+
+/**
+ * Render the list of changed events into the modal
+ */
+function renderChanges() {
+  const list = document.getElementById('changesList');
+  const empty = document.getElementById('changesEmpty');
+  const markSeenBtn = document.getElementById('markChangesSeenBtn');
+  if (!list) return;
+
+  const events = currentFeed?.events || [];
+  if (empty) empty.style.display = events.length === 0 ? 'block' : 'none';
+  if (markSeenBtn) markSeenBtn.disabled = events.length === 0;
+
+  list.innerHTML = events.map(event => {
+    const operations = event.operations.map(op => OPERATION_LABELS[op] || op.toLowerCase()).join(', ');
+    const by = event.lastChangedBy?.name || event.lastChangedBy?.email || 'system';
+    const times = event.count > 1 ? ` (${event.count} changes)` : '';
+    return `
+      <div class="changes-entry">
+        <div class="changes-entry-title">${escapeHtml(event.summary || event.uid)}</div>
+        <div class="changes-entry-meta">
+          ${escapeHtml(operations)}${times} · ${escapeHtml(by)} · ${escapeHtml(formatDateTime(event.lastChangedAt))}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Format a timestamp for display
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string}
+ */
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
@@ -151,3 +151,24 @@ export const TIMING = {
  * @constant {number}
  */
 export const AUTO_REFRESH_INTERVAL_MS = 60000;
+
+/**
+ * Repeat choices offered when creating an event (iCal RRULE values)
+ * @constant {Array<{label: string, rrule: string}>}
+ */
+export const REPEAT_OPTIONS = [
+  { label: 'Does not repeat', rrule: '' },
+  { label: 'Weekly', rrule: 'FREQ=WEEKLY' },
+  { label: 'Every 2 weeks', rrule: 'FREQ=WEEKLY;INTERVAL=2' },
+  { label: 'Monthly', rrule: 'FREQ=MONTHLY' }
+];
+
+/**
+ * Scopes for editing or deleting an occurrence of a recurring event
+ * @constant {Array<{label: string, scope: string}>}
+ */
+export const RECURRENCE_SCOPE_OPTIONS = [
+  { label: 'This event', scope: 'this' },
+  { label: 'This and following events', scope: 'following' },
+  { label: 'All events in the series', scope: 'all' }
+];
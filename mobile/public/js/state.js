@@ -258,3 +258,32 @@ export function removeEvent(eventId) {
   }
   return false;
 }
+
+/**
+ * Apply a change pushed by the server to local state
+ * 
+ * Replaces or adds the upserted items of one calendar and drops removed
+ * items. Items of calendars that are not loaded are ignored.
+ * @param {Object} change - Change from the event stream
+ * @param {string} change.calendarUrl - Calendar the change belongs to
+ * @param {Array} change.upserted - Timeline items added or changed
+ * @param {Array<string>} change.removed - Ids of removed items
+ * @returns {boolean} True if local state changed
+ */
+export function applyEventChanges({ calendarUrl, upserted, removed }) {
+  const group = state.calendars.find(c => c.url === calendarUrl);
+  if (!group) return false;
+  
+  let changed = false;
+  for (const id of removed) {
+    changed = removeEvent(id) || changed;
+  }
+  for (const item of upserted) {
+    const event = { ...item, group: group.id };
+    if (!updateEvent(event.id, event)) {
+      addEvent(event);
+    }
+    changed = true;
+  }
+  return changed;
+}
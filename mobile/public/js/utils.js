@@ -35,14 +35,41 @@ export function getWeekNumber(date) {
 /**
  * Parse date string as local date (not UTC)
  * Prevents timezone issues by parsing as local midnight
- * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * Timed events (ISO date-times) resolve to the local day they fall on
+ * @param {string} dateStr - Date string in YYYY-MM-DD format, or ISO date-time
  * @returns {Date} Local date object
  */
 export function parseLocalDate(dateStr) {
+  if (dateStr.includes('T')) {
+    const instant = new Date(dateStr);
+    return new Date(instant.getFullYear(), instant.getMonth(), instant.getDate());
+  }
   const [year, month, day] = dateStr.split('-').map(Number);
   return new Date(year, month - 1, day);
 }
 
+/**
+ * Split an ISO instant into local date and time input values
+ * @param {string} isoString - ISO date-time, e.g. "2025-07-03T07:00:00.000Z"
+ * @returns {{date: string, time: string}} Values for date ("YYYY-MM-DD") and time ("HH:mm") inputs
+ */
+export function toLocalDateTimeInputs(isoString) {
+  const d = new Date(isoString);
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`,
+    time: `${pad(d.getHours())}:${pad(d.getMinutes())}`
+  };
+}
+
+/**
+ * Get the browser's IANA time zone
+ * @returns {string} Time zone name, e.g. "Europe/Berlin" (UTC if unknown)
+ */
+export function getBrowserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
 /**
  * Calculate event position and width in pixels
  * @param {Object} event - Event object with start and end dates
@@ -18,7 +18,11 @@ import {
   NEXTCLOUD_URL,
   NEXTCLOUD_USERNAME,
   NEXTCLOUD_PASSWORD,
-  PORT
+  PORT,
+  AUDIT_RETENTION_DAYS,
+  AUDIT_COMPACT_AFTER_DAYS,
+  AUDIT_RETENTION_INTERVAL_HOURS,
+  SESSION_CLEANUP_INTERVAL_MINUTES
 } from './src/config/index.js';
 
 // Import middleware
@@ -27,6 +31,10 @@ import { initializeAuth, deviceBasedStaticMiddleware } from './src/middleware/in
 // Import services
 import { calendarCache } from './src/services/index.js';
 import { auditHistory } from './src/services/audit-history.js';
+import { roleService } from './src/services/roles.js';
+import { apiTokenService } from './src/services/api-tokens.js';
+import { sessionStore } from './src/services/session-store.js';
+import { pruneOperationLogs } from './src/utils/operation-log.js';
 
 // Import routes
 import { registerRoutes } from './src/routes/index.js';
@@ -100,23 +108,57 @@ app.use((err, req, res, _next) => {
   });
 });
 
-// Initialize the calendar cache and audit history
+// Prune and compact audit history and remove old rotated operation logs
+const applyAuditRetention = () => Promise.all([
+  auditHistory.applyRetention({ retentionDays: AUDIT_RETENTION_DAYS, compactAfterDays: AUDIT_COMPACT_AFTER_DAYS }),
+  pruneOperationLogs(AUDIT_RETENTION_DAYS)
+])
+  .then(([{ pruned, compacted }, deletedLogs]) => {
+    console.log(`Audit retention applied: ${pruned} entries pruned, ${compacted} compacted, ${deletedLogs} old log files deleted`);
+  })
+  .catch(err => console.error('Failed to apply audit retention:', err));
+
+const pruneSessions = () => sessionStore.prune()
+  .catch(err => console.error('Failed to delete expired sessions:', err));
+
+let retentionInterval = null;
+let sessionCleanupInterval = null;
+
+// Initialize the calendar cache, audit history, role grants, API tokens and sessions
 Promise.all([
   calendarCache.initialize(NEXTCLOUD_URL, NEXTCLOUD_USERNAME, NEXTCLOUD_PASSWORD),
-  auditHistory.initialize()
+  auditHistory.initialize().then(() => {
+    // Retention does not depend on CalDAV being reachable
+    applyAuditRetention();
+    retentionInterval = setInterval(applyAuditRetention, AUDIT_RETENTION_INTERVAL_HOURS * 60 * 60 * 1000);
+  }),
+  roleService.initialize(),
+  apiTokenService.initialize(),
+  sessionStore.initialize().then(() => {
+    pruneSessions();
+    sessionCleanupInterval = setInterval(pruneSessions, SESSION_CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+  })
 ])
   .then(() => {
     console.log('Calendar cache initialized successfully');
     console.log('Audit history database initialized successfully');
+    console.log('Role grants database initialized successfully');
+    console.log('API tokens database initialized successfully');
+    console.log('Session store initialized successfully');
   })
   .catch(err => console.error('Failed to initialize services:', err));
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down...');
+  clearInterval(retentionInterval);
+  clearInterval(sessionCleanupInterval);
   await Promise.all([
     calendarCache.stop(),
-    auditHistory.close()
+    auditHistory.close(),
+    roleService.close(),
+    apiTokenService.close(),
+    sessionStore.close()
   ]);
   console.log('Services closed successfully');
   process.exit(0);
@@ -7,6 +7,9 @@
  * 
  * You can also exclude calendars from the UI using the `calendarExclude` list below.
  * Add either the exact calendar display name (e.g., 'Persönlich') or the full calendar URL.
+ * 
+ * `calendarOwners` names the owner of each calendar by OIDC email; owners may
+ * edit their calendar (see middleware/permissions).
  */
 
 // Array of calendar URLs in the desired display order
@@ -45,10 +48,16 @@ const calendarNames = {
   'https://nc.picoquant.com/remote.php/dav/calendars/support/travel_shared_by_buschmann/': 'Volker Buschmann'
 };
 
+// OIDC email of each calendar's owner, matched case-insensitively
+// Example:
+//   'https://nc.picoquant.com/remote.php/dav/calendars/support/travel_shared_by_strauch/': 'melanie.strauch@picoquant.com'
+const calendarOwners = {
+};
+
 // Exclude calendars from the UI by exact display name or URL
 // Example: to hide the default personal calendar, keep 'Persönlich' here
 const calendarExclude = [
   'Persönlich'
 ];
 
-export { calendarOrder, calendarNames, calendarExclude };
+export { calendarOrder, calendarNames, calendarOwners, calendarExclude };
@@ -76,3 +76,66 @@ export const authEnabled = process.env.AUTH_ENABLED === 'false'
  * @type {string}
  */
 export const AUTH_DISABLED_DEFAULT_ROLE = (process.env.AUTH_DISABLED_DEFAULT_ROLE || 'admin').toLowerCase();
+
+/**
+ * How often the group claims of signed-in users are re-read from the IdP
+ * 
+ * Uses the refresh token issued at login; a rejected refresh signs the
+ * user out. 0 disables the refresh.
+ * 
+ * @type {number}
+ */
+export const OIDC_REFRESH_INTERVAL_MINUTES = parseInt(process.env.OIDC_REFRESH_INTERVAL_MINUTES || '15', 10);
+
+/**
+ * Audit history retention
+ * 
+ * @type {number} AUDIT_RETENTION_DAYS - Delete audit entries and rotated operation logs older than this (default: 730, 0 keeps everything)
+ * @type {number} AUDIT_COMPACT_AFTER_DAYS - Reduce snapshots of older audit entries to the changed fields (default: 90, 0 disables)
+ * @type {number} AUDIT_RETENTION_INTERVAL_HOURS - How often the retention job runs (default: 24)
+ */
+export const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS || '730', 10);
+export const AUDIT_COMPACT_AFTER_DAYS = parseInt(process.env.AUDIT_COMPACT_AFTER_DAYS || '90', 10);
+export const AUDIT_RETENTION_INTERVAL_HOURS = parseInt(process.env.AUDIT_RETENTION_INTERVAL_HOURS || '24', 10);
+
+/**
+ * Session timeouts
+ * 
+ * @type {number} SESSION_IDLE_TIMEOUT_MINUTES - Sign users out after this long without a request (default: 480)
+ * @type {number} SESSION_ABSOLUTE_TIMEOUT_HOURS - Sign users out this long after their session started, active or not (default: 168, 0 disables)
+ * @type {number} SESSION_CLEANUP_INTERVAL_MINUTES - How often expired sessions are deleted from the store (default: 60)
+ */
+export const SESSION_IDLE_TIMEOUT_MINUTES = parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES || '480', 10);
+export const SESSION_ABSOLUTE_TIMEOUT_HOURS = parseInt(process.env.SESSION_ABSOLUTE_TIMEOUT_HOURS || '168', 10);
+export const SESSION_CLEANUP_INTERVAL_MINUTES = parseInt(process.env.SESSION_CLEANUP_INTERVAL_MINUTES || '60', 10);
+
+/**
+ * Country of the home office (ISO 3166-1 alpha-2, e.g. DE)
+ * 
+ * Support assignees with an event located in another country that day are
+ * flagged in the coverage report, and the country's public holidays are
+ * days off for the availability finder. Empty disables both.
+ * 
+ * @type {string}
+ */
+export const HOME_COUNTRY_CODE = (process.env.HOME_COUNTRY_CODE ?? 'DE').trim().toUpperCase();
+
+/**
+ * Region whose public holidays count as days off (ISO 3166-2, e.g. DE-BE)
+ * 
+ * Nationwide holidays of HOME_COUNTRY_CODE always count; regional ones
+ * only for this region. Used by the availability finder.
+ * 
+ * @type {string}
+ */
+export const HOLIDAY_REGION = (process.env.HOLIDAY_REGION ?? 'DE-BE').trim().toUpperCase();
+
+/**
+ * Skills file listing the system experts (YAML)
+ * 
+ * Defaults to mobile/public/data/system-skills.yaml, the file behind the
+ * mobile help overlay. Read again whenever it changes.
+ * 
+ * @type {string}
+ */
+export const SYSTEM_SKILLS_FILE = (process.env.SYSTEM_SKILLS_FILE || '').trim();
@@ -2,12 +2,15 @@
  * Express session configuration
  * 
  * Configures session middleware with secret validation and secure settings.
- * Sessions are used for OIDC authentication and user state management.
+ * Sessions are used for OIDC authentication and user state management, and
+ * are stored in SQLite so they survive restarts (see services/session-store).
  * 
  * @module config/session
  */
 
 import session from 'express-session';
+import { sessionStore } from '../services/session-store.js';
+import { SESSION_IDLE_TIMEOUT_MINUTES } from './env.js';
 
 /**
  * Session secret from environment variable
@@ -38,6 +41,8 @@ if (SESSION_SECRET === 'supportplanner_dev_session') {
  * - HTTP-only cookies
  * - SameSite=Lax for CSRF protection
  * - Resave and saveUninitialized disabled for performance
+ * - SQLite store; the cookie is renewed on every response and expires after
+ *   SESSION_IDLE_TIMEOUT_MINUTES without a request
  * 
  * @type {import('express').RequestHandler}
  */
@@ -45,7 +50,10 @@ export const sessionMiddleware = session({
   secret: SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
+  rolling: true,
+  store: sessionStore,
   cookie: {
+    maxAge: SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000,
     httpOnly: true,
     sameSite: 'lax',
     secure: process.env.NODE_ENV === 'production' || process.env.COOKIE_SECURE === 'true'
@@ -0,0 +1,20 @@
+/**
+ * Support Slot Configuration
+ *
+ * Defines the support slots and how support events are recognised. An event
+ * belongs to a slot when its summary starts with the slot's pattern (a
+ * case-insensitive regular expression); the rest of the summary, after an
+ * optional ":" or "-", is the assignee ("Support 1 Anton", "Support 2: Maria").
+ * Without a name the calendar owner is the assignee.
+ *
+ * Slots marked `required` must be staffed every day; days without them are
+ * reported as gaps. The order of the slots is the order the rota fills them.
+ */
+
+// Support slots, most important first
+const supportSlots = [
+  { name: 'Support 1', pattern: 'support\\s*1', required: true },
+  { name: 'Support 2', pattern: 'support\\s*2' }
+];
+
+export { supportSlots };
@@ -0,0 +1,131 @@
+/**
+ * Tests for recording failed and rejected mutation attempts
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import { body } from 'express-validator';
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => 1),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    getEvent: vi.fn(async () => null)
+  }
+}));
+
+const { auditHistory } = await import('../../services/audit-history.js');
+const { calendarCache } = await import('../../services/calendar.js');
+const { auditFailures } = await import('../audit.js');
+const { requireRole } = await import('../auth.js');
+const { validate } = await import('../validation.js');
+
+const USER = { email: 'reader@example.com', name: 'Reader', role: 'editor' };
+
+describe('auditFailures middleware', () => {
+  let app;
+  let sessionUser;
+  let handler;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sessionUser = USER;
+    handler = (req, res) => res.json({ success: true });
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { user: sessionUser };
+      next();
+    });
+    app.put('/events/:uid', auditFailures('UPDATE'), requireRole('editor'), [
+      body('summary').optional().trim().isLength({ min: 1 }).withMessage('Summary required')
+    ], validate, (req, res) => handler(req, res));
+  });
+
+  it('should record validation failures with actor, payload and reason', async () => {
+    const res = await request(app).put('/events/abc').send({ summary: '  ' });
+
+    expect(res.status).toBe(400);
+    await vi.waitFor(() => expect(auditHistory.logOperation).toHaveBeenCalledTimes(1));
+    expect(auditHistory.logOperation).toHaveBeenCalledWith({
+      eventUid: 'abc',
+      operation: 'UPDATE',
+      userEmail: 'reader@example.com',
+      userName: 'Reader',
+      calendarUrl: '',
+      targetCalendarUrl: undefined,
+      beforeState: null,
+      afterState: { summary: '  ' },
+      status: 'REJECTED',
+      errorMessage: 'HTTP 400: Validation failed (summary: Summary required)'
+    });
+  });
+
+  it('should record the calendar of the event when the request does not name it', async () => {
+    const calendarUrl = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+    calendarCache.getEvent.mockResolvedValueOnce({ uid: 'abc', calendarUrl });
+
+    await request(app).put('/events/abc').send({ summary: '  ' });
+
+    await vi.waitFor(() => expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({ eventUid: 'abc', calendarUrl })));
+    expect(calendarCache.getEvent).toHaveBeenCalledWith('abc');
+  });
+
+  it('should record route parameters and resolve the target with the given function', async () => {
+    const resolveTarget = vi.fn(async () => ({ eventUid: 'abc', calendarUrl: 'https://cloud.example.com/cal/' }));
+    app.post('/revert/:auditId', auditFailures('REVERT', resolveTarget), (req, res) => res.status(409).json({ success: false, error: 'Already undone' }));
+
+    await request(app).post('/revert/7');
+
+    await vi.waitFor(() => expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+      eventUid: 'abc',
+      operation: 'REVERT',
+      calendarUrl: 'https://cloud.example.com/cal/',
+      afterState: { auditId: '7' },
+      errorMessage: 'HTTP 409: Already undone'
+    })));
+  });
+
+  it('should record requests rejected for missing permissions', async () => {
+    sessionUser = { ...USER, role: 'reader' };
+
+    const res = await request(app).put('/events/abc').send({ summary: 'Trip' });
+
+    expect(res.status).toBe(403);
+    await vi.waitFor(() => expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'REJECTED',
+      errorMessage: 'HTTP 403: Forbidden (requires editor, has reader)'
+    })));
+  });
+
+  it('should record server errors as failed', async () => {
+    handler = (req, res) => res.status(500).json({ success: false, error: 'CalDAV server unavailable' });
+
+    await request(app).put('/events/abc').send({ summary: 'Trip' });
+
+    await vi.waitFor(() => expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'FAILED',
+      errorMessage: 'HTTP 500: CalDAV server unavailable'
+    })));
+  });
+
+  it('should skip successes and failures already logged by the service', async () => {
+    await request(app).put('/events/abc').send({ summary: 'Trip' });
+
+    auditHistory.trackFailures.mockImplementationOnce((tracker, fn) => {
+      tracker.logged = true;
+      return fn();
+    });
+    handler = (req, res) => res.status(500).json({ success: false, error: 'Move failed' });
+    await request(app).put('/events/abc').send({ summary: 'Trip' });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(auditHistory.logOperation).not.toHaveBeenCalled();
+  });
+});
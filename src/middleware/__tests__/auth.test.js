@@ -2,7 +2,7 @@ import { describe, it, expect, vi } from 'vitest';
 import express from 'express';
 import request from 'supertest';
 
-async function importAuthWithMocks({ authEnabled = true } = {}) {
+async function importAuthWithMocks({ authEnabled = true, resolveRole = async () => ({ role: 'reader', source: 'default' }), authenticate = async () => null, client = {} } = {}) {
   vi.resetModules();
   vi.doMock('../../config/index.js', () => ({
     OIDC_ISSUER_URL: 'https://issuer.example',
@@ -12,6 +12,7 @@ async function importAuthWithMocks({ authEnabled = true } = {}) {
     OIDC_SCOPES: 'openid profile email',
     OIDC_TOKEN_AUTH_METHOD: 'client_secret_basic',
     OIDC_POST_LOGOUT_REDIRECT_URI: 'http://localhost/logged-out',
+    OIDC_REFRESH_INTERVAL_MINUTES: 15,
     ADMIN_GROUPS: [],
     EDITOR_GROUPS: [],
     ADMIN_EMAILS: [],
@@ -32,7 +33,11 @@ async function importAuthWithMocks({ authEnabled = true } = {}) {
       discover: vi.fn(async () => ({
         issuer: 'mock-issuer',
         metadata: {},
-        Client: class MockClient {}
+        Client: class MockClient {
+          constructor() {
+            Object.assign(this, client);
+          }
+        }
       }))
     },
     generators: {
@@ -42,6 +47,14 @@ async function importAuthWithMocks({ authEnabled = true } = {}) {
     }
   }));
 
+  vi.doMock('../../services/roles.js', () => ({
+    roleService: { resolveRole: vi.fn(resolveRole) }
+  }));
+
+  vi.doMock('../../services/api-tokens.js', () => ({
+    apiTokenService: { authenticate: vi.fn(authenticate) }
+  }));
+
   return import('../auth.js');
 }
 
@@ -91,6 +104,23 @@ describe('auth middleware', () => {
       });
       expect(next).not.toHaveBeenCalled();
     });
+
+    it('should answer 401 without a signed-in user', async () => {
+      const { requireRole } = await importAuthWithMocks({ authEnabled: false });
+      const middleware = requireRole('reader');
+
+      const req = { session: {} };
+      const res = {
+        status: vi.fn().mockReturnThis(),
+        json: vi.fn()
+      };
+      const next = vi.fn();
+
+      middleware(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Unauthorized' });
+      expect(next).not.toHaveBeenCalled();
+    });
   });
 
   describe('initializeAuth', () => {
@@ -149,5 +179,162 @@ describe('auth middleware', () => {
 
       process.env.BOT_TOKENS = prevBotTokens;
     });
+
+    it('should accept managed API tokens and check them on every request', async () => {
+      const prevBotTokens = process.env.BOT_TOKENS;
+      process.env.BOT_TOKENS = 'abc124:reader';
+      const token = { id: 'token-1', name: 'Import script', role: 'editor', calendarUrls: null };
+      const authenticate = vi.fn(async presented => (presented === 'spt_valid' ? token : null));
+
+      const { initializeAuth, requireRole } = await importAuthWithMocks({ authEnabled: true, authenticate });
+
+      const session = {};
+      const app = express();
+      app.use((req, _res, next) => {
+        req.session = session;
+        next();
+      });
+      initializeAuth(app);
+
+      app.post('/api/edit', requireRole('editor'), (req, res) => {
+        res.json({ user: req.session.user });
+      });
+
+      const res = await request(app).post('/api/edit').set('Authorization', 'Bearer spt_valid');
+      expect(res.status).toBe(200);
+      expect(res.body.user).toEqual({ role: 'editor', name: 'Import script', email: null, tokenId: 'token-1', calendarUrls: null });
+      expect(authenticate).toHaveBeenCalledWith('spt_valid', expect.any(String));
+
+      // A session created by a token does not outlive the token
+      authenticate.mockResolvedValue(null);
+      const revoked = await request(app).post('/api/edit').set('Authorization', 'Bearer spt_valid');
+      expect(revoked.status).toBe(401);
+
+      process.env.BOT_TOKENS = prevBotTokens;
+    });
+
+    it('should re-resolve the role of signed-in users on each request', async () => {
+      const resolveRole = vi.fn(async () => ({ role: 'admin', source: 'grant:email' }));
+      const { initializeAuth, requireRole } = await importAuthWithMocks({ authEnabled: true, resolveRole });
+
+      const user = { sub: 'abc', email: 'dave@example.com', groups: ['support'], role: 'reader' };
+      const app = express();
+      app.use((req, _res, next) => {
+        req.session = { user };
+        next();
+      });
+      initializeAuth(app);
+
+      app.get('/api/admin-only', requireRole('admin'), (_req, res) => {
+        res.json({ ok: true });
+      });
+
+      const res = await request(app).get('/api/admin-only');
+      expect(res.status).toBe(200);
+      expect(resolveRole).toHaveBeenCalledWith(user);
+      expect(user).toMatchObject({ role: 'admin', roleSource: 'grant:email' });
+    });
+
+    it('should pass role lookup failures to the error handler', async () => {
+      const resolveRole = vi.fn(async () => { throw new Error('SQLITE_BUSY'); });
+      const { initializeAuth } = await importAuthWithMocks({ authEnabled: true, resolveRole });
+
+      const app = express();
+      app.use((req, _res, next) => {
+        req.session = { user: { sub: 'abc', email: 'dave@example.com', role: 'reader' } };
+        next();
+      });
+      initializeAuth(app);
+      app.get('/api/whoami', (req, res) => res.json(req.session.user));
+      app.use((err, _req, res, _next) => res.status(500).json({ error: err.message }));
+
+      const res = await request(app).get('/api/whoami');
+
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({ error: 'SQLITE_BUSY' });
+    });
+
+    it('should re-read group claims with the refresh token once the interval passed', async () => {
+      const refresh = vi.fn(async () => ({
+        refresh_token: 'refresh-2',
+        id_token: 'id-2',
+        claims: () => ({ sub: 'abc', email: 'dave@example.com', groups: ['Readers'] })
+      }));
+      const resolveRole = vi.fn(async user => (user.groups.includes('support') ? { role: 'editor', source: 'env:group' } : { role: 'reader', source: 'default' }));
+      const { initializeAuth } = await importAuthWithMocks({ authEnabled: true, resolveRole, client: { refresh, userinfo: async () => ({}) } });
+
+      const session = {
+        refresh_token: 'refresh-1',
+        claims_checked_at: Date.now() - 16 * 60 * 1000,
+        user: { sub: 'abc', email: 'dave@example.com', groups: ['support'], role: 'editor' }
+      };
+      const app = express();
+      app.use((req, _res, next) => {
+        req.session = session;
+        req.sessionID = 'sid-1';
+        next();
+      });
+      initializeAuth(app);
+      app.get('/api/whoami', (req, res) => res.json(req.session.user));
+
+      const [first, second] = await Promise.all([request(app).get('/api/whoami'), request(app).get('/api/whoami')]);
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(refresh).toHaveBeenCalledWith('refresh-1');
+      expect(session).toMatchObject({ refresh_token: 'refresh-2', id_token: 'id-2' });
+      expect(first.body).toMatchObject({ groups: ['readers'], role: 'reader', roleSource: 'default' });
+
+      // Within the interval the IdP is not asked again
+      await request(app).get('/api/whoami');
+      expect(refresh).toHaveBeenCalledTimes(1);
+    });
+
+    it('should sign users out when the IdP rejects the refresh', async () => {
+      const refresh = vi.fn(async () => {
+        throw Object.assign(new Error('invalid_grant'), { error: 'invalid_grant' });
+      });
+      const { initializeAuth } = await importAuthWithMocks({ authEnabled: true, client: { refresh } });
+
+      const app = express();
+      app.use((req, _res, next) => {
+        req.session = { refresh_token: 'refresh-1', claims_checked_at: 0, user: { sub: 'abc', role: 'editor' } };
+        next();
+      });
+      initializeAuth(app);
+      app.get('/api/whoami', (req, res) => res.json(req.session.user));
+
+      const res = await request(app).get('/api/whoami');
+      expect(res.status).toBe(401);
+    });
+
+    it('should end matching sessions on a valid back-channel logout', async () => {
+      const validateJWT = vi.fn(async token => {
+        if (token !== 'valid-token') throw new Error('invalid signature');
+        return { payload: { iss: 'mock-issuer', sub: 'abc', sid: 'idp-session', events: { 'http://schemas.openid.net/event/backchannel-logout': {} } } };
+      });
+      const { initializeAuth } = await importAuthWithMocks({ authEnabled: true, client: { validateJWT, id_token_signed_response_alg: 'RS256' } });
+      const sessionStore = { destroyOidcSessions: vi.fn(async () => 2) };
+
+      const app = express();
+      app.use((req, _res, next) => {
+        req.session = {};
+        req.sessionStore = sessionStore;
+        next();
+      });
+      initializeAuth(app);
+
+      const res = await request(app).post('/auth/backchannel-logout').type('form').send({ logout_token: 'valid-token' });
+      const invalid = await request(app).post('/auth/backchannel-logout').type('form').send({ logout_token: 'forged' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toBe('no-store');
+      expect(validateJWT).toHaveBeenCalledWith('valid-token', 'RS256', ['iss', 'aud', 'iat', 'jti', 'events']);
+      expect(sessionStore.destroyOidcSessions).toHaveBeenCalledWith({ sub: 'abc', sid: 'idp-session' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('invalid_request');
+      expect(sessionStore.destroyOidcSessions).toHaveBeenCalledTimes(1);
+    });
   });
 });
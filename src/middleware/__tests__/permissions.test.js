@@ -0,0 +1,68 @@
+/**
+ * Tests for per-calendar edit permissions
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    getCalendarsForUser: vi.fn()
+  }
+}));
+
+vi.mock('../../services/roles.js', () => ({
+  roleService: {
+    getGrantedCalendars: vi.fn()
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { roleService } = await import('../../services/roles.js');
+const { getCalendarAccess, canEditCalendar } = await import('../permissions.js');
+
+const OWN_URL = 'https://cloud.example.com/calendars/support/travel_shared_by_alice/';
+const TEAM_URL = 'https://cloud.example.com/calendars/support/travel_shared_by_bob/';
+const OTHER_URL = 'https://cloud.example.com/calendars/support/travel_shared_by_carol/';
+
+describe('getCalendarAccess', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    calendarCache.getCalendarsForUser.mockReturnValue([OWN_URL]);
+    roleService.getGrantedCalendars.mockResolvedValue([TEAM_URL, OWN_URL]);
+  });
+
+  it('should limit editors to their own and granted calendars', async () => {
+    const user = { sub: 'alice', email: 'alice@example.com', groups: ['leads'], role: 'editor' };
+
+    const access = await getCalendarAccess(user);
+
+    expect(access).toEqual({ all: false, calendarUrls: [OWN_URL, TEAM_URL] });
+    expect(roleService.getGrantedCalendars).toHaveBeenCalledWith(user);
+    expect(canEditCalendar(access, TEAM_URL)).toBe(true);
+    expect(canEditCalendar(access, OTHER_URL)).toBe(false);
+  });
+
+  it('should let admins and editors without an identity edit every calendar', async () => {
+    const admin = await getCalendarAccess({ sub: 'root', email: 'root@example.com', role: 'admin' });
+    const bot = await getCalendarAccess({ name: 'bot', email: null, role: 'editor' });
+
+    expect(canEditCalendar(admin, OTHER_URL)).toBe(true);
+    expect(canEditCalendar(bot, OTHER_URL)).toBe(true);
+    expect(calendarCache.getCalendarsForUser).not.toHaveBeenCalled();
+  });
+
+  it('should limit API tokens to their calendar scope', async () => {
+    const scoped = await getCalendarAccess({ name: 'Import script', email: null, role: 'admin', tokenId: 't1', calendarUrls: [TEAM_URL] });
+
+    expect(scoped).toEqual({ all: false, calendarUrls: [TEAM_URL] });
+    expect(canEditCalendar(scoped, OTHER_URL)).toBe(false);
+    expect(roleService.getGrantedCalendars).not.toHaveBeenCalled();
+  });
+
+  it('should not let readers edit, not even their own calendar', async () => {
+    const access = await getCalendarAccess({ sub: 'alice', email: 'alice@example.com', role: 'reader' });
+
+    expect(canEditCalendar(access, OWN_URL)).toBe(false);
+    expect(await getCalendarAccess(undefined)).toEqual({ all: false, calendarUrls: [] });
+  });
+});
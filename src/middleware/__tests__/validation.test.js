@@ -22,4 +22,27 @@ describe('validation middleware', () => {
       expect(uidValidation.length).toBeGreaterThan(0);
     });
   });
+
+  describe('dateQuery', () => {
+    const check = async (chain, query) => {
+      const { validationResult } = await import('express-validator');
+      const req = { query };
+      await chain.run(req);
+      return validationResult(req).array().map(e => e.msg);
+    };
+
+    it('should require a calendar date', async () => {
+      const { dateQuery } = await import('../validation.js');
+      expect(await check(dateQuery('from'), { from: '2025-06-02' })).toEqual([]);
+      expect(await check(dateQuery('from'), { from: '2025-06-02T10:00:00Z' })).toEqual(['from must be a date (YYYY-MM-DD)']);
+      expect(await check(dateQuery('from'), { from: '2025-02-30' })).toEqual(['from must be a date (YYYY-MM-DD)']);
+      expect(await check(dateQuery('from'), {})).toEqual(['from must be a date (YYYY-MM-DD)']);
+    });
+
+    it('should accept a missing date when optional', async () => {
+      const { dateQuery } = await import('../validation.js');
+      expect(await check(dateQuery('from').optional(), {})).toEqual([]);
+      expect(await check(dateQuery('from').optional(), { from: '06/02/2025' })).toEqual(['from must be a date (YYYY-MM-DD)']);
+    });
+  });
 });
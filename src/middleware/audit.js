@@ -0,0 +1,122 @@
+/**
+ * Audit middleware
+ *
+ * Records failed and rejected mutation attempts in the audit history, so
+ * reports like "my change didn't save" can be traced to the actor, the
+ * attempted payload and the reason. Successful operations are logged by the
+ * calendar service itself.
+ *
+ * @module middleware/audit
+ */
+
+import { auditHistory } from '../services/audit-history.js';
+import { calendarCache } from '../services/calendar.js';
+import { createLogger } from '../utils/index.js';
+
+const logger = createLogger('AuditMiddleware');
+
+/**
+ * Build the failure reason of a rejected or failed response
+ *
+ * @param {number} statusCode - HTTP status
+ * @param {Object} [body] - JSON response body
+ * @returns {string} Reason, e.g. "HTTP 400: Validation failed (summary: Summary required)"
+ */
+function failureReason(statusCode, body) {
+  let reason = `HTTP ${statusCode}`;
+  const error = body?.error || body?.message;
+  if (error) {
+    reason += `: ${error}`;
+  }
+
+  if (Array.isArray(body?.details)) {
+    reason += ` (${body.details.map(d => `${d.field}: ${d.message}`).join('; ')})`;
+  } else if (body?.required) {
+    reason += ` (requires ${body.required}, has ${body.role})`;
+  } else if (Array.isArray(body?.conflicts)) {
+    reason += ` (conflicting: ${body.conflicts.map(c => c.field).join(', ')})`;
+  } else if (Array.isArray(body?.calendars)) {
+    reason += ` (not editable: ${body.calendars.join(', ')})`;
+  }
+
+  return reason;
+}
+
+/**
+ * Find the event and calendar a request targets
+ *
+ * The calendar comes from the payload, or else from the cached event, since
+ * update, delete and move requests do not name it.
+ *
+ * @param {import('express').Request} req - Request
+ * @param {Object} payload - Request body and query
+ * @returns {Promise<{eventUid: string, calendarUrl: string}>} Event UID and calendar URL ('' if unknown)
+ */
+async function eventTarget(req, payload) {
+  const eventUid = req.params.uid || '';
+  if (payload.calendarUrl || !eventUid) {
+    return { eventUid, calendarUrl: payload.calendarUrl || '' };
+  }
+
+  const event = await calendarCache.getEvent(eventUid);
+  return { eventUid, calendarUrl: event?.calendarUrl || '' };
+}
+
+/**
+ * Record unsuccessful requests to a mutation route in the audit history
+ *
+ * Mount before `requireRole`, so rejected permissions are recorded too.
+ * Responses with 4xx are logged as REJECTED and 5xx as FAILED, with the
+ * request body, query and route parameters (other than the event UID) as
+ * after-state. Failures the calendar service already logged while handling
+ * the request are not logged again.
+ *
+ * @param {string} operation - Operation type to record (CREATE/UPDATE/DELETE/MOVE/BULK, UNDO/REVERT/REDO/RESTORE for audit restores)
+ * @param {Function} [resolveTarget] - async (req, payload) => ({eventUid, calendarUrl}); defaults to the event of `:uid`
+ * @returns {import('express').RequestHandler} Express middleware
+ *
+ * @example
+ * router.put('/:uid', auditFailures('UPDATE'), requireRole('editor'), async (req, res) => { ... });
+ */
+export function auditFailures(operation, resolveTarget = eventTarget) {
+  return (req, res, next) => {
+    // Capture before validators sanitize the body in place
+    const { uid, ...params } = req.params;
+    const payload = { ...params, ...req.query, ...req.body };
+    const tracker = { logged: false };
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode < 400 || tracker.logged) return;
+
+      let target = { eventUid: uid || '', calendarUrl: payload.calendarUrl || '' };
+      try {
+        target = { ...target, ...await resolveTarget(req, payload) };
+      } catch (error) {
+        logger.warn('Could not resolve the target of a failed request', { operation, error: error.message });
+      }
+
+      const user = req.session?.user;
+      auditHistory.logOperation({
+        eventUid: target.eventUid,
+        operation,
+        userEmail: user?.email,
+        userName: user?.name,
+        calendarUrl: target.calendarUrl,
+        targetCalendarUrl: payload.targetCalendarUrl,
+        beforeState: null,
+        afterState: Object.keys(payload).length > 0 ? payload : null,
+        status: res.statusCode >= 500 ? 'FAILED' : 'REJECTED',
+        errorMessage: failureReason(res.statusCode, responseBody)
+      });
+    });
+
+    auditHistory.trackFailures(tracker, next);
+  };
+}
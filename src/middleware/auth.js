@@ -5,14 +5,18 @@
  * 
  * Features:
  * - OIDC authentication flow (login, callback, logout)
+ * - Periodic re-validation of group claims with the refresh token
+ * - OIDC back-channel logout
  * - Role-based access control (admin, editor, reader)
- * - Group and email-based role mapping
+ * - Group and email-based role mapping, with grants managed in the database
+ * - Bearer tokens for bots (BOT_TOKENS env list and managed API tokens)
  * - Session management
  * - Auth-disabled mode for development
  * 
  * @module middleware/auth
  */
 
+import express from 'express';
 import { Issuer, generators } from 'openid-client';
 import {
   OIDC_ISSUER_URL,
@@ -22,13 +26,12 @@ import {
   OIDC_SCOPES,
   OIDC_TOKEN_AUTH_METHOD,
   OIDC_POST_LOGOUT_REDIRECT_URI,
-  ADMIN_GROUPS,
-  EDITOR_GROUPS,
-  ADMIN_EMAILS,
-  EDITOR_EMAILS,
+  OIDC_REFRESH_INTERVAL_MINUTES,
   authEnabled,
   AUTH_DISABLED_DEFAULT_ROLE
 } from '../config/index.js';
+import { roleService } from '../services/roles.js';
+import { apiTokenService } from '../services/api-tokens.js';
 import { escapeHtml, createLogger } from '../utils/index.js';
 
 const logger = createLogger('AuthMiddleware');
@@ -45,6 +48,170 @@ let oidcClientPromise = null;
  */
 let oidcEndSessionEndpoint = null;
 
+/**
+ * Claim refreshes in progress, by session id
+ *
+ * Parallel requests of one session share a refresh, so a rotating refresh
+ * token is only redeemed once.
+ * @type {Map<string, Promise<Object|null|undefined>>}
+ */
+const pendingRefreshes = new Map();
+
+// Event a logout token must carry (OpenID Connect Back-Channel Logout 1.0)
+const BACKCHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+/**
+ * Extract the user's groups from IdP claims
+ *
+ * @param {Object} claims - ID token and userinfo claims
+ * @returns {string[]} Lowercased group names
+ * @private
+ */
+function groupsFromClaims(claims) {
+  return (
+    (Array.isArray(claims.groups) && claims.groups) ||
+    (Array.isArray(claims.roles) && claims.roles) ||
+    (claims.realm_access && Array.isArray(claims.realm_access.roles) && claims.realm_access.roles) ||
+    []
+  ).map(v => String(v).toLowerCase());
+}
+
+/**
+ * Build the session user from IdP claims (without role)
+ *
+ * @param {Object} claims - ID token and userinfo claims
+ * @returns {Object} Session user
+ * @private
+ */
+function userFromClaims(claims) {
+  const displayName = claims.name || 
+    [claims.given_name, claims.family_name].filter(Boolean).join(' ').trim() || 
+    claims.preferred_username || 
+    claims.email || 
+    claims.sub;
+
+  return {
+    sub: claims.sub,
+    email: claims.email,
+    name: displayName,
+    given_name: claims.given_name,
+    family_name: claims.family_name,
+    preferred_username: claims.preferred_username,
+    groups: groupsFromClaims(claims)
+  };
+}
+
+/**
+ * Whether the claims of an OIDC session are due for re-validation
+ *
+ * @param {Object} session - Express session
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ * @private
+ */
+function claimsDue(session, now = Date.now()) {
+  if (OIDC_REFRESH_INTERVAL_MINUTES <= 0 || !session.refresh_token) return false;
+  return now - (session.claims_checked_at || 0) >= OIDC_REFRESH_INTERVAL_MINUTES * 60 * 1000;
+}
+
+/**
+ * Re-read a user's claims from the IdP with the session's refresh token
+ *
+ * @param {Object} session - Express session with refresh_token and user
+ * @returns {Promise<Object|null|undefined>} New tokens, claims and user;
+ *   null if the IdP rejected the refresh (user removed, IdP session ended);
+ *   undefined if the IdP could not be asked (claims are kept until the next interval)
+ * @private
+ */
+async function fetchRefreshedClaims(session) {
+  try {
+    const client = await oidcClientPromise;
+    const tokenSet = await client.refresh(session.refresh_token);
+
+    const idClaims = tokenSet.id_token ? tokenSet.claims() : {};
+    let uiClaims = {};
+    try {
+      uiClaims = await client.userinfo(tokenSet);
+    } catch (_) {}
+    const claims = { ...uiClaims, ...idClaims };
+    if (claims.sub && claims.sub !== session.user.sub) {
+      logger.warn('OIDC refresh returned a different subject', { sub: session.user.sub });
+      return null;
+    }
+
+    return {
+      refreshToken: tokenSet.refresh_token || session.refresh_token,
+      idToken: tokenSet.id_token || session.id_token,
+      claims: { id: idClaims, userinfo: uiClaims },
+      user: userFromClaims({ ...claims, sub: session.user.sub })
+    };
+  } catch (e) {
+    if (e?.error === 'invalid_grant') {
+      logger.info('OIDC refresh rejected, signing out', { sub: session.user.sub, detail: e?.error_description });
+      return null;
+    }
+    logger.warn('OIDC refresh failed, keeping claims', { sub: session.user.sub, error: e?.message || e });
+    return undefined;
+  }
+}
+
+/**
+ * Re-validate the claims of the request's session, sharing the refresh
+ * with parallel requests of the same session
+ *
+ * @param {import('express').Request} req - Request with an OIDC session
+ * @returns {Promise<boolean>} False if the user has to sign in again
+ * @private
+ */
+async function refreshClaims(req) {
+  let pending = pendingRefreshes.get(req.sessionID);
+  if (!pending) {
+    pending = fetchRefreshedClaims(req.session).finally(() => pendingRefreshes.delete(req.sessionID));
+    pendingRefreshes.set(req.sessionID, pending);
+  }
+  const refreshed = await pending;
+
+  req.session.claims_checked_at = Date.now();
+  if (refreshed === null) return false;
+  if (refreshed) {
+    req.session.refresh_token = refreshed.refreshToken;
+    req.session.id_token = refreshed.idToken;
+    req.session.claims = refreshed.claims;
+    Object.assign(req.session.user, refreshed.user);
+  }
+  return true;
+}
+
+/**
+ * Verify a back-channel logout token
+ *
+ * Checks signature, issuer, audience and age like an ID token, plus the
+ * logout event and a sub or sid to identify the sessions.
+ *
+ * @param {import('openid-client').Client} client - OIDC client
+ * @param {string} logoutToken - Logout token posted by the IdP
+ * @returns {Promise<{sub?: string, sid?: string}>} Token claims
+ * @throws {Error} If the token is missing or invalid
+ * @private
+ */
+async function verifyLogoutToken(client, logoutToken) {
+  if (!logoutToken) {
+    throw new Error('logout_token is required');
+  }
+
+  const { payload } = await client.validateJWT(logoutToken, client.id_token_signed_response_alg || 'RS256', ['iss', 'aud', 'iat', 'jti', 'events']);
+  if (typeof payload.events?.[BACKCHANNEL_LOGOUT_EVENT] !== 'object') {
+    throw new Error('logout_token lacks the back-channel logout event');
+  }
+  if (!payload.sub && !payload.sid) {
+    throw new Error('logout_token must contain sub or sid');
+  }
+  if (payload.nonce !== undefined) {
+    throw new Error('logout_token must not contain a nonce');
+  }
+  return payload;
+}
+
 /**
  * Initialize authentication system
  * 
@@ -123,6 +290,27 @@ export function initializeAuth(app) {
     return client;
   })();
 
+  // Re-resolve the roles of signed-in users, so grants, revocations and
+  // expiry take effect without a new login (bots keep their token role).
+  // Every OIDC_REFRESH_INTERVAL_MINUTES the claims are re-read from the IdP
+  // first, so group changes apply as well; a rejected refresh signs out.
+  app.use(async (req, _res, next) => {
+    try {
+      const user = req.session?.user;
+      if (!user?.sub) return next();
+      if (claimsDue(req.session) && !(await refreshClaims(req))) {
+        delete req.session.user;
+        return next();
+      }
+      const { role, source } = await roleService.resolveRole(user);
+      user.role = role;
+      user.roleSource = source;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
   // Auth routes
   app.get('/auth/login', async (req, res, next) => {
     try {
@@ -183,45 +371,21 @@ export function initializeAuth(app) {
       // Keep id_token for RP-initiated logout
       try { req.session.id_token = tokenSet.id_token; } catch (_) {}
       
+      // Keep the refresh token to re-validate the claims, and the IdP session
+      // id to match back-channel logouts
+      req.session.refresh_token = tokenSet.refresh_token || null;
+      req.session.claims_checked_at = Date.now();
+      req.session.oidc_sid = idClaims.sid || null;
+      
       // Persist raw claims for diagnostics (/api/me?verbose=1)
       try { req.session.claims = { id: idClaims, userinfo: uiClaims }; } catch (_) {}
       
-      // Extract roles from claims/groups
-      const groups = (
-        (Array.isArray(claims.groups) && claims.groups) ||
-        (Array.isArray(claims.roles) && claims.roles) ||
-        (claims.realm_access && Array.isArray(claims.realm_access.roles) && claims.realm_access.roles) ||
-        []
-      ).map(v => String(v).toLowerCase());
+      const user = userFromClaims(claims);
       
-      const hasAny = (list) => list.some(g => groups.includes(g));
-      let role = 'reader';
-      if (hasAny(ADMIN_GROUPS)) role = 'admin';
-      else if (hasAny(EDITOR_GROUPS)) role = 'editor';
+      // Role grants and env mappings; email mappings override group mappings
+      const { role, source: roleSource } = await roleService.resolveRole(user);
       
-      // Email-based mapping (overrides group mapping)
-      const emailLc = (claims.email || '').toLowerCase();
-      if (emailLc) {
-        if (ADMIN_EMAILS.includes(emailLc)) role = 'admin';
-        else if (EDITOR_EMAILS.includes(emailLc)) role = 'editor';
-      }
-      
-      const displayName = claims.name || 
-        [claims.given_name, claims.family_name].filter(Boolean).join(' ').trim() || 
-        claims.preferred_username || 
-        claims.email || 
-        claims.sub;
-      
-      req.session.user = {
-        sub: claims.sub,
-        email: claims.email,
-        name: displayName,
-        given_name: claims.given_name,
-        family_name: claims.family_name,
-        preferred_username: claims.preferred_username,
-        groups,
-        role
-      };
+      req.session.user = { ...user, role, roleSource };
       
       res.redirect('/');
     } catch (e) {
@@ -279,6 +443,31 @@ export function initializeAuth(app) {
   app.get('/auth/logout', handleLogout);
   app.post('/auth/logout', handleLogout);
 
+  // OIDC back-channel logout: the IdP posts a signed logout token when a
+  // user signs out there, ending the app sessions of that IdP session (sid)
+  // or, without sid, all sessions of the user (sub)
+  app.post('/auth/backchannel-logout', express.urlencoded({ extended: false }), async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+
+    let claims;
+    try {
+      const client = await oidcClientPromise;
+      claims = await verifyLogoutToken(client, req.body?.logout_token);
+    } catch (e) {
+      logger.warn('Rejected back-channel logout', { error: e?.message || e });
+      return res.status(400).json({ error: 'invalid_request', error_description: e?.message || 'Invalid logout token' });
+    }
+
+    try {
+      const ended = await req.sessionStore.destroyOidcSessions({ sub: claims.sub, sid: claims.sid });
+      logger.info('Back-channel logout', { sub: claims.sub, sid: claims.sid, sessions: ended });
+      res.status(200).end();
+    } catch (e) {
+      logger.error('Back-channel logout failed', { error: e?.message || e });
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
   // Current user info
   app.get('/api/me', (req, res) => {
     const user = req.session?.user || null;
@@ -308,17 +497,20 @@ export function initializeAuth(app) {
     res.status(400).send(html);
   });
 
-  app.use((req, _res, next) => {
+  // Bearer tokens for bots and scripts: the static BOT_TOKENS list first,
+  // then managed API tokens (see services/api-tokens). Managed tokens are
+  // checked on every request, so revocation and expiry apply at once.
+  app.use(async (req, _res, next) => {
     try {
+      if (req.session?.user?.tokenId) delete req.session.user;
       if (req.session && req.session.user) return next();
-      const tokenConfig = process.env.BOT_TOKENS || '';
-      if (!tokenConfig) return next();
       const authHeader = req.get('authorization') || '';
       const m = authHeader.match(/^Bearer\s+(.+)$/i);
       if (!m) return next();
       const presented = String(m[1] || '').trim();
       if (!presented) return next();
 
+      const tokenConfig = process.env.BOT_TOKENS || '';
       const entries = tokenConfig.split(',').map(s => s.trim()).filter(Boolean);
       for (const entry of entries) {
         const parts = entry.split(':');
@@ -329,7 +521,19 @@ export function initializeAuth(app) {
         const normalizedRole = role === 'editor' ? 'editor' : role === 'admin' ? 'admin' : 'reader';
         req.session = req.session || {};
         req.session.user = { role: normalizedRole, name: 'bot', email: null };
-        break;
+        return next();
+      }
+
+      const apiToken = await apiTokenService.authenticate(presented, req.ip);
+      if (apiToken) {
+        req.session = req.session || {};
+        req.session.user = {
+          role: apiToken.role,
+          name: apiToken.name,
+          email: null,
+          tokenId: apiToken.id,
+          calendarUrls: apiToken.calendarUrls
+        };
       }
     } catch (e) {
       logger.debug('Bot token check error (non-critical)', e?.message);
@@ -337,9 +541,9 @@ export function initializeAuth(app) {
     next();
   });
 
-  // Protection middleware: require session for all app routes except auth, error page, api/me, logged-out and client-log
+  // Protection middleware: require session for all app routes except auth (incl. back-channel logout), error page, api/me, logged-out and client-log
   app.use((req, res, next) => {
-    const openPaths = ['/auth/login', '/auth/callback', '/auth/logout', '/auth/error', '/api/me', '/logged-out', '/api/client-log'];
+    const openPaths = ['/auth/login', '/auth/callback', '/auth/logout', '/auth/backchannel-logout', '/auth/error', '/api/me', '/logged-out', '/api/client-log'];
     if (openPaths.includes(req.path) || req.path.startsWith('/public/')) return next();
     if (req.session && req.session.user) return next();
 
@@ -357,6 +561,9 @@ export function initializeAuth(app) {
  * Returns middleware that checks if user has required role.
  * Role hierarchy: reader < editor < admin
  * 
+ * Requests without a signed-in user get 401 (initializeAuth normally stops
+ * them earlier, but a router mounted outside its gate stays protected).
+ * 
  * @param {string} [minRole='reader'] - Minimum required role (reader, editor, or admin)
  * @returns {import('express').RequestHandler} Express middleware
  * 
@@ -368,7 +575,10 @@ export function initializeAuth(app) {
 export function requireRole(minRole = 'reader') {
   const order = { reader: 0, editor: 1, admin: 2 };
   return (req, res, next) => {
-    const role = req.session?.user?.role || 'reader';
+    if (!req.session?.user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const role = req.session.user.role || 'reader';
     if ((order[role] ?? 0) >= (order[minRole] ?? 0)) return next();
     return res.status(403).json({ error: 'Forbidden', required: minRole, role });
   };
@@ -2,10 +2,12 @@
  * Middleware module exports
  * 
  * Central export point for all middleware modules.
- * Import from this file to access authentication, validation, and device detection middleware.
+ * Import from this file to access authentication, permission, validation, audit, and device detection middleware.
  * 
  * @module middleware
  */
 export { initializeAuth, requireRole } from './auth.js';
-export { validate, eventValidation, uidValidation } from './validation.js';
+export { validate, eventValidation, uidValidation, recurrenceValidation, bulkValidation, BULK_OPERATIONS, dateQuery } from './validation.js';
+export { auditFailures } from './audit.js';
+export { requireCalendarAccess, getCalendarAccess, canEditCalendar } from './permissions.js';
 export { deviceBasedStaticMiddleware, isMobileDevice } from './deviceDetection.js';
@@ -0,0 +1,88 @@
+/**
+ * Calendar permission middleware
+ *
+ * Narrows the editor role to calendars: editors may change events on their
+ * own calendars (the calendars `calendarOwners` assigns to their email) and on
+ * calendars granted to their email or groups, e.g. the calendars of a team
+ * lead's team. Other calendars are read-only for them. Admins, and users
+ * without an identity of their own (bots, sessions with auth disabled),
+ * may edit every calendar their role allows. API tokens scoped to calendars
+ * may only edit those.
+ *
+ * @module middleware/permissions
+ */
+
+import { calendarCache } from '../services/calendar.js';
+import { roleService } from '../services/roles.js';
+
+/**
+ * Determine which calendars a user may edit
+ *
+ * @param {Object} [user] - Session user
+ * @returns {Promise<{all: boolean, calendarUrls: string[]}>} All calendars, or the listed ones
+ */
+export async function getCalendarAccess(user) {
+  const role = user?.role || 'reader';
+  if (role !== 'editor' && role !== 'admin') {
+    return { all: false, calendarUrls: [] };
+  }
+  if (Array.isArray(user.calendarUrls)) {
+    return { all: false, calendarUrls: user.calendarUrls };
+  }
+  if (role === 'admin' || !user?.sub) {
+    return { all: true, calendarUrls: [] };
+  }
+
+  const own = calendarCache.getCalendarsForUser(user);
+  const granted = await roleService.getGrantedCalendars(user);
+  return { all: false, calendarUrls: [...new Set([...own, ...granted])] };
+}
+
+/**
+ * Whether access allows editing a calendar
+ *
+ * @param {{all: boolean, calendarUrls: string[]}} access - Result of getCalendarAccess
+ * @param {string} calendarUrl - Calendar URL
+ * @returns {boolean}
+ */
+export function canEditCalendar(access, calendarUrl) {
+  return access.all || access.calendarUrls.includes(calendarUrl);
+}
+
+/**
+ * Require edit permission on the calendars a request changes
+ *
+ * Mount after `requireRole('editor')` and validation. Calendars the
+ * resolver cannot determine (e.g. unknown events) are skipped, so the
+ * route answers its own 404. Requests without a session user are left to
+ * `requireRole`, which has already decided on them.
+ *
+ * @param {Function} getCalendarUrls - (req) => calendar URLs (or a promise of them) the request changes
+ * @returns {import('express').RequestHandler} Express middleware
+ *
+ * @example
+ * router.post('/create', requireRole('editor'), requireCalendarAccess(req => [req.body.calendarUrl]), handler);
+ */
+export function requireCalendarAccess(getCalendarUrls) {
+  return async (req, res, next) => {
+    try {
+      const user = req.session?.user;
+      if (!user) return next();
+
+      const access = await getCalendarAccess(user);
+      if (access.all) return next();
+
+      const calendarUrls = (await getCalendarUrls(req)).filter(Boolean);
+      const denied = [...new Set(calendarUrls.filter(url => !canEditCalendar(access, url)))];
+      if (denied.length === 0) return next();
+
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You may only edit your own calendars and calendars granted to you',
+        calendars: denied
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -7,7 +7,8 @@
  * @module middleware/validation
  */
 
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, check, validationResult } from 'express-validator';
+import { isValidTimeZone, isValidRecurrenceRule, RECURRENCE_SCOPES } from '../utils/index.js';
 
 /**
  * Validation middleware that checks for validation errors
@@ -31,6 +32,47 @@ export const validate = (req, res, next) => {
   next();
 };
 
+/**
+ * Build the validation rules for event fields under a body path
+ * 
+ * Shared by single-event requests and the `changes` of bulk updates, so
+ * both enforce the same limits.
+ * 
+ * @param {string} [prefix=''] - Path of the event fields in the body (e.g. `operations.*.changes.`)
+ * @returns {import('express-validator').ValidationChain[]} Validation chains
+ * @private
+ */
+function eventFieldValidation(prefix = '') {
+  return [
+    body(`${prefix}summary`).optional().trim().isLength({ min: 1, max: 500 }).withMessage('Summary must be 1-500 characters'),
+    body(`${prefix}description`).optional().trim().isLength({ max: 5000 }).withMessage('Description must be max 5000 characters'),
+    body(`${prefix}location`).optional().trim().isLength({ max: 500 }).withMessage('Location must be max 500 characters'),
+    body(`${prefix}start`).optional().isISO8601().withMessage('Start must be a valid ISO date'),
+    body(`${prefix}end`).optional().isISO8601().withMessage('End must be a valid ISO date'),
+    body(`${prefix}timezone`).optional().custom((value) => {
+      if (isValidTimeZone(value)) return true;
+      throw new Error('Timezone must be a valid IANA time zone');
+    }),
+    body(`${prefix}rrule`).optional({ values: 'null' }).custom((value) => {
+      if (value === '' || isValidRecurrenceRule(value)) return true;
+      throw new Error('rrule must be a valid recurrence rule (e.g. FREQ=WEEKLY;BYDAY=MO)');
+    }),
+    
+    // Metadata validation - whitelisted fields only (allow null to clear metadata)
+    body(`${prefix}meta`).optional().custom((value) => {
+      if (value === null || value === undefined) return true; // Allow null/undefined to clear metadata
+      if (typeof value === 'object' && !Array.isArray(value)) return true;
+      throw new Error('Metadata must be an object or null');
+    }),
+    // Metadata fields only exist if meta is an object (not null/undefined)
+    body(`${prefix}meta.orderNumber`).optional({ checkFalsy: false }).trim().isLength({ max: 100 }).withMessage('Order number must be max 100 characters'),
+    body(`${prefix}meta.ticketLink`).optional({ checkFalsy: false }).trim().isURL().withMessage('Ticket link must be a valid URL'),
+    body(`${prefix}meta.systemType`).optional({ checkFalsy: false }).trim().isLength({ max: 200 }).withMessage('System type must be max 200 characters'),
+    body(`${prefix}meta.notes`).optional({ checkFalsy: false }).trim().isLength({ max: 5000 }).withMessage('Notes must be max 5000 characters'),
+    body(`${prefix}meta.isRemote`).optional({ checkFalsy: false }).isBoolean().withMessage('isRemote must be a boolean'),
+  ];
+}
+
 /**
  * Common validation rules for event data
  * 
@@ -39,30 +81,13 @@ export const validate = (req, res, next) => {
  * - description: max 5000 characters (optional)
  * - location: max 500 characters (optional)
  * - start/end: ISO8601 date format (optional)
+ * - timezone: IANA time zone name (optional)
+ * - rrule: iCal recurrence rule; empty or null ends the recurrence (optional)
  * - meta: structured metadata object with whitelisted fields (optional)
  * 
  * @type {import('express-validator').ValidationChain[]}
  */
-export const eventValidation = [
-  body('summary').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Summary must be 1-500 characters'),
-  body('description').optional().trim().isLength({ max: 5000 }).withMessage('Description must be max 5000 characters'),
-  body('location').optional().trim().isLength({ max: 500 }).withMessage('Location must be max 500 characters'),
-  body('start').optional().isISO8601().withMessage('Start must be a valid ISO date'),
-  body('end').optional().isISO8601().withMessage('End must be a valid ISO date'),
-  
-  // Metadata validation - whitelisted fields only (allow null to clear metadata)
-  body('meta').optional().custom((value) => {
-    if (value === null || value === undefined) return true; // Allow null/undefined to clear metadata
-    if (typeof value === 'object' && !Array.isArray(value)) return true;
-    throw new Error('Metadata must be an object or null');
-  }),
-  // Only validate metadata fields if meta is an object (not null/undefined)
-  body('meta.orderNumber').optional({ checkFalsy: false }).if(body('meta').isObject()).trim().isLength({ max: 100 }).withMessage('Order number must be max 100 characters'),
-  body('meta.ticketLink').optional({ checkFalsy: false }).if(body('meta').isObject()).trim().isURL().withMessage('Ticket link must be a valid URL'),
-  body('meta.systemType').optional({ checkFalsy: false }).if(body('meta').isObject()).trim().isLength({ max: 200 }).withMessage('System type must be max 200 characters'),
-  body('meta.notes').optional({ checkFalsy: false }).if(body('meta').isObject()).trim().isLength({ max: 5000 }).withMessage('Notes must be max 5000 characters'),
-  body('meta.isRemote').optional({ checkFalsy: false }).if(body('meta').isObject()).isBoolean().withMessage('isRemote must be a boolean'),
-];
+export const eventValidation = eventFieldValidation();
 
 /**
  * Validation rules for event UID parameter
@@ -74,3 +99,80 @@ export const eventValidation = [
 export const uidValidation = [
   param('uid').trim().isLength({ min: 1, max: 200 }).withMessage('UID must be 1-200 characters'),
 ];
+
+/**
+ * Validation rule for a date in the query string
+ * 
+ * Requires an existing calendar date (YYYY-MM-DD), reported with a single
+ * message; append `.optional()` where the date may be left out.
+ * 
+ * @param {string} field - Query parameter
+ * @returns {import('express-validator').ValidationChain}
+ * 
+ * @example
+ * router.get('/support', [dateQuery('from').optional(), dateQuery('to').optional()], validate, handler);
+ */
+export const dateQuery = field => {
+  const message = `${field} must be a date (YYYY-MM-DD)`;
+  return query(field)
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage(message).bail()
+    .isISO8601({ strict: true }).withMessage(message);
+};
+
+/**
+ * Validation rules for the part of a recurring series a request applies to
+ * 
+ * Validates (in body or query):
+ * - scope: one of "all", "this", "following" (optional, defaults to "all")
+ * - recurrenceId: ISO date or date-time of the occurrence (required unless scope is "all")
+ * 
+ * @type {import('express-validator').ValidationChain[]}
+ */
+export const recurrenceValidation = [
+  check('scope').optional().isIn(RECURRENCE_SCOPES).withMessage(`Scope must be one of: ${RECURRENCE_SCOPES.join(', ')}`),
+  check('recurrenceId').optional().isISO8601().withMessage('recurrenceId must be a valid ISO date'),
+  check('recurrenceId').if(check('scope').exists().isIn(['this', 'following'])).exists().withMessage('recurrenceId is required for this scope'),
+];
+
+/**
+ * Supported bulk operation types
+ * @type {Array<string>}
+ */
+export const BULK_OPERATIONS = ['update', 'move', 'delete', 'shift'];
+
+/**
+ * Validation rules for bulk event operations
+ * 
+ * Validates:
+ * - operations: array of 1-100 operations
+ * - operations.*.op: one of BULK_OPERATIONS
+ * - operations.*.uid: 1-200 characters
+ * - changes (update): object; fields as in eventValidation
+ * - targetCalendarUrl (move): URL
+ * - days (shift): non-zero integer
+ * - scope/recurrenceId: as in recurrenceValidation
+ * 
+ * @type {import('express-validator').ValidationChain[]}
+ */
+export const bulkValidation = [
+  body('operations').isArray({ min: 1, max: 100 }).withMessage('operations must be an array of 1-100 operations'),
+  body('operations.*.op').isIn(BULK_OPERATIONS).withMessage(`op must be one of: ${BULK_OPERATIONS.join(', ')}`),
+  body('operations.*.uid').isString().trim().isLength({ min: 1, max: 200 }).withMessage('UID must be 1-200 characters'),
+  // Fields required by one operation type only
+  body('operations.*').custom((operation) => {
+    if (operation.op === 'update' && (typeof operation.changes !== 'object' || operation.changes === null || Array.isArray(operation.changes))) {
+      throw new Error('update requires a changes object');
+    }
+    if (operation.op === 'move' && !operation.targetCalendarUrl) {
+      throw new Error('move requires a targetCalendarUrl');
+    }
+    if (operation.op === 'shift' && (!Number.isInteger(operation.days) || operation.days === 0)) {
+      throw new Error('shift requires a non-zero integer number of days');
+    }
+    return true;
+  }),
+  ...eventFieldValidation('operations.*.changes.'),
+  body('operations.*.targetCalendarUrl').optional().trim().isURL().withMessage('Valid target calendar URL required'),
+  body('operations.*.scope').optional().isIn(RECURRENCE_SCOPES).withMessage(`Scope must be one of: ${RECURRENCE_SCOPES.join(', ')}`),
+  body('operations.*.recurrenceId').optional().isISO8601().withMessage('recurrenceId must be a valid ISO date'),
+];
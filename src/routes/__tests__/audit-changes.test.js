@@ -0,0 +1,139 @@
+/**
+ * Tests for the field-level changes in audit history responses
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    getCalendarName: vi.fn()
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    getEventHistory: vi.fn(),
+    getRecentHistory: vi.fn()
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { auditHistory } = await import('../../services/audit-history.js');
+const { default: auditRouter } = await import('../audit.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/alice/';
+const OTHER_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/bob/';
+
+const trip = {
+  uid: 'trip',
+  summary: 'Trip',
+  location: 'Berlin',
+  description: 'Notes\n```yaml\norderNumber: "1"\n```',
+  start: '2025-06-02',
+  end: '2025-06-04',
+  calendarUrl: CAL_URL,
+  meta: { orderNumber: '1' }
+};
+
+describe('audit history changes', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/audit', auditRouter);
+    calendarCache.getCalendarName.mockImplementation(url => ({ [CAL_URL]: 'Alice', [OTHER_URL]: 'Bob' })[url] || null);
+  });
+
+  it('should list changed fields and metadata keys of an update', async () => {
+    auditHistory.getEventHistory.mockResolvedValue([{
+      id: 1,
+      operation: 'UPDATE',
+      status: 'SUCCESS',
+      beforeState: trip,
+      afterState: { ...trip, summary: 'Trip (2)', description: 'Notes\n```yaml\norderNumber: "2"\n```', meta: { orderNumber: '2', ticketLink: 'https://tickets/1' } }
+    }]);
+
+    const res = await request(app).get('/api/audit/event/trip');
+
+    expect(res.status).toBe(200);
+    expect(res.body.history[0].changes).toEqual([
+      { field: 'summary', from: 'Trip', to: 'Trip (2)' },
+      { field: 'meta.orderNumber', from: '1', to: '2' },
+      { field: 'meta.ticketLink', from: null, to: 'https://tickets/1' }
+    ]);
+  });
+
+  it('should name the calendars of a move', async () => {
+    auditHistory.getRecentHistory.mockResolvedValue([{
+      id: 2,
+      operation: 'MOVE',
+      status: 'SUCCESS',
+      beforeState: trip,
+      afterState: { ...trip, calendarUrl: OTHER_URL }
+    }]);
+
+    const res = await request(app).get('/api/audit/recent');
+
+    expect(res.body.history[0].changes).toEqual([
+      { field: 'calendar', from: CAL_URL, to: OTHER_URL, fromName: 'Alice', toName: 'Bob' }
+    ]);
+  });
+
+  it('should list the fields set by a create and removed by a delete', async () => {
+    auditHistory.getRecentHistory.mockResolvedValue([
+      { id: 3, operation: 'CREATE', status: 'SUCCESS', beforeState: null, afterState: { ...trip, location: '', meta: {} } },
+      { id: 4, operation: 'DELETE', status: 'SUCCESS', beforeState: { ...trip, meta: {} }, afterState: null }
+    ]);
+
+    const res = await request(app).get('/api/audit/recent');
+
+    expect(res.body.history[0].changes.map(c => [c.field, c.from, c.to])).toEqual([
+      ['summary', null, 'Trip'],
+      ['description', '', 'Notes'],
+      ['start', null, '2025-06-02'],
+      ['end', null, '2025-06-04'],
+      ['calendar', null, CAL_URL]
+    ]);
+    expect(res.body.history[1].changes.map(c => c.field)).toEqual(['summary', 'location', 'description', 'start', 'end', 'calendar']);
+    expect(res.body.history[1].changes[5]).toMatchObject({ fromName: 'Alice', toName: null });
+  });
+
+  it('should report no changes when a snapshot is missing', async () => {
+    auditHistory.getRecentHistory.mockResolvedValue([
+      { id: 5, operation: 'MOVE', status: 'FAILED', beforeState: trip, afterState: null }
+    ]);
+
+    const res = await request(app).get('/api/audit/recent');
+
+    expect(res.body.history[0].changes).toEqual([]);
+  });
+
+  it('should leave role and token changes to admins', async () => {
+    auditHistory.getRecentHistory.mockResolvedValue([]);
+    auditHistory.getEventHistory.mockResolvedValue([]);
+    let sessionUser = { email: 'alice@example.com', role: 'editor' };
+    const sessionApp = express();
+    sessionApp.use((req, res, next) => {
+      req.session = { user: sessionUser };
+      next();
+    });
+    sessionApp.use('/api/audit', auditRouter);
+
+    await request(sessionApp).get('/api/audit/recent?operation=ROLE_GRANT');
+    await request(sessionApp).get('/api/audit/event/role:email:alice@example.com');
+    sessionUser = { email: 'root@example.com', role: 'admin' };
+    await request(sessionApp).get('/api/audit/recent?operation=ROLE_GRANT');
+
+    expect(auditHistory.getRecentHistory.mock.calls.map(([filters]) => filters.withoutAdminOperations)).toEqual([true, false]);
+    expect(auditHistory.getEventHistory).toHaveBeenCalledWith('role:email:alice@example.com', 50, { withoutAdminOperations: true });
+  });
+});
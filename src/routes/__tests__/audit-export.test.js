@@ -0,0 +1,140 @@
+/**
+ * Tests for exporting audit history as CSV or NDJSON
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {}
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    exportHistory: vi.fn()
+  }
+}));
+
+const { auditHistory } = await import('../../services/audit-history.js');
+const { default: auditRouter } = await import('../audit.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+
+const entries = [
+  {
+    id: 1,
+    timestamp: '2025-06-01T10:00:00.000Z',
+    operation: 'UPDATE',
+    status: 'SUCCESS',
+    event_uid: 'trip',
+    user: { email: 'planner@example.com', name: 'Planner' },
+    calendar_url: CAL_URL,
+    target_calendar_url: null,
+    batchId: null,
+    undoOf: null,
+    redoOf: null,
+    compacted: false,
+    error_message: null,
+    beforeState: { summary: 'Trip, "Berlin"' },
+    afterState: { summary: '=HYPERLINK("x")' }
+  },
+  {
+    id: 2,
+    timestamp: '2025-06-02T10:00:00.000Z',
+    operation: 'DELETE',
+    status: 'SUCCESS',
+    event_uid: 'visit',
+    user: null,
+    calendar_url: CAL_URL,
+    compacted: true,
+    beforeState: { summary: 'Visit' },
+    afterState: null
+  }
+];
+
+function mockEntries(list) {
+  auditHistory.exportHistory.mockImplementation(async function* () {
+    yield* list;
+  });
+}
+
+describe('GET /api/audit/export', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/audit', auditRouter);
+  });
+
+  it('should stream CSV with a header row and quoted fields', async () => {
+    mockEntries(entries);
+
+    const res = await request(app).get('/api/audit/export');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="audit-history-\d{4}-\d{2}-\d{2}\.csv"/);
+    const lines = res.text.trim().split('\r\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^"id","timestamp","operation","status","event_uid","user_email"/);
+    expect(lines[1]).toContain('"planner@example.com","Planner"');
+    expect(lines[1]).toContain('"{""summary"":""Trip, \\""Berlin\\""""}"');
+    // JSON starts with "{", so only plain text values get the formula guard
+    expect(lines[1]).toContain('"{""summary"":""=HYPERLINK(\\""x\\"")""}"');
+    expect(lines[2]).toMatch(/^"2",.*"DELETE".*"true"/);
+  });
+
+  it('should guard text that spreadsheets would evaluate', async () => {
+    mockEntries([{ ...entries[1], error_message: '=cmd|calc' }]);
+
+    const res = await request(app).get('/api/audit/export');
+
+    expect(res.text).toContain(`"'=cmd|calc"`);
+  });
+
+  it('should stream NDJSON with the filters applied', async () => {
+    mockEntries(entries);
+
+    const res = await request(app)
+      .get('/api/audit/export')
+      .query({ format: 'ndjson', userEmail: 'planner@example.com', calendarUrl: CAL_URL, operation: 'UPDATE', since: '2025-01-01', until: '2025-12-31' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/x-ndjson/);
+    expect(res.text.trim().split('\n').map(line => JSON.parse(line).id)).toEqual([1, 2]);
+    expect(auditHistory.exportHistory).toHaveBeenCalledWith({
+      operation: 'UPDATE',
+      userEmail: 'planner@example.com',
+      calendarUrl: CAL_URL,
+      since: new Date('2025-01-01'),
+      until: new Date('2025-12-31')
+    });
+  });
+
+  it('should validate the query', async () => {
+    const res = await request(app).get('/api/audit/export').query({ format: 'xlsx', since: 'yesterday' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toEqual(expect.arrayContaining(['format', 'since']));
+    expect(auditHistory.exportHistory).not.toHaveBeenCalled();
+  });
+
+  it('should answer 500 when the history cannot be read', async () => {
+    auditHistory.exportHistory.mockImplementation(async function* () {
+      throw new Error('database is locked');
+    });
+
+    const res = await request(app).get('/api/audit/export');
+
+    expect(res.status).toBe(500);
+    expect(res.body.success).toBe(false);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for the per-user change feed
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    getCalendarsForUser: vi.fn()
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    getUserFeed: vi.fn(),
+    getLastSeen: vi.fn(),
+    markSeen: vi.fn()
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { auditHistory } = await import('../../services/audit-history.js');
+const { default: auditRouter } = await import('../audit.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/alice_by_alice/';
+const USER = { email: 'Alice@example.com', name: 'Alice' };
+const LAST_SEEN = '2025-06-01T12:00:00.000Z';
+
+// Newest first, as the service returns them
+const changes = [
+  { id: 3, timestamp: '2025-06-03T10:00:00.000Z', operation: 'DELETE', event_uid: 'trip', calendar_url: CAL_URL, user: { email: 'bob@example.com' }, beforeState: { summary: 'Trip' }, afterState: null, reason: 'calendar' },
+  { id: 2, timestamp: '2025-06-02T10:00:00.000Z', operation: 'UPDATE', event_uid: 'visit', calendar_url: CAL_URL, user: { email: 'bob@example.com' }, beforeState: { summary: 'Visit' }, afterState: { summary: 'Visit (moved)' }, reason: 'created' },
+  { id: 1, timestamp: '2025-06-01T13:00:00.000Z', operation: 'UPDATE', event_uid: 'trip', calendar_url: CAL_URL, user: { email: 'carol@example.com' }, beforeState: { summary: 'Trip' }, afterState: { summary: 'Trip' }, reason: 'calendar' }
+];
+
+describe('change feed', () => {
+  let app;
+  let sessionUser;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sessionUser = USER;
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = sessionUser ? { user: sessionUser } : {};
+      next();
+    });
+    app.use('/api/audit', auditRouter);
+    calendarCache.getCalendarsForUser.mockReturnValue([CAL_URL]);
+    auditHistory.getUserFeed.mockResolvedValue(changes);
+    auditHistory.getLastSeen.mockResolvedValue(LAST_SEEN);
+  });
+
+  describe('GET /api/audit/feed', () => {
+    it('should return changes since the last visit grouped by event', async () => {
+      const res = await request(app).get('/api/audit/feed');
+
+      expect(res.status).toBe(200);
+      expect(auditHistory.getLastSeen).toHaveBeenCalledWith('alice@example.com');
+      expect(calendarCache.getCalendarsForUser).toHaveBeenCalledWith(USER);
+      expect(auditHistory.getUserFeed).toHaveBeenCalledWith({
+        userEmail: 'Alice@example.com',
+        calendarUrls: [CAL_URL],
+        since: new Date(LAST_SEEN),
+        limit: 200
+      });
+      expect(res.body).toMatchObject({ success: true, since: LAST_SEEN, lastSeen: LAST_SEEN, count: 3 });
+      expect(new Date(res.body.asOf).getTime()).not.toBeNaN();
+      expect(res.body.events).toEqual([
+        { uid: 'trip', summary: 'Trip', calendarUrl: CAL_URL, count: 2, operations: ['DELETE', 'UPDATE'], lastChangedAt: '2025-06-03T10:00:00.000Z', lastChangedBy: { email: 'bob@example.com' } },
+        { uid: 'visit', summary: 'Visit (moved)', calendarUrl: CAL_URL, count: 1, operations: ['UPDATE'], lastChangedAt: '2025-06-02T10:00:00.000Z', lastChangedBy: { email: 'bob@example.com' } }
+      ]);
+    });
+
+    it('should look back a week on the first visit', async () => {
+      auditHistory.getLastSeen.mockResolvedValue(null);
+
+      const res = await request(app).get('/api/audit/feed');
+
+      const since = new Date(res.body.since).getTime();
+      expect(res.body.lastSeen).toBeNull();
+      expect(Date.now() - since).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000);
+      expect(Date.now() - since).toBeLessThan(8 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should honour since and limit from the query', async () => {
+      await request(app).get('/api/audit/feed').query({ since: '2025-05-01T00:00:00Z', limit: 10 });
+
+      expect(auditHistory.getUserFeed).toHaveBeenCalledWith(expect.objectContaining({
+        since: new Date('2025-05-01T00:00:00Z'),
+        limit: 10
+      }));
+    });
+
+    it('should validate the query', async () => {
+      const res = await request(app).get('/api/audit/feed').query({ since: 'yesterday', limit: 1000 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details.map(d => d.field)).toEqual(expect.arrayContaining(['since', 'limit']));
+      expect(auditHistory.getUserFeed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/audit/feed/seen', () => {
+    it('should store the marker for the session user', async () => {
+      auditHistory.markSeen.mockImplementation(async (key, at) => at.toISOString());
+
+      const res = await request(app).post('/api/audit/feed/seen').send({ at: '2025-06-03T11:00:00.000Z' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, lastSeen: '2025-06-03T11:00:00.000Z' });
+      expect(auditHistory.markSeen).toHaveBeenCalledWith('alice@example.com', new Date('2025-06-03T11:00:00.000Z'));
+    });
+
+    it('should not move the marker into the future', async () => {
+      auditHistory.markSeen.mockImplementation(async (key, at) => at.toISOString());
+
+      const res = await request(app).post('/api/audit/feed/seen').send({ at: '2999-01-01T00:00:00Z' });
+
+      expect(new Date(res.body.lastSeen).getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should key anonymous sessions together when auth is disabled', async () => {
+      sessionUser = null;
+      auditHistory.markSeen.mockResolvedValue(LAST_SEEN);
+
+      await request(app).post('/api/audit/feed/seen').send({});
+
+      expect(auditHistory.markSeen).toHaveBeenCalledWith('anonymous', expect.any(Date));
+    });
+
+    it('should answer 500 when the marker cannot be stored', async () => {
+      auditHistory.markSeen.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/audit/feed/seen').send({});
+
+      expect(res.status).toBe(500);
+      expect(res.body.success).toBe(false);
+    });
+  });
+});
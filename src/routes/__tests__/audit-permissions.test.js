@@ -0,0 +1,165 @@
+/**
+ * Tests for per-calendar permissions on the audit restore routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    getCalendarsForUser: vi.fn(),
+    getEvent: vi.fn(),
+    createEvent: vi.fn(),
+    updateEvent: vi.fn(),
+    deleteEvent: vi.fn(),
+    refreshAllCalendars: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../services/roles.js', () => ({
+  roleService: {
+    getGrantedCalendars: vi.fn()
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    getPreviousState: vi.fn(),
+    getBatchHistory: vi.fn(),
+    getEntry: vi.fn(),
+    getLatestUndo: vi.fn(),
+    withBatch: vi.fn(async (batchId, fn) => fn()),
+    withContext: vi.fn(async (context, fn) => fn()),
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { roleService } = await import('../../services/roles.js');
+const { auditHistory } = await import('../../services/audit-history.js');
+const { default: auditRouter } = await import('../audit.js');
+
+const OWN_URL = 'https://cloud.example.com/calendars/support/travel_shared_by_alice/';
+const OTHER_URL = 'https://cloud.example.com/calendars/support/travel_shared_by_carol/';
+
+const EDITOR = { sub: 'alice', email: 'alice@example.com', name: 'Alice', groups: [], role: 'editor' };
+const ADMIN = { sub: 'root', email: 'root@example.com', name: 'Root', groups: [], role: 'admin' };
+
+const state = (calendar, summary = 'Install') => ({ summary, start: '2025-06-02', end: '2025-06-04', calendar });
+
+function entry(id, operation, calendarUrl, beforeState, extra = {}) {
+  return {
+    id,
+    operation,
+    event_uid: `event-${id}`,
+    status: 'SUCCESS',
+    undone: false,
+    calendar_url: calendarUrl,
+    target_calendar_url: null,
+    beforeState,
+    afterState: beforeState && { ...beforeState, summary: 'Changed' },
+    ...extra
+  };
+}
+
+describe('audit restore routes with calendar permissions', () => {
+  let app;
+  let sessionUser;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sessionUser = EDITOR;
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { user: sessionUser };
+      next();
+    });
+    app.use('/api/audit', auditRouter);
+    calendarCache.getCalendarsForUser.mockReturnValue([OWN_URL]);
+    roleService.getGrantedCalendars.mockResolvedValue([]);
+    calendarCache.getEvent.mockImplementation(async uid => ({ uid, summary: 'Changed', calendarUrl: uid === 'event-9' ? OTHER_URL : OWN_URL }));
+    calendarCache.updateEvent.mockResolvedValue({ success: true });
+    calendarCache.createEvent.mockResolvedValue({ success: true, uid: 'new' });
+    calendarCache.deleteEvent.mockResolvedValue(true);
+  });
+
+  it('should undo changes on the own calendar', async () => {
+    auditHistory.getPreviousState.mockResolvedValue({ auditId: 1, operation: 'UPDATE', state: state(OWN_URL), calendarUrl: OWN_URL, targetCalendarUrl: null });
+
+    const res = await request(app).post('/api/audit/undo/event-1');
+
+    expect(res.status).toBe(200);
+    expect(calendarCache.updateEvent).toHaveBeenCalled();
+  });
+
+  it('should refuse undoing a move into a calendar the editor may not edit', async () => {
+    // Moved from Carol's calendar to Alice's: the undo would move it back into Carol's
+    auditHistory.getPreviousState.mockResolvedValue({ auditId: 2, operation: 'MOVE', state: state(OTHER_URL), calendarUrl: OTHER_URL, targetCalendarUrl: OWN_URL });
+
+    const res = await request(app).post('/api/audit/undo/event-2');
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toContain(OTHER_URL);
+    expect(calendarCache.updateEvent).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a batch undo touching other calendars without undoing any of it', async () => {
+    auditHistory.getBatchHistory.mockResolvedValue([
+      entry(3, 'UPDATE', OWN_URL, state(OWN_URL)),
+      entry(4, 'DELETE', OTHER_URL, state(OTHER_URL))
+    ]);
+
+    const res = await request(app).post('/api/audit/undo-batch/batch-1');
+
+    expect(res.status).toBe(403);
+    expect(calendarCache.updateEvent).not.toHaveBeenCalled();
+    expect(calendarCache.createEvent).not.toHaveBeenCalled();
+  });
+
+  it('should refuse reverting and redoing entries of other calendars', async () => {
+    auditHistory.getEntry.mockImplementation(async id => (id === 5
+      ? entry(5, 'UPDATE', OTHER_URL, state(OTHER_URL))
+      : entry(6, 'CREATE', OTHER_URL, null, { undone: true, afterState: state(OTHER_URL) })));
+
+    const revert = await request(app).post('/api/audit/revert/5');
+    const redo = await request(app).post('/api/audit/redo/6');
+
+    expect(revert.status).toBe(403);
+    expect(redo.status).toBe(403);
+    expect(calendarCache.updateEvent).not.toHaveBeenCalled();
+    expect(calendarCache.createEvent).not.toHaveBeenCalled();
+    await vi.waitFor(() => expect(auditHistory.logOperation).toHaveBeenCalledTimes(2));
+    expect(auditHistory.logOperation.mock.calls.map(([logged]) => [logged.operation, logged.eventUid, logged.calendarUrl, logged.status])).toEqual([
+      ['REVERT', 'event-5', OTHER_URL, 'REJECTED'],
+      ['REDO', 'event-6', OTHER_URL, 'REJECTED']
+    ]);
+  });
+
+  it('should check the calendar an event is in now', async () => {
+    // Logged on Alice's calendar, but the event was moved to Carol's since
+    auditHistory.getEntry.mockResolvedValue(entry(9, 'UPDATE', OWN_URL, state(OWN_URL)));
+
+    const res = await request(app).post('/api/audit/revert/9');
+
+    expect(res.status).toBe(403);
+    expect(calendarCache.updateEvent).not.toHaveBeenCalled();
+  });
+
+  it('should let admins restore any calendar', async () => {
+    sessionUser = ADMIN;
+    auditHistory.getEntry.mockResolvedValue(entry(5, 'UPDATE', OTHER_URL, state(OTHER_URL)));
+
+    const res = await request(app).post('/api/audit/revert/5');
+
+    expect(res.status).toBe(200);
+    expect(calendarCache.getCalendarsForUser).not.toHaveBeenCalled();
+  });
+});
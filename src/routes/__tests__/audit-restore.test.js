@@ -0,0 +1,147 @@
+/**
+ * Tests for restoring a calendar to a point in time
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    getEvent: vi.fn(),
+    createEvent: vi.fn(),
+    updateEvent: vi.fn(),
+    deleteEvent: vi.fn(),
+    refreshAllCalendars: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    getCalendarChangesSince: vi.fn(),
+    withBatch: vi.fn(async (batchId, fn) => fn()),
+    withContext: vi.fn(async (context, fn) => fn()),
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { auditHistory } = await import('../../services/audit-history.js');
+const { default: auditRouter } = await import('../audit.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+const OTHER_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/bob/';
+const AT = '2025-06-01T12:00:00.000Z';
+
+function entry(id, operation, eventUid, beforeState, calendarUrl = CAL_URL) {
+  return { id, operation, event_uid: eventUid, beforeState, status: 'SUCCESS', calendar_url: calendarUrl };
+}
+
+// Since AT: 'edited' was renamed twice, 'deleted' was deleted, 'added' was
+// created, 'moved' left for another calendar and 'arrived' came from one
+const history = [
+  entry(1, 'UPDATE', 'edited', { summary: 'Trip', start: '2025-06-02', end: '2025-06-04', calendar: CAL_URL }),
+  entry(2, 'DELETE', 'deleted', { summary: 'Visit', start: '2025-06-05', end: '2025-06-05' }),
+  entry(3, 'CREATE', 'added', null),
+  entry(4, 'MOVE', 'moved', { summary: 'Fair', start: '2025-06-10', end: '2025-06-12', calendar: CAL_URL }),
+  entry(5, 'MOVE', 'arrived', { summary: 'Talk', start: '2025-06-20', end: '2025-06-20', calendar: OTHER_URL }, OTHER_URL),
+  entry(6, 'UPDATE', 'edited', { summary: 'Trip (1)', start: '2025-06-02', end: '2025-06-04', calendar: CAL_URL })
+];
+
+const currentEvents = {
+  edited: { uid: 'edited', summary: 'Trip (2)', start: '2025-06-02', end: '2025-06-04', calendarUrl: CAL_URL },
+  added: { uid: 'added', summary: 'New', start: '2025-06-15', end: '2025-06-15', calendarUrl: CAL_URL },
+  moved: { uid: 'moved', summary: 'Fair', start: '2025-06-10', end: '2025-06-12', calendarUrl: OTHER_URL },
+  arrived: { uid: 'arrived', summary: 'Talk', start: '2025-06-20', end: '2025-06-20', calendarUrl: CAL_URL }
+};
+
+describe('POST /api/audit/restore-calendar', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/audit', auditRouter);
+    auditHistory.getCalendarChangesSince.mockResolvedValue(history);
+    calendarCache.getEvent.mockImplementation(async (uid) => currentEvents[uid] || null);
+  });
+
+  it('should plan the restore without changing anything by default', async () => {
+    const res = await request(app).post('/api/audit/restore-calendar').send({ calendarUrl: CAL_URL, at: AT });
+
+    expect(res.status).toBe(200);
+    expect(auditHistory.getCalendarChangesSince).toHaveBeenCalledWith(CAL_URL, new Date(AT));
+    expect(res.body).toMatchObject({ success: true, dryRun: true, calendarUrl: CAL_URL, at: AT });
+    expect(res.body.plan.map(step => [step.uid, step.action])).toEqual([
+      ['edited', 'update'],
+      ['deleted', 'recreate'],
+      ['added', 'delete'],
+      ['moved', 'update'],
+      ['arrived', 'update']
+    ]);
+    expect(res.body.plan[0].changes).toEqual([{ field: 'summary', from: 'Trip (2)', to: 'Trip' }]);
+    expect(res.body.plan[3].changes).toEqual([{ field: 'calendar', from: OTHER_URL, to: CAL_URL }]);
+    expect(res.body.summary).toEqual({ total: 5, recreate: 1, update: 3, delete: 1 });
+    expect(calendarCache.updateEvent).not.toHaveBeenCalled();
+    expect(calendarCache.createEvent).not.toHaveBeenCalled();
+    expect(calendarCache.deleteEvent).not.toHaveBeenCalled();
+  });
+
+  it('should leave out events that already match their state at that time', async () => {
+    calendarCache.getEvent.mockImplementation(async (uid) => uid === 'edited'
+      ? { ...currentEvents.edited, summary: 'Trip' }
+      : currentEvents[uid] || null);
+
+    const res = await request(app).post('/api/audit/restore-calendar').send({ calendarUrl: CAL_URL, at: AT });
+
+    expect(res.body.plan.map(step => step.uid)).not.toContain('edited');
+  });
+
+  it('should execute the plan as one audit batch and report failures per step', async () => {
+    calendarCache.updateEvent.mockImplementation(async (uid) => {
+      if (uid === 'moved') throw new Error('Event moved not found');
+      return { uid };
+    });
+    calendarCache.createEvent.mockResolvedValue({ success: true, uid: 'deleted-2' });
+    calendarCache.deleteEvent.mockResolvedValue(true);
+
+    const res = await request(app).post('/api/audit/restore-calendar').send({ calendarUrl: CAL_URL, at: AT, dryRun: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: false, dryRun: false, summary: { total: 5, succeeded: 4, failed: 1 } });
+    expect(auditHistory.withBatch).toHaveBeenCalledTimes(1);
+    expect(auditHistory.withBatch).toHaveBeenCalledWith(res.body.batchId, expect.any(Function));
+    expect(res.body.results).toContainEqual({ uid: 'deleted', action: 'recreate', success: true, newUid: 'deleted-2' });
+    expect(res.body.results).toContainEqual({ uid: 'moved', action: 'update', success: false, error: 'Event moved not found' });
+    expect(calendarCache.createEvent).toHaveBeenCalledWith(expect.objectContaining({ calendarUrl: CAL_URL, summary: 'Visit' }));
+    expect(calendarCache.updateEvent).toHaveBeenCalledWith('arrived', expect.objectContaining({ targetCalendarUrl: OTHER_URL }), '', undefined, {});
+    expect(calendarCache.deleteEvent).toHaveBeenCalledWith('added', undefined);
+    expect(calendarCache.refreshAllCalendars).toHaveBeenCalledTimes(1);
+  });
+
+  it('should skip events whose state at that time is unknown', async () => {
+    auditHistory.getCalendarChangesSince.mockResolvedValue([entry(1, 'UPDATE', 'edited', null)]);
+
+    const res = await request(app).post('/api/audit/restore-calendar').send({ calendarUrl: CAL_URL, at: AT });
+
+    expect(res.body.plan).toEqual([]);
+    expect(res.body.skipped).toEqual([{ uid: 'edited', reason: 'No snapshot of the event at that time' }]);
+  });
+
+  it('should validate the request', async () => {
+    const invalid = await request(app).post('/api/audit/restore-calendar').send({ calendarUrl: 'not a url', at: 'yesterday' });
+    const future = await request(app).post('/api/audit/restore-calendar').send({ calendarUrl: CAL_URL, at: '2999-01-01T00:00:00Z' });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.map(d => d.field)).toEqual(expect.arrayContaining(['calendarUrl', 'at']));
+    expect(future.status).toBe(400);
+    expect(auditHistory.getCalendarChangesSince).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for reverting and redoing individual audit entries
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    getEvent: vi.fn(),
+    createEvent: vi.fn(),
+    updateEvent: vi.fn(),
+    deleteEvent: vi.fn(),
+    refreshAllCalendars: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    getEntry: vi.fn(),
+    getLatestUndo: vi.fn(),
+    withContext: vi.fn(async (context, fn) => fn()),
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { auditHistory } = await import('../../services/audit-history.js');
+const { default: auditRouter } = await import('../audit.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+
+const threeEditsAgo = {
+  id: 12,
+  event_uid: 'trip',
+  operation: 'UPDATE',
+  status: 'SUCCESS',
+  undone: false,
+  beforeState: { uid: 'trip', summary: 'Trip', start: '2025-06-02', end: '2025-06-04', calendar: CAL_URL },
+  afterState: { uid: 'trip', summary: 'Trip (moved)', start: '2025-06-09', end: '2025-06-11', calendar: CAL_URL }
+};
+
+const current = { uid: 'trip', summary: 'Trip (moved)', start: '2025-06-09', end: '2025-06-11', location: 'Berlin', calendarUrl: CAL_URL };
+
+describe('audit revert and redo routes', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/audit', auditRouter);
+  });
+
+  describe('GET /api/audit/revert/:auditId/preview', () => {
+    it('should diff the current event against the before-state', async () => {
+      auditHistory.getEntry.mockResolvedValue(threeEditsAgo);
+      calendarCache.getEvent.mockResolvedValue(current);
+
+      const res = await request(app).get('/api/audit/revert/12/preview');
+
+      expect(res.status).toBe(200);
+      expect(auditHistory.getEntry).toHaveBeenCalledWith(12);
+      expect(res.body).toMatchObject({ auditId: 12, action: 'update', uid: 'trip' });
+      expect(res.body.changes).toEqual([
+        { field: 'summary', from: 'Trip (moved)', to: 'Trip' },
+        { field: 'location', from: 'Berlin', to: null },
+        { field: 'start', from: '2025-06-09', to: '2025-06-02' },
+        { field: 'end', from: '2025-06-11', to: '2025-06-04' }
+      ]);
+      expect(calendarCache.updateEvent).not.toHaveBeenCalled();
+    });
+
+    it('should answer 404 for unknown entries and 400 for invalid ids', async () => {
+      auditHistory.getEntry.mockResolvedValue(null);
+
+      expect((await request(app).get('/api/audit/revert/99/preview')).status).toBe(404);
+      expect((await request(app).get('/api/audit/revert/abc/preview')).status).toBe(400);
+    });
+  });
+
+  describe('POST /api/audit/revert/:auditId', () => {
+    it('should restore the before-state of an older entry and link the undo to it', async () => {
+      auditHistory.getEntry.mockResolvedValue(threeEditsAgo);
+      calendarCache.getEvent.mockResolvedValue(current);
+      calendarCache.updateEvent.mockResolvedValue({ uid: 'trip', summary: 'Trip' });
+
+      const res = await request(app).post('/api/audit/revert/12');
+
+      expect(res.status).toBe(200);
+      expect(calendarCache.updateEvent).toHaveBeenCalledWith(
+        'trip',
+        expect.objectContaining({ summary: 'Trip', start: '2025-06-02', end: '2025-06-04', targetCalendarUrl: CAL_URL }),
+        '',
+        undefined,
+        {}
+      );
+      expect(auditHistory.withContext).toHaveBeenCalledWith({ undoOf: 12 }, expect.any(Function));
+      expect(calendarCache.refreshAllCalendars).toHaveBeenCalled();
+    });
+
+    it('should restore the excluded occurrences of a series', async () => {
+      const series = { ...threeEditsAgo.beforeState, rrule: 'FREQ=WEEKLY;COUNT=4', exdates: [] };
+      auditHistory.getEntry.mockResolvedValue({ ...threeEditsAgo, beforeState: series, afterState: { ...series, exdates: ['2025-06-09'] } });
+      calendarCache.getEvent.mockResolvedValue(current);
+      calendarCache.updateEvent.mockResolvedValue({ uid: 'trip' });
+
+      const res = await request(app).post('/api/audit/revert/12');
+
+      expect(res.status).toBe(200);
+      expect(calendarCache.updateEvent).toHaveBeenCalledWith('trip', expect.objectContaining({ rrule: 'FREQ=WEEKLY;COUNT=4', exdates: [] }), '', undefined, {});
+    });
+
+    it('should recreate deleted events', async () => {
+      auditHistory.getEntry.mockResolvedValue({ ...threeEditsAgo, operation: 'DELETE', afterState: null });
+      calendarCache.createEvent.mockResolvedValue({ success: true, uid: 'trip-2' });
+
+      const res = await request(app).post('/api/audit/revert/12');
+
+      expect(res.status).toBe(200);
+      expect(res.body.action).toBe('recreate');
+      expect(calendarCache.createEvent).toHaveBeenCalledWith(expect.objectContaining({ calendarUrl: CAL_URL, summary: 'Trip' }));
+      expect(calendarCache.getEvent).not.toHaveBeenCalled();
+    });
+
+    it('should refuse entries that are already undone', async () => {
+      auditHistory.getEntry.mockResolvedValue({ ...threeEditsAgo, undone: true });
+
+      const res = await request(app).post('/api/audit/revert/12');
+
+      expect(res.status).toBe(409);
+      expect(calendarCache.updateEvent).not.toHaveBeenCalled();
+    });
+
+    it('should refuse entries whose snapshots were compacted', async () => {
+      auditHistory.getEntry.mockResolvedValue({ ...threeEditsAgo, compacted: true });
+
+      const res = await request(app).post('/api/audit/revert/12');
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toMatch(/compacted/);
+      expect(calendarCache.updateEvent).not.toHaveBeenCalled();
+    });
+
+    it('should answer 404 when the event no longer exists', async () => {
+      auditHistory.getEntry.mockResolvedValue(threeEditsAgo);
+      calendarCache.getEvent.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/audit/revert/12');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/audit/redo/:auditId', () => {
+    it('should re-apply the after-state of an undone entry', async () => {
+      auditHistory.getEntry.mockResolvedValue({ ...threeEditsAgo, undone: true });
+      calendarCache.getEvent.mockResolvedValue({ ...current, summary: 'Trip', start: '2025-06-02', end: '2025-06-04' });
+      calendarCache.updateEvent.mockResolvedValue({ uid: 'trip' });
+
+      const res = await request(app).post('/api/audit/redo/12');
+
+      expect(res.status).toBe(200);
+      expect(calendarCache.updateEvent).toHaveBeenCalledWith('trip', expect.objectContaining({ summary: 'Trip (moved)', start: '2025-06-09' }), '', undefined, {});
+      expect(auditHistory.withContext).toHaveBeenCalledWith({ redoOf: 12 }, expect.any(Function));
+    });
+
+    it('should delete the event recreated by undoing a delete', async () => {
+      auditHistory.getEntry.mockResolvedValue({ ...threeEditsAgo, operation: 'DELETE', undone: true });
+      auditHistory.getLatestUndo.mockResolvedValue({ id: 20, event_uid: 'trip-2', operation: 'CREATE' });
+      calendarCache.getEvent.mockResolvedValue({ ...current, uid: 'trip-2' });
+      calendarCache.deleteEvent.mockResolvedValue(true);
+
+      const preview = await request(app).get('/api/audit/redo/12/preview');
+      const res = await request(app).post('/api/audit/redo/12');
+
+      expect(preview.body).toMatchObject({ action: 'delete', uid: 'trip-2', target: null });
+      expect(res.status).toBe(200);
+      expect(calendarCache.deleteEvent).toHaveBeenCalledWith('trip-2', undefined);
+    });
+
+    it('should refuse entries that were not undone', async () => {
+      auditHistory.getEntry.mockResolvedValue(threeEditsAgo);
+
+      const res = await request(app).post('/api/audit/redo/12');
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toMatch(/not been undone/);
+    });
+  });
+});
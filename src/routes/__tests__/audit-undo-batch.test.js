@@ -0,0 +1,129 @@
+/**
+ * Tests for undoing a whole audit batch
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    createEvent: vi.fn(),
+    updateEvent: vi.fn(),
+    deleteEvent: vi.fn(),
+    refreshAllCalendars: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    getBatchHistory: vi.fn(),
+    withBatch: vi.fn(async (batchId, fn) => fn()),
+    withContext: vi.fn(async (context, fn) => fn()),
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { auditHistory } = await import('../../services/audit-history.js');
+const { default: auditRouter } = await import('../audit.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+const OTHER_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/bob/';
+
+function entry(id, operation, eventUid, beforeState, status = 'SUCCESS') {
+  return { id, operation, event_uid: eventUid, beforeState, status, batchId: 'batch-1' };
+}
+
+describe('POST /api/audit/undo-batch/:batchId', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/audit', auditRouter);
+  });
+
+  it('should revert the operations in reverse order as a new batch', async () => {
+    auditHistory.getBatchHistory.mockResolvedValue([
+      entry(1, 'UPDATE', 'a', { summary: 'Trip', start: '2025-06-02', end: '2025-06-04', calendar: CAL_URL }),
+      entry(2, 'MOVE', 'b', { summary: 'Visit', start: '2025-06-05', end: '2025-06-05', calendar: CAL_URL }),
+      entry(3, 'CREATE', 'c', null)
+    ]);
+    const order = [];
+    calendarCache.updateEvent.mockImplementation(async (uid) => { order.push(uid); return { uid }; });
+    calendarCache.deleteEvent.mockImplementation(async (uid) => { order.push(uid); return true; });
+
+    const res = await request(app).post('/api/audit/undo-batch/batch-1');
+
+    expect(res.status).toBe(200);
+    expect(order).toEqual(['c', 'b', 'a']);
+    expect(calendarCache.updateEvent).toHaveBeenCalledWith('b', expect.objectContaining({ targetCalendarUrl: CAL_URL }), '', undefined, {});
+    expect(res.body).toMatchObject({ success: true, batchId: 'batch-1', summary: { total: 3, succeeded: 3, failed: 0 } });
+    expect(auditHistory.withBatch).toHaveBeenCalledWith(res.body.undoBatchId, expect.any(Function));
+    expect(res.body.undoBatchId).not.toBe('batch-1');
+    expect(calendarCache.refreshAllCalendars).toHaveBeenCalledTimes(1);
+    expect(auditHistory.withContext.mock.calls.map(([context]) => context)).toEqual([{ undoOf: 3 }, { undoOf: 2 }, { undoOf: 1 }]);
+  });
+
+  it('should report partial failures and continue', async () => {
+    auditHistory.getBatchHistory.mockResolvedValue([
+      entry(1, 'UPDATE', 'a', { summary: 'Trip', start: '2025-06-02', end: '2025-06-04', calendar: CAL_URL }),
+      entry(2, 'MOVE', 'b', { summary: 'Visit', start: '2025-06-05', end: '2025-06-05', calendar: OTHER_URL })
+    ]);
+    calendarCache.updateEvent
+      .mockRejectedValueOnce(new Error('Event b not found'))
+      .mockResolvedValueOnce({ uid: 'a' });
+
+    const res = await request(app).post('/api/audit/undo-batch/batch-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(false);
+    expect(res.body.results).toEqual([
+      { auditId: 2, operation: 'MOVE', uid: 'b', success: false, error: 'Event b not found' },
+      { auditId: 1, operation: 'UPDATE', uid: 'a', success: true }
+    ]);
+    expect(res.body.summary).toEqual({ total: 2, succeeded: 1, failed: 1 });
+  });
+
+  it('should address recreated events by their new UID', async () => {
+    auditHistory.getBatchHistory.mockResolvedValue([
+      entry(1, 'UPDATE', 'a', { summary: 'Before', start: '2025-06-02', end: '2025-06-02', calendar: CAL_URL }),
+      entry(2, 'DELETE', 'a', { summary: 'After', start: '2025-06-09', end: '2025-06-09', calendar: CAL_URL })
+    ]);
+    calendarCache.createEvent.mockResolvedValue({ success: true, uid: 'a2' });
+    calendarCache.updateEvent.mockResolvedValue({ uid: 'a2' });
+
+    const res = await request(app).post('/api/audit/undo-batch/batch-1');
+
+    expect(res.body.results[0]).toMatchObject({ operation: 'DELETE', uid: 'a', newUid: 'a2' });
+    expect(calendarCache.updateEvent).toHaveBeenCalledWith('a2', expect.objectContaining({ summary: 'Before' }), '', undefined, {});
+  });
+
+  it('should skip failed operations of the batch', async () => {
+    auditHistory.getBatchHistory.mockResolvedValue([
+      entry(1, 'UPDATE', 'a', { summary: 'Trip', start: '2025-06-02', end: '2025-06-04', calendar: CAL_URL }, 'FAILED')
+    ]);
+
+    const res = await request(app).post('/api/audit/undo-batch/batch-1');
+
+    expect(res.status).toBe(404);
+    expect(calendarCache.updateEvent).not.toHaveBeenCalled();
+  });
+
+  it('should answer 404 for unknown batches', async () => {
+    auditHistory.getBatchHistory.mockResolvedValue([]);
+
+    const res = await request(app).post('/api/audit/undo-batch/nope');
+
+    expect(res.status).toBe(404);
+    expect(auditHistory.withBatch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for verifying the audit hash chain
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {}
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    verifyChain: vi.fn()
+  }
+}));
+
+const { auditHistory } = await import('../../services/audit-history.js');
+const { default: auditRouter } = await import('../audit.js');
+
+describe('GET /api/audit/verify', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/audit', auditRouter);
+  });
+
+  it('should report the first broken link', async () => {
+    const brokenAt = { id: 42, reason: 'Entry content does not match its hash (entry modified)' };
+    auditHistory.verifyChain.mockResolvedValue({ valid: false, checked: 41, unchained: 0, head: { id: 41, hash: 'abc' }, brokenAt });
+
+    const res = await request(app).get('/api/audit/verify');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, valid: false, checked: 41, brokenAt });
+  });
+
+  it('should answer 500 when the chain cannot be read', async () => {
+    auditHistory.verifyChain.mockResolvedValue(null);
+
+    const res = await request(app).get('/api/audit/verify');
+
+    expect(res.status).toBe(500);
+    expect(res.body.success).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for the availability routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { createRouteApp, READER } from './route-app.js';
+
+vi.mock('../../services/availability.js', () => ({
+  findAvailability: vi.fn()
+}));
+
+const { findAvailability } = await import('../../services/availability.js');
+const { default: availabilityRouter } = await import('../availability.js');
+
+const ALICE = 'https://cloud.example.com/remote.php/dav/calendars/support/alice/';
+const BOB = 'https://cloud.example.com/remote.php/dav/calendars/support/bob/';
+
+describe('GET /api/availability', () => {
+  const { app, signIn } = createRouteApp('/api/availability', availabilityRouter);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    signIn(READER);
+  });
+
+  it('should find available engineers', async () => {
+    const result = {
+      from: '2025-03-03',
+      to: '2025-03-21',
+      days: 4,
+      candidates: [{ calendarUrl: ALICE, name: 'Alice', earliestStart: '2025-03-03', windows: [{ start: '2025-03-03', end: '2025-03-21', workdays: 15 }] }],
+      unavailable: []
+    };
+    findAvailability.mockResolvedValue(result);
+
+    const res = await request(app).get('/api/availability').query({ from: '2025-03-03', to: '2025-03-21', days: '4' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, ...result });
+    expect(findAvailability).toHaveBeenCalledWith({ from: '2025-03-03', to: '2025-03-21', days: 4, calendarUrls: undefined, includeWeekends: false });
+  });
+
+  it('should pass calendars, blocking types and weekends on', async () => {
+    findAvailability.mockResolvedValue({ candidates: [], unavailable: [] });
+
+    const several = await request(app).get(`/api/availability?from=2025-03-03&to=2025-03-21&days=2&calendarUrls=${ALICE}&calendarUrls=${BOB}&blockingTypes=vacation, sick&includeWeekends=true`);
+    const single = await request(app).get(`/api/availability?from=2025-03-03&to=2025-03-21&days=2&calendarUrls=${ALICE}`);
+
+    expect(several.status).toBe(200);
+    expect(findAvailability).toHaveBeenNthCalledWith(1, {
+      from: '2025-03-03',
+      to: '2025-03-21',
+      days: 2,
+      calendarUrls: [ALICE, BOB],
+      includeWeekends: true,
+      blockingTypes: ['vacation', 'sick']
+    });
+    expect(single.status).toBe(200);
+    expect(findAvailability.mock.calls[1][0].calendarUrls).toEqual([ALICE]);
+  });
+
+  it('should validate the search', async () => {
+    const res = await request(app).get('/api/availability').query({ from: '2025-03-03', days: '0', calendarUrls: 'alice' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toEqual(expect.arrayContaining(['to', 'days', 'calendarUrls[0]']));
+    expect(findAvailability).not.toHaveBeenCalled();
+  });
+
+  it('should pass search errors on with their status', async () => {
+    findAvailability.mockRejectedValue(Object.assign(new Error('Unknown calendars: x'), { statusCode: 400 }));
+
+    const res = await request(app).get('/api/availability').query({ from: '2025-03-03', to: '2025-03-21', days: '4' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('Unknown calendars');
+  });
+
+  it('should refuse requests without a signed-in user', async () => {
+    signIn(null);
+
+    const res = await request(app).get('/api/availability').query({ from: '2025-03-03', to: '2025-03-21', days: '4' });
+
+    expect(res.status).toBe(401);
+    expect(findAvailability).not.toHaveBeenCalled();
+  });
+});
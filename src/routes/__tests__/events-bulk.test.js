@@ -0,0 +1,134 @@
+/**
+ * Tests for the bulk event operations route
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    applyBulkOperations: vi.fn(),
+    refreshAllCalendars: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { default: eventsRouter } = await import('../events.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+
+describe('POST /api/events/bulk', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/events', eventsRouter);
+  });
+
+  it('should apply the operations and refresh once', async () => {
+    calendarCache.applyBulkOperations.mockResolvedValue({
+      batchId: 'batch-1',
+      results: [
+        { index: 0, op: 'shift', uid: 'a', success: true, event: { uid: 'a' } },
+        { index: 1, op: 'delete', uid: 'b', success: false, status: 404, error: 'Event b not found' }
+      ]
+    });
+
+    const res = await request(app).post('/api/events/bulk').send({
+      operations: [
+        { op: 'shift', uid: 'a', days: 7 },
+        { op: 'delete', uid: 'b' }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      success: false,
+      batchId: 'batch-1',
+      summary: { total: 2, succeeded: 1, failed: 1 }
+    });
+    expect(res.body.results).toHaveLength(2);
+    expect(calendarCache.refreshAllCalendars).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only pass whitelisted fields of update changes', async () => {
+    calendarCache.applyBulkOperations.mockResolvedValue({ batchId: 'batch-2', results: [] });
+
+    await request(app).post('/api/events/bulk').send({
+      operations: [{ op: 'update', uid: 'a', changes: { summary: 'Bob', uid: 'evil', calendarUrl: 'x' } }]
+    });
+
+    const [[operations]] = calendarCache.applyBulkOperations.mock.calls;
+    expect(operations[0].changes).toEqual({ summary: 'Bob' });
+  });
+
+  it('should validate each operation', async () => {
+    const res = await request(app).post('/api/events/bulk').send({
+      operations: [
+        { op: 'shift', uid: 'a', days: 0 },
+        { op: 'move', uid: 'b', targetCalendarUrl: 'not a url' },
+        { op: 'archive', uid: 'c' },
+        { op: 'update', uid: 'd' }
+      ]
+    });
+
+    expect(res.status).toBe(400);
+    const fields = res.body.details.map(d => d.field);
+    expect(fields).toEqual(expect.arrayContaining([
+      'operations[0]',
+      'operations[1].targetCalendarUrl',
+      'operations[2].op',
+      'operations[3]'
+    ]));
+    expect(calendarCache.applyBulkOperations).not.toHaveBeenCalled();
+  });
+
+  it('should apply the single-event limits to update changes', async () => {
+    const res = await request(app).post('/api/events/bulk').send({
+      operations: [
+        { op: 'update', uid: 'a', changes: { summary: 'ok' } },
+        { op: 'update', uid: 'b', changes: { summary: 'x'.repeat(501), location: 'y'.repeat(501) } },
+        { op: 'update', uid: 'c', changes: { description: 'z'.repeat(5001), meta: { ticketLink: 'not a url', notes: 'n'.repeat(5001) } } },
+        { op: 'update', uid: 'd', changes: { meta: 'flat' } }
+      ]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toEqual(expect.arrayContaining([
+      'operations[1].changes.summary',
+      'operations[1].changes.location',
+      'operations[2].changes.description',
+      'operations[2].changes.meta.ticketLink',
+      'operations[2].changes.meta.notes',
+      'operations[3].changes.meta'
+    ]));
+    expect(res.body.details.some(d => d.field.startsWith('operations[0]'))).toBe(false);
+    expect(calendarCache.applyBulkOperations).not.toHaveBeenCalled();
+  });
+
+  it('should reject empty and oversized batches', async () => {
+    const empty = await request(app).post('/api/events/bulk').send({ operations: [] });
+    const tooMany = await request(app).post('/api/events/bulk').send({
+      operations: Array.from({ length: 101 }, (_, i) => ({ op: 'move', uid: `e${i}`, targetCalendarUrl: CAL_URL }))
+    });
+
+    expect(empty.status).toBe(400);
+    expect(tooMany.status).toBe(400);
+    expect(calendarCache.applyBulkOperations).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for ETag / If-Match handling on event routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    getEvent: vi.fn(),
+    getEventEtag: vi.fn(),
+    updateEvent: vi.fn(),
+    moveEvent: vi.fn(),
+    refreshAllCalendars: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { default: eventsRouter } = await import('../events.js');
+
+function preconditionError() {
+  const error = new Error('Precondition Failed: event was modified since it was loaded');
+  error.statusCode = 412;
+  error.currentEvent = { uid: 'abc', summary: 'Theirs' };
+  error.currentEtag = '"2"';
+  return error;
+}
+
+describe('event routes optimistic concurrency', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/events', eventsRouter);
+  });
+
+  it('should return the ETag on GET /:uid', async () => {
+    calendarCache.getEvent.mockResolvedValue({ uid: 'abc', summary: 'Install' });
+    calendarCache.getEventEtag.mockReturnValue('"1"');
+
+    const res = await request(app).get('/api/events/abc');
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe('"1"');
+    expect(res.body.etag).toBe('"1"');
+  });
+
+  it('should pass If-Match to updateEvent', async () => {
+    calendarCache.updateEvent.mockResolvedValue({ uid: 'abc', etag: '"2"' });
+    calendarCache.getEvent.mockResolvedValue({ uid: 'abc' });
+
+    const res = await request(app).put('/api/events/abc').set('If-Match', '"1"').send({ summary: 'Mine' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe('"2"');
+    expect(calendarCache.updateEvent).toHaveBeenCalledWith('abc', { summary: 'Mine' }, '', undefined, { ifMatch: '"1"' });
+  });
+
+  it('should answer 412 with the current version on PUT', async () => {
+    calendarCache.updateEvent.mockRejectedValue(preconditionError());
+
+    const res = await request(app).put('/api/events/abc').set('If-Match', '"1"').send({ summary: 'Mine' });
+
+    expect(res.status).toBe(412);
+    expect(res.headers.etag).toBe('"2"');
+    expect(res.body.currentEvent.summary).toBe('Theirs');
+    expect(res.body.etag).toBe('"2"');
+  });
+
+  it('should answer 409 with the conflicting fields when edits cannot be merged', async () => {
+    const error = new Error('Conflict: summary changed concurrently');
+    error.statusCode = 409;
+    error.conflicts = [{ field: 'summary', base: 'Install', mine: 'Mine', theirs: 'Theirs' }];
+    error.merged = { summary: 'Theirs', start: '2025-03-10', end: '2025-03-12' };
+    error.currentEvent = { uid: 'abc', summary: 'Theirs' };
+    error.currentEtag = '"2"';
+    calendarCache.updateEvent.mockRejectedValue(error);
+
+    const res = await request(app).put('/api/events/abc').set('If-Match', '"1"').send({ summary: 'Mine' });
+
+    expect(res.status).toBe(409);
+    expect(res.headers.etag).toBe('"2"');
+    expect(res.body.conflicts).toEqual(error.conflicts);
+    expect(res.body.merged).toEqual(error.merged);
+  });
+
+  it('should report the fields merged into a newer version', async () => {
+    calendarCache.updateEvent.mockResolvedValue({ uid: 'abc', etag: '"3"', mergedFields: ['summary'] });
+    calendarCache.getEvent.mockResolvedValue({ uid: 'abc' });
+
+    const res = await request(app).put('/api/events/abc').set('If-Match', '"1"').send({ summary: 'Mine' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.mergedFields).toEqual(['summary']);
+  });
+
+  it('should answer 412 on move with a stale ETag', async () => {
+    calendarCache.moveEvent.mockRejectedValue(preconditionError());
+
+    const res = await request(app)
+      .post('/api/events/abc/move')
+      .set('If-Match', '"1"')
+      .send({ targetCalendarUrl: 'https://cloud.example.com/cal/other/' });
+
+    expect(res.status).toBe(412);
+    expect(calendarCache.moveEvent).toHaveBeenCalledWith('abc', 'https://cloud.example.com/cal/other/', undefined, { ifMatch: '"1"' });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for the general event creation route (all-day and timed events)
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    createEvent: vi.fn(),
+    refreshAllCalendars: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { auditHistory } = await import('../../services/audit-history.js');
+const { default: eventsRouter } = await import('../events.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+
+describe('POST /api/events/create', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/events', eventsRouter);
+  });
+
+  it('should create a timed event in the given time zone', async () => {
+    calendarCache.createEvent.mockResolvedValue({ success: true, uid: 'abc', allDay: false, timezone: 'Europe/Berlin' });
+
+    const res = await request(app).post('/api/events/create').send({
+      calendarUrl: CAL_URL,
+      summary: 'Remote session',
+      start: '2025-07-03T09:00',
+      end: '2025-07-03T10:30',
+      allDay: false,
+      timezone: 'Europe/Berlin'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.event.uid).toBe('abc');
+    expect(calendarCache.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+      calendarUrl: CAL_URL,
+      start: '2025-07-03T09:00',
+      end: '2025-07-03T10:30',
+      allDay: false,
+      timezone: 'Europe/Berlin'
+    }));
+    expect(calendarCache.refreshAllCalendars).toHaveBeenCalled();
+  });
+
+  it('should reject unknown time zones', async () => {
+    const res = await request(app).post('/api/events/create').send({
+      calendarUrl: CAL_URL,
+      summary: 'Remote session',
+      start: '2025-07-03T09:00',
+      end: '2025-07-03T10:30',
+      timezone: 'Mars/Olympus'
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toContain('timezone');
+    expect(calendarCache.createEvent).not.toHaveBeenCalled();
+  });
+
+  it('should record rejected attempts in the audit history', async () => {
+    await request(app).post('/api/events/create').send({
+      calendarUrl: CAL_URL,
+      summary: 'Remote session',
+      start: '2025-07-03T09:00',
+      end: '2025-07-03T10:30',
+      timezone: 'Mars/Olympus'
+    });
+
+    await vi.waitFor(() => expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+      operation: 'CREATE',
+      calendarUrl: CAL_URL,
+      afterState: expect.objectContaining({ summary: 'Remote session', timezone: 'Mars/Olympus' }),
+      status: 'REJECTED',
+      errorMessage: expect.stringContaining('timezone: Timezone must be a valid IANA time zone')
+    })));
+  });
+
+  it('should pass service validation errors through as 400', async () => {
+    const error = new Error('End must be after start');
+    error.statusCode = 400;
+    calendarCache.createEvent.mockRejectedValue(error);
+
+    const res = await request(app).post('/api/events/create').send({
+      calendarUrl: CAL_URL,
+      summary: 'Remote session',
+      start: '2025-07-03T10:00',
+      end: '2025-07-03T09:00'
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('End must be after start');
+  });
+});
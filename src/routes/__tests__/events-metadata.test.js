@@ -35,6 +35,8 @@ vi.mock('../../services/calendar.js', () => {
         return event;
       }),
 
+      getEventEtag: vi.fn(() => '"mock-etag"'),
+
       updateEvent: vi.fn(async (uid, updateData) => {
         const event = mockEvents.get(uid);
         if (!event) {
@@ -99,6 +101,13 @@ vi.mock('../../services/calendar.js', () => {
   };
 });
 
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
 describe('Events API - Metadata Handling', () => {
   let app;
   let createdEventUid;
@@ -0,0 +1,158 @@
+/**
+ * Tests for per-calendar permissions on the event mutation routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    getCalendarsForUser: vi.fn(),
+    getEvent: vi.fn(),
+    getEventEtag: vi.fn(() => null),
+    createEvent: vi.fn(),
+    updateEvent: vi.fn(),
+    deleteEvent: vi.fn(),
+    moveEvent: vi.fn(),
+    applyBulkOperations: vi.fn(),
+    refreshAllCalendars: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../services/roles.js', () => ({
+  roleService: {
+    getGrantedCalendars: vi.fn()
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { roleService } = await import('../../services/roles.js');
+const { auditHistory } = await import('../../services/audit-history.js');
+const { default: eventsRouter } = await import('../events.js');
+
+const OWN_URL = 'https://cloud.example.com/calendars/support/travel_shared_by_alice/';
+const TEAM_URL = 'https://cloud.example.com/calendars/support/travel_shared_by_bob/';
+const OTHER_URL = 'https://cloud.example.com/calendars/support/travel_shared_by_carol/';
+
+const EVENTS = {
+  mine: { uid: 'mine', summary: 'Trip', calendarUrl: OWN_URL },
+  team: { uid: 'team', summary: 'Visit', calendarUrl: TEAM_URL },
+  other: { uid: 'other', summary: 'Install', calendarUrl: OTHER_URL }
+};
+
+const EDITOR = { sub: 'alice', email: 'alice@example.com', name: 'Alice', groups: ['leads'], role: 'editor' };
+
+describe('event routes with calendar permissions', () => {
+  let app;
+  let sessionUser;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sessionUser = EDITOR;
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { user: sessionUser };
+      next();
+    });
+    app.use('/api/events', eventsRouter);
+    calendarCache.getCalendarsForUser.mockReturnValue([OWN_URL]);
+    roleService.getGrantedCalendars.mockResolvedValue([TEAM_URL]);
+    calendarCache.getEvent.mockImplementation(async uid => EVENTS[uid] || null);
+  });
+
+  it('should create events on the own calendar only', async () => {
+    calendarCache.createEvent.mockResolvedValue({ success: true, uid: 'new' });
+    const event = { summary: 'Trip', start: '2025-07-01', end: '2025-07-02' };
+
+    const own = await request(app).post('/api/events/create').send({ ...event, calendarUrl: OWN_URL });
+    const other = await request(app).post('/api/events/create').send({ ...event, calendarUrl: OTHER_URL });
+
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(403);
+    expect(other.body.calendars).toEqual([OTHER_URL]);
+    expect(calendarCache.createEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let team leads update events on granted calendars', async () => {
+    calendarCache.updateEvent.mockResolvedValue({ uid: 'team' });
+
+    const team = await request(app).put('/api/events/team').send({ summary: 'Visit (2)' });
+    const other = await request(app).put('/api/events/other').send({ summary: 'Install (2)' });
+
+    expect(team.status).toBe(200);
+    expect(other.status).toBe(403);
+    expect(calendarCache.updateEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should check both calendars of a move and record the rejection', async () => {
+    const res = await request(app).post('/api/events/mine/move').send({ targetCalendarUrl: OTHER_URL });
+
+    expect(res.status).toBe(403);
+    expect(calendarCache.moveEvent).not.toHaveBeenCalled();
+    await vi.waitFor(() => expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+      operation: 'MOVE',
+      status: 'REJECTED',
+      errorMessage: `HTTP 403: Forbidden (not editable: ${OTHER_URL})`
+    })));
+  });
+
+  it('should reject deletes on other calendars and leave unknown events to the route', async () => {
+    calendarCache.deleteEvent.mockResolvedValue(false);
+
+    const other = await request(app).delete('/api/events/other');
+    const unknown = await request(app).delete('/api/events/missing');
+
+    expect(other.status).toBe(403);
+    expect(unknown.status).toBe(404);
+    expect(calendarCache.deleteEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject bulk requests touching a read-only calendar', async () => {
+    const res = await request(app).post('/api/events/bulk').send({
+      operations: [
+        { op: 'shift', uid: 'mine', days: 1 },
+        { op: 'move', uid: 'team', targetCalendarUrl: OTHER_URL }
+      ]
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body.calendars).toEqual([OTHER_URL]);
+    expect(calendarCache.applyBulkOperations).not.toHaveBeenCalled();
+  });
+
+  it('should check the target of bulk updates that move events', async () => {
+    const res = await request(app).post('/api/events/bulk').send({
+      operations: [
+        { op: 'update', uid: 'mine', changes: { summary: 'Trip', targetCalendarUrl: OTHER_URL } }
+      ]
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body.calendars).toEqual([OTHER_URL]);
+    expect(calendarCache.applyBulkOperations).not.toHaveBeenCalled();
+  });
+
+  it('should let admins edit every calendar', async () => {
+    sessionUser = { ...EDITOR, role: 'admin' };
+    calendarCache.deleteEvent.mockResolvedValue(true);
+
+    const res = await request(app).delete('/api/events/other');
+
+    expect(res.status).toBe(200);
+    expect(calendarCache.getCalendarsForUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for recurring event parameters on event routes (rrule, scope, recurrenceId)
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    createEvent: vi.fn(),
+    getEvent: vi.fn(),
+    getEventEtag: vi.fn(),
+    updateEvent: vi.fn(),
+    deleteEvent: vi.fn(),
+    refreshAllCalendars: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { default: eventsRouter } = await import('../events.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/support/';
+
+describe('event routes recurrence', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/events', eventsRouter);
+  });
+
+  it('should create a series with a recurrence rule', async () => {
+    calendarCache.createEvent.mockResolvedValue({ success: true, uid: 'rota', rrule: 'FREQ=WEEKLY;BYDAY=MO' });
+
+    const res = await request(app).post('/api/events/create').send({
+      calendarUrl: CAL_URL,
+      summary: 'Support',
+      start: '2025-06-02',
+      end: '2025-06-02',
+      rrule: 'FREQ=WEEKLY;BYDAY=MO'
+    });
+
+    expect(res.status).toBe(200);
+    expect(calendarCache.createEvent).toHaveBeenCalledWith(expect.objectContaining({ rrule: 'FREQ=WEEKLY;BYDAY=MO' }));
+  });
+
+  it('should reject invalid recurrence rules', async () => {
+    const res = await request(app).post('/api/events/create').send({
+      calendarUrl: CAL_URL,
+      summary: 'Support',
+      start: '2025-06-02',
+      end: '2025-06-02',
+      rrule: 'EVERY=MONDAY'
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toContain('rrule');
+    expect(calendarCache.createEvent).not.toHaveBeenCalled();
+  });
+
+  it('should pass scope and recurrenceId to updateEvent and answer with the occurrence', async () => {
+    calendarCache.updateEvent.mockResolvedValue({ uid: 'rota', summary: 'Bob', recurrenceId: '2025-06-09', scope: 'this', etag: '"2"' });
+
+    const res = await request(app).put('/api/events/rota').send({ summary: 'Bob', scope: 'this', recurrenceId: '2025-06-09' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe('"2"');
+    expect(res.body.event).toMatchObject({ summary: 'Bob', recurrenceId: '2025-06-09' });
+    expect(calendarCache.updateEvent).toHaveBeenCalledWith(
+      'rota',
+      { summary: 'Bob' },
+      '',
+      undefined,
+      expect.objectContaining({ scope: 'this', recurrenceId: '2025-06-09' })
+    );
+    expect(calendarCache.getEvent).not.toHaveBeenCalled();
+  });
+
+  it('should require a recurrenceId for partial scopes', async () => {
+    const res = await request(app).put('/api/events/rota').send({ summary: 'Bob', scope: 'following' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toContain('recurrenceId');
+    expect(calendarCache.updateEvent).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown scopes', async () => {
+    const res = await request(app).put('/api/events/rota').send({ summary: 'Bob', scope: 'weekends', recurrenceId: '2025-06-09' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toContain('scope');
+  });
+
+  it('should pass scope and recurrenceId from the query to deleteEvent', async () => {
+    calendarCache.deleteEvent.mockResolvedValue(true);
+
+    const res = await request(app).delete('/api/events/rota?scope=this&recurrenceId=2025-06-09');
+
+    expect(res.status).toBe(200);
+    expect(calendarCache.deleteEvent).toHaveBeenCalledWith('rota', undefined, { scope: 'this', recurrenceId: '2025-06-09' });
+  });
+
+  it('should answer 400 for unknown occurrences', async () => {
+    const error = new Error('Event rota has no occurrence 2025-06-10');
+    error.statusCode = 400;
+    calendarCache.deleteEvent.mockRejectedValue(error);
+
+    const res = await request(app).delete('/api/events/rota?scope=this&recurrenceId=2025-06-10');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/no occurrence/);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for the server-sent event stream of event changes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import http from 'http';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/calendar.js', async () => {
+  const { EventEmitter } = await import('events');
+  return { calendarCache: Object.assign(new EventEmitter(), { getEventEtag: vi.fn(event => event.etag || null) }) };
+});
+
+vi.mock('../../services/geocoding.js', () => ({
+  geocodeLocations: vi.fn(async () => new Map([['Berlin', { lat: 52.52, lon: 13.4 }]]))
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { default: eventsRouter } = await import('../events.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+
+/**
+ * Open the stream and return a helper that waits for buffered output
+ */
+function openStream(port) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`http://127.0.0.1:${port}/api/events/stream`, (res) => {
+      let buffer = '';
+      const waiters = [];
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        for (const waiter of [...waiters]) {
+          if (waiter.pattern.test(buffer)) {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            waiter.resolve(buffer);
+          }
+        }
+      });
+      resolve({
+        res,
+        req,
+        waitFor: (pattern) => new Promise((done) => {
+          if (pattern.test(buffer)) return done(buffer);
+          waiters.push({ pattern, resolve: done });
+        })
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('GET /api/events/stream', () => {
+  let server;
+  let port;
+
+  beforeEach(async () => {
+    const app = express();
+    app.use('/api/events', eventsRouter);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should open an event stream with proxy-friendly headers', async () => {
+    const stream = await openStream(port);
+
+    expect(stream.res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(stream.res.headers['cache-control']).toContain('no-transform');
+    expect(stream.res.headers['x-accel-buffering']).toBe('no');
+    await stream.waitFor(/retry: \d+/);
+
+    stream.req.destroy();
+  });
+
+  it('should push calendar changes as timeline item deltas', async () => {
+    const stream = await openStream(port);
+    await stream.waitFor(/retry/);
+
+    calendarCache.emit('change', {
+      calendarUrl: CAL_URL,
+      upserted: [{
+        type: 'event',
+        uid: 'abc',
+        summary: 'Support Berlin',
+        description: '',
+        location: 'Berlin',
+        start: '2025-03-03',
+        end: '2025-03-05',
+        allDay: true,
+        calendar: CAL_URL,
+        etag: '"7"'
+      }],
+      removed: [`${CAL_URL}-gone`]
+    });
+
+    const buffer = await stream.waitFor(/event: change\ndata: .*\n\n/);
+    const data = JSON.parse(buffer.match(/event: change\ndata: (.*)\n\n/)[1]);
+
+    expect(data.calendarUrl).toBe(CAL_URL);
+    expect(data.removed).toEqual([`${CAL_URL}-gone`]);
+    expect(data.upserted).toHaveLength(1);
+    expect(data.upserted[0]).toMatchObject({
+      id: `${CAL_URL}-abc`,
+      group: null,
+      content: 'Support Berlin',
+      className: 'event-type-support',
+      geocoded: { lat: 52.52, lon: 13.4 },
+      etag: '"7"'
+    });
+
+    stream.req.destroy();
+  });
+
+  it('should stop listening when the client disconnects', async () => {
+    const stream = await openStream(port);
+    await stream.waitFor(/retry/);
+    expect(calendarCache.listenerCount('change')).toBe(1);
+
+    stream.req.destroy();
+    await vi.waitFor(() => expect(calendarCache.listenerCount('change')).toBe(0));
+  });
+});
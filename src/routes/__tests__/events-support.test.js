@@ -0,0 +1,113 @@
+/**
+ * Tests for the support assignment routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/support.js', () => ({
+  getSupportAssignments: vi.fn(),
+  getHandovers: vi.fn()
+}));
+
+vi.mock('../../services/coverage.js', () => ({
+  getCoverageReport: vi.fn(),
+  formatCoverageCsv: vi.fn(() => '"date"\r\n'),
+  formatCoverageIcs: vi.fn(() => 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n')
+}));
+
+const { getSupportAssignments, getHandovers } = await import('../../services/support.js');
+const { getCoverageReport } = await import('../../services/coverage.js');
+const { default: eventsRouter } = await import('../events.js');
+
+const ALICE = { name: 'Alice', start: '2025-07-07', end: '2025-07-11' };
+
+describe('support assignment routes', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/events', eventsRouter);
+  });
+
+  it('should keep the support-today response', async () => {
+    getSupportAssignments.mockImplementation(async ({ from }) => ({
+      from,
+      to: from,
+      days: [{ date: from, assignments: { 'Support 1': ALICE, 'Support 2': null } }],
+      events: [{ uid: 'a', summary: 'Support 1 Alice' }]
+    }));
+
+    const res = await request(app).get('/api/events/support-today');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      success: true,
+      date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+      assignments: { 'Support 1': ALICE, 'Support 2': null },
+      count: 1,
+      events: [{ uid: 'a', summary: 'Support 1 Alice' }]
+    });
+  });
+
+  it('should look up a date or a range', async () => {
+    getSupportAssignments.mockResolvedValue({ days: [], gaps: [], doubleBookings: [], events: [] });
+
+    const single = await request(app).get('/api/events/support?date=2025-07-14');
+    const range = await request(app).get('/api/events/support?from=2025-07-14&to=2025-07-20');
+
+    expect(single.status).toBe(200);
+    expect(range.status).toBe(200);
+    expect(getSupportAssignments).toHaveBeenNthCalledWith(1, { from: '2025-07-14', to: '2025-07-14' });
+    expect(getSupportAssignments).toHaveBeenNthCalledWith(2, { from: '2025-07-14', to: '2025-07-20' });
+    expect(range.body).toMatchObject({ success: true, gaps: [], doubleBookings: [] });
+  });
+
+  it('should validate support lookups', async () => {
+    const invalid = await request(app).get('/api/events/support?date=next-monday');
+    const mixed = await request(app).get('/api/events/support?date=2025-07-14&from=2025-07-14');
+
+    expect(invalid.status).toBe(400);
+    expect(mixed.status).toBe(400);
+    expect(getSupportAssignments).not.toHaveBeenCalled();
+  });
+
+  it('should list handovers', async () => {
+    const handovers = [{ date: '2025-07-14', slot: 'Support 1', from: 'Alice', to: 'Bob' }];
+    getHandovers.mockResolvedValue({ from: '2025-07-10', to: '2025-08-06', current: { 'Support 1': ALICE }, handovers });
+
+    const res = await request(app).get('/api/events/support/handovers?from=2025-07-10');
+
+    expect(res.status).toBe(200);
+    expect(res.body.handovers).toEqual(handovers);
+    expect(getHandovers).toHaveBeenCalledWith({ from: '2025-07-10', to: undefined });
+  });
+
+  it('should report coverage issues as JSON, CSV and iCalendar', async () => {
+    const report = { from: '2025-07-10', to: '2025-07-20', homeCountryCode: 'DE', issues: [], summary: { missing: 0, conflict: 0, abroad: 0 } };
+    getCoverageReport.mockResolvedValue(report);
+
+    const json = await request(app).get('/api/events/support/coverage?from=2025-07-10&to=2025-07-20&includeWeekends=false&homeCountry=at');
+    const csv = await request(app).get('/api/events/support/coverage?from=2025-07-10&format=csv');
+    const ics = await request(app).get('/api/events/support/coverage?from=2025-07-10&format=ics');
+    const invalid = await request(app).get('/api/events/support/coverage?format=pdf');
+
+    expect(json.status).toBe(200);
+    expect(json.body).toEqual({ success: true, ...report });
+    expect(getCoverageReport).toHaveBeenNthCalledWith(1, { from: '2025-07-10', to: '2025-07-20', includeWeekends: false, homeCountryCode: 'at' });
+    expect(getCoverageReport).toHaveBeenNthCalledWith(2, { from: '2025-07-10', to: undefined, includeWeekends: true });
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    expect(csv.headers['content-disposition']).toBe('attachment; filename="support-coverage-2025-07-10-2025-07-20.csv"');
+    expect(ics.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(ics.text).toContain('BEGIN:VCALENDAR');
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for the role management routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/roles.js', () => ({
+  ROLES: ['reader', 'editor', 'admin'],
+  SUBJECT_TYPES: ['email', 'group'],
+  roleService: {
+    defaults: { adminGroups: [], editorGroups: ['support'], adminEmails: [], editorEmails: [] },
+    listGrants: vi.fn(),
+    listCalendarGrants: vi.fn(),
+    setCalendarGrants: vi.fn(),
+    grantRole: vi.fn(),
+    revokeRole: vi.fn(),
+    previewRole: vi.fn()
+  }
+}));
+
+const { roleService } = await import('../../services/roles.js');
+const { default: rolesRouter } = await import('../roles.js');
+
+const ADMIN = { sub: 'abc', email: 'boss@example.com', name: 'Boss', groups: [], role: 'admin' };
+const GRANT = { type: 'email', subject: 'dave@example.com', role: 'editor', expiresAt: null, note: null, grantedBy: 'boss@example.com', grantedAt: '2025-06-01T00:00:00.000Z' };
+
+describe('role routes', () => {
+  let app;
+  let sessionUser;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sessionUser = ADMIN;
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { user: sessionUser };
+      next();
+    });
+    app.use('/api/roles', rolesRouter);
+    roleService.previewRole.mockResolvedValue({ role: 'admin', source: 'env:email' });
+  });
+
+  it('should list grants with the env defaults', async () => {
+    roleService.listGrants.mockResolvedValue([{ ...GRANT, expired: false }]);
+    roleService.listCalendarGrants.mockResolvedValue([]);
+
+    const res = await request(app).get('/api/roles');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      success: true,
+      grants: [{ ...GRANT, expired: false }],
+      calendarGrants: [],
+      defaults: roleService.defaults
+    });
+  });
+
+  it('should grant a role with expiry on behalf of the session user', async () => {
+    roleService.grantRole.mockResolvedValue(GRANT);
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+    const res = await request(app).post('/api/roles').send({ type: 'email', subject: 'dave@example.com', role: 'editor', expiresAt, note: 'Holiday cover' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, grant: GRANT });
+    expect(roleService.grantRole).toHaveBeenCalledWith(
+      { type: 'email', subject: 'dave@example.com', role: 'editor', expiresAt, note: 'Holiday cover' },
+      { email: 'boss@example.com', name: 'Boss' }
+    );
+  });
+
+  it('should validate grants', async () => {
+    const res = await request(app).post('/api/roles').send({ type: 'email', subject: 'dave', role: 'owner', expiresAt: '2000-01-01T00:00:00Z' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toEqual(expect.arrayContaining(['subject', 'role', 'expiresAt']));
+    expect(roleService.grantRole).not.toHaveBeenCalled();
+  });
+
+  it('should refuse changes that take away the admin\'s own admin role', async () => {
+    roleService.previewRole.mockResolvedValue({ role: 'editor', source: 'grant:email' });
+
+    const res = await request(app).post('/api/roles').send({ type: 'email', subject: 'boss@example.com', role: 'editor' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/own admin role/);
+    expect(roleService.previewRole).toHaveBeenCalledWith(ADMIN, { type: 'email', subject: 'boss@example.com', role: 'editor', expiresAt: undefined });
+    expect(roleService.grantRole).not.toHaveBeenCalled();
+  });
+
+  it('should revoke grants and answer 404 for unknown ones', async () => {
+    roleService.revokeRole.mockResolvedValueOnce(GRANT).mockResolvedValueOnce(null);
+
+    const revoked = await request(app).delete('/api/roles/email/dave@example.com');
+    const missing = await request(app).delete('/api/roles/group/support');
+
+    expect(revoked.status).toBe(200);
+    expect(revoked.body).toEqual({ success: true, revoked: GRANT });
+    expect(roleService.previewRole).toHaveBeenCalledWith(ADMIN, { type: 'email', subject: 'dave@example.com', role: null });
+    expect(missing.status).toBe(404);
+  });
+
+  it('should skip the self-check when roles do not come from grants', async () => {
+    sessionUser = { role: 'admin' };
+    roleService.revokeRole.mockResolvedValue(GRANT);
+
+    const res = await request(app).delete('/api/roles/email/dave@example.com');
+
+    expect(res.status).toBe(200);
+    expect(roleService.previewRole).not.toHaveBeenCalled();
+    expect(roleService.revokeRole).toHaveBeenCalledWith({ type: 'email', subject: 'dave@example.com' }, { email: undefined, name: undefined });
+  });
+
+  it('should set the calendars a group may edit', async () => {
+    const calendarUrls = ['https://cloud.example.com/calendars/support/travel_shared_by_bob/'];
+    roleService.setCalendarGrants.mockResolvedValue({ type: 'group', subject: 'leads', calendarUrls });
+
+    const res = await request(app).put('/api/roles/calendars/group/leads').send({ calendarUrls });
+    const invalid = await request(app).put('/api/roles/calendars/group/leads').send({ calendarUrls: ['not a url'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.grant.calendarUrls).toEqual(calendarUrls);
+    expect(roleService.setCalendarGrants).toHaveBeenCalledWith(
+      { type: 'group', subject: 'leads', calendarUrls },
+      { email: 'boss@example.com', name: 'Boss' }
+    );
+    expect(invalid.status).toBe(400);
+    expect(roleService.setCalendarGrants).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for the support rota routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { createRouteApp, READER, EDITOR } from './route-app.js';
+
+vi.mock('../../services/calendar.js', () => ({
+  calendarCache: {
+    getCalendarsForUser: vi.fn(),
+    refreshAllCalendars: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../services/roles.js', () => ({
+  roleService: {
+    getGrantedCalendars: vi.fn(async () => [])
+  }
+}));
+
+vi.mock('../../services/audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => null),
+    trackFailures: vi.fn((tracker, fn) => fn())
+  }
+}));
+
+vi.mock('../../services/rota.js', () => ({
+  previewRota: vi.fn(),
+  createRota: vi.fn()
+}));
+
+const { calendarCache } = await import('../../services/calendar.js');
+const { previewRota, createRota } = await import('../../services/rota.js');
+const { default: rotaRouter } = await import('../rota.js');
+
+const ALICE = 'https://cloud.example.com/remote.php/dav/calendars/support/alice/';
+const BOB = 'https://cloud.example.com/remote.php/dav/calendars/support/bob/';
+const PLAN = {
+  from: '2025-07-07',
+  to: '2025-07-08',
+  events: [{ calendarUrl: ALICE, summary: 'Support 1 Alice', start: '2025-07-07', end: '2025-07-08' }],
+  gaps: [{ date: '2025-07-08', slot: 'Support 2' }]
+};
+
+describe('support rota routes', () => {
+  const { app, signIn } = createRouteApp('/api/rota', rotaRouter);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    signIn(EDITOR);
+    calendarCache.getCalendarsForUser.mockReturnValue([ALICE, BOB]);
+  });
+
+  it('should preview a rota', async () => {
+    previewRota.mockResolvedValue(PLAN);
+
+    const res = await request(app).post('/api/rota/preview').send({
+      calendarUrls: [ALICE, BOB],
+      from: '2025-07-07',
+      to: '2025-07-08',
+      rules: { maxConsecutiveDays: 3, unavailableTypes: ['vacation'] }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, plan: PLAN });
+    expect(previewRota).toHaveBeenCalledWith({
+      calendarUrls: [ALICE, BOB],
+      from: '2025-07-07',
+      to: '2025-07-08',
+      rules: { maxConsecutiveDays: 3, unavailableTypes: ['vacation'] }
+    });
+  });
+
+  it('should validate rota requests', async () => {
+    const res = await request(app).post('/api/rota/preview').send({
+      calendarUrls: [ALICE],
+      from: '2025-07-07T00:00:00Z',
+      rules: { maxConsecutiveDays: 0, includeWeekends: 'yes' }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toEqual(expect.arrayContaining([
+      'calendarUrls', 'from', 'to', 'rules.maxConsecutiveDays', 'rules.includeWeekends'
+    ]));
+    expect(previewRota).not.toHaveBeenCalled();
+  });
+
+  it('should pass planning errors on with their status', async () => {
+    previewRota.mockRejectedValue(Object.assign(new Error('A rota can cover at most 92 days'), { statusCode: 400 }));
+
+    const res = await request(app).post('/api/rota/preview').send({ calendarUrls: [ALICE, BOB], from: '2025-01-01', to: '2025-12-31' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('92 days');
+  });
+
+  it('should create a rota in one batch and refresh once', async () => {
+    createRota.mockResolvedValue({
+      batchId: 'batch-1',
+      plan: PLAN,
+      results: [{ index: 0, success: true, event: { uid: 'a' } }]
+    });
+
+    const res = await request(app).post('/api/rota').send({ calendarUrls: [ALICE, BOB], from: '2025-07-07', to: '2025-07-08' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      success: true,
+      batchId: 'batch-1',
+      summary: { total: 1, succeeded: 1, failed: 0, gaps: 1 }
+    });
+    expect(createRota).toHaveBeenCalledWith({ calendarUrls: [ALICE, BOB], from: '2025-07-07', to: '2025-07-08', rules: {} }, { email: 'alice@example.com', name: 'Alice' });
+    expect(calendarCache.refreshAllCalendars).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse creating a rota on calendars the editor may not edit', async () => {
+    calendarCache.getCalendarsForUser.mockReturnValue([ALICE]);
+
+    const res = await request(app).post('/api/rota').send({ calendarUrls: [ALICE, BOB], from: '2025-07-07', to: '2025-07-08' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.calendars).toEqual([BOB]);
+    expect(createRota).not.toHaveBeenCalled();
+  });
+
+  it('should refuse readers', async () => {
+    signIn(READER);
+
+    const res = await request(app).post('/api/rota/preview').send({ calendarUrls: [ALICE, BOB], from: '2025-07-07', to: '2025-07-08' });
+
+    expect(res.status).toBe(403);
+    expect(previewRota).not.toHaveBeenCalled();
+  });
+});
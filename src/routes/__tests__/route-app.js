@@ -0,0 +1,38 @@
+/**
+ * Shared setup for route tests
+ *
+ * Serves a router the way registerRoutes mounts it, with the real role,
+ * validation and calendar permission middleware in front of it. Only the
+ * session is stubbed: it holds the user signed in with `signIn`.
+ */
+
+import express from 'express';
+
+export const READER = { sub: 'rita', email: 'rita@example.com', name: 'Rita', groups: [], role: 'reader' };
+export const EDITOR = { sub: 'alice', email: 'alice@example.com', name: 'Alice', groups: [], role: 'editor' };
+
+/**
+ * Create an app serving one router for supertest
+ *
+ * @param {string} path - Mount path, e.g. '/api/rota'
+ * @param {import('express').Router} router - Router under test
+ * @returns {{app: import('express').Application, signIn: Function}} App, and signIn(user) to set the session user (null signs out)
+ */
+export function createRouteApp(path, router) {
+  let user = null;
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.session = user ? { user } : {};
+    next();
+  });
+  app.use(path, router);
+
+  return {
+    app,
+    signIn: next => {
+      user = next;
+    }
+  };
+}
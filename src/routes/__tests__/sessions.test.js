@@ -0,0 +1,68 @@
+/**
+ * Tests for the session routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+const sessionStore = {
+  listSessions: vi.fn(),
+  destroyUserSessions: vi.fn()
+};
+
+const { default: sessionsRouter } = await import('../sessions.js');
+
+const SESSION = {
+  id: '0123456789abcdef',
+  user: { sub: 'abc', email: 'dave@example.com', name: 'Dave', role: 'editor' },
+  createdAt: '2025-07-01T08:00:00.000Z',
+  lastSeenAt: '2025-07-01T09:00:00.000Z',
+  expiresAt: '2025-07-01T17:00:00.000Z',
+  current: false
+};
+
+describe('session routes', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use((req, res, next) => {
+      req.sessionStore = sessionStore;
+      req.sessionID = 'own-sid';
+      req.session = { user: { email: 'boss@example.com', role: 'admin' } };
+      next();
+    });
+    app.use('/api/sessions', sessionsRouter);
+  });
+
+  it('should list active sessions', async () => {
+    sessionStore.listSessions.mockResolvedValue([SESSION]);
+
+    const res = await request(app).get('/api/sessions');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, sessions: [SESSION] });
+    expect(sessionStore.listSessions).toHaveBeenCalledWith({ currentSid: 'own-sid' });
+  });
+
+  it('should revoke the sessions of a user', async () => {
+    sessionStore.destroyUserSessions.mockResolvedValueOnce(2).mockResolvedValueOnce(0);
+
+    const revoked = await request(app).delete('/api/sessions/users/dave@example.com');
+    const missing = await request(app).delete('/api/sessions/users/eve@example.com');
+    const invalid = await request(app).delete('/api/sessions/users/dave');
+
+    expect(revoked.status).toBe(200);
+    expect(revoked.body).toEqual({ success: true, revoked: 2 });
+    expect(sessionStore.destroyUserSessions).toHaveBeenCalledWith('dave@example.com');
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for the skills routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { createRouteApp, READER } from './route-app.js';
+
+vi.mock('../../services/skills.js', () => ({
+  listSkills: vi.fn(),
+  suggestEngineers: vi.fn()
+}));
+
+const { listSkills, suggestEngineers } = await import('../../services/skills.js');
+const { default: skillsRouter } = await import('../skills.js');
+
+describe('skills routes', () => {
+  const { app, signIn } = createRouteApp('/api/skills', skillsRouter);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    signIn(READER);
+  });
+
+  it('should list systems and experts', async () => {
+    const skills = { systems: [{ name: 'Luminosa', experts: [{ name: 'Alice', calendarUrl: null }], subsystems: [] }], unmappedExperts: ['Alice'], error: null };
+    listSkills.mockReturnValue(skills);
+
+    const res = await request(app).get('/api/skills');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, ...skills });
+  });
+
+  it('should suggest engineers for an event or a planned job', async () => {
+    suggestEngineers.mockResolvedValue({ systemType: 'FT300', candidates: [] });
+
+    const byEvent = await request(app).get('/api/skills/suggestions?uid=job-1');
+    const planned = await request(app).get('/api/skills/suggestions?systemType=FT300&from=2025-03-10&to=2025-03-12&blockingTypes=vacation,sick&includeWeekends=true');
+
+    expect(byEvent.status).toBe(200);
+    expect(byEvent.body).toEqual({ success: true, systemType: 'FT300', candidates: [] });
+    expect(suggestEngineers).toHaveBeenNthCalledWith(1, { uid: 'job-1', includeWeekends: false });
+    expect(planned.status).toBe(200);
+    expect(suggestEngineers).toHaveBeenNthCalledWith(2, {
+      systemType: 'FT300',
+      from: '2025-03-10',
+      to: '2025-03-12',
+      includeWeekends: true,
+      blockingTypes: ['vacation', 'sick']
+    });
+  });
+
+  it('should validate suggestion requests', async () => {
+    const res = await request(app).get('/api/skills/suggestions?systemType=FT300&from=10.03.2025');
+
+    expect(res.status).toBe(400);
+    expect(suggestEngineers).not.toHaveBeenCalled();
+  });
+
+  it('should pass suggestion errors on with their status', async () => {
+    suggestEngineers.mockRejectedValue(Object.assign(new Error('Unknown system type: MT900'), { statusCode: 404 }));
+
+    const res = await request(app).get('/api/skills/suggestions?systemType=MT900&from=2025-03-10&to=2025-03-12');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toContain('Unknown system type');
+  });
+
+  it('should refuse requests without a signed-in user', async () => {
+    signIn(null);
+
+    const list = await request(app).get('/api/skills');
+    const suggestions = await request(app).get('/api/skills/suggestions?systemType=FT300');
+
+    expect(list.status).toBe(401);
+    expect(suggestions.status).toBe(401);
+    expect(listSkills).not.toHaveBeenCalled();
+    expect(suggestEngineers).not.toHaveBeenCalled();
+  });
+});
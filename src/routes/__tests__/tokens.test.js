@@ -0,0 +1,100 @@
+/**
+ * Tests for the API token routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../../middleware/auth.js', () => ({
+  requireRole: () => (req, res, next) => next(),
+  initializeAuth: () => (req, res, next) => next()
+}));
+
+vi.mock('../../services/api-tokens.js', async (importOriginal) => ({
+  isValidIpRule: (await importOriginal()).isValidIpRule,
+  apiTokenService: {
+    listTokens: vi.fn(),
+    createToken: vi.fn(),
+    revokeToken: vi.fn()
+  }
+}));
+
+vi.mock('../../services/roles.js', () => ({
+  ROLES: ['reader', 'editor', 'admin']
+}));
+
+const { apiTokenService } = await import('../../services/api-tokens.js');
+const { default: tokensRouter } = await import('../tokens.js');
+
+const ADMIN = { sub: 'abc', email: 'boss@example.com', name: 'Boss', role: 'admin' };
+const TOKEN = { id: '7c9e6679-7425-40de-944b-e07fc1f90ae7', name: 'Import script', prefix: 'spt_abcd', role: 'editor', requestCount: 3, active: true };
+
+describe('API token routes', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { user: ADMIN };
+      next();
+    });
+    app.use('/api/tokens', tokensRouter);
+  });
+
+  it('should list tokens', async () => {
+    apiTokenService.listTokens.mockResolvedValue([TOKEN]);
+
+    const res = await request(app).get('/api/tokens');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, tokens: [TOKEN] });
+  });
+
+  it('should create a token on behalf of the session user', async () => {
+    apiTokenService.createToken.mockResolvedValue({ ...TOKEN, token: 'spt_secret' });
+    const payload = {
+      name: 'Import script',
+      role: 'editor',
+      calendarUrls: ['https://cloud.example.com/calendars/support/travel/'],
+      allowedIps: ['10.0.0.0/24']
+    };
+
+    const res = await request(app).post('/api/tokens').send(payload);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token.token).toBe('spt_secret');
+    expect(apiTokenService.createToken).toHaveBeenCalledWith(
+      { ...payload, expiresAt: undefined },
+      { email: 'boss@example.com', name: 'Boss' }
+    );
+  });
+
+  it('should validate tokens', async () => {
+    const res = await request(app).post('/api/tokens').send({
+      name: ' ',
+      role: 'owner',
+      allowedIps: ['office'],
+      expiresAt: '2000-01-01T00:00:00Z'
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toEqual(expect.arrayContaining(['name', 'role', 'allowedIps[0]', 'expiresAt']));
+    expect(apiTokenService.createToken).not.toHaveBeenCalled();
+  });
+
+  it('should revoke tokens and answer 404 for unknown ones', async () => {
+    apiTokenService.revokeToken.mockResolvedValueOnce({ ...TOKEN, active: false }).mockResolvedValueOnce(null);
+
+    const revoked = await request(app).delete(`/api/tokens/${TOKEN.id}`);
+    const missing = await request(app).delete(`/api/tokens/${TOKEN.id}`);
+    const invalid = await request(app).delete('/api/tokens/abc');
+
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.revoked.active).toBe(false);
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+  });
+});
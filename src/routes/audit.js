@@ -6,23 +6,426 @@
  * Features:
  * - Get audit history for specific event
  * - Get recent audit history across all events
+ * - Per-user feed of changes since the last visit
  * - Undo last operation on an event
+ * - Undo all operations of a batch (e.g. a bulk request)
+ * - Revert or redo any audit entry, with a preview of the changes
+ * - Restore a whole calendar to a point in time (admin, with dry run)
+ * - Verify the tamper-evident hash chain (admin)
+ * - Export filtered history as CSV or NDJSON (admin)
  * - Get audit statistics
  * 
  * @module routes/audit
  */
 
 import { Router } from 'express';
-import { param, query, validationResult } from 'express-validator';
+import { randomUUID } from 'crypto';
+import { body, param, query, validationResult } from 'express-validator';
 import { auditHistory } from '../services/audit-history.js';
 import { calendarCache } from '../services/calendar.js';
-import { requireRole, validate, uidValidation } from '../middleware/index.js';
-import { formatErrorResponse, createLogger } from '../utils/index.js';
+import { requireRole, validate, uidValidation, getCalendarAccess, canEditCalendar, auditFailures } from '../middleware/index.js';
+import { formatErrorResponse, httpError, createLogger, diffEventStates, toCsvLine } from '../utils/index.js';
 
 const logger = createLogger('AuditRoutes');
 
 const router = Router();
 
+// How an operation is undone (event brought back to its before-state) or
+// redone (brought to its after-state again)
+const UNDO_ACTIONS = { CREATE: 'delete', DELETE: 'recreate', UPDATE: 'update', MOVE: 'update' };
+const REDO_ACTIONS = { CREATE: 'recreate', DELETE: 'delete', UPDATE: 'update', MOVE: 'update' };
+
+// Values of the operation and status filters; BULK entries are rejected bulk
+// requests, UNDO/REVERT/REDO/RESTORE entries unsuccessful audit restores,
+// ROLE_GRANT/ROLE_REVOKE entries changes to role grants and
+// TOKEN_CREATE/TOKEN_REVOKE entries changes to API tokens
+const OPERATIONS = ['CREATE', 'UPDATE', 'DELETE', 'MOVE', 'BULK', 'UNDO', 'REVERT', 'REDO', 'RESTORE', 'ROLE_GRANT', 'ROLE_REVOKE', 'TOKEN_CREATE', 'TOKEN_REVOKE'];
+const STATUSES = ['SUCCESS', 'FAILED', 'PARTIAL', 'REJECTED'];
+
+/**
+ * Whether history for a user leaves out role and token changes
+ * 
+ * Those entries reveal who holds which role and the API tokens, so only
+ * admins see them.
+ * 
+ * @param {Object} [user] - Session user
+ * @returns {boolean}
+ */
+function withoutAdminOperations(user) {
+  return user?.role !== 'admin';
+}
+
+// How far back the change feed reaches for users without a last-seen marker
+const DEFAULT_FEED_DAYS = 7;
+
+// Columns of the CSV export, in order
+const EXPORT_COLUMNS = [
+  ['id', entry => entry.id],
+  ['timestamp', entry => entry.timestamp],
+  ['operation', entry => entry.operation],
+  ['status', entry => entry.status],
+  ['event_uid', entry => entry.event_uid],
+  ['user_email', entry => entry.user?.email],
+  ['user_name', entry => entry.user?.name],
+  ['calendar_url', entry => entry.calendar_url],
+  ['target_calendar_url', entry => entry.target_calendar_url],
+  ['batch_id', entry => entry.batchId],
+  ['undo_of', entry => entry.undoOf],
+  ['redo_of', entry => entry.redoOf],
+  ['compacted', entry => entry.compacted],
+  ['error_message', entry => entry.error_message],
+  ['before_state', entry => entry.beforeState && JSON.stringify(entry.beforeState)],
+  ['after_state', entry => entry.afterState && JSON.stringify(entry.afterState)]
+];
+
+/**
+ * Error for entries whose snapshots were reduced to diffs by retention
+ * @param {number} auditId - Audit entry ID
+ * @returns {Error}
+ */
+function compactedError(auditId) {
+  return httpError(409, `Audit entry ${auditId} is too old to restore (its snapshots were compacted)`);
+}
+
+/**
+ * Require edit access to the calendars restoring an audit entry touches
+ * 
+ * These are the entry's calendar and move target, the calendar the event is
+ * in now and the calendar of the restored state (updates move the event
+ * back into it). Like requireCalendarAccess, requests without a session
+ * user are left to requireRole.
+ * 
+ * @param {Object} [sessionUser] - Session user
+ * @param {Function} getCalendarUrls - () => calendars the restore touches (or a promise of them);
+ *   only called for users limited to some calendars
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode 403 if the user may not edit one of them
+ */
+async function checkRestoreAccess(sessionUser, getCalendarUrls) {
+  if (!sessionUser) return;
+
+  const access = await getCalendarAccess(sessionUser);
+  if (access.all) return;
+
+  const calendarUrls = await getCalendarUrls();
+  const denied = [...new Set(calendarUrls.filter(url => url && !canEditCalendar(access, url)))];
+  if (denied.length > 0) {
+    throw httpError(403, `You may only edit your own calendars and calendars granted to you: ${denied.join(', ')}`);
+  }
+}
+
+/**
+ * Calendars an audit entry and the states around it belong to
+ * @param {Object} entry - Audit entry (calendar_url, target_calendar_url)
+ * @param {...(Object|null)} states - Event states (current event, restored state)
+ * @returns {Array<string>}
+ */
+function restoreCalendars(entry, ...states) {
+  return [
+    entry.calendar_url,
+    entry.target_calendar_url,
+    ...states.map(state => state?.calendarUrl || state?.calendar)
+  ];
+}
+
+/**
+ * Add the field-level changes to an audit entry
+ * 
+ * CREATE entries list the fields set and DELETE entries the fields removed.
+ * Entries lacking a snapshot on either side (e.g. failed moves) get no
+ * changes. Calendar changes carry the calendars' display names.
+ * 
+ * @param {Object} entry - Audit entry
+ * @returns {Object} Entry with `changes` ({ field, from, to, fromName?, toName? })
+ */
+function withChanges(entry) {
+  const before = entry.operation === 'CREATE' ? null : entry.beforeState;
+  const after = entry.operation === 'DELETE' ? null : entry.afterState;
+  const complete = (before || entry.operation === 'CREATE') && (after || entry.operation === 'DELETE');
+
+  const changes = complete
+    ? diffEventStates(before, after).map(change => change.field === 'calendar'
+      ? {
+        ...change,
+        fromName: change.from ? calendarCache.getCalendarName(change.from) : null,
+        toName: change.to ? calendarCache.getCalendarName(change.to) : null
+      }
+      : change)
+    : [];
+
+  return { ...entry, changes };
+}
+
+/**
+ * Key under which a session user's last-seen marker is stored
+ * @param {Object} [user] - Session user
+ * @returns {string} Lowercased email, name, or 'anonymous' (auth disabled)
+ */
+function feedUserKey(user) {
+  return (user?.email || user?.name || 'anonymous').toLowerCase();
+}
+
+/**
+ * Group feed entries by event
+ * @param {Array<Object>} changes - Feed entries, newest first
+ * @returns {Array<Object>} One summary per event: uid, summary, calendarUrl, count, operations, lastChangedAt, lastChangedBy
+ */
+function summarizeFeed(changes) {
+  const events = new Map();
+  for (const change of changes) {
+    const state = change.afterState || change.beforeState;
+    let event = events.get(change.event_uid);
+    if (!event) {
+      event = {
+        uid: change.event_uid,
+        summary: state?.summary || null,
+        calendarUrl: change.target_calendar_url || change.calendar_url,
+        count: 0,
+        operations: [],
+        lastChangedAt: change.timestamp,
+        lastChangedBy: change.user
+      };
+      events.set(change.event_uid, event);
+    }
+    event.count++;
+    if (!event.operations.includes(change.operation)) {
+      event.operations.push(change.operation);
+    }
+  }
+  return [...events.values()];
+}
+
+/**
+ * Wait until a response can take more data or was closed
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Bring an event to an audited state
+ * 
+ * `recreate` creates the event from the state (it gets a new UID), `update`
+ * updates the event to the state (including its calendar), `delete` deletes it.
+ * 
+ * @param {string} action - One of recreate, update, delete
+ * @param {string} uid - Event UID (ignored for recreate)
+ * @param {Object|null} state - Audited event state (ignored for delete)
+ * @param {Object} [user] - User info from session (email, name)
+ * @returns {Promise<Object>} Result of the calendar operation
+ */
+async function applyState(action, uid, state, user) {
+  let calUrl;
+  switch (action) {
+    case 'recreate':
+      // Restore deleted event by recreating it
+      logger.info('Recreating event from audit state', { uid, state });
+      
+      // Validate required fields
+      calUrl = state?.calendar || state?.calendarUrl;
+      if (!calUrl) {
+        throw new Error('Calendar URL missing in audit state');
+      }
+      if (!state.start || !state.end) {
+        throw new Error(`Event dates missing in audit state. State: ${JSON.stringify(state)}`);
+      }
+      
+      // Snapshots without allDay predate timed events and are all-day
+      return calendarCache.createEvent({
+        calendarUrl: calUrl,
+        summary: state.summary || 'Restored Event',
+        description: state.description || '',
+        location: state.location || '',
+        start: state.start,
+        end: state.end,
+        allDay: state.allDay !== false,
+        timezone: state.timezone,
+        meta: state.meta,
+        rrule: state.rrule || undefined,
+        user
+      });
+
+    case 'update':
+      if (!state) {
+        throw new Error('Event state missing in audit entry');
+      }
+      logger.info('Restoring audit state for event', { uid });
+      return calendarCache.updateEvent(
+        uid,
+        {
+          summary: state.summary,
+          description: state.description,
+          location: state.location,
+          start: state.start,
+          end: state.end,
+          ...(state.timezone && { timezone: state.timezone }),
+          // Series snapshots carry their rule and excluded occurrences (so deleted
+          // occurrences come back); occurrence snapshots their recurrence id
+          ...(state.rrule !== undefined && state.scope !== 'this' && { rrule: state.rrule }),
+          ...(Array.isArray(state.exdates) && state.scope !== 'this' && { exdates: state.exdates }),
+          meta: state.meta,
+          targetCalendarUrl: state.calendar || state.calendarUrl
+        },
+        '', // authHeader
+        user,
+        state.scope === 'this' ? { scope: 'this', recurrenceId: state.recurrenceId } : {}
+      );
+
+    case 'delete':
+      logger.info('Deleting event', { uid });
+      if (!await calendarCache.deleteEvent(uid, user)) {
+        throw new Error(`Event ${uid} not found`);
+      }
+      return { success: true, message: 'Event deleted' };
+  }
+}
+
+/**
+ * Revert one audited operation
+ * 
+ * CREATE is undone by deleting the event, DELETE by recreating it from the
+ * before-state (the recreated event gets a new UID), UPDATE and MOVE by
+ * updating the event back to the before-state.
+ * 
+ * @param {string} operation - Audited operation (CREATE/UPDATE/DELETE/MOVE)
+ * @param {Object|null} state - Event state before the operation
+ * @param {string} uid - Event UID
+ * @param {Object} [user] - User info from session (email, name)
+ * @returns {Promise<Object>} Result of the restoring calendar operation
+ * @throws {Error} With statusCode 400 for operations that cannot be undone
+ */
+async function revertOperation(operation, state, uid, user) {
+  const action = UNDO_ACTIONS[operation];
+  if (!action) {
+    throw httpError(400, `Cannot undo operation type: ${operation}`);
+  }
+  return applyState(action, uid, state, user);
+}
+
+/**
+ * Work out what reverting or redoing an audit entry would do
+ * 
+ * Reverting restores the entry's before-state and requires the entry not to
+ * be undone already; redoing re-applies its after-state and requires it to
+ * be undone. The current event is compared with the target state.
+ * 
+ * @param {number} auditId - Audit entry ID
+ * @param {string} direction - `revert` or `redo`
+ * @returns {Promise<{entry: Object, action: string, uid: string, current: (Object|null), target: (Object|null), changes: Array<Object>}>}
+ * @throws {Error} With statusCode 404 for unknown entries, 400 for entries that cannot be restored, 409 for the wrong undo state
+ */
+async function planRestore(auditId, direction) {
+  const entry = await auditHistory.getEntry(auditId);
+  if (!entry) {
+    throw httpError(404, `Audit entry ${auditId} not found`);
+  }
+  if (entry.status !== 'SUCCESS') {
+    throw httpError(400, 'Only successful operations can be reverted or redone');
+  }
+  if (entry.compacted) {
+    throw compactedError(entry.id);
+  }
+
+  const redo = direction === 'redo';
+  const action = (redo ? REDO_ACTIONS : UNDO_ACTIONS)[entry.operation];
+  if (!action) {
+    throw httpError(400, `Cannot ${direction} operation type: ${entry.operation}`);
+  }
+  if (redo && !entry.undone) {
+    throw httpError(409, 'This change has not been undone');
+  }
+  if (!redo && entry.undone) {
+    throw httpError(409, 'This change has already been undone');
+  }
+
+  let uid = entry.event_uid;
+  if (redo && action === 'delete') {
+    // Undoing the DELETE recreated the event under a new UID
+    const undo = await auditHistory.getLatestUndo(entry.id);
+    uid = undo?.event_uid || uid;
+  }
+
+  const target = action === 'delete' ? null : (redo ? entry.afterState : entry.beforeState);
+  const current = action === 'recreate' ? null : await calendarCache.getEvent(uid);
+  if (action !== 'recreate' && !current) {
+    throw httpError(404, `Event ${uid} not found`);
+  }
+
+  return { entry, action, uid, current, target, changes: diffEventStates(current, target) };
+}
+
+/**
+ * Work out the operations that return a calendar to a point in time
+ * 
+ * The first audit entry after `at` of every event the calendar's history
+ * touches holds the event's state at that time. Events that were in the
+ * calendar then are updated back to that state (moving them back if needed)
+ * or recreated; events that arrived later are moved back to where they were
+ * or deleted if they did not exist yet.
+ * 
+ * @param {string} calendarUrl - Calendar to restore
+ * @param {Date} at - Point in time
+ * @returns {Promise<{plan: Array<{uid: string, action: string, summary: (string|null), changes: Array<Object>, target: (Object|null)}>, skipped: Array<{uid: string, reason: string}>}>}
+ */
+async function planCalendarRestore(calendarUrl, at) {
+  const entries = await auditHistory.getCalendarChangesSince(calendarUrl, at);
+
+  const statesAt = new Map();
+  const skipped = [];
+  for (const entry of entries) {
+    if (statesAt.has(entry.event_uid)) continue;
+    if (entry.compacted) {
+      statesAt.set(entry.event_uid, undefined);
+      skipped.push({ uid: entry.event_uid, reason: 'Snapshot of the event at that time was compacted' });
+      continue;
+    }
+    if (entry.operation !== 'CREATE' && !entry.beforeState) {
+      statesAt.set(entry.event_uid, undefined);
+      skipped.push({ uid: entry.event_uid, reason: 'No snapshot of the event at that time' });
+      continue;
+    }
+    const state = entry.operation === 'CREATE' ? null : entry.beforeState;
+    statesAt.set(entry.event_uid, state && { ...state, calendar: state.calendar || state.calendarUrl || entry.calendar_url });
+  }
+
+  const plan = [];
+  for (const [uid, target] of statesAt) {
+    if (target === undefined) continue;
+
+    const current = await calendarCache.getEvent(uid);
+    let action = null;
+    if (target?.calendar === calendarUrl) {
+      action = current ? 'update' : 'recreate';
+    } else if (current?.calendarUrl === calendarUrl) {
+      action = target ? 'update' : 'delete';
+    }
+    if (!action) continue;
+
+    const changes = diffEventStates(current, action === 'delete' ? null : target);
+    if (action === 'update' && changes.length === 0) continue;
+
+    plan.push({
+      uid,
+      action,
+      summary: target?.summary || current?.summary || null,
+      changes,
+      target: action === 'delete' ? null : target
+    });
+  }
+
+  return { plan, skipped };
+}
+
 /**
  * Get audit history for a specific event
  * GET /api/audit/event/:uid
@@ -32,13 +435,15 @@ router.get('/event/:uid', requireRole('reader'), uidValidation, validate, async
     const { uid } = req.params;
     const limit = parseInt(req.query.limit) || 50;
 
-    const history = await auditHistory.getEventHistory(uid, limit);
+    const history = await auditHistory.getEventHistory(uid, limit, {
+      withoutAdminOperations: withoutAdminOperations(req.session?.user)
+    });
 
     res.json({
       success: true,
       eventUid: uid,
       count: history.length,
-      history
+      history: history.map(withChanges)
     });
   } catch (error) {
     logger.error('Error getting event history', error);
@@ -52,14 +457,17 @@ router.get('/event/:uid', requireRole('reader'), uidValidation, validate, async
  * GET /api/audit/recent
  */
 router.get('/recent', requireRole('reader'), [
-  query('operation').optional().isIn(['CREATE', 'UPDATE', 'DELETE', 'MOVE']).withMessage('Invalid operation type'),
+  query('operation').optional().isIn(OPERATIONS).withMessage('Invalid operation type'),
+  query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
   query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
 ], validate, async (req, res) => {
   try {
     const {
       operation,
+      status,
       userEmail,
       calendarUrl,
+      batchId,
       since,
       until,
       limit
@@ -67,20 +475,25 @@ router.get('/recent', requireRole('reader'), [
 
     const filters = {
       operation,
+      status,
       userEmail,
       calendarUrl,
+      batchId,
       since: since ? new Date(since) : undefined,
       until: until ? new Date(until) : undefined,
       limit: limit ? parseInt(limit) : 100
     };
 
-    const history = await auditHistory.getRecentHistory(filters);
+    const history = await auditHistory.getRecentHistory({
+      ...filters,
+      withoutAdminOperations: withoutAdminOperations(req.session?.user)
+    });
 
     res.json({
       success: true,
       count: history.length,
       filters,
-      history
+      history: history.map(withChanges)
     });
   } catch (error) {
     logger.error('Error getting recent history', error);
@@ -89,11 +502,89 @@ router.get('/recent', requireRole('reader'), [
   }
 });
 
+/**
+ * Get the changes since the user's last visit
+ * GET /api/audit/feed
+ * 
+ * Changes by others on the user's calendars or to events the user created,
+ * since the stored last-seen marker (or `since`). Answers with `asOf`, to be
+ * sent to POST /feed/seen once the changes were shown.
+ */
+router.get('/feed', requireRole('reader'), [
+  query('since').optional().isISO8601().withMessage('since must be an ISO 8601 timestamp'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], validate, async (req, res) => {
+  try {
+    const asOf = new Date().toISOString();
+    const user = req.session?.user;
+    const lastSeen = await auditHistory.getLastSeen(feedUserKey(user));
+    const since = req.query.since
+      ? new Date(req.query.since)
+      : new Date(lastSeen || Date.now() - DEFAULT_FEED_DAYS * 24 * 60 * 60 * 1000);
+    const calendarUrls = calendarCache.getCalendarsForUser(user);
+
+    const changes = await auditHistory.getUserFeed({
+      userEmail: user?.email,
+      calendarUrls,
+      since,
+      limit: req.query.limit ? parseInt(req.query.limit) : 200
+    });
+
+    res.json({
+      success: true,
+      asOf,
+      since: since.toISOString(),
+      lastSeen,
+      calendarUrls,
+      count: changes.length,
+      events: summarizeFeed(changes),
+      changes: changes.map(withChanges)
+    });
+  } catch (error) {
+    logger.error('Error getting change feed', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Mark the change feed as seen
+ * POST /api/audit/feed/seen
+ * 
+ * Body: { at } - ISO 8601 timestamp seen up to (usually `asOf` of the feed; defaults to now)
+ */
+router.post('/feed/seen', requireRole('reader'), [
+  body('at').optional().isISO8601().withMessage('at must be an ISO 8601 timestamp')
+], validate, async (req, res) => {
+  try {
+    const now = new Date();
+    const at = req.body.at ? new Date(req.body.at) : now;
+
+    const lastSeen = await auditHistory.markSeen(feedUserKey(req.session?.user), at > now ? now : at);
+
+    if (!lastSeen) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to store last visit'
+      });
+    }
+
+    res.json({
+      success: true,
+      lastSeen
+    });
+  } catch (error) {
+    logger.error('Error marking change feed as seen', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
 /**
  * Undo the last operation on an event
  * POST /api/audit/undo/:uid
  */
-router.post('/undo/:uid', requireRole('editor'), uidValidation, validate, async (req, res) => {
+router.post('/undo/:uid', auditFailures('UNDO'), requireRole('editor'), uidValidation, validate, async (req, res) => {
   try {
     const { uid } = req.params;
 
@@ -109,8 +600,18 @@ router.post('/undo/:uid', requireRole('editor'), uidValidation, validate, async
       });
     }
 
+    if (previousState.compacted) {
+      throw compactedError(previousState.auditId);
+    }
+
     logger.info('Found previous state', { operation: previousState.operation, timestamp: previousState.timestamp });
 
+    await checkRestoreAccess(req.session?.user, async () => restoreCalendars(
+      { calendar_url: previousState.calendarUrl, target_calendar_url: previousState.targetCalendarUrl },
+      previousState.operation === 'DELETE' ? null : await calendarCache.getEvent(uid),
+      previousState.state
+    ));
+
     // Extract user info from session
     const user = req.session?.user ? {
       email: req.session.user.email,
@@ -118,68 +619,9 @@ router.post('/undo/:uid', requireRole('editor'), uidValidation, validate, async
     } : undefined;
 
     const state = previousState.state;
-
-    // Handle different undo scenarios based on the last operation
-    let result;
-    switch (previousState.operation) {
-      case 'DELETE':
-        // Restore deleted event by recreating it
-        logger.info('Restoring deleted event', { uid, state });
-        
-        // Validate required fields
-        const calUrl = state.calendar || state.calendarUrl;
-        if (!calUrl) {
-          throw new Error('Calendar URL missing in audit state');
-        }
-        if (!state.start || !state.end) {
-          throw new Error(`Event dates missing in audit state. State: ${JSON.stringify(state)}`);
-        }
-        
-        result = await calendarCache.createAllDayEvent({
-          calendarUrl: calUrl,
-          summary: state.summary || 'Restored Event',
-          description: state.description || '',
-          location: state.location || '',
-          start: state.start,
-          end: state.end,
-          meta: state.meta,
-          user
-        });
-        break;
-
-      case 'UPDATE':
-      case 'MOVE':
-        // Restore previous state by updating to it
-        logger.info('Restoring previous state for event', { uid });
-        result = await calendarCache.updateEvent(
-          uid,
-          {
-            summary: state.summary,
-            description: state.description,
-            location: state.location,
-            start: state.start,
-            end: state.end,
-            meta: state.meta,
-            targetCalendarUrl: state.calendar || state.calendarUrl
-          },
-          '', // authHeader
-          user
-        );
-        break;
-
-      case 'CREATE':
-        // Undo create by deleting the event
-        logger.info('Deleting created event', { uid });
-        await calendarCache.deleteEvent(uid, user);
-        result = { success: true, message: 'Event deleted (undo CREATE)' };
-        break;
-
-      default:
-        return res.status(400).json({
-          success: false,
-          error: `Cannot undo operation type: ${previousState.operation}`
-        });
-    }
+    const result = await auditHistory.withContext({ undoOf: previousState.auditId }, () =>
+      revertOperation(previousState.operation, state, uid, user)
+    );
 
     // Refresh calendars to reflect the change
     calendarCache.refreshAllCalendars().catch(err => {
@@ -200,6 +642,402 @@ router.post('/undo/:uid', requireRole('editor'), uidValidation, validate, async
   }
 });
 
+/**
+ * Undo every operation of a batch
+ * POST /api/audit/undo-batch/:batchId
+ * 
+ * Reverts the batch's successful operations in reverse order. Failures are
+ * reported per operation and do not stop the others. The undo is logged as
+ * a new batch (undoBatchId), so it can be undone in turn.
+ */
+router.post('/undo-batch/:batchId', auditFailures('UNDO'), requireRole('editor'), [
+  param('batchId').trim().isLength({ min: 1, max: 100 }).withMessage('Batch id must be 1-100 characters')
+], validate, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    logger.info('Undo requested for batch', { batchId });
+
+    const entries = (await auditHistory.getBatchHistory(batchId)).filter(entry => entry.status === 'SUCCESS');
+
+    if (entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No operations found for this batch. Cannot undo.'
+      });
+    }
+
+    // Check every operation first, so a batch is not undone halfway
+    await checkRestoreAccess(req.session?.user, async () => {
+      const touched = [];
+      for (const entry of entries) {
+        const current = entry.operation === 'DELETE' ? null : await calendarCache.getEvent(entry.event_uid);
+        touched.push(...restoreCalendars(entry, current, entry.beforeState));
+      }
+      return touched;
+    });
+
+    // Extract user info from session
+    const user = req.session?.user ? {
+      email: req.session.user.email,
+      name: req.session.user.name
+    } : undefined;
+
+    const undoBatchId = randomUUID();
+    const results = [];
+    // Deleted events come back with a new UID; earlier operations on them must use it
+    const recreatedUids = new Map();
+
+    await auditHistory.withBatch(undoBatchId, async () => {
+      for (const entry of [...entries].reverse()) {
+        const uid = recreatedUids.get(entry.event_uid) || entry.event_uid;
+        try {
+          if (entry.compacted) {
+            throw compactedError(entry.id);
+          }
+          const result = await auditHistory.withContext({ undoOf: entry.id }, () =>
+            revertOperation(entry.operation, entry.beforeState, uid, user)
+          );
+          const newUid = entry.operation === 'DELETE' ? result?.uid : undefined;
+          if (newUid) {
+            recreatedUids.set(entry.event_uid, newUid);
+          }
+          results.push({ auditId: entry.id, operation: entry.operation, uid, success: true, ...(newUid && { newUid }) });
+        } catch (error) {
+          logger.warn('Undo of batch operation failed', { batchId, auditId: entry.id, error: error.message });
+          results.push({ auditId: entry.id, operation: entry.operation, uid, success: false, error: error.message });
+        }
+      }
+    });
+
+    // Refresh calendars to reflect the change
+    calendarCache.refreshAllCalendars().catch(err => {
+      logger.error('Background refresh after batch undo failed', err);
+    });
+
+    const failed = results.filter(result => !result.success).length;
+    res.json({
+      success: failed === 0,
+      message: failed === 0 ? 'Undo successful' : `Undo partially failed (${failed} of ${results.length} operations)`,
+      batchId,
+      undoBatchId,
+      results,
+      summary: { total: results.length, succeeded: results.length - failed, failed }
+    });
+  } catch (error) {
+    logger.error('Error performing batch undo', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+const auditIdValidation = [
+  param('auditId').isInt({ min: 1 }).withMessage('Audit ID must be a positive integer').toInt()
+];
+
+/**
+ * Find the event and calendar of the entry a failed revert or redo named
+ * 
+ * @param {import('express').Request} req - Request with the auditId parameter
+ * @returns {Promise<{eventUid: string, calendarUrl: string}>} Event UID and calendar URL ('' if unknown)
+ */
+async function auditEntryTarget(req) {
+  const auditId = parseInt(req.params.auditId);
+  const entry = Number.isInteger(auditId) ? await auditHistory.getEntry(auditId) : null;
+  return { eventUid: entry?.event_uid || '', calendarUrl: entry?.calendar_url || '' };
+}
+
+/**
+ * Preview reverting an audit entry
+ * GET /api/audit/revert/:auditId/preview
+ * 
+ * Lists the fields that reverting would change on the current event.
+ */
+router.get('/revert/:auditId/preview', requireRole('reader'), auditIdValidation, validate, async (req, res) => {
+  try {
+    const { entry, action, uid, current, target, changes } = await planRestore(req.params.auditId, 'revert');
+
+    res.json({
+      success: true,
+      auditId: entry.id,
+      operation: entry.operation,
+      action,
+      uid,
+      current,
+      target,
+      changes
+    });
+  } catch (error) {
+    logger.error('Error previewing revert', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Revert an audit entry (restore its before-state)
+ * POST /api/audit/revert/:auditId
+ * 
+ * Unlike POST /api/audit/undo/:uid this works for any entry, not just the
+ * latest one of the event. The operations it performs are linked to the
+ * entry, which can then be redone.
+ */
+router.post('/revert/:auditId', auditFailures('REVERT', auditEntryTarget), requireRole('editor'), auditIdValidation, validate, async (req, res) => {
+  try {
+    const { entry, action, uid, current, target, changes } = await planRestore(req.params.auditId, 'revert');
+    await checkRestoreAccess(req.session?.user, () => restoreCalendars(entry, current, target));
+
+    logger.info('Revert requested for audit entry', { auditId: entry.id, operation: entry.operation, uid });
+
+    // Extract user info from session
+    const user = req.session?.user ? {
+      email: req.session.user.email,
+      name: req.session.user.name
+    } : undefined;
+
+    const result = await auditHistory.withContext({ undoOf: entry.id }, () => applyState(action, uid, target, user));
+
+    // Refresh calendars to reflect the change
+    calendarCache.refreshAllCalendars().catch(err => {
+      logger.error('Background refresh after revert failed', err);
+    });
+
+    res.json({
+      success: true,
+      message: 'Revert successful',
+      auditId: entry.id,
+      operation: entry.operation,
+      action,
+      changes,
+      result
+    });
+  } catch (error) {
+    logger.error('Error performing revert', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Preview redoing an undone audit entry
+ * GET /api/audit/redo/:auditId/preview
+ */
+router.get('/redo/:auditId/preview', requireRole('reader'), auditIdValidation, validate, async (req, res) => {
+  try {
+    const { entry, action, uid, current, target, changes } = await planRestore(req.params.auditId, 'redo');
+
+    res.json({
+      success: true,
+      auditId: entry.id,
+      operation: entry.operation,
+      action,
+      uid,
+      current,
+      target,
+      changes
+    });
+  } catch (error) {
+    logger.error('Error previewing redo', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Redo an undone audit entry (re-apply its after-state)
+ * POST /api/audit/redo/:auditId
+ * 
+ * The entry must have been undone by /undo, /undo-batch or /revert.
+ */
+router.post('/redo/:auditId', auditFailures('REDO', auditEntryTarget), requireRole('editor'), auditIdValidation, validate, async (req, res) => {
+  try {
+    const { entry, action, uid, current, target, changes } = await planRestore(req.params.auditId, 'redo');
+    await checkRestoreAccess(req.session?.user, () => restoreCalendars(entry, current, target));
+
+    logger.info('Redo requested for audit entry', { auditId: entry.id, operation: entry.operation, uid });
+
+    // Extract user info from session
+    const user = req.session?.user ? {
+      email: req.session.user.email,
+      name: req.session.user.name
+    } : undefined;
+
+    const result = await auditHistory.withContext({ redoOf: entry.id }, () => applyState(action, uid, target, user));
+
+    // Refresh calendars to reflect the change
+    calendarCache.refreshAllCalendars().catch(err => {
+      logger.error('Background refresh after redo failed', err);
+    });
+
+    res.json({
+      success: true,
+      message: 'Redo successful',
+      auditId: entry.id,
+      operation: entry.operation,
+      action,
+      changes,
+      result
+    });
+  } catch (error) {
+    logger.error('Error performing redo', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Restore a calendar to how it looked at a point in time
+ * POST /api/audit/restore-calendar
+ * 
+ * Body: { calendarUrl, at (ISO 8601), dryRun (default true) }
+ * 
+ * A dry run only returns the plan. Otherwise the plan is executed in order,
+ * failures are reported per step, and all operations share one audit batch
+ * (so the restore can be undone with /undo-batch).
+ */
+router.post('/restore-calendar', auditFailures('RESTORE'), requireRole('admin'), [
+  body('calendarUrl').trim().isURL().withMessage('Valid calendar URL required'),
+  body('at').isISO8601().withMessage('at must be an ISO 8601 timestamp'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean()
+], validate, async (req, res) => {
+  try {
+    const { calendarUrl } = req.body;
+    const at = new Date(req.body.at);
+    const dryRun = req.body.dryRun !== false;
+
+    if (at > new Date()) {
+      return res.status(400).json({ success: false, error: 'at must be in the past' });
+    }
+
+    logger.info('Calendar restore requested', { calendarUrl, at: at.toISOString(), dryRun });
+
+    const { plan, skipped } = await planCalendarRestore(calendarUrl, at);
+
+    if (dryRun) {
+      const counts = { recreate: 0, update: 0, delete: 0 };
+      plan.forEach(step => { counts[step.action]++; });
+      return res.json({
+        success: true,
+        dryRun: true,
+        calendarUrl,
+        at: at.toISOString(),
+        plan,
+        skipped,
+        summary: { total: plan.length, ...counts }
+      });
+    }
+
+    // Extract user info from session
+    const user = req.session?.user ? {
+      email: req.session.user.email,
+      name: req.session.user.name
+    } : undefined;
+
+    const batchId = randomUUID();
+    const results = [];
+
+    await auditHistory.withBatch(batchId, async () => {
+      for (const step of plan) {
+        try {
+          const result = await applyState(step.action, step.uid, step.target, user);
+          results.push({ uid: step.uid, action: step.action, success: true, ...(step.action === 'recreate' && result?.uid && { newUid: result.uid }) });
+        } catch (error) {
+          logger.warn('Calendar restore step failed', { uid: step.uid, action: step.action, error: error.message });
+          results.push({ uid: step.uid, action: step.action, success: false, error: error.message });
+        }
+      }
+    });
+
+    // Refresh calendars to reflect the change
+    calendarCache.refreshAllCalendars().catch(err => {
+      logger.error('Background refresh after calendar restore failed', err);
+    });
+
+    const failed = results.filter(result => !result.success).length;
+    res.json({
+      success: failed === 0,
+      dryRun: false,
+      calendarUrl,
+      at: at.toISOString(),
+      batchId,
+      results,
+      skipped,
+      summary: { total: results.length, succeeded: results.length - failed, failed }
+    });
+  } catch (error) {
+    logger.error('Error restoring calendar', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Export filtered audit history
+ * GET /api/audit/export
+ * 
+ * Query: format (csv|ndjson, default csv), operation, status, userEmail, calendarUrl,
+ * since, until. Streams all matching entries oldest first.
+ */
+router.get('/export', requireRole('admin'), [
+  query('format').optional().isIn(['csv', 'ndjson']).withMessage('Format must be csv or ndjson'),
+  query('operation').optional().isIn(OPERATIONS).withMessage('Invalid operation type'),
+  query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+  query('calendarUrl').optional().isURL().withMessage('Valid calendar URL required'),
+  query('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+  query('until').optional().isISO8601().withMessage('until must be an ISO 8601 date')
+], validate, async (req, res) => {
+  const { format = 'csv', operation, status, userEmail, calendarUrl, since, until } = req.query;
+  const filters = {
+    operation,
+    status,
+    userEmail,
+    calendarUrl,
+    since: since ? new Date(since) : undefined,
+    until: until ? new Date(until) : undefined
+  };
+
+  logger.info('Audit export requested', { format, filters });
+
+  try {
+    const entries = auditHistory.exportHistory(filters);
+    // Read the first entry before answering, so failures still get a proper status
+    let next = await entries.next();
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-history-${date}.${format}"`);
+
+    if (format === 'csv') {
+      res.write(toCsvLine(EXPORT_COLUMNS.map(([name]) => name)));
+    }
+
+    let count = 0;
+    for (; !next.done && !res.destroyed; next = await entries.next()) {
+      const entry = next.value;
+      const line = format === 'csv'
+        ? toCsvLine(EXPORT_COLUMNS.map(([, value]) => value(entry)))
+        : JSON.stringify(entry) + '\n';
+      count++;
+      // Respect backpressure from slow clients
+      if (!res.write(line)) {
+        await waitForDrain(res);
+      }
+    }
+
+    logger.info('Audit export finished', { format, count });
+    res.end();
+  } catch (error) {
+    logger.error('Error exporting audit history', error);
+    if (res.headersSent) {
+      // Cut the download short rather than deliver a truncated file as complete
+      res.destroy();
+      return;
+    }
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
 /**
  * Get audit statistics
  * GET /api/audit/stats
@@ -226,4 +1064,32 @@ router.get('/stats', requireRole('admin'), async (req, res) => {
   }
 });
 
+/**
+ * Verify the audit hash chain
+ * GET /api/audit/verify
+ * 
+ * Walks the whole history and reports the first entry whose hash link is broken.
+ */
+router.get('/verify', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await auditHistory.verifyChain();
+
+    if (!result) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to verify audit history'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error verifying audit history', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
 export default router;
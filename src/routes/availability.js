@@ -0,0 +1,67 @@
+/**
+ * Availability routes
+ *
+ * Finds engineers who are free for a number of consecutive workdays in a
+ * date window (see services/availability for the rules), e.g. "who is free
+ * for 4 workdays between March 3 and 21?".
+ *
+ * @module routes/availability
+ */
+
+import { Router } from 'express';
+import { query } from 'express-validator';
+import { findAvailability } from '../services/availability.js';
+import { requireRole, validate, dateQuery } from '../middleware/index.js';
+import { formatErrorResponse, createLogger } from '../utils/index.js';
+
+const logger = createLogger('AvailabilityRoutes');
+
+const router = Router();
+
+/**
+ * Find available engineers
+ * GET /api/availability
+ *
+ * Query: from, to (YYYY-MM-DD, at most 92 days), days (consecutive workdays
+ * needed, 1-60), calendarUrls (repeat for several; defaults to all
+ * calendars), blockingTypes (comma-separated event types that block a day),
+ * includeWeekends (true counts weekends as workdays).
+ *
+ * Answers with the candidates ranked by fit, each with the free windows of
+ * at least `days` workdays, and the engineers without such a window.
+ */
+router.get('/', requireRole('reader'), [
+  dateQuery('from'),
+  dateQuery('to'),
+  query('days').isInt({ min: 1, max: 60 }).withMessage('days must be 1-60').toInt(),
+  query('calendarUrls').optional().toArray(),
+  query('calendarUrls.*').isURL().withMessage('Valid calendar URL required'),
+  query('blockingTypes').optional().isString().withMessage('blockingTypes must be a comma-separated list'),
+  query('includeWeekends').optional().isBoolean().withMessage('includeWeekends must be true or false')
+], validate, async (req, res) => {
+  try {
+    const { from, to, days, calendarUrls, blockingTypes, includeWeekends } = req.query;
+
+    const result = await findAvailability({
+      from,
+      to,
+      days,
+      calendarUrls,
+      includeWeekends: includeWeekends === 'true',
+      ...(blockingTypes !== undefined && {
+        blockingTypes: blockingTypes.split(',').map(type => type.trim()).filter(Boolean)
+      })
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error finding available engineers', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+export default router;
@@ -2,22 +2,26 @@
  * Calendar routes
  * 
  * Provides endpoints for calendar operations:
- * - List all calendars
+ * - List all calendars, with whether the user may edit each
  * - Force refresh CalDAV data
  * 
  * @module routes/calendars
  */
 
 import { Router } from 'express';
-import { requireRole } from '../middleware/index.js';
+import { requireRole, getCalendarAccess, canEditCalendar } from '../middleware/index.js';
 import { calendarCache } from '../services/index.js';
 
 const router = Router();
 
-// Get all available calendars
+// Get all available calendars; `canEdit` tells the UI which ones the user may change
 router.get('/', async (req, res) => {
   try {
-    const calendars = calendarCache.getAllCalendars();
+    const access = await getCalendarAccess(req.session?.user);
+    const calendars = calendarCache.getAllCalendars().map(calendar => ({
+      ...calendar,
+      canEdit: canEditCalendar(access, calendar.url)
+    }));
     res.json({
       calendars,
       _cachedAt: new Date().toISOString(),
@@ -33,10 +37,12 @@ router.get('/', async (req, res) => {
 });
 
 // Force refresh CalDAV data (all calendars)
+// Incremental by default; pass { "full": true } to discard sync tokens and refetch everything
 router.post('/refresh-caldav', requireRole('reader'), async (req, res) => {
   try {
-    console.log('Forcing CalDAV data refresh...');
-    await calendarCache.refreshAllCalendars();
+    const fullSync = req.body?.full === true;
+    console.log(`Forcing CalDAV data refresh (${fullSync ? 'full' : 'incremental'})...`);
+    await calendarCache.refreshAllCalendars({ fullSync });
     res.json({ 
       success: true, 
       message: 'CalDAV data refresh initiated',
@@ -5,23 +5,30 @@
  * - Create all-day events
  * - Search events by summary
  * - Search events across all fields (title, description, metadata)
+ * - Look up support assignments, gaps and handovers; report coverage issues
  * - Get events for timeline (main endpoint)
  * - Update events
  * - Delete events
  * - Move events between calendars
+ * - Apply bulk operations (update, move, delete, shift) in one request
  * - Get individual events by UID
+ * - Stream event changes to clients (server-sent events)
+ * 
+ * Changes are limited to calendars the user may edit (see middleware/permissions).
  * 
  * @module routes/events
  */
 
 import { Router } from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { createRequire } from 'module';
 import { calendarCache } from '../services/calendar.js';
 import { getEventType } from '../services/event-type.js';
+import { getSupportAssignments, getHandovers } from '../services/support.js';
+import { getCoverageReport, formatCoverageCsv, formatCoverageIcs } from '../services/coverage.js';
 import { geocodeLocations } from '../services/geocoding.js';
 import { escapeHtml, formatErrorResponse, createLogger } from '../utils/index.js';
-import { requireRole, validate, eventValidation, uidValidation } from '../middleware/index.js';
+import { requireRole, requireCalendarAccess, validate, eventValidation, uidValidation, recurrenceValidation, bulkValidation, dateQuery, auditFailures } from '../middleware/index.js';
 import { loadEventTypesConfig, getEventTypes } from '../config/index.js';
 import { getSearchTerms as getCountrySearchTerms } from '../utils/country-aliases.js';
 
@@ -32,18 +39,220 @@ const logger = createLogger('EventRoutes');
 
 const requireEditor = requireRole('editor');
 
+/**
+ * Calendars an event change touches: the event's calendar and a move target
+ * @param {string} uid - Event UID
+ * @param {string} [targetCalendarUrl] - Calendar the event moves to
+ * @returns {Promise<Array<string|undefined>>} Calendar URLs (undefined for unknown events)
+ */
+async function eventCalendars(uid, targetCalendarUrl) {
+  const event = uid ? await calendarCache.getEvent(uid) : null;
+  return [event?.calendarUrl, targetCalendarUrl];
+}
+
+// Per-calendar edit permission for creates (body calendar) and changes of existing events
+const requireCreateAccess = requireCalendarAccess(req => [req.body.calendarUrl]);
+const requireEventAccess = requireCalendarAccess(req => eventCalendars(req.params.uid, req.body?.targetCalendarUrl));
+
+// Event stream timings: comment heartbeats keep idle connections open through
+// proxies, retry tells EventSource how long to wait before reconnecting
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_RETRY_MS = 5 * 1000;
+
+// Fields clients may change on an event (whitelist against mass assignment)
+const UPDATABLE_FIELDS = ['summary', 'description', 'location', 'start', 'end', 'timezone', 'rrule', 'meta', 'targetCalendarUrl'];
+
 const router = Router();
 
+/**
+ * Answer 412 Precondition Failed with the current server version
+ * 
+ * @param {import('express').Response} res - Express response
+ * @param {Error} error - Error from CalendarCache carrying currentEvent/currentEtag
+ * @returns {import('express').Response}
+ */
+function sendPreconditionFailed(res, error) {
+  logger.info('If-Match precondition failed', { uid: error.currentEvent?.uid });
+  if (error.currentEtag) {
+    res.set('ETag', error.currentEtag);
+  }
+  return res.status(412).json({
+    success: false,
+    error: 'Event was modified by someone else',
+    currentEvent: error.currentEvent,
+    etag: error.currentEtag
+  });
+}
+
+/**
+ * Answer 409 Conflict with the fields both editors changed
+ * 
+ * @param {import('express').Response} res - Express response
+ * @param {Error} error - Error from CalendarCache carrying conflicts/merged/currentEvent/currentEtag
+ * @returns {import('express').Response}
+ */
+function sendMergeConflict(res, error) {
+  logger.info('Concurrent edits conflict', { uid: error.currentEvent?.uid, fields: error.conflicts.map(c => c.field) });
+  if (error.currentEtag) {
+    res.set('ETag', error.currentEtag);
+  }
+  return res.status(409).json({
+    success: false,
+    error: 'Conflicting changes to the same fields',
+    conflicts: error.conflicts,
+    merged: error.merged,
+    currentEvent: error.currentEvent,
+    etag: error.currentEtag
+  });
+}
+
+/**
+ * Format a cached event as a vis-timeline item
+ * 
+ * Shared by the timeline endpoint and the event stream so streamed deltas
+ * can replace items clients already hold.
+ * 
+ * @param {Object} event - Cached event from CalendarCache
+ * @param {string|null} groupId - Timeline group id of the event's calendar
+ * @param {{lat: number, lon: number}|null} geocoded - Geocoded location
+ * @returns {Object} Timeline item
+ */
+function formatTimelineItem(event, groupId, geocoded) {
+  const eventType = getEventType(event.summary || '');
+  const isRecurring = event.type === 'occurrence';
+  const eventId = isRecurring 
+    ? `${event.calendar}-${event.uid}-${event.start}`
+    : `${event.calendar}-${event.uid}`;
+  
+  // Get the event type configuration
+  const eventTypes = getEventTypes();
+  const typeConfig = eventTypes[eventType] || eventTypes._default;
+  
+  // Debug log to check event data
+  if (event.description) {
+    logger.debug('Event has description', { summary: event.summary, hasDescription: true });
+  }
+
+  // Format the date and time
+  const formatDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString);
+    return date.toLocaleString(undefined, { 
+      weekday: 'long', 
+      year: 'numeric', 
+      month: 'long', 
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  // Format the time only
+  const formatTime = (dateString) => {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+  };
+
+  // Create tooltip content
+  const tooltipContent = [];
+  
+  // Add title
+  tooltipContent.push(`<div style="font-weight: bold; margin-bottom: 8px; font-size: 1.1em;">${escapeHtml(event.summary || 'No title')}</div>`);
+  
+  // Add date and time
+  if (event.start && event.end) {
+    tooltipContent.push(`
+      <div style="margin-bottom: 8px;">
+        <div>📅 ${formatDate(event.start)}</div>
+        <div>⏱️ ${formatTime(event.start)} - ${formatTime(event.end)}</div>
+      </div>
+    `);
+  }
+  
+  // Add location if available
+  if (event.location) {
+    tooltipContent.push(`<div style="margin-bottom: 8px;">📍 ${escapeHtml(event.location)}</div>`);
+  }
+  
+  // Add description if available
+  if (event.description) {
+    const description = escapeHtml(event.description)
+      .replace(/\n/g, '<br>');
+    tooltipContent.push(`
+      <div style="margin-top: 8px; padding: 8px; background: #f8f9fa; border-radius: 4px; max-width: 300px; max-height: 200px; overflow: auto;">
+        ${description}
+      </div>
+    `);
+  }
+  
+  const eventDetails = tooltipContent.join('');
+
+  // Create the item in vis-timeline format
+  return {
+    id: eventId,
+    group: groupId,
+    content: event.summary || 'No title',
+    start: event.start,
+    end: event.end,
+    allDay: event.allDay !== false,
+    timezone: event.timezone || null,
+    className: `event-type-${eventType}${isRecurring ? ' recurring' : ''}`,
+    title: event.summary || 'No title', // Simple title for the native tooltip
+    description: event.description || '', // Plain text description (YAML removed)
+    descriptionRaw: event.descriptionRaw || event.description || '', // Full description as stored in CalDAV
+    meta: event.meta || null,
+    location: event.location || '', // Store location separately
+    geocoded: geocoded || null, // Add geocoded coordinates {lat, lon}
+    etag: calendarCache.getEventEtag(event), // If-Match for edits of exactly this version
+    // Store all the data we need for the custom tooltip
+    dataAttributes: {
+      'data-summary': event.summary || 'No title',
+      'data-start': event.start,
+      'data-end': event.end,
+      'data-location': event.location || '',
+      'data-description': event.description || '',
+      'data-meta': event.meta ? JSON.stringify(event.meta) : ''
+    },
+    type: 'range',
+    style: [
+      `background-color: ${typeConfig.color};`,
+      `border-color: ${typeConfig.borderColor || typeConfig.color};`,
+      'color: #000000;',  // Black text for better readability
+      'border-width: 1px;',
+      'border-style: solid;',
+      'border-radius: 4px;',
+      'font-weight: 300;',
+      'padding: 2px 6px;',
+      'box-sizing: border-box;',
+      'font-size: 11px;',
+      'line-height: 1.4;',
+      'overflow: hidden;',
+      'text-overflow: ellipsis;',
+      'white-space: nowrap;',
+      'text-align: left;',
+      'letter-spacing: 0.3px;',
+      'font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;',
+      isRecurring ? 'background-image: repeating-linear-gradient(-45deg, rgba(0,0,0,0.1), rgba(0,0,0,0.1) 5px, transparent 5px, transparent 10px);' : ''
+    ].filter(Boolean).join(' '),
+    ...(isRecurring && {
+      isRecurring: true,
+      recurringEventId: event.uid,
+      recurrenceId: event.recurrenceId || null,
+      rrule: event.rrule || null
+    })
+  };
+}
+
 // Create a new all-day event (inclusive start/end dates)
-router.post('/all-day', requireEditor, [
+router.post('/all-day', auditFailures('CREATE'), requireEditor, [
   body('calendarUrl').trim().isURL().withMessage('Valid calendar URL required'),
   body('summary').trim().isLength({ min: 1, max: 500 }).withMessage('Summary required (1-500 chars)'),
   body('start').isISO8601().withMessage('Valid start date required'),
   body('end').isISO8601().withMessage('Valid end date required'),
   ...eventValidation,
-], validate, async (req, res) => {
+], validate, requireCreateAccess, async (req, res) => {
   try {
-    const { calendarUrl, summary, description, location, start, end, meta } = req.body || {};
+    const { calendarUrl, summary, description, location, start, end, meta, rrule } = req.body || {};
     if (!calendarUrl || !summary || !start || !end) {
       return res.status(400).json({
         success: false,
@@ -65,6 +274,7 @@ router.post('/all-day', requireEditor, [
       start,
       end,
       meta,
+      rrule: rrule || undefined,
       user
     });
 
@@ -81,8 +291,109 @@ router.post('/all-day', requireEditor, [
   }
 });
 
-// Delete an event by UID
-router.delete('/:uid', requireRole('editor'), uidValidation, validate, async (req, res) => {
+// Create a new event, all-day or timed. Timed events take ISO date-times;
+// values without an offset are wall-clock times in `timezone` (IANA, default UTC).
+// An optional `rrule` makes it a recurring series starting at start/end.
+router.post('/create', auditFailures('CREATE'), requireEditor, [
+  body('calendarUrl').trim().isURL().withMessage('Valid calendar URL required'),
+  body('summary').trim().isLength({ min: 1, max: 500 }).withMessage('Summary required (1-500 chars)'),
+  body('start').isISO8601().withMessage('Valid start date required'),
+  body('end').isISO8601().withMessage('Valid end date required'),
+  body('allDay').optional().isBoolean().withMessage('allDay must be a boolean').toBoolean(),
+  ...eventValidation,
+], validate, requireCreateAccess, async (req, res) => {
+  try {
+    const { calendarUrl, summary, description, location, start, end, allDay, timezone, meta, rrule } = req.body || {};
+
+    // Extract user info from session for audit logging
+    const user = req.session?.user ? {
+      email: req.session.user.email,
+      name: req.session.user.name
+    } : undefined;
+
+    const result = await calendarCache.createEvent({
+      calendarUrl,
+      summary,
+      description: description || '',
+      location: location || '',
+      start,
+      end,
+      allDay,
+      timezone,
+      meta,
+      rrule: rrule || undefined,
+      user
+    });
+
+    // Kick off a background refresh so subsequent reads include the new event
+    calendarCache.refreshAllCalendars().catch(err => {
+      logger.error('Background refresh after create failed', err);
+    });
+
+    res.json({ success: true, event: result });
+  } catch (error) {
+    logger.error('Error creating event', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+// Apply several operations in one request: update (changes), move (targetCalendarUrl),
+// delete, and shift (days). Operations run in order and independently; each gets a
+// result, the audit entries share one batch id, and calendars refresh once at the end.
+router.post('/bulk', auditFailures('BULK'), requireEditor, bulkValidation, validate, requireCalendarAccess(async req => {
+  // Moves name their target; updates can move too (changes.targetCalendarUrl, as with PUT /:uid)
+  const calendars = await Promise.all(req.body.operations.map(op => Promise.all([
+    eventCalendars(op.uid, op.op === 'move' ? op.targetCalendarUrl : undefined),
+    op.op === 'update' ? [op.changes?.targetCalendarUrl] : []
+  ])));
+  return calendars.flat(2);
+}), async (req, res) => {
+  try {
+    // Extract user info from session for audit logging
+    const user = req.session?.user ? {
+      email: req.session.user.email,
+      name: req.session.user.name
+    } : undefined;
+
+    const operations = req.body.operations.map(({ op, uid, changes, targetCalendarUrl, days, scope, recurrenceId, ifMatch }) => {
+      const operation = { op, uid, targetCalendarUrl, days, scope, recurrenceId, ifMatch };
+      if (changes) {
+        operation.changes = {};
+        for (const field of UPDATABLE_FIELDS) {
+          if (changes[field] !== undefined) {
+            operation.changes[field] = changes[field];
+          }
+        }
+      }
+      return operation;
+    });
+
+    logger.info('Applying bulk operations', { count: operations.length });
+    const { batchId, results } = await calendarCache.applyBulkOperations(operations, user);
+
+    // One refresh for the whole batch
+    calendarCache.refreshAllCalendars().catch(err => {
+      logger.error('Background refresh after bulk operations failed', err);
+    });
+
+    const failed = results.filter(result => !result.success).length;
+    res.json({
+      success: failed === 0,
+      batchId,
+      results,
+      summary: { total: results.length, succeeded: results.length - failed, failed }
+    });
+  } catch (error) {
+    logger.error('Error applying bulk operations', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+// Delete an event by UID. For recurring events, `?scope=this|following&recurrenceId=`
+// deletes one occurrence or an occurrence and all later ones instead of the series.
+router.delete('/:uid', auditFailures('DELETE'), requireRole('editor'), uidValidation, recurrenceValidation, validate, requireEventAccess, async (req, res) => {
   try {
     const { uid } = req.params;
     if (!uid) {
@@ -95,7 +406,8 @@ router.delete('/:uid', requireRole('editor'), uidValidation, validate, async (re
       name: req.session.user.name
     } : undefined;
 
-    const deleted = await calendarCache.deleteEvent(uid, user);
+    const { scope, recurrenceId } = req.query;
+    const deleted = await calendarCache.deleteEvent(uid, user, { scope, recurrenceId });
     if (!deleted) {
       return res.status(404).json({ success: false, error: 'Event not found or could not be deleted' });
     }
@@ -109,7 +421,7 @@ router.delete('/:uid', requireRole('editor'), uidValidation, validate, async (re
     res.json({ success: true });
   } catch (error) {
     logger.error('Error deleting event', error);
-    res.status(500).json({ success: false, error: error.message || 'Failed to delete event' });
+    res.status(error.statusCode === 400 ? 400 : 500).json({ success: false, error: error.message || 'Failed to delete event' });
   }
 });
 
@@ -349,70 +661,125 @@ router.get('/search-events', requireRole('reader'), async (req, res) => {
   }
 });
 
+/**
+ * Today's date on the server (YYYY-MM-DD, local time)
+ * @returns {string}
+ */
+function localToday() {
+  const today = new Date();
+  const yyyy = today.getFullYear();
+  const mm = String(today.getMonth() + 1).padStart(2, '0');
+  const dd = String(today.getDate()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}`;
+}
+
 // Get today's support assignments from event titles
-// Looks for events whose summary matches:
+// Looks for events whose summary matches a support slot (see config/support-slots):
 // - "Support 1 <name>"
 // - "Support 2 <name>"
 router.get('/support-today', requireRole('reader'), async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const yyyy = today.getFullYear();
-    const mm = String(today.getMonth() + 1).padStart(2, '0');
-    const dd = String(today.getDate()).padStart(2, '0');
-    const dateStr = `${yyyy}-${mm}-${dd}`;
+    const date = localToday();
+    const { days, events } = await getSupportAssignments({ from: date, to: date });
 
-    const cacheKeys = calendarCache.cache.keys();
-    const allCalendarUrls = cacheKeys
-      .filter(key => key.startsWith('calendar:'))
-      .map(key => key.replace('calendar:', ''));
+    return res.json({
+      success: true,
+      date,
+      assignments: days[0].assignments,
+      count: events.length,
+      events
+    });
+  } catch (error) {
+    logger.error('Error fetching support assignments for today', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    return res.status(status).json(body);
+  }
+});
 
-    const { events } = await calendarCache.getEvents(allCalendarUrls, dateStr, dateStr);
-
-    const assignments = {
-      'Support 1': null,
-      'Support 2': null
-    };
-
-    const supportEvents = [];
-
-    const parseSupportAssignment = (summary) => {
-      if (!summary) return null;
-      const m = String(summary).trim().match(/^support\s*([12])\s*[:\-]?\s*(.*)$/i);
-      if (!m) return null;
-      const slot = m[1] === '1' ? 'Support 1' : 'Support 2';
-      const name = String(m[2] || '').trim();
-      return { slot, name: name || null };
-    };
-
-    for (const ev of events || []) {
-      const parsed = parseSupportAssignment(ev.summary);
-      if (!parsed) continue;
-      const assignee = parsed.name || ev.calendarName || null;
-      assignments[parsed.slot] = assignee ? {
-        name: assignee,
-        start: ev.start,
-        end: ev.end
-      } : null;
-      supportEvents.push({
-        uid: ev.uid,
-        summary: ev.summary,
-        start: ev.start,
-        end: ev.end,
-        calendar: ev.calendar,
-        calendarName: ev.calendarName
-      });
+// Get support assignments for a date (?date=) or range (?from=&to=), today by default
+// Reports days without a required slot (gaps) and slots with several assignees (doubleBookings)
+router.get('/support', requireRole('reader'), [
+  dateQuery('date').optional(),
+  dateQuery('from').optional(),
+  dateQuery('to').optional(),
+  query('date').custom((date, { req }) => {
+    if (date && (req.query.from || req.query.to)) {
+      throw new Error('Use either date or from/to');
     }
+    return true;
+  })
+], validate, async (req, res) => {
+  try {
+    const from = req.query.date || req.query.from || req.query.to || localToday();
+    const to = req.query.date || req.query.to || from;
+
+    const result = await getSupportAssignments({ from, to });
 
     return res.json({
       success: true,
-      date: dateStr,
-      assignments,
-      count: supportEvents.length,
-      events: supportEvents
+      ...result
     });
   } catch (error) {
-    logger.error('Error fetching support assignments for today', error);
+    logger.error('Error fetching support assignments', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    return res.status(status).json(body);
+  }
+});
+
+// Get upcoming support handovers: who takes over which slot when (?from=&to=, next 4 weeks by default)
+router.get('/support/handovers', requireRole('reader'), [
+  dateQuery('from').optional(),
+  dateQuery('to').optional()
+], validate, async (req, res) => {
+  try {
+    const from = req.query.from || localToday();
+
+    const result = await getHandovers({ from, to: req.query.to });
+
+    return res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error fetching support handovers', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    return res.status(status).json(body);
+  }
+});
+
+// Report support coverage issues: unstaffed slots, assignees who are away or abroad (?from=&to=, next 4 weeks by default)
+// format=json (default), csv or ics (one all-day entry per issue, for subscribing in a calendar app)
+router.get('/support/coverage', requireRole('reader'), [
+  dateQuery('from').optional(),
+  dateQuery('to').optional(),
+  query('format').optional().isIn(['json', 'csv', 'ics']).withMessage('format must be json, csv or ics'),
+  query('includeWeekends').optional().isBoolean().withMessage('includeWeekends must be true or false'),
+  query('homeCountry').optional().matches(/^[A-Za-z]{2}$/).withMessage('homeCountry must be a two-letter country code')
+], validate, async (req, res) => {
+  try {
+    const { format = 'json', to, includeWeekends, homeCountry } = req.query;
+    const from = req.query.from || localToday();
+
+    const report = await getCoverageReport({
+      from,
+      to,
+      includeWeekends: includeWeekends !== 'false',
+      ...(homeCountry && { homeCountryCode: homeCountry })
+    });
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        ...report
+      });
+    }
+
+    const filename = `support-coverage-${report.from}-${report.to}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(format === 'csv' ? formatCoverageCsv(report) : formatCoverageIcs(report));
+  } catch (error) {
+    logger.error('Error building support coverage report', error);
     const { status, body } = formatErrorResponse(error, 500);
     return res.status(status).json(body);
   }
@@ -490,133 +857,15 @@ router.post('/', async (req, res) => {
     // Then process each event
     cachedEvents.forEach(event => {
       try {
-        const eventType = getEventType(event.summary || '');
-        const isRecurring = event.type === 'occurrence';
-        const eventId = isRecurring 
-          ? `${event.calendar}-${event.uid}-${event.start}`
-          : `${event.calendar}-${event.uid}`;
-        
         const groupId = groupMap.get(event.calendar);
         if (!groupId) {
           logger.warn('No group found for calendar URL', { calendar: event.calendar });
           return;
         }
         
-        // Get the event type configuration
-        const eventTypes = getEventTypes();
-        const typeConfig = eventTypes[eventType] || eventTypes._default;
-        
-        // Debug log to check event data
-        if (event.description) {
-          logger.debug('Event has description', { summary: event.summary, hasDescription: true });
-        }
-
-        // Format the date and time
-        const formatDate = (dateString) => {
-          if (!dateString) return '';
-          const date = new Date(dateString);
-          return date.toLocaleString(undefined, { 
-            weekday: 'long', 
-            year: 'numeric', 
-            month: 'long', 
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-          });
-        };
-
-        // Format the time only
-        const formatTime = (dateString) => {
-          if (!dateString) return '';
-          return new Date(dateString).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-        };
-
-        // Create tooltip content
-        const tooltipContent = [];
-        
-        // Add title
-        tooltipContent.push(`<div style="font-weight: bold; margin-bottom: 8px; font-size: 1.1em;">${escapeHtml(event.summary || 'No title')}</div>`);
-        
-        // Add date and time
-        if (event.start && event.end) {
-          tooltipContent.push(`
-            <div style="margin-bottom: 8px;">
-              <div>📅 ${formatDate(event.start)}</div>
-              <div>⏱️ ${formatTime(event.start)} - ${formatTime(event.end)}</div>
-            </div>
-          `);
-        }
-        
-        // Add location if available
-        if (event.location) {
-          tooltipContent.push(`<div style="margin-bottom: 8px;">📍 ${escapeHtml(event.location)}</div>`);
-        }
-        
-        // Add description if available
-        if (event.description) {
-          const description = escapeHtml(event.description)
-            .replace(/\n/g, '<br>');
-          tooltipContent.push(`
-            <div style="margin-top: 8px; padding: 8px; background: #f8f9fa; border-radius: 4px; max-width: 300px; max-height: 200px; overflow: auto;">
-              ${description}
-            </div>
-          `);
-        }
-        
-        const eventDetails = tooltipContent.join('');
-
-        // Create the item in vis-timeline format
         // Get geocoded coordinates if location exists
         const geocoded = event.location ? geocodedLocations.get(event.location) : null;
-
-        const item = {
-          id: eventId,
-          group: groupId,
-          content: event.summary || 'No title',
-          start: event.start,
-          end: event.end,
-          className: `event-type-${eventType}${isRecurring ? ' recurring' : ''}`,
-          title: event.summary || 'No title', // Simple title for the native tooltip
-          description: event.description || '', // Plain text description (YAML removed)
-          descriptionRaw: event.descriptionRaw || event.description || '', // Full description as stored in CalDAV
-          meta: event.meta || null,
-          location: event.location || '', // Store location separately
-          geocoded: geocoded || null, // Add geocoded coordinates {lat, lon}
-          // Store all the data we need for the custom tooltip
-          dataAttributes: {
-            'data-summary': event.summary || 'No title',
-            'data-start': event.start,
-            'data-end': event.end,
-            'data-location': event.location || '',
-            'data-description': event.description || '',
-            'data-meta': event.meta ? JSON.stringify(event.meta) : ''
-          },
-          type: 'range',
-          style: [
-            `background-color: ${typeConfig.color};`,
-            `border-color: ${typeConfig.borderColor || typeConfig.color};`,
-            'color: #000000;',  // Black text for better readability
-            'border-width: 1px;',
-            'border-style: solid;',
-            'border-radius: 4px;',
-            'font-weight: 300;',
-            'padding: 2px 6px;',
-            'box-sizing: border-box;',
-            'font-size: 11px;',
-            'line-height: 1.4;',
-            'overflow: hidden;',
-            'text-overflow: ellipsis;',
-            'white-space: nowrap;',
-            'text-align: left;',
-            'letter-spacing: 0.3px;',
-            'font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;',
-            isRecurring ? 'background-image: repeating-linear-gradient(-45deg, rgba(0,0,0,0.1), rgba(0,0,0,0.1) 5px, transparent 5px, transparent 10px);' : ''
-          ].filter(Boolean).join(' '),
-          ...(isRecurring && {
-            isRecurring: true,
-            recurringEventId: event.uid
-          })
-        };
+        const item = formatTimelineItem(event, groupId, geocoded);
         
         items.push(item);
       } catch (error) {
@@ -667,16 +916,66 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Stream event changes as server-sent events
+// Each `change` message carries the timeline items added or changed in one
+// calendar (without `group`, clients map calendarUrl to their own groups)
+// and the ids of removed items.
+router.get('/stream', requireRole('reader'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  
+  let closed = false;
+  
+  const onChange = async ({ calendarUrl, upserted, removed }) => {
+    try {
+      const uniqueLocations = [...new Set(upserted.map(e => e.location).filter(Boolean))];
+      const geocodedLocations = uniqueLocations.length > 0 ? await geocodeLocations(uniqueLocations) : new Map();
+      const items = upserted.map(event =>
+        formatTimelineItem(event, null, event.location ? geocodedLocations.get(event.location) : null)
+      );
+      if (closed) return;
+      res.write(`event: change\ndata: ${JSON.stringify({ calendarUrl, upserted: items, removed })}\n\n`);
+    } catch (error) {
+      logger.error('Error streaming event change', error);
+    }
+  };
+  
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, STREAM_HEARTBEAT_MS);
+  
+  calendarCache.on('change', onChange);
+  logger.debug('Event stream opened', { user: req.session?.user?.email });
+  
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    calendarCache.off('change', onChange);
+    logger.debug('Event stream closed', { user: req.session?.user?.email });
+  });
+});
+
 // Update an event by UID
-router.put('/:uid', requireRole('editor'), uidValidation, eventValidation, validate, async (req, res) => {
+// Honours If-Match: edits of a stale version are merged field by field with the
+// server version (409 with the conflicting fields if both changed the same one,
+// 412 if the stale version is unknown), `If-Match: *` forces the overwrite,
+// no header keeps last-write-wins behaviour.
+// Recurring events take `scope` (all, this, following) and the `recurrenceId` of the
+// edited occurrence; series edits are not merged (a stale If-Match answers 412).
+router.put('/:uid', auditFailures('UPDATE'), requireRole('editor'), uidValidation, eventValidation, recurrenceValidation, validate, requireEventAccess, async (req, res) => {
   try {
     const { uid } = req.params;
     
     // Whitelist allowed fields to prevent mass assignment
-    const allowedFields = ['summary', 'description', 'location', 'start', 'end', 'meta', 'targetCalendarUrl'];
     const updateData = {};
     
-    for (const field of allowedFields) {
+    for (const field of UPDATABLE_FIELDS) {
       if (req.body[field] !== undefined) {
         updateData[field] = req.body[field];
       }
@@ -698,7 +997,9 @@ router.put('/:uid', requireRole('editor'), uidValidation, eventValidation, valid
     } : undefined;
     
     // Update the event in the calendar cache
-    const updatedEvent = await calendarCache.updateEvent(uid, updateData, authHeader, user);
+    const ifMatch = req.get('If-Match');
+    const { scope, recurrenceId } = req.body;
+    const updatedEvent = await calendarCache.updateEvent(uid, updateData, authHeader, user, { ifMatch, scope, recurrenceId });
     
     if (!updatedEvent) {
       return res.status(404).json({ success: false, error: 'Event not found or update failed' });
@@ -711,9 +1012,22 @@ router.put('/:uid', requireRole('editor'), uidValidation, eventValidation, valid
       logger.error('Background refresh after update failed', err);
     });
     
+    // Series edits answer with the edited occurrence (the UID names the whole series)
+    if (updatedEvent.scope) {
+      if (updatedEvent.etag) {
+        res.set('ETag', updatedEvent.etag);
+      }
+      return res.json({ success: true, message: 'Event updated successfully', event: updatedEvent });
+    }
+    
     // Get the complete updated event data
     const completeEvent = await calendarCache.getEvent(uid);
     
+    const etag = updatedEvent.etag || calendarCache.getEventEtag(completeEvent);
+    if (etag) {
+      res.set('ETag', etag);
+    }
+    
     if (!completeEvent) {
       logger.warn('Could not fetch complete event data after update', { uid });
       return res.json({
@@ -726,15 +1040,25 @@ router.put('/:uid', requireRole('editor'), uidValidation, eventValidation, valid
     res.json({
       success: true,
       message: 'Event updated successfully',
-      event: completeEvent
+      event: completeEvent,
+      ...(updatedEvent.mergedFields && { mergedFields: updatedEvent.mergedFields })
     });
     
   } catch (error) {
+    if (error.statusCode === 412) {
+      return sendPreconditionFailed(res, error);
+    }
+    if (error.statusCode === 409 && error.conflicts) {
+      return sendMergeConflict(res, error);
+    }
+    
     logger.error('Error updating event', error);
     
     // Determine appropriate status code based on error
     let statusCode = 500;
-    if (error.message.includes('not found')) {
+    if (error.statusCode === 400) {
+      statusCode = 400; // Invalid time zone or date range
+    } else if (error.message.includes('not found')) {
       statusCode = 404;
     } else if (error.message.includes('412') || error.message.includes('Precondition Failed')) {
       statusCode = 409; // Conflict - someone else modified the event
@@ -765,9 +1089,16 @@ router.get('/:uid', uidValidation, validate, async (req, res) => {
       return res.status(404).json({ error: 'Event not found' });
     }
     
+    // ETag for optimistic concurrency on PUT /:uid and POST /:uid/move
+    const etag = calendarCache.getEventEtag(event);
+    if (etag) {
+      res.set('ETag', etag);
+    }
+    
     res.json({
       success: true,
-      event
+      event,
+      etag
     });
     
   } catch (error) {
@@ -779,8 +1110,8 @@ router.get('/:uid', uidValidation, validate, async (req, res) => {
   }
 });
 
-// Move event to a different calendar
-router.post('/:uid/move', requireRole('editor'), async (req, res) => {
+// Move event to a different calendar (honours If-Match like PUT /:uid)
+router.post('/:uid/move', auditFailures('MOVE'), requireRole('editor'), requireEventAccess, async (req, res) => {
   try {
     const { uid } = req.params;
     const { targetCalendarUrl } = req.body;
@@ -796,8 +1127,15 @@ router.post('/:uid/move', requireRole('editor'), async (req, res) => {
       return res.status(400).json({ error: 'Target calendar URL is required' });
     }
 
+    // Extract user info from session for audit logging
+    const user = req.session?.user ? {
+      email: req.session.user.email,
+      name: req.session.user.name
+    } : undefined;
+
     // Move the event
-    const movedEvent = await calendarCache.moveEvent(uid, targetCalendarUrl);
+    const ifMatch = req.get('If-Match');
+    const movedEvent = await calendarCache.moveEvent(uid, targetCalendarUrl, user, { ifMatch });
     
     // Kick off a background refresh so subsequent reads reflect the moved event
     calendarCache.refreshAllCalendars().catch(err => {
@@ -814,6 +1152,9 @@ router.post('/:uid/move', requireRole('editor'), async (req, res) => {
     });
 
   } catch (error) {
+    if (error.statusCode === 412) {
+      return sendPreconditionFailed(res, error);
+    }
     logger.error('Error moving event', error);
     res.status(500).json({ 
       error: 'Failed to move event',
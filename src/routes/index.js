@@ -12,6 +12,12 @@ import calendarsRouter from './calendars.js';
 import healthRouter from './health.js';
 import clientRouter from './client.js';
 import auditRouter from './audit.js';
+import rolesRouter from './roles.js';
+import tokensRouter from './tokens.js';
+import sessionsRouter from './sessions.js';
+import rotaRouter from './rota.js';
+import availabilityRouter from './availability.js';
+import skillsRouter from './skills.js';
 
 /**
  * Register all application routes
@@ -20,6 +26,12 @@ import auditRouter from './audit.js';
  * - /api/events - Event CRUD operations
  * - /api/calendars - Calendar operations
  * - /api/audit - Audit history and undo operations
+ * - /api/roles - Role grants (admin)
+ * - /api/tokens - API tokens for bots (admin)
+ * - /api/sessions - Active sessions (admin)
+ * - /api/rota - Support rota planning
+ * - /api/availability - Free engineers for a date window
+ * - /api/skills - System experts and engineer suggestions
  * - /health - Health check endpoints
  * - / - Client utilities (logging, logged-out page)
  * 
@@ -31,6 +43,12 @@ export function registerRoutes(app) {
   app.use('/api/events', eventsRouter);
   app.use('/api/calendars', calendarsRouter);
   app.use('/api/audit', auditRouter);
+  app.use('/api/roles', rolesRouter);
+  app.use('/api/tokens', tokensRouter);
+  app.use('/api/sessions', sessionsRouter);
+  app.use('/api/rota', rotaRouter);
+  app.use('/api/availability', availabilityRouter);
+  app.use('/api/skills', skillsRouter);
   app.use('/api', calendarsRouter); // For /api/refresh-caldav
   app.use('/api', clientRouter);
   
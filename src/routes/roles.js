@@ -0,0 +1,198 @@
+/**
+ * Role management routes
+ *
+ * Admin API for role grants stored in the database, so roles can be
+ * changed without redeploying.
+ *
+ * Features:
+ * - List grants and the env defaults they take precedence over
+ * - Grant a role to an email or group, optionally until an expiry date
+ * - Revoke a grant (the env mapping applies again)
+ * - Set the calendars an email or group (e.g. a team lead) may edit
+ *
+ * Admins cannot take away their own admin role, so the last admin cannot
+ * lock everyone out by accident.
+ *
+ * @module routes/roles
+ */
+
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { roleService, ROLES, SUBJECT_TYPES } from '../services/roles.js';
+import { requireRole, validate } from '../middleware/index.js';
+import { formatErrorResponse, httpError, createLogger, actorOf } from '../utils/index.js';
+
+const logger = createLogger('RoleRoutes');
+
+const router = Router();
+
+/**
+ * Reject changes that would take away the acting admin's own admin role
+ *
+ * Only applies to users signed in through OIDC; with auth disabled or for
+ * bots the role does not come from grants.
+ *
+ * @param {Object} [user] - Session user
+ * @param {Object} change - Grant change ({ type, subject, role, expiresAt }, role null to revoke)
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode 409 if the user would no longer be admin
+ */
+async function assertKeepsOwnAdmin(user, change) {
+  if (!user?.sub) return;
+
+  const { role } = await roleService.previewRole(user, change);
+  if (role !== 'admin') {
+    throw httpError(409, `This change would make you ${role} and remove your own admin role`);
+  }
+}
+
+const subjectTypeValidation = (location) => location('type').isIn(SUBJECT_TYPES).withMessage('type must be email or group');
+
+// Emails must look like emails; group names are whatever the IdP sends
+const subjectValidation = (location) => location('subject')
+  .trim()
+  .notEmpty().withMessage('subject is required')
+  .isLength({ max: 320 }).withMessage('subject must be at most 320 characters')
+  .custom((subject, { req }) => {
+    const type = req.body?.type || req.params?.type;
+    if (type === 'email' && !/^[^\s@]+@[^\s@]+$/.test(subject)) {
+      throw new Error('subject must be an email address');
+    }
+    return true;
+  });
+
+/**
+ * List role grants
+ * GET /api/roles
+ *
+ * Returns all grants (expired ones flagged), calendar grants and the env defaults.
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const grants = await roleService.listGrants();
+    const calendarGrants = await roleService.listCalendarGrants();
+
+    res.json({
+      success: true,
+      grants,
+      calendarGrants,
+      defaults: roleService.defaults
+    });
+  } catch (error) {
+    logger.error('Error listing role grants', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Grant a role
+ * POST /api/roles
+ *
+ * Body: { type, subject, role, expiresAt?, note? }
+ * - type: email or group
+ * - role: reader, editor or admin
+ * - expiresAt: ISO 8601 timestamp in the future; permanent without it
+ *
+ * Replaces an existing grant of the same email or group.
+ */
+router.post('/', requireRole('admin'), [
+  subjectTypeValidation(body),
+  subjectValidation(body),
+  body('role').isIn(ROLES).withMessage('role must be reader, editor or admin'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('expiresAt must be an ISO 8601 timestamp')
+    .bail()
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('expiresAt must be in the future');
+      }
+      return true;
+    }),
+  body('note').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('note must be at most 500 characters')
+], validate, async (req, res) => {
+  try {
+    const { type, subject, role, expiresAt, note } = req.body;
+
+    await assertKeepsOwnAdmin(req.session?.user, { type, subject, role, expiresAt });
+
+    const grant = await roleService.grantRole({ type, subject, role, expiresAt, note }, actorOf(req));
+
+    res.json({
+      success: true,
+      grant
+    });
+  } catch (error) {
+    logger.error('Error granting role', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Set the calendars an email or group may edit
+ * PUT /api/roles/calendars/:type/:subject
+ *
+ * Body: { calendarUrls } - replaces the previous set; an empty list revokes it
+ *
+ * Editors may always edit their own calendars; these are additional ones.
+ */
+router.put('/calendars/:type/:subject', requireRole('admin'), [
+  subjectTypeValidation(param),
+  subjectValidation(param),
+  body('calendarUrls').isArray({ max: 200 }).withMessage('calendarUrls must be an array of at most 200 calendar URLs'),
+  body('calendarUrls.*').isString().trim().isURL().withMessage('calendarUrls must contain valid calendar URLs')
+], validate, async (req, res) => {
+  try {
+    const { type, subject } = req.params;
+
+    const grant = await roleService.setCalendarGrants({ type, subject, calendarUrls: req.body.calendarUrls }, actorOf(req));
+
+    res.json({
+      success: true,
+      grant
+    });
+  } catch (error) {
+    logger.error('Error setting calendar grants', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Revoke a role grant
+ * DELETE /api/roles/:type/:subject
+ *
+ * The env mapping of the email or group applies again.
+ */
+router.delete('/:type/:subject', requireRole('admin'), [
+  subjectTypeValidation(param),
+  subjectValidation(param)
+], validate, async (req, res) => {
+  try {
+    const { type, subject } = req.params;
+
+    await assertKeepsOwnAdmin(req.session?.user, { type, subject, role: null });
+
+    const revoked = await roleService.revokeRole({ type, subject }, actorOf(req));
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: `No role granted to ${type} ${subject}`
+      });
+    }
+
+    res.json({
+      success: true,
+      revoked
+    });
+  } catch (error) {
+    logger.error('Error revoking role', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+export default router;
@@ -0,0 +1,123 @@
+/**
+ * Support rota routes
+ *
+ * Plans the daily Support 1 / Support 2 rota from the engineers' calendars
+ * (see services/rota for the rules) and creates it as all-day events.
+ *
+ * Features:
+ * - Preview a rota without changing anything
+ * - Create the previewed rota in one audited batch (undo it with
+ *   POST /api/audit/undo-batch/:batchId)
+ *
+ * Creating requires edit access to every engineer calendar.
+ *
+ * @module routes/rota
+ */
+
+import { Router } from 'express';
+import { body } from 'express-validator';
+import { calendarCache } from '../services/calendar.js';
+import { previewRota, createRota } from '../services/rota.js';
+import { requireRole, requireCalendarAccess, validate, auditFailures } from '../middleware/index.js';
+import { formatErrorResponse, createLogger } from '../utils/index.js';
+
+const logger = createLogger('RotaRoutes');
+
+const router = Router();
+
+const rotaValidation = [
+  body('calendarUrls').isArray({ min: 2, max: 50 }).withMessage('calendarUrls must be an array of 2-50 engineer calendars'),
+  body('calendarUrls.*').isString().trim().isURL().withMessage('Valid calendar URL required'),
+  body('from').isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('from must be a date (YYYY-MM-DD)'),
+  body('to').isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('to must be a date (YYYY-MM-DD)'),
+  body('rules').optional().isObject().withMessage('rules must be an object'),
+  body('rules.maxConsecutiveDays').optional().isInt({ min: 1, max: 31 }).withMessage('maxConsecutiveDays must be 1-31').toInt(),
+  body('rules.includeWeekends').optional().isBoolean({ strict: true }).withMessage('includeWeekends must be a boolean'),
+  body('rules.unavailableTypes').optional().isArray({ max: 50 }).withMessage('unavailableTypes must be an array of event types'),
+  body('rules.unavailableTypes.*').isString().trim().notEmpty().withMessage('unavailableTypes must be an array of event types')
+];
+
+/**
+ * Rota input from a validated request
+ * @param {import('express').Request} req - Request
+ * @returns {Object} Parameters for previewRota/createRota
+ */
+function rotaParams(req) {
+  const { calendarUrls, from, to, rules = {} } = req.body;
+  const { maxConsecutiveDays, includeWeekends, unavailableTypes } = rules;
+  return {
+    calendarUrls,
+    from,
+    to,
+    rules: Object.fromEntries(
+      Object.entries({ maxConsecutiveDays, includeWeekends, unavailableTypes }).filter(([, value]) => value !== undefined)
+    )
+  };
+}
+
+/**
+ * Preview a support rota
+ * POST /api/rota/preview
+ *
+ * Body: { calendarUrls, from, to, rules? }
+ * - calendarUrls: engineer calendars in rotation order
+ * - from, to: first and last day (YYYY-MM-DD, at most 92 days)
+ * - rules: { maxConsecutiveDays?, includeWeekends?, unavailableTypes? }
+ *
+ * Answers with the plan: per-day assignments (existing support events are
+ * flagged `existing`) and absences, the events that would be created,
+ * unfilled slots (`gaps`) and the support days per engineer.
+ */
+router.post('/preview', requireRole('editor'), rotaValidation, validate, async (req, res) => {
+  try {
+    const plan = await previewRota(rotaParams(req));
+
+    res.json({
+      success: true,
+      plan
+    });
+  } catch (error) {
+    logger.error('Error previewing rota', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Create a support rota
+ * POST /api/rota
+ *
+ * Body: as for the preview. Plans the rota again against the current
+ * calendars and creates its events in one audit batch. Answers with the
+ * batch id, the plan and a result per planned event.
+ */
+router.post('/', auditFailures('BULK'), requireRole('editor'), rotaValidation, validate, requireCalendarAccess(req => req.body.calendarUrls), async (req, res) => {
+  try {
+    const user = req.session?.user ? {
+      email: req.session.user.email,
+      name: req.session.user.name
+    } : undefined;
+
+    const { batchId, plan, results } = await createRota(rotaParams(req), user);
+
+    // One refresh for the whole rota
+    calendarCache.refreshAllCalendars().catch(err => {
+      logger.error('Background refresh after rota creation failed', err);
+    });
+
+    const failed = results.filter(result => !result.success).length;
+    res.json({
+      success: failed === 0,
+      batchId,
+      plan,
+      results,
+      summary: { total: results.length, succeeded: results.length - failed, failed, gaps: plan.gaps.length }
+    });
+  } catch (error) {
+    logger.error('Error creating rota', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+export default router;
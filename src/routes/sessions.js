@@ -0,0 +1,81 @@
+/**
+ * Session routes
+ *
+ * Admin API for the sessions in the persistent session store.
+ *
+ * Features:
+ * - List active sessions of signed-in users
+ * - Revoke all sessions of a user (signs them out everywhere)
+ *
+ * Uses the store express-session was configured with (`req.sessionStore`,
+ * see services/session-store). Sessions are identified by a hash of their
+ * id; the session id itself is never returned.
+ *
+ * @module routes/sessions
+ */
+
+import { Router } from 'express';
+import { param } from 'express-validator';
+import { requireRole, validate } from '../middleware/index.js';
+import { formatErrorResponse, createLogger } from '../utils/index.js';
+
+const logger = createLogger('SessionRoutes');
+
+const router = Router();
+
+/**
+ * List active sessions
+ * GET /api/sessions
+ *
+ * Returns the sessions of signed-in users, most recently used first. The
+ * caller's own session is flagged `current`.
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const sessions = await req.sessionStore.listSessions({ currentSid: req.sessionID });
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    logger.error('Error listing sessions', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Revoke the sessions of a user
+ * DELETE /api/sessions/users/:email
+ *
+ * The user has to sign in again on their next request.
+ */
+router.delete('/users/:email', requireRole('admin'), [
+  param('email').trim().isEmail().withMessage('email must be an email address')
+], validate, async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const revoked = await req.sessionStore.destroyUserSessions(email);
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No active sessions for ${email}`
+      });
+    }
+
+    logger.info('Sessions revoked by admin', { email, sessions: revoked, by: req.session?.user?.email || null });
+    res.json({
+      success: true,
+      revoked
+    });
+  } catch (error) {
+    logger.error('Error revoking sessions', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+export default router;
@@ -0,0 +1,86 @@
+/**
+ * Skills routes
+ *
+ * Lists the system experts from the skills file and suggests qualified
+ * engineers for an event or a planned job (see services/skills).
+ *
+ * @module routes/skills
+ */
+
+import { Router } from 'express';
+import { query } from 'express-validator';
+import { listSkills, suggestEngineers } from '../services/skills.js';
+import { requireRole, validate, dateQuery } from '../middleware/index.js';
+import { formatErrorResponse, createLogger } from '../utils/index.js';
+
+const logger = createLogger('SkillsRoutes');
+
+const router = Router();
+
+/**
+ * List systems and their experts
+ * GET /api/skills
+ *
+ * Answers with the system tree, each expert with the calendar they were
+ * mapped to (null if none), the experts without a calendar, and the error
+ * of the last load if the skills file is currently invalid.
+ */
+router.get('/', requireRole('reader'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...listSkills()
+    });
+  } catch (error) {
+    logger.error('Error listing skills', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Suggest engineers for a system
+ * GET /api/skills/suggestions
+ *
+ * Query: uid (event whose meta.systemType and dates are used) or
+ * systemType, from and to (YYYY-MM-DD) for a job being planned; either
+ * form may override the event's values. Optional blockingTypes
+ * (comma-separated) and includeWeekends as for /api/availability.
+ *
+ * Answers with the system's experts ranked by availability, then recent
+ * experience with the system.
+ */
+router.get('/suggestions', requireRole('reader'), [
+  query('uid').optional().isString().trim().notEmpty().withMessage('uid must not be empty'),
+  query('systemType').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('systemType must be 1-200 characters'),
+  dateQuery('from').optional(),
+  dateQuery('to').optional(),
+  query('blockingTypes').optional().isString().withMessage('blockingTypes must be a comma-separated list'),
+  query('includeWeekends').optional().isBoolean().withMessage('includeWeekends must be true or false')
+], validate, async (req, res) => {
+  try {
+    const { uid, systemType, from, to, blockingTypes, includeWeekends } = req.query;
+
+    const result = await suggestEngineers({
+      uid,
+      systemType,
+      from,
+      to,
+      includeWeekends: includeWeekends === 'true',
+      ...(blockingTypes !== undefined && {
+        blockingTypes: blockingTypes.split(',').map(type => type.trim()).filter(Boolean)
+      })
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error suggesting engineers', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+export default router;
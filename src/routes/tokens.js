@@ -0,0 +1,133 @@
+/**
+ * API token routes
+ *
+ * Admin API for managed bearer tokens used by bots and scripts, replacing
+ * the static BOT_TOKENS env list where tokens need expiry, rotation or a
+ * record of use.
+ *
+ * Features:
+ * - List tokens with last use, last address and request count
+ * - Create a named token with a role, optional calendar scope, expiry and IP allow-list
+ * - Revoke a token (rejected from its next request on)
+ *
+ * The plain token is only returned by the create call; the server stores
+ * its hash. Rotate a token by creating a new one and revoking the old.
+ *
+ * @module routes/tokens
+ */
+
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { apiTokenService, isValidIpRule } from '../services/api-tokens.js';
+import { ROLES } from '../services/roles.js';
+import { requireRole, validate } from '../middleware/index.js';
+import { formatErrorResponse, createLogger, actorOf } from '../utils/index.js';
+
+const logger = createLogger('TokenRoutes');
+
+const router = Router();
+
+/**
+ * List API tokens
+ * GET /api/tokens
+ *
+ * Returns all tokens, newest first, including revoked and expired ones
+ * (`active` false). Never returns the tokens themselves.
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const tokens = await apiTokenService.listTokens();
+
+    res.json({
+      success: true,
+      tokens
+    });
+  } catch (error) {
+    logger.error('Error listing API tokens', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Create an API token
+ * POST /api/tokens
+ *
+ * Body: { name, role, calendarUrls?, allowedIps?, expiresAt? }
+ * - role: reader, editor or admin
+ * - calendarUrls: calendars the token may edit; all its role allows without
+ * - allowedIps: addresses or CIDR ranges (e.g. 10.0.0.0/24) the token may be used from
+ * - expiresAt: ISO 8601 timestamp in the future; the token does not expire without it
+ *
+ * Answers with the token record plus `token`, the bearer token to configure
+ * in the script. It cannot be retrieved again.
+ */
+router.post('/', requireRole('admin'), [
+  body('name')
+    .isString().withMessage('name is required')
+    .trim()
+    .notEmpty().withMessage('name is required')
+    .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+  body('role').isIn(ROLES).withMessage('role must be reader, editor or admin'),
+  body('calendarUrls').optional({ values: 'null' }).isArray({ max: 200 }).withMessage('calendarUrls must be an array of at most 200 calendar URLs'),
+  body('calendarUrls.*').isString().trim().isURL().withMessage('calendarUrls must contain valid calendar URLs'),
+  body('allowedIps').optional({ values: 'null' }).isArray({ max: 50 }).withMessage('allowedIps must be an array of at most 50 addresses'),
+  body('allowedIps.*').custom(isValidIpRule).withMessage('allowedIps must contain IP addresses or CIDR ranges'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('expiresAt must be an ISO 8601 timestamp')
+    .bail()
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('expiresAt must be in the future');
+      }
+      return true;
+    })
+], validate, async (req, res) => {
+  try {
+    const { name, role, calendarUrls, allowedIps, expiresAt } = req.body;
+
+    const token = await apiTokenService.createToken({ name, role, calendarUrls, allowedIps, expiresAt }, actorOf(req));
+
+    res.json({
+      success: true,
+      token
+    });
+  } catch (error) {
+    logger.error('Error creating API token', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Revoke an API token
+ * DELETE /api/tokens/:id
+ *
+ * Requests with the token are rejected from now on.
+ */
+router.delete('/:id', requireRole('admin'), [
+  param('id').isUUID().withMessage('id must be a token id')
+], validate, async (req, res) => {
+  try {
+    const revoked = await apiTokenService.revokeToken(req.params.id, actorOf(req));
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: `No active token ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      revoked
+    });
+  } catch (error) {
+    logger.error('Error revoking API token', error);
+    const { status, body } = formatErrorResponse(error, 500);
+    res.status(status).json(body);
+  }
+});
+
+export default router;
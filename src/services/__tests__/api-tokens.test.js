@@ -0,0 +1,102 @@
+/**
+ * Tests for managed API tokens
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+vi.mock('../audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => 1)
+  }
+}));
+
+const { auditHistory } = await import('../audit-history.js');
+const { ApiTokenService, isValidIpRule } = await import('../api-tokens.js');
+
+const ADMIN = { email: 'boss@example.com', name: 'Boss' };
+
+describe('ApiTokenService', () => {
+  let tokenService;
+  let testDbPath;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    const random = Math.random().toString(36).substring(7);
+    testDbPath = path.join(process.cwd(), 'data', `test-api-tokens-${Date.now()}-${random}.db`);
+    tokenService = new ApiTokenService(testDbPath);
+  });
+
+  afterEach(async () => {
+    await tokenService.close();
+    try {
+      await fs.unlink(testDbPath);
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  });
+
+  it('should return the token once and store only its hash', async () => {
+    const created = await tokenService.createToken({ name: 'Import script', role: 'editor' }, ADMIN);
+
+    expect(created.token).toMatch(/^spt_[A-Za-z0-9_-]{43}$/);
+    expect(created).toMatchObject({ name: 'Import script', role: 'editor', prefix: created.token.slice(0, 8), createdBy: 'boss@example.com', requestCount: 0, active: true });
+    expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+      eventUid: `token:${created.id}`,
+      operation: 'TOKEN_CREATE',
+      afterState: expect.not.objectContaining({ token: expect.anything() })
+    }));
+
+    const [listed] = await tokenService.listTokens();
+    expect(listed).not.toHaveProperty('token');
+    const row = await tokenService.db.get('SELECT token_hash FROM api_tokens WHERE id = ?', [created.id]);
+    expect(row.token_hash).not.toContain(created.token);
+  });
+
+  it('should authenticate tokens and track their use', async () => {
+    const { token, id } = await tokenService.createToken({ name: 'Sync', role: 'reader' }, ADMIN);
+
+    const first = await tokenService.authenticate(token, '::ffff:10.0.0.5', new Date('2025-07-01T08:00:00Z'));
+    await tokenService.authenticate(token, '10.0.0.6', new Date('2025-07-01T09:00:00Z'));
+
+    expect(first).toMatchObject({ id, role: 'reader', requestCount: 1, lastUsedIp: '10.0.0.5' });
+    expect(await tokenService.getToken(id)).toMatchObject({ requestCount: 2, lastUsedAt: '2025-07-01T09:00:00.000Z', lastUsedIp: '10.0.0.6' });
+    expect(await tokenService.authenticate('spt_unknown', '10.0.0.5')).toBeNull();
+  });
+
+  it('should reject expired tokens and addresses outside the allow-list', async () => {
+    const { token } = await tokenService.createToken({
+      name: 'Office',
+      role: 'editor',
+      allowedIps: ['192.168.1.0/24', '2001:db8::1'],
+      expiresAt: '2025-08-01T00:00:00Z'
+    }, ADMIN);
+    const now = new Date('2025-07-01T00:00:00Z');
+
+    expect(await tokenService.authenticate(token, '192.168.1.20', now)).not.toBeNull();
+    expect(await tokenService.authenticate(token, '2001:db8::1', now)).not.toBeNull();
+    expect(await tokenService.authenticate(token, '192.168.2.20', now)).toBeNull();
+    expect(await tokenService.authenticate(token, '192.168.1.20', new Date('2025-08-01T00:00:00Z'))).toBeNull();
+  });
+
+  it('should revoke tokens instantly and only once', async () => {
+    const { token, id } = await tokenService.createToken({ name: 'Old script', role: 'admin', calendarUrls: ['https://cloud.example.com/calendars/a/'] }, ADMIN);
+
+    const revoked = await tokenService.revokeToken(id, ADMIN);
+
+    expect(revoked).toMatchObject({ id, active: false, revokedBy: 'boss@example.com', calendarUrls: ['https://cloud.example.com/calendars/a/'] });
+    expect(await tokenService.authenticate(token, '10.0.0.5')).toBeNull();
+    expect(await tokenService.isActive(id)).toBe(false);
+    expect(await tokenService.revokeToken(id, ADMIN)).toBeNull();
+    expect(auditHistory.logOperation).toHaveBeenLastCalledWith(expect.objectContaining({ operation: 'TOKEN_REVOKE', eventUid: `token:${id}` }));
+  });
+
+  it('should validate allow-list entries', () => {
+    expect(isValidIpRule('10.0.0.1')).toBe(true);
+    expect(isValidIpRule('10.0.0.0/8')).toBe(true);
+    expect(isValidIpRule('2001:db8::/32')).toBe(true);
+    expect(isValidIpRule('10.0.0.0/33')).toBe(false);
+    expect(isValidIpRule('example.com')).toBe(false);
+  });
+});
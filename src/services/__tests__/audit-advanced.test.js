@@ -19,33 +19,7 @@ describe('Audit History - Advanced Tests', () => {
     const random = Math.random().toString(36).substring(7);
     testDbPath = path.join(process.cwd(), 'data', `test-audit-advanced-${timestamp}-${random}.db`);
     
-    auditService = new AuditHistoryService();
-    
-    auditService.initialize = async function() {
-      const sqlite3 = (await import('sqlite3')).default;
-      const { open } = await import('sqlite');
-      
-      this.db = await open({
-        filename: testDbPath,
-        driver: sqlite3.Database
-      });
-      
-      await this.db.exec('PRAGMA foreign_keys = ON');
-      await this.db.exec(`CREATE TABLE IF NOT EXISTS audit_history (
-          id INTEGER PRIMARY KEY AUTOINCREMENT, event_uid TEXT NOT NULL, operation TEXT NOT NULL,
-          user_email TEXT, user_name TEXT, timestamp TEXT NOT NULL, calendar_url TEXT NOT NULL,
-          target_calendar_url TEXT, before_state TEXT, after_state TEXT,
-          status TEXT NOT NULL DEFAULT 'SUCCESS', error_message TEXT,
-          created_at TEXT NOT NULL DEFAULT (datetime('now'))
-        )`);
-      await this.db.exec(`CREATE INDEX IF NOT EXISTS idx_event_uid ON audit_history(event_uid);
-        CREATE INDEX IF NOT EXISTS idx_timestamp ON audit_history(timestamp DESC);
-        CREATE INDEX IF NOT EXISTS idx_user_email ON audit_history(user_email);
-        CREATE INDEX IF NOT EXISTS idx_operation ON audit_history(operation);
-        CREATE INDEX IF NOT EXISTS idx_calendar_url ON audit_history(calendar_url);`);
-      
-      this.isInitialized = true;
-    };
+    auditService = new AuditHistoryService(testDbPath);
     
     await auditService.initialize();
   });
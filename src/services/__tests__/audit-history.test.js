@@ -4,8 +4,11 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { AuditHistoryService } from '../audit-history.js';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
 import fs from 'fs/promises';
 import path from 'path';
+import { createHash } from 'crypto';
 
 describe('AuditHistoryService', () => {
   let auditService;
@@ -17,50 +20,7 @@ describe('AuditHistoryService', () => {
     const random = Math.random().toString(36).substring(7);
     testDbPath = path.join(process.cwd(), 'data', `test-audit-${timestamp}-${random}.db`);
     
-    // Create a new instance with test-specific path
-    auditService = new AuditHistoryService();
-    
-    // Mock the DB_PATH in the module - we need to initialize with custom path
-    const originalInitialize = auditService.initialize.bind(auditService);
-    auditService.initialize = async function() {
-      const sqlite3 = (await import('sqlite3')).default;
-      const { open } = await import('sqlite');
-      
-      this.db = await open({
-        filename: testDbPath,
-        driver: sqlite3.Database
-      });
-      
-      await this.db.exec('PRAGMA foreign_keys = ON');
-      
-      await this.db.exec(`
-        CREATE TABLE IF NOT EXISTS audit_history (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          event_uid TEXT NOT NULL,
-          operation TEXT NOT NULL,
-          user_email TEXT,
-          user_name TEXT,
-          timestamp TEXT NOT NULL,
-          calendar_url TEXT NOT NULL,
-          target_calendar_url TEXT,
-          before_state TEXT,
-          after_state TEXT,
-          status TEXT NOT NULL DEFAULT 'SUCCESS',
-          error_message TEXT,
-          created_at TEXT NOT NULL DEFAULT (datetime('now'))
-        )
-      `);
-      
-      await this.db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_event_uid ON audit_history(event_uid);
-        CREATE INDEX IF NOT EXISTS idx_timestamp ON audit_history(timestamp DESC);
-        CREATE INDEX IF NOT EXISTS idx_user_email ON audit_history(user_email);
-        CREATE INDEX IF NOT EXISTS idx_operation ON audit_history(operation);
-        CREATE INDEX IF NOT EXISTS idx_calendar_url ON audit_history(calendar_url);
-      `);
-      
-      this.isInitialized = true;
-    };
+    auditService = new AuditHistoryService(testDbPath);
   });
 
   afterEach(async () => {
@@ -106,6 +66,357 @@ describe('AuditHistoryService', () => {
       await auditService.initialize();
       expect(auditService.isInitialized).toBe(true);
     });
+
+    it('should add newer columns to existing databases', async () => {
+      const db = await open({ filename: testDbPath, driver: sqlite3.Database });
+      await db.exec(`
+        CREATE TABLE audit_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_uid TEXT NOT NULL,
+          operation TEXT NOT NULL,
+          user_email TEXT,
+          user_name TEXT,
+          timestamp TEXT NOT NULL,
+          calendar_url TEXT NOT NULL,
+          target_calendar_url TEXT,
+          before_state TEXT,
+          after_state TEXT,
+          status TEXT NOT NULL DEFAULT 'SUCCESS',
+          error_message TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        )
+      `);
+      await db.close();
+
+      await auditService.initialize();
+      const columns = await auditService.db.all('PRAGMA table_info(audit_history)');
+
+      expect(columns.map(c => c.name)).toEqual(expect.arrayContaining(['batch_id', 'undo_of', 'redo_of', 'prev_hash', 'hash']));
+    });
+  });
+
+  describe('verifyChain', () => {
+    const log = (eventUid, summary) => auditService.logOperation({
+      eventUid,
+      operation: 'UPDATE',
+      calendarUrl: 'https://example.com/cal',
+      afterState: { summary }
+    });
+
+    it('should link every entry to the previous one, also when logged concurrently', async () => {
+      await log('e1', 'a');
+      await Promise.all([log('e2', 'b'), log('e3', 'c'), log('e4', 'd')]);
+
+      const rows = await auditService.db.all('SELECT prev_hash, hash FROM audit_history ORDER BY id');
+      const result = await auditService.verifyChain();
+
+      expect(rows[0].prev_hash).toBeNull();
+      expect(rows.slice(1).map(r => r.prev_hash)).toEqual(rows.slice(0, -1).map(r => r.hash));
+      expect(result).toEqual({ valid: true, checked: 4, unchained: 0, head: { id: 4, hash: rows[3].hash }, brokenAt: null });
+    });
+
+    it('should report the first modified entry', async () => {
+      await log('e1', 'a');
+      await log('e2', 'b');
+      await log('e3', 'c');
+      await auditService.db.run(`UPDATE audit_history SET after_state = '{"summary":"x"}' WHERE id = 2`);
+
+      const result = await auditService.verifyChain();
+
+      expect(result).toMatchObject({ valid: false, checked: 1, brokenAt: { id: 2 } });
+      expect(result.brokenAt.reason).toMatch(/modified/);
+    });
+
+    it('should report removed entries at the entry after the gap', async () => {
+      await log('e1', 'a');
+      await log('e2', 'b');
+      await log('e3', 'c');
+      await auditService.db.run('DELETE FROM audit_history WHERE id = 2');
+
+      const result = await auditService.verifyChain();
+
+      expect(result).toMatchObject({ valid: false, brokenAt: { id: 3 } });
+      expect(result.brokenAt.reason).toMatch(/removed/);
+    });
+
+    it('should count entries written before the chain existed', async () => {
+      await auditService.initialize();
+      await auditService.db.run(
+        `INSERT INTO audit_history (event_uid, operation, timestamp, calendar_url) VALUES ('old', 'CREATE', '2024-01-01T00:00:00Z', 'https://example.com/cal')`
+      );
+      await log('e1', 'a');
+
+      const result = await auditService.verifyChain();
+
+      expect(result).toMatchObject({ valid: true, checked: 1, unchained: 1 });
+    });
+
+    it('should report entries whose hashes were removed', async () => {
+      await log('e1', 'a');
+      await log('e2', 'b');
+      await auditService.db.run('UPDATE audit_history SET hash = NULL, prev_hash = NULL');
+
+      const result = await auditService.verifyChain();
+
+      expect(result).toMatchObject({ valid: false, checked: 0, unchained: 0, brokenAt: { id: 1 } });
+      expect(result.brokenAt.reason).toMatch(/no hash/);
+    });
+
+    it('should report a removed first chained entry', async () => {
+      await log('e1', 'a');
+      await log('e2', 'b');
+      await auditService.db.run('DELETE FROM audit_history WHERE id = 1');
+      await auditService.db.run('UPDATE audit_history SET hash = NULL, prev_hash = NULL');
+
+      const result = await auditService.verifyChain();
+
+      expect(result).toMatchObject({ valid: false, brokenAt: { id: 2 } });
+      expect(result.brokenAt.reason).toMatch(/missing/);
+    });
+
+    it('should report a chain whose entries were all removed', async () => {
+      await log('e1', 'a');
+      await auditService.db.run('DELETE FROM audit_history');
+
+      expect(await auditService.verifyChain()).toMatchObject({ valid: false, checked: 0, brokenAt: { id: 1 } });
+    });
+  });
+
+  describe('applyRetention', () => {
+    const cal = 'https://example.com/cal';
+    const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    it('should prune old entries and continue the chain from the last pruned one', async () => {
+      await auditService.logOperation({ eventUid: 'e1', operation: 'CREATE', calendarUrl: cal });
+      await auditService.logOperation({ eventUid: 'e2', operation: 'CREATE', calendarUrl: cal });
+
+      const result = await auditService.applyRetention({ retentionDays: 30, now: inDays(31) });
+      await auditService.logOperation({ eventUid: 'e3', operation: 'CREATE', calendarUrl: cal });
+
+      expect(result).toEqual({ pruned: 2, compacted: 0 });
+      expect((await auditService.getRecentHistory()).map(e => e.event_uid)).toEqual(['e3']);
+      expect(await auditService.verifyChain()).toMatchObject({ valid: true, checked: 1 });
+    });
+
+    it('should keep entries within the retention period', async () => {
+      await auditService.logOperation({ eventUid: 'e1', operation: 'CREATE', calendarUrl: cal });
+
+      expect(await auditService.applyRetention({ retentionDays: 30, now: inDays(29) })).toEqual({ pruned: 0, compacted: 0 });
+      expect(await auditService.applyRetention({ retentionDays: 0, now: inDays(1000) })).toEqual({ pruned: 0, compacted: 0 });
+    });
+
+    it('should compact old snapshots to the changed fields without breaking the chain', async () => {
+      const before = { uid: 'e1', summary: 'Trip', location: 'Berlin', description: 'Long notes', start: '2025-06-02', end: '2025-06-04', meta: { orderNumber: 'SO-1', ticket: 'T-1' } };
+      const after = { ...before, location: 'Hamburg', meta: { orderNumber: 'SO-2', ticket: 'T-1' } };
+      const id = await auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: cal, beforeState: before, afterState: after });
+      await auditService.logOperation({ eventUid: 'e2', operation: 'DELETE', calendarUrl: cal, beforeState: { ...before, uid: 'e2' } });
+
+      const result = await auditService.applyRetention({ compactAfterDays: 90, now: inDays(91) });
+      const entry = await auditService.getEntry(id);
+      const [deleted] = await auditService.getEventHistory('e2');
+
+      expect(result).toEqual({ pruned: 0, compacted: 2 });
+      expect(entry.compacted).toBe(true);
+      expect(entry.beforeState).toEqual({ uid: 'e1', summary: 'Trip', start: '2025-06-02', end: '2025-06-04', location: 'Berlin', meta: { orderNumber: 'SO-1' } });
+      expect(entry.afterState).toEqual({ uid: 'e1', summary: 'Trip', start: '2025-06-02', end: '2025-06-04', location: 'Hamburg', meta: { orderNumber: 'SO-2' } });
+      expect(deleted.beforeState).toEqual({ uid: 'e2', summary: 'Trip', start: '2025-06-02', end: '2025-06-04' });
+      expect((await auditService.getPreviousState('e1')).compacted).toBe(true);
+      expect(await auditService.verifyChain()).toMatchObject({ valid: true, checked: 2 });
+      expect(await auditService.applyRetention({ compactAfterDays: 90, now: inDays(91) })).toEqual({ pruned: 0, compacted: 0 });
+    });
+
+    it('should detect changes to the fields a compacted snapshot kept', async () => {
+      const before = { uid: 'e1', summary: 'Trip', location: 'Berlin', start: '2025-06-02', end: '2025-06-04' };
+      const id = await auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: cal, beforeState: before, afterState: { ...before, location: 'Hamburg' } });
+      await auditService.applyRetention({ compactAfterDays: 90, now: inDays(91) });
+
+      await auditService.db.run(`UPDATE audit_history SET after_state = json_set(after_state, '$.location', 'Munich') WHERE id = ?`, [id]);
+      const result = await auditService.verifyChain();
+
+      expect(result).toMatchObject({ valid: false, brokenAt: { id } });
+      expect(result.brokenAt.reason).toMatch(/modified/);
+    });
+
+    it('should not trust a digest copied onto a row that was never compacted', async () => {
+      const before = { uid: 'e1', summary: 'Trip', location: 'Berlin' };
+      const id = await auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: cal, beforeState: before, afterState: { ...before, location: 'Hamburg' } });
+      const row = await auditService.db.get('SELECT before_state, after_state FROM audit_history WHERE id = ?', [id]);
+      const digest = createHash('sha256').update(JSON.stringify([row.before_state, row.after_state])).digest('hex');
+
+      await auditService.db.run(
+        `UPDATE audit_history SET snapshot_digest = ?, after_state = '{"uid":"e1","summary":"Trip","location":"Munich"}' WHERE id = ?`,
+        [digest, id]
+      );
+
+      expect(await auditService.verifyChain()).toMatchObject({ valid: false, brokenAt: { id } });
+    });
+
+    it('should detect a rewritten digest of a compacted row', async () => {
+      const before = { uid: 'e1', summary: 'Trip', location: 'Berlin' };
+      const id = await auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: cal, beforeState: before, afterState: { ...before, location: 'Hamburg' } });
+      await auditService.applyRetention({ compactAfterDays: 90, now: inDays(91) });
+
+      const row = await auditService.db.get('SELECT snapshot_digest FROM audit_history WHERE id = ?', [id]);
+      const digests = JSON.parse(row.snapshot_digest);
+      digests.after.location = createHash('sha256').update(JSON.stringify('Munich')).digest('hex');
+      await auditService.db.run(
+        `UPDATE audit_history SET snapshot_digest = ?, after_state = json_set(after_state, '$.location', 'Munich') WHERE id = ?`,
+        [JSON.stringify(digests), id]
+      );
+
+      expect(await auditService.verifyChain()).toMatchObject({ valid: false, brokenAt: { id } });
+    });
+  });
+
+  describe('exportHistory', () => {
+    it('should yield the filtered entries oldest first', async () => {
+      const cal = 'https://example.com/cal';
+      await auditService.logOperation({ eventUid: 'e1', operation: 'CREATE', calendarUrl: cal, userEmail: 'a@example.com' });
+      await auditService.logOperation({ eventUid: 'e2', operation: 'UPDATE', calendarUrl: cal, userEmail: 'b@example.com' });
+      await auditService.logOperation({ eventUid: 'e3', operation: 'UPDATE', calendarUrl: cal, userEmail: 'a@example.com' });
+
+      const all = [];
+      for await (const entry of auditService.exportHistory()) all.push(entry.event_uid);
+      const filtered = [];
+      for await (const entry of auditService.exportHistory({ userEmail: 'a@example.com', operation: 'UPDATE' })) filtered.push(entry);
+
+      expect(all).toEqual(['e1', 'e2', 'e3']);
+      expect(filtered.map(e => e.event_uid)).toEqual(['e3']);
+      expect(filtered[0].user).toEqual({ email: 'a@example.com', name: null });
+    });
+  });
+
+  describe('withBatch', () => {
+    it('should record the batch id on every operation logged inside it', async () => {
+      await auditService.withBatch('batch-1', async () => {
+        await auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: 'https://example.com/cal' });
+        await auditService.logOperation({ eventUid: 'e2', operation: 'DELETE', calendarUrl: 'https://example.com/cal' });
+      });
+      await auditService.logOperation({ eventUid: 'e3', operation: 'UPDATE', calendarUrl: 'https://example.com/cal' });
+
+      const batch = await auditService.getRecentHistory({ batchId: 'batch-1' });
+      const [outside] = await auditService.getEventHistory('e3');
+
+      expect(batch.map(e => e.event_uid).sort()).toEqual(['e1', 'e2']);
+      expect(batch[0].batchId).toBe('batch-1');
+      expect(outside.batchId).toBeNull();
+    });
+
+    it('should list the entries of a batch oldest first', async () => {
+      await auditService.withBatch('batch-2', async () => {
+        await auditService.logOperation({ eventUid: 'e1', operation: 'MOVE', calendarUrl: 'https://example.com/cal', beforeState: { summary: 'x' } });
+        await auditService.logOperation({ eventUid: 'e2', operation: 'DELETE', calendarUrl: 'https://example.com/cal' });
+      });
+
+      const entries = await auditService.getBatchHistory('batch-2');
+
+      expect(entries.map(e => [e.event_uid, e.operation])).toEqual([['e1', 'MOVE'], ['e2', 'DELETE']]);
+      expect(entries[0].beforeState).toEqual({ summary: 'x' });
+      expect(await auditService.getBatchHistory('unknown')).toEqual([]);
+    });
+  });
+
+  describe('undo and redo links', () => {
+    it('should mark entries as undone until they are redone', async () => {
+      const id = await auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: 'https://example.com/cal', beforeState: { summary: 'a' }, afterState: { summary: 'b' } });
+      expect((await auditService.getEntry(id)).undone).toBe(false);
+
+      await auditService.withContext({ undoOf: id }, () =>
+        auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: 'https://example.com/cal' })
+      );
+      const undone = await auditService.getEntry(id);
+      const undo = await auditService.getLatestUndo(id);
+
+      expect(undone.undone).toBe(true);
+      expect(undo.undoOf).toBe(id);
+
+      await auditService.withContext({ redoOf: id }, () =>
+        auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: 'https://example.com/cal' })
+      );
+      expect((await auditService.getEntry(id)).undone).toBe(false);
+    });
+
+    it('should keep the batch id of an outer context', async () => {
+      await auditService.withBatch('batch-3', () =>
+        auditService.withContext({ undoOf: 7 }, () =>
+          auditService.logOperation({ eventUid: 'e1', operation: 'DELETE', calendarUrl: 'https://example.com/cal' })
+        )
+      );
+
+      const [entry] = await auditService.getBatchHistory('batch-3');
+
+      expect(entry).toMatchObject({ batchId: 'batch-3', undoOf: 7, redoOf: null });
+    });
+
+    it('should return null for unknown entries', async () => {
+      expect(await auditService.getEntry(999)).toBeNull();
+      expect(await auditService.getLatestUndo(999)).toBeNull();
+    });
+  });
+
+  describe('getCalendarChangesSince', () => {
+    it('should return all later changes of events that touched the calendar', async () => {
+      const cal = 'https://example.com/cal';
+      const other = 'https://example.com/other';
+      await auditService.logOperation({ eventUid: 'old', operation: 'UPDATE', calendarUrl: cal });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const since = new Date();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: other });
+      await auditService.logOperation({ eventUid: 'e1', operation: 'MOVE', calendarUrl: other, targetCalendarUrl: cal });
+      await auditService.logOperation({ eventUid: 'e2', operation: 'DELETE', calendarUrl: cal });
+      await auditService.logOperation({ eventUid: 'e2', operation: 'UPDATE', calendarUrl: cal, status: 'FAILED' });
+      await auditService.logOperation({ eventUid: 'e3', operation: 'CREATE', calendarUrl: other });
+
+      const entries = await auditService.getCalendarChangesSince(cal, since);
+
+      expect(entries.map(e => [e.event_uid, e.operation])).toEqual([['e1', 'UPDATE'], ['e1', 'MOVE'], ['e2', 'DELETE']]);
+    });
+  });
+
+  describe('getUserFeed', () => {
+    it('should return changes by others on the user\'s calendars and created events', async () => {
+      const mine = 'https://example.com/alice';
+      const other = 'https://example.com/other';
+      const alice = 'alice@example.com';
+      const bob = 'bob@example.com';
+      await auditService.logOperation({ eventUid: 'created', operation: 'CREATE', calendarUrl: other, userEmail: alice });
+      await auditService.logOperation({ eventUid: 'old', operation: 'UPDATE', calendarUrl: mine, userEmail: bob });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const since = new Date();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: mine, userEmail: bob });
+      await auditService.logOperation({ eventUid: 'e2', operation: 'UPDATE', calendarUrl: mine, userEmail: alice });
+      await auditService.logOperation({ eventUid: 'e3', operation: 'MOVE', calendarUrl: other, targetCalendarUrl: mine, userEmail: bob });
+      await auditService.logOperation({ eventUid: 'created', operation: 'DELETE', calendarUrl: other, userEmail: bob });
+      await auditService.logOperation({ eventUid: 'e4', operation: 'UPDATE', calendarUrl: other, userEmail: bob });
+      await auditService.logOperation({ eventUid: 'e5', operation: 'DELETE', calendarUrl: mine, userEmail: bob, status: 'FAILED' });
+
+      const feed = await auditService.getUserFeed({ userEmail: alice, calendarUrls: [mine], since });
+
+      expect(feed.map(e => [e.event_uid, e.reason])).toEqual([
+        ['created', 'created'],
+        ['e3', 'calendar'],
+        ['e1', 'calendar']
+      ]);
+    });
+
+    it('should return nothing without calendars or user', async () => {
+      await auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: 'https://example.com/cal' });
+
+      expect(await auditService.getUserFeed({ since: new Date(0) })).toEqual([]);
+    });
+  });
+
+  describe('markSeen', () => {
+    it('should store the marker per user and never move it backwards', async () => {
+      expect(await auditService.getLastSeen('alice@example.com')).toBeNull();
+
+      expect(await auditService.markSeen('alice@example.com', new Date('2025-06-02T00:00:00Z'))).toBe('2025-06-02T00:00:00.000Z');
+      expect(await auditService.markSeen('alice@example.com', new Date('2025-06-01T00:00:00Z'))).toBe('2025-06-02T00:00:00.000Z');
+      expect(await auditService.markSeen('alice@example.com', new Date('2025-06-03T00:00:00Z'))).toBe('2025-06-03T00:00:00.000Z');
+      expect(await auditService.getLastSeen('bob@example.com')).toBeNull();
+    });
   });
 
   describe('logOperation', () => {
@@ -281,6 +592,23 @@ describe('AuditHistoryService', () => {
       expect(history.every(h => h.operation === 'CREATE')).toBe(true);
     });
 
+    it('should filter by calendar, including moves into it', async () => {
+      await auditService.logOperation({
+        eventUid: 'event-3',
+        operation: 'MOVE',
+        userEmail: 'bob@example.com',
+        calendarUrl: 'https://example.com/cal2',
+        targetCalendarUrl: 'https://example.com/cal1',
+        beforeState: {},
+        afterState: {},
+        status: 'SUCCESS'
+      });
+
+      const history = await auditService.getRecentHistory({ calendarUrl: 'https://example.com/cal1' });
+
+      expect(history.map(h => h.event_uid).sort()).toEqual(['event-1', 'event-3']);
+    });
+
     it('should filter by user email', async () => {
       const history = await auditService.getRecentHistory({ userEmail: 'alice@example.com' });
       
@@ -293,6 +621,31 @@ describe('AuditHistoryService', () => {
       expect(history.length).toBeGreaterThanOrEqual(1);
       expect(history.length).toBeLessThanOrEqual(1);
     });
+
+    it('should leave out role and token changes on request', async () => {
+      await auditService.logOperation({
+        eventUid: 'role:email:bob@example.com',
+        operation: 'ROLE_GRANT',
+        userEmail: 'alice@example.com',
+        calendarUrl: '',
+        afterState: { type: 'email', subject: 'bob@example.com', role: 'admin' }
+      });
+      await auditService.logOperation({
+        eventUid: 'token:1',
+        operation: 'TOKEN_CREATE',
+        userEmail: 'alice@example.com',
+        calendarUrl: '',
+        afterState: { id: '1', name: 'Import script' }
+      });
+
+      const all = await auditService.getRecentHistory();
+      const events = await auditService.getRecentHistory({ withoutAdminOperations: true });
+
+      expect(all.map(h => h.operation)).toEqual(expect.arrayContaining(['ROLE_GRANT', 'TOKEN_CREATE']));
+      expect(events.map(h => h.event_uid).sort()).toEqual(['event-1', 'event-2']);
+      expect(await auditService.getEventHistory('token:1', 50, { withoutAdminOperations: true })).toEqual([]);
+      expect(await auditService.getEventHistory('token:1')).toHaveLength(1);
+    });
   });
 
   describe('getPreviousState', () => {
@@ -386,5 +739,39 @@ describe('AuditHistoryService', () => {
       expect(stats.topUsers).toBeInstanceOf(Array);
       expect(stats.last24Hours).toBeGreaterThanOrEqual(0);
     });
+
+    it('should report failure rates per operation and user', async () => {
+      const cal = 'https://example.com/cal';
+      await auditService.logOperation({ eventUid: 'e3', operation: 'UPDATE', userEmail: 'user2@example.com', calendarUrl: cal, status: 'REJECTED', errorMessage: 'HTTP 412' });
+      await auditService.logOperation({ eventUid: 'e3', operation: 'UPDATE', userEmail: 'user2@example.com', calendarUrl: cal, status: 'FAILED', errorMessage: 'HTTP 500' });
+      await auditService.logOperation({ eventUid: 'e4', operation: 'MOVE', userEmail: 'user1@example.com', calendarUrl: cal, status: 'PARTIAL' });
+
+      const { failureRates } = await auditService.getStatistics();
+
+      expect(failureRates.byOperation).toEqual([
+        { operation: 'CREATE', total: 2, failed: 0, rejected: 0, failureRate: 0 },
+        { operation: 'MOVE', total: 1, failed: 1, rejected: 0, failureRate: 1 },
+        { operation: 'UPDATE', total: 3, failed: 1, rejected: 1, failureRate: 0.6667 }
+      ]);
+      expect(failureRates.byUser).toEqual([
+        { user_email: 'user2@example.com', total: 3, failed: 1, rejected: 1, failureRate: 0.6667 },
+        { user_email: 'user1@example.com', total: 3, failed: 1, rejected: 0, failureRate: 0.3333 }
+      ]);
+    });
+  });
+
+  describe('trackFailures', () => {
+    it('should note unsuccessful operations logged while the function runs', async () => {
+      const cal = 'https://example.com/cal';
+      const succeeded = { logged: false };
+      const failed = { logged: false };
+
+      await auditService.trackFailures(succeeded, () => auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: cal }));
+      await auditService.trackFailures(failed, () => auditService.logOperation({ eventUid: 'e1', operation: 'UPDATE', calendarUrl: cal, status: 'FAILED' }));
+
+      expect(succeeded.logged).toBe(false);
+      expect(failed.logged).toBe(true);
+      expect((await auditService.getRecentHistory({ status: 'FAILED' })).map(e => e.status)).toEqual(['FAILED']);
+    });
   });
 });
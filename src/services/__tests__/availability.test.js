@@ -0,0 +1,86 @@
+/**
+ * Tests for the availability finder
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../calendar.js', () => ({
+  calendarCache: {
+    getAllCalendars: vi.fn(),
+    getCalendarName: vi.fn(),
+    getEvents: vi.fn()
+  }
+}));
+
+vi.mock('../holidays.js', () => ({
+  getPublicHolidays: vi.fn()
+}));
+
+const { findAvailability } = await import('../availability.js');
+const { calendarCache } = await import('../calendar.js');
+const { getPublicHolidays } = await import('../holidays.js');
+
+const calendar = name => `https://cloud.example.com/cal/${name.toLowerCase()}/`;
+const event = (name, summary, start, end = start) => ({ calendar: calendar(name), calendarName: name, summary, start, end });
+
+describe('availability finder', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    calendarCache.getAllCalendars.mockReturnValue(['Alice', 'Bob', 'Carol'].map(name => ({ url: calendar(name), displayName: name })));
+    calendarCache.getCalendarName.mockImplementation(url => ({ [calendar('Alice')]: 'Alice', [calendar('Bob')]: 'Bob' })[url] || null);
+    // Good Friday
+    getPublicHolidays.mockResolvedValue({ holidays: [{ date: '2025-04-18', name: 'Karfreitag' }], complete: true });
+  });
+
+  it('should rank engineers with enough consecutive free workdays', async () => {
+    calendarCache.getEvents.mockResolvedValue({
+      calendars: [],
+      events: [
+        event('Alice', 'Vacation', '2025-04-14', '2025-04-15'),
+        event('Bob', 'Meeting with customer', '2025-04-14'),
+        event('Bob', 'Business trip Munich', '2025-04-22', '2025-04-23'),
+        event('Carol', 'Sick', '2025-04-16')
+      ]
+    });
+
+    // Mon 14 to Fri 25 April: 9 workdays without Good Friday
+    const result = await findAvailability({ from: '2025-04-14', to: '2025-04-25', days: 4, blockingTypes: ['vacation', 'sick', 'business'] });
+
+    expect(result.workdays).toBe(9);
+    expect(result.candidates.map(candidate => [candidate.name, candidate.earliestStart, candidate.bookedWorkdays])).toEqual([
+      ['Bob', '2025-04-14', 2],
+      ['Alice', '2025-04-16', 2],
+      ['Carol', '2025-04-17', 1]
+    ]);
+    // Weekend and holiday don't break the run: Thursday 17 to Friday 25 April
+    expect(result.candidates[2].windows).toEqual([{ start: '2025-04-17', end: '2025-04-25', workdays: 6 }]);
+    expect(result.candidates[0].windows).toEqual([{ start: '2025-04-14', end: '2025-04-21', workdays: 5 }]);
+    expect(result.unavailable).toEqual([]);
+  });
+
+  it('should list engineers without a fitting window', async () => {
+    calendarCache.getEvents.mockResolvedValue({
+      calendars: [],
+      events: [event('Bob', 'Vacation', '2025-04-16', '2025-04-16')]
+    });
+
+    const result = await findAvailability({
+      from: '2025-04-14',
+      to: '2025-04-18',
+      days: 3,
+      calendarUrls: [calendar('Alice'), calendar('Bob')],
+      blockingTypes: ['vacation']
+    });
+
+    expect(calendarCache.getEvents).toHaveBeenCalledWith([calendar('Alice'), calendar('Bob')], '2025-04-14', '2025-04-18');
+    expect(result.candidates.map(candidate => candidate.name)).toEqual(['Alice']);
+    expect(result.unavailable).toEqual([{ calendarUrl: calendar('Bob'), name: 'Bob', freeWorkdays: 3, bookedWorkdays: 1, longestWindow: 2 }]);
+  });
+
+  it('should reject invalid windows and unknown calendars', async () => {
+    await expect(findAvailability({ from: '2025-04-18', to: '2025-04-14', days: 1 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(findAvailability({ from: '2025-01-01', to: '2025-12-31', days: 1 })).rejects.toThrow('at most 92 days');
+    await expect(findAvailability({ from: '2025-04-14', to: '2025-04-18', days: 1, calendarUrls: [calendar('Eve')] })).rejects.toThrow('Unknown calendars');
+    expect(calendarCache.getEvents).not.toHaveBeenCalled();
+  });
+});
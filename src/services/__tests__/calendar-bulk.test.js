@@ -0,0 +1,196 @@
+/**
+ * Tests for bulk event operations (update, move, delete, shift) with one audit batch id
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+vi.mock('../geocoding.js', () => ({
+  geocodeLocations: vi.fn(async () => new Map())
+}));
+
+vi.mock('../audit-history.js', () => ({
+  auditHistory: {
+    getEventHistory: vi.fn(async () => []),
+    logOperation: vi.fn(async () => {}),
+    withBatch: vi.fn(async (batchId, fn) => fn()),
+    trackFailures: vi.fn(async (tracker, fn) => fn())
+  }
+}));
+
+vi.mock('../../utils/operation-log.js', () => ({
+  logOperation: vi.fn(async () => {})
+}));
+
+const { CalendarCache } = await import('../calendar.js');
+const { auditHistory } = await import('../audit-history.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/support/';
+const OTHER_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+
+// Weekly Monday support shift, two weeks from 2025-06-02
+const weeklyIcs = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:rota',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250602',
+  'DTEND;VALUE=DATE:20250603',
+  'RRULE:FREQ=WEEKLY;COUNT=2',
+  'SUMMARY:Support Alice',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+function expand(ics) {
+  const cache = new CalendarCache();
+  return cache.expandCalendarObject({ url: `${CAL_URL}x.ics`, data: ics }, { url: CAL_URL, displayName: 'Support' }, new Date('2025-05-01'), new Date('2025-08-01'));
+}
+
+describe('CalendarCache bulk operations', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.clearAllMocks();
+  });
+
+  describe('applyBulkOperations', () => {
+    it('should run every operation in order under one batch id', async () => {
+      const cache = new CalendarCache();
+      const calls = [];
+      vi.spyOn(cache, 'updateEvent').mockImplementation(async (uid, changes) => { calls.push(['update', uid]); return { uid, ...changes }; });
+      vi.spyOn(cache, 'moveEvent').mockImplementation(async (uid, target) => { calls.push(['move', uid]); return { uid, calendarUrl: target }; });
+      vi.spyOn(cache, 'deleteEvent').mockImplementation(async (uid) => { calls.push(['delete', uid]); return true; });
+
+      const { batchId, results } = await cache.applyBulkOperations([
+        { op: 'update', uid: 'a', changes: { summary: 'Bob' } },
+        { op: 'move', uid: 'b', targetCalendarUrl: OTHER_URL },
+        { op: 'delete', uid: 'c' }
+      ], { email: 'planner@example.com' });
+
+      expect(calls).toEqual([['update', 'a'], ['move', 'b'], ['delete', 'c']]);
+      expect(results.every(r => r.success)).toBe(true);
+      expect(results[1].event.calendarUrl).toBe(OTHER_URL);
+      expect(auditHistory.withBatch).toHaveBeenCalledTimes(1);
+      expect(auditHistory.withBatch).toHaveBeenCalledWith(batchId, expect.any(Function));
+      expect(cache.deleteEvent).toHaveBeenCalledWith('c', { email: 'planner@example.com' }, { scope: undefined, recurrenceId: undefined });
+    });
+
+    it('should report failures per item and continue', async () => {
+      const cache = new CalendarCache();
+      const stale = new Error('Precondition Failed: event was modified since it was loaded');
+      stale.statusCode = 412;
+      vi.spyOn(cache, 'updateEvent').mockRejectedValueOnce(stale).mockResolvedValueOnce({ uid: 'b' });
+      vi.spyOn(cache, 'deleteEvent').mockResolvedValue(false);
+
+      const { results } = await cache.applyBulkOperations([
+        { op: 'update', uid: 'a', changes: { summary: 'x' }, ifMatch: '"1"' },
+        { op: 'update', uid: 'b', changes: { summary: 'y' } },
+        { op: 'delete', uid: 'gone' }
+      ]);
+
+      expect(results.map(r => [r.uid, r.success, r.status])).toEqual([
+        ['a', false, 412],
+        ['b', true, undefined],
+        ['gone', false, 404]
+      ]);
+      expect(cache.updateEvent).toHaveBeenCalledWith('a', { summary: 'x' }, '', undefined, expect.objectContaining({ ifMatch: '"1"' }));
+    });
+
+    it('should shift all-day events by whole days', async () => {
+      const cache = new CalendarCache();
+      cache.getEvent = vi.fn(async () => ({ uid: 'trip', start: '2025-06-30', end: '2025-07-04', allDay: true, calendarUrl: CAL_URL }));
+      vi.spyOn(cache, 'updateEvent').mockImplementation(async (uid, changes) => ({ uid, ...changes }));
+
+      const { results } = await cache.applyBulkOperations([{ op: 'shift', uid: 'trip', days: 7 }]);
+
+      expect(cache.updateEvent).toHaveBeenCalledWith('trip', { start: '2025-07-07', end: '2025-07-11' }, '', undefined, { ifMatch: undefined });
+      expect(results[0]).toMatchObject({ success: true, event: { start: '2025-07-07' } });
+    });
+
+    it('should move a recurring series when shifting it', async () => {
+      const cache = new CalendarCache();
+      const client = {
+        account: { credentials: { username: 'u', password: 'p' } },
+        fetchCalendarObjects: vi.fn(async () => [{ url: `${CAL_URL}rota.ics`, etag: '"1"', data: weeklyIcs }])
+      };
+      cache.calendarClients[CAL_URL] = { client, calendar: { url: CAL_URL } };
+      const [first] = expand(weeklyIcs);
+      cache.getEvent = vi.fn(async () => ({ ...first, calendarUrl: CAL_URL }));
+      const fetchMock = vi.fn(async () => ({ ok: true, headers: new Headers({ etag: '"2"' }) }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const { results } = await cache.applyBulkOperations([{ op: 'shift', uid: 'rota', days: -7 }]);
+
+      expect(results[0].success).toBe(true);
+      expect(expand(fetchMock.mock.calls[0][1].body).map(e => e.start)).toEqual(['2025-05-26', '2025-06-02']);
+    });
+
+    it('should record failed operations in the audit history', async () => {
+      const cache = new CalendarCache();
+      const stale = new Error('Precondition Failed: event was modified since it was loaded');
+      stale.statusCode = 412;
+      cache.getEvent = vi.fn(async (uid) => uid === 'a' ? { uid: 'a', calendarUrl: CAL_URL } : null);
+      vi.spyOn(cache, 'updateEvent').mockRejectedValue(stale);
+      vi.spyOn(cache, 'moveEvent').mockRejectedValue(new Error('CalDAV server unavailable'));
+
+      await cache.applyBulkOperations([
+        { op: 'update', uid: 'a', changes: { summary: 'x' }, ifMatch: '"1"' },
+        { op: 'move', uid: 'b', targetCalendarUrl: OTHER_URL }
+      ], { email: 'planner@example.com', name: 'Planner' });
+
+      expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+        eventUid: 'a',
+        operation: 'UPDATE',
+        userEmail: 'planner@example.com',
+        calendarUrl: CAL_URL,
+        afterState: { op: 'update', uid: 'a', changes: { summary: 'x' }, ifMatch: '"1"' },
+        status: 'REJECTED',
+        errorMessage: 'Precondition Failed: event was modified since it was loaded'
+      }));
+      expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+        eventUid: 'b',
+        operation: 'MOVE',
+        calendarUrl: '',
+        targetCalendarUrl: OTHER_URL,
+        status: 'FAILED'
+      }));
+    });
+
+    it('should not record failures the operation already logged', async () => {
+      const cache = new CalendarCache();
+      auditHistory.trackFailures.mockImplementationOnce(async (tracker, fn) => {
+        tracker.logged = true;
+        return fn();
+      });
+      vi.spyOn(cache, 'moveEvent').mockRejectedValue(new Error('Move failed: Could not delete from source calendar. Operation rolled back.'));
+
+      const { results } = await cache.applyBulkOperations([{ op: 'move', uid: 'b', targetCalendarUrl: OTHER_URL }]);
+
+      expect(results[0].success).toBe(false);
+      expect(auditHistory.logOperation).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown operations per item', async () => {
+      const cache = new CalendarCache();
+
+      const { results } = await cache.applyBulkOperations([{ op: 'archive', uid: 'a' }]);
+
+      expect(results[0]).toMatchObject({ success: false, status: 400, error: 'Unknown bulk operation: archive' });
+    });
+  });
+
+  describe('shiftEventDates', () => {
+    it('should keep the wall-clock time of timed events across DST', () => {
+      const cache = new CalendarCache();
+
+      const shifted = cache.shiftEventDates({
+        start: '2025-03-27T08:00:00.000Z',
+        end: '2025-03-27T09:00:00.000Z',
+        allDay: false,
+        timezone: 'Europe/Berlin'
+      }, 7);
+
+      expect(shifted).toEqual({ start: '2025-04-03T09:00:00', end: '2025-04-03T10:00:00' });
+    });
+  });
+});
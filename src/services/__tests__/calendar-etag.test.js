@@ -0,0 +1,264 @@
+/**
+ * Tests for optimistic concurrency: ETag helpers and merging of concurrent edits
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+vi.mock('../geocoding.js', () => ({
+  geocodeLocations: vi.fn(async () => new Map())
+}));
+
+vi.mock('../audit-history.js', () => ({
+  auditHistory: {
+    getEventHistory: vi.fn(async () => []),
+    logOperation: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../utils/operation-log.js', () => ({
+  logOperation: vi.fn(async () => {})
+}));
+
+const { CalendarCache } = await import('../calendar.js');
+const { auditHistory } = await import('../audit-history.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+
+const event = {
+  uid: 'abc',
+  summary: 'Install',
+  description: '',
+  location: 'Berlin',
+  start: '2025-03-03',
+  end: '2025-03-05',
+  allDay: true,
+  meta: null,
+  calendar: CAL_URL,
+  calendarUrl: CAL_URL
+};
+
+describe('CalendarCache ETags', () => {
+  describe('etagMatches', () => {
+    const cache = new CalendarCache();
+
+    it('should allow updates without If-Match', () => {
+      expect(cache.etagMatches(undefined, ['"1"'])).toBe(true);
+    });
+
+    it('should treat * as a forced overwrite', () => {
+      expect(cache.etagMatches('*', ['"1"'])).toBe(true);
+    });
+
+    it('should match any of the current ETags', () => {
+      expect(cache.etagMatches('"2"', ['"1"', '"2"'])).toBe(true);
+      expect(cache.etagMatches('"3"', ['"1"', '"2"'])).toBe(false);
+    });
+
+    it('should compare weak validators by their opaque tag', () => {
+      expect(cache.etagMatches('W/"1"', ['"1"'])).toBe(true);
+      expect(cache.etagMatches('"0", W/"1"', ['"1"'])).toBe(true);
+    });
+  });
+
+  describe('getEventEtag', () => {
+    it('should return the ETag of the object the event was expanded from', () => {
+      const cache = new CalendarCache();
+
+      expect(cache.getEventEtag({ ...event, etag: '"caldav-2"' })).toBe('"caldav-2"');
+    });
+
+    it('should return the CalDAV ETag from the sync state', () => {
+      const cache = new CalendarCache();
+      cache.syncState.set(CAL_URL, {
+        syncToken: 't',
+        windowKey: 'k',
+        objects: new Map([[`${CAL_URL}abc.ics`, { etag: '"caldav-1"', events: [event] }]])
+      });
+
+      expect(cache.getEventEtag(event)).toBe('"caldav-1"');
+    });
+
+    it('should fall back to a stable content hash', () => {
+      const cache = new CalendarCache();
+      const etag = cache.getEventEtag(event);
+
+      expect(etag).toMatch(/^"sp-[0-9a-f]{20}"$/);
+      expect(cache.getEventEtag({ ...event })).toBe(etag);
+      expect(cache.getEventEtag({ ...event, summary: 'Install (moved)' })).not.toBe(etag);
+    });
+  });
+
+  describe('updateEvent with a stale If-Match', () => {
+    // Server now holds the event moved by someone else to 10-12 March
+    const serverIcs = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'UID:abc',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;VALUE=DATE:20250310',
+      'DTEND;VALUE=DATE:20250313',
+      'SUMMARY:Install',
+      'LOCATION:Berlin',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    function setup() {
+      const cache = new CalendarCache();
+      const client = {
+        account: { credentials: { username: 'u', password: 'p' } },
+        fetchCalendarObjects: vi.fn(async () => [{ url: `${CAL_URL}abc.ics`, etag: '"2"', data: serverIcs }])
+      };
+      cache.calendarClients[CAL_URL] = { client, calendar: { url: CAL_URL } };
+      cache.getEvent = vi.fn(async () => ({ ...event }));
+      return cache;
+    }
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      auditHistory.getEventHistory.mockResolvedValue([]);
+    });
+
+    it('should reject with the current server version when the base is unknown', async () => {
+      const cache = setup();
+
+      const error = await cache.updateEvent('abc', { summary: 'Mine' }, '', undefined, { ifMatch: '"1"' })
+        .catch(e => e);
+
+      expect(error.statusCode).toBe(412);
+      expect(error.currentEtag).toBe('"2"');
+      expect(error.currentEvent.start).toBe('2025-03-10');
+      expect(error.currentEvent.end).toBe('2025-03-12');
+    });
+
+    it('should compare content ETags with the server copy, not the cached event', async () => {
+      const cache = setup();
+      const client = cache.calendarClients[CAL_URL].client;
+      client.fetchCalendarObjects.mockResolvedValue([{ url: `${CAL_URL}abc.ics`, data: serverIcs }]);
+      const staleEtag = cache.computeContentEtag(event);
+
+      const error = await cache.updateEvent('abc', { summary: 'Mine' }, '', undefined, { ifMatch: staleEtag })
+        .catch(e => e);
+
+      expect(error.statusCode).toBe(412);
+      expect(error.currentEtag).toMatch(/^"sp-/);
+      expect(error.currentEtag).not.toBe(staleEtag);
+      expect(error.currentEvent.start).toBe('2025-03-10');
+    });
+
+    it('should answer a 412 from the server with its current version', async () => {
+      const cache = setup();
+      const client = cache.calendarClients[CAL_URL].client;
+      const changedIcs = serverIcs.replace('SUMMARY:Install', 'SUMMARY:Install (theirs)');
+      client.fetchCalendarObjects
+        .mockResolvedValueOnce([{ url: `${CAL_URL}abc.ics`, etag: '"2"', data: serverIcs }])
+        .mockResolvedValueOnce([{ url: `${CAL_URL}abc.ics`, etag: '"3"', data: changedIcs }]);
+      vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 412, statusText: 'Precondition Failed', text: async () => '' })));
+
+      const error = await cache.updateEvent('abc', { summary: 'Mine' }, '', undefined, { ifMatch: '"2"' })
+        .catch(e => e);
+
+      expect(error.statusCode).toBe(412);
+      expect(error.currentEtag).toBe('"3"');
+      expect(error.currentEvent.summary).toBe('Install (theirs)');
+    });
+
+    it('should merge non-overlapping edits using the audit snapshot as base', async () => {
+      const cache = setup();
+      auditHistory.getEventHistory.mockResolvedValue([{
+        status: 'SUCCESS',
+        beforeState: { ...event, etag: '"1"' },
+        afterState: { ...event, start: '2025-03-10', end: '2025-03-12', etag: '"2"' }
+      }]);
+      const fetchMock = vi.fn(async () => ({ ok: true, headers: new Headers({ etag: '"3"' }) }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const updated = await cache.updateEvent('abc', {
+        summary: 'Install (remote)',
+        start: '2025-03-03',
+        end: '2025-03-05',
+        location: 'Berlin',
+        description: ''
+      }, '', undefined, { ifMatch: '"1"' });
+
+      expect(updated.summary).toBe('Install (remote)');
+      expect(updated.start).toBe('2025-03-10');
+      expect(updated.end).toBe('2025-03-12');
+      expect(updated.mergedFields).toEqual(['summary']);
+      const body = fetchMock.mock.calls[0][1].body;
+      expect(body).toContain('SUMMARY:Install (remote)');
+      expect(body).toContain('DTSTART;VALUE=DATE:20250310');
+      expect(fetchMock.mock.calls[0][1].headers['If-Match']).toBe('"2"');
+    });
+
+    it('should reject conflicting edits with the conflicting fields', async () => {
+      const cache = setup();
+      auditHistory.getEventHistory.mockResolvedValue([{
+        status: 'SUCCESS',
+        beforeState: { ...event, etag: '"1"' },
+        afterState: { ...event, start: '2025-03-10', end: '2025-03-12', etag: '"2"' }
+      }]);
+      const fetchMock = vi.fn();
+      vi.stubGlobal('fetch', fetchMock);
+
+      const error = await cache.updateEvent('abc', {
+        summary: 'Install (remote)',
+        start: '2025-03-17',
+        end: '2025-03-18'
+      }, '', undefined, { ifMatch: '"1"' }).catch(e => e);
+
+      expect(error.statusCode).toBe(409);
+      expect(error.conflicts).toEqual([{
+        field: 'dates',
+        base: { start: '2025-03-03', end: '2025-03-05' },
+        mine: { start: '2025-03-17', end: '2025-03-18' },
+        theirs: { start: '2025-03-10', end: '2025-03-12' }
+      }]);
+      expect(error.merged.summary).toBe('Install (remote)');
+      expect(error.currentEtag).toBe('"2"');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('moveEvent', () => {
+    const TARGET_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/other/';
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'UID:abc',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;VALUE=DATE:20250303',
+      'DTEND;VALUE=DATE:20250306',
+      'SUMMARY:Install',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    it('should roll back and answer 412 when the source changed before the delete', async () => {
+      const cache = new CalendarCache();
+      const source = {
+        fetchCalendarObjects: vi.fn()
+          .mockResolvedValueOnce([{ url: `${CAL_URL}abc.ics`, etag: '"2"', data: ics }])
+          .mockResolvedValueOnce([{ url: `${CAL_URL}abc.ics`, etag: '"3"', data: ics.replace('SUMMARY:Install', 'SUMMARY:Install (theirs)') }]),
+        deleteCalendarObject: vi.fn(async () => ({ ok: false, status: 412, statusText: 'Precondition Failed' }))
+      };
+      const target = {
+        createCalendarObject: vi.fn(async () => ({ ok: true })),
+        fetchCalendarObjects: vi.fn(async () => [{ url: `${TARGET_URL}abc.ics`, etag: '"t1"', data: ics }]),
+        deleteCalendarObject: vi.fn(async () => ({ ok: true }))
+      };
+      cache.calendarClients[CAL_URL] = { client: source, calendar: { url: CAL_URL } };
+      cache.calendarClients[TARGET_URL] = { client: target, calendar: { url: TARGET_URL } };
+      cache.getEvent = vi.fn(async () => ({ ...event }));
+
+      const error = await cache.moveEvent('abc', TARGET_URL, undefined, { ifMatch: '"2"' }).catch(e => e);
+
+      expect(error.statusCode).toBe(412);
+      expect(error.currentEtag).toBe('"3"');
+      expect(error.currentEvent.summary).toBe('Install (theirs)');
+      expect(target.deleteCalendarObject).toHaveBeenCalled();
+    });
+  });
+});
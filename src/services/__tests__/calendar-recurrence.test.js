@@ -0,0 +1,267 @@
+/**
+ * Tests for recurring events: creation with RRULE, scoped updates
+ * (this / following / all) and scoped deletes
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+vi.mock('../geocoding.js', () => ({
+  geocodeLocations: vi.fn(async () => new Map())
+}));
+
+vi.mock('../audit-history.js', () => ({
+  auditHistory: {
+    getEventHistory: vi.fn(async () => []),
+    logOperation: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../utils/operation-log.js', () => ({
+  logOperation: vi.fn(async () => {})
+}));
+
+const { CalendarCache } = await import('../calendar.js');
+const { auditHistory } = await import('../audit-history.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/support/';
+
+// Weekly Monday support shift, four weeks from 2025-06-02
+const weeklyIcs = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:rota',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250602',
+  'DTEND;VALUE=DATE:20250603',
+  'RRULE:FREQ=WEEKLY;COUNT=4',
+  'SUMMARY:Support Alice',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+// Daily stand-up at 09:00 Berlin time, open-ended
+const standupIcs = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VTIMEZONE',
+  'TZID:Europe/Berlin',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:20250330T020000',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'DTSTART:20251026T030000',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+  'BEGIN:VEVENT',
+  'UID:standup',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250602T090000',
+  'DTEND;TZID=Europe/Berlin:20250602T091500',
+  'RRULE:FREQ=DAILY',
+  'SUMMARY:Stand-up',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+function expand(ics, start = '2025-05-01', end = '2025-08-01') {
+  const cache = new CalendarCache();
+  return cache.expandCalendarObject({ url: `${CAL_URL}x.ics`, data: ics }, { url: CAL_URL, displayName: 'Support' }, new Date(start), new Date(end));
+}
+
+function setup(ics, uid) {
+  const cache = new CalendarCache();
+  const client = {
+    account: { credentials: { username: 'u', password: 'p' } },
+    createCalendarObject: vi.fn(async () => ({ headers: new Headers({ etag: '"t1"' }) })),
+    fetchCalendarObjects: vi.fn(async () => [{ url: `${CAL_URL}${uid}.ics`, etag: '"1"', data: ics }])
+  };
+  cache.calendarClients[CAL_URL] = { client, calendar: { url: CAL_URL } };
+  const [first] = expand(ics);
+  cache.getEvent = vi.fn(async () => ({ ...first, calendarUrl: CAL_URL }));
+  const fetchMock = vi.fn(async () => ({ ok: true, headers: new Headers({ etag: '"2"' }) }));
+  vi.stubGlobal('fetch', fetchMock);
+  const written = () => fetchMock.mock.calls[0][1].body;
+  return { cache, client, fetchMock, written };
+}
+
+describe('CalendarCache recurring events', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    auditHistory.logOperation.mockClear();
+  });
+
+  describe('expandCalendarObject', () => {
+    it('should address occurrences by recurrence id and expose the rule', () => {
+      const events = expand(weeklyIcs);
+
+      expect(events.map(e => e.recurrenceId)).toEqual(['2025-06-02', '2025-06-09', '2025-06-16', '2025-06-23']);
+      expect(events[0]).toMatchObject({ type: 'occurrence', isRecurring: true, rrule: 'FREQ=WEEKLY;COUNT=4' });
+    });
+
+    it('should mark edited occurrences as part of their series', () => {
+      const ics = weeklyIcs.replace('END:VCALENDAR', [
+        'BEGIN:VEVENT',
+        'UID:rota',
+        'RECURRENCE-ID;VALUE=DATE:20250609',
+        'DTSTART;VALUE=DATE:20250609',
+        'DTEND;VALUE=DATE:20250610',
+        'SUMMARY:Support Bob',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n'));
+
+      const edited = expand(ics).find(e => e.summary === 'Support Bob');
+
+      expect(edited).toMatchObject({ isRecurring: true, recurringEventId: 'rota', recurrenceId: '2025-06-09' });
+    });
+  });
+
+  describe('createEvent', () => {
+    it('should write the RRULE and record it', async () => {
+      const { cache, client } = setup(weeklyIcs, 'rota');
+
+      const result = await cache.createEvent({ calendarUrl: CAL_URL, summary: 'Support', start: '2025-06-02', end: '2025-06-02', rrule: 'FREQ=WEEKLY;BYDAY=MO' });
+
+      expect(client.createCalendarObject.mock.calls[0][0].iCalString).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO');
+      expect(result.rrule).toBe('FREQ=WEEKLY;BYDAY=MO');
+    });
+
+    it('should reject invalid rules', async () => {
+      const { cache, client } = setup(weeklyIcs, 'rota');
+
+      await expect(cache.createEvent({ calendarUrl: CAL_URL, summary: 'Support', start: '2025-06-02T09:00', end: '2025-06-02T10:00', rrule: 'EVERY=MONDAY' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(client.createCalendarObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateEvent', () => {
+    it('should override a single occurrence with scope "this"', async () => {
+      const { cache, written } = setup(weeklyIcs, 'rota');
+
+      const result = await cache.updateEvent('rota', { summary: 'Support Bob' }, '', null, { scope: 'this', recurrenceId: '2025-06-09' });
+
+      const events = expand(written()).sort((a, b) => a.start.localeCompare(b.start));
+      expect(events.map(e => e.summary)).toEqual(['Support Alice', 'Support Bob', 'Support Alice', 'Support Alice']);
+      expect(result).toMatchObject({ summary: 'Support Bob', recurrenceId: '2025-06-09', scope: 'this' });
+    });
+
+    it('should move the whole series by the distance the occurrence moved', async () => {
+      const { cache, written } = setup(weeklyIcs, 'rota');
+
+      await cache.updateEvent('rota', { start: '2025-06-10', end: '2025-06-10' }, '', null, { scope: 'all', recurrenceId: '2025-06-09' });
+
+      expect(expand(written()).map(e => e.start)).toEqual(['2025-06-03', '2025-06-10', '2025-06-17', '2025-06-24']);
+    });
+
+    it('should keep the wall-clock time of timed series across DST', async () => {
+      const { cache, written } = setup(standupIcs, 'standup');
+
+      await cache.updateEvent('standup', { start: '2025-06-03T10:00', end: '2025-06-03T10:15' }, '', null, { scope: 'all', recurrenceId: '2025-06-03T07:00:00.000Z' });
+
+      const body = written();
+      expect(body).toContain('DTSTART;TZID=Europe/Berlin:20250602T100000');
+      const [winter] = expand(body, '2025-11-03', '2025-11-04');
+      expect(winter.start).toBe('2025-11-03T09:00:00.000Z');
+    });
+
+    it('should split the series with scope "following"', async () => {
+      const { cache, client, written } = setup(weeklyIcs, 'rota');
+
+      const result = await cache.updateEvent('rota', { summary: 'Support Bob' }, '', null, { scope: 'following', recurrenceId: '2025-06-16' });
+
+      expect(expand(written()).map(e => e.start)).toEqual(['2025-06-02', '2025-06-09']);
+      const tailIcs = client.createCalendarObject.mock.calls[0][0].iCalString;
+      const tail = expand(tailIcs);
+      expect(tail.map(e => [e.start, e.summary])).toEqual([['2025-06-16', 'Support Bob'], ['2025-06-23', 'Support Bob']]);
+      expect(result.uid).toBe(tail[0].uid);
+      expect(result.uid).not.toBe('rota');
+      expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'UPDATE',
+        eventUid: 'rota',
+        afterState: expect.objectContaining({ rrule: 'FREQ=WEEKLY;COUNT=2', continuedAs: result.uid })
+      }));
+    });
+
+    it('should leave the series alone when the rest cannot be created', async () => {
+      const { cache, client, fetchMock } = setup(weeklyIcs, 'rota');
+      client.createCalendarObject.mockRejectedValue(new Error('423 Locked'));
+
+      await expect(cache.updateEvent('rota', { summary: 'Support Bob' }, '', null, { scope: 'following', recurrenceId: '2025-06-16' })).rejects.toThrow('423 Locked');
+
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should remove the created rest when the series cannot be shortened', async () => {
+      const { cache, client, fetchMock } = setup(weeklyIcs, 'rota');
+      client.deleteCalendarObject = vi.fn(async () => ({ ok: true }));
+      fetchMock.mockResolvedValue({ ok: false, status: 412, statusText: 'Precondition Failed', text: async () => '' });
+
+      await expect(cache.updateEvent('rota', { summary: 'Support Bob' }, '', null, { scope: 'following', recurrenceId: '2025-06-16' })).rejects.toMatchObject({ statusCode: 412 });
+
+      const tailUid = client.createCalendarObject.mock.calls[0][0].filename.replace('.ics', '');
+      expect(client.deleteCalendarObject).toHaveBeenCalledWith({ calendarObject: { url: `${CAL_URL}${tailUid}.ics` } });
+      expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({ eventUid: tailUid, operation: 'DELETE', status: 'SUCCESS' }));
+    });
+
+    it('should change the rule of the series', async () => {
+      const { cache, written } = setup(weeklyIcs, 'rota');
+
+      await cache.updateEvent('rota', { rrule: 'FREQ=WEEKLY;COUNT=2' }, '', null);
+
+      expect(expand(written())).toHaveLength(2);
+    });
+
+    it('should require a known occurrence for partial scopes', async () => {
+      const { cache, fetchMock } = setup(weeklyIcs, 'rota');
+
+      await expect(cache.updateEvent('rota', { summary: 'x' }, '', null, { scope: 'this' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(cache.updateEvent('rota', { summary: 'x' }, '', null, { scope: 'this', recurrenceId: '2025-06-10' })).rejects.toMatchObject({ statusCode: 400 });
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteEvent', () => {
+    it('should exclude a single occurrence', async () => {
+      const { cache, written } = setup(weeklyIcs, 'rota');
+
+      await cache.deleteEvent('rota', null, { scope: 'this', recurrenceId: '2025-06-09' });
+
+      expect(written()).toContain('EXDATE;VALUE=DATE:20250609');
+      expect(expand(written()).map(e => e.start)).toEqual(['2025-06-02', '2025-06-16', '2025-06-23']);
+    });
+
+    it('should bring a deleted occurrence back when the delete is undone', async () => {
+      const deleted = setup(weeklyIcs, 'rota');
+      await deleted.cache.deleteEvent('rota', null, { scope: 'this', recurrenceId: '2025-06-09' });
+      const { beforeState } = auditHistory.logOperation.mock.calls[0][0];
+      expect(beforeState.exdates).toEqual([]);
+
+      // Undo restores the logged series snapshot (see applyState in routes/audit)
+      vi.unstubAllGlobals();
+      const { cache, written } = setup(deleted.written(), 'rota');
+      const { summary, description, location, start, end, rrule, exdates, meta } = beforeState;
+      await cache.updateEvent('rota', { summary, description, location, start, end, rrule, exdates, meta, targetCalendarUrl: CAL_URL }, '', null, {});
+
+      expect(written()).not.toContain('EXDATE');
+      expect(expand(written()).map(e => e.start)).toEqual(['2025-06-02', '2025-06-09', '2025-06-16', '2025-06-23']);
+    });
+
+    it('should end the series before the occurrence', async () => {
+      const { cache, written } = setup(standupIcs, 'standup');
+
+      await cache.deleteEvent('standup', null, { scope: 'following', recurrenceId: '2025-06-05T07:00:00.000Z' });
+
+      expect(expand(written()).map(e => e.start)).toEqual([
+        '2025-06-02T07:00:00.000Z',
+        '2025-06-03T07:00:00.000Z',
+        '2025-06-04T07:00:00.000Z'
+      ]);
+    });
+  });
+});
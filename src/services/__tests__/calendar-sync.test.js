@@ -0,0 +1,243 @@
+/**
+ * Tests for incremental CalDAV sync in CalendarCache.refreshCalendar
+ * and the change events it publishes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import dayjs from 'dayjs';
+
+vi.mock('../geocoding.js', () => ({
+  geocodeLocations: vi.fn(async () => new Map())
+}));
+
+const { CalendarCache } = await import('../calendar.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+
+function ics(uid, summary, date) {
+  const d = dayjs(date);
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    'DTSTAMP:20250101T000000Z',
+    `DTSTART;VALUE=DATE:${d.format('YYYYMMDD')}`,
+    `DTEND;VALUE=DATE:${d.add(1, 'day').format('YYYYMMDD')}`,
+    `SUMMARY:${summary}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+function object(uid, summary, etag) {
+  return {
+    url: `${CAL_URL}${uid}.ics`,
+    etag,
+    data: ics(uid, summary, dayjs().add(7, 'day'))
+  };
+}
+
+describe('CalendarCache incremental sync', () => {
+  let cache;
+  let client;
+  let calendar;
+
+  beforeEach(() => {
+    cache = new CalendarCache();
+    client = {
+      fetchCalendarObjects: vi.fn(),
+      syncCollection: vi.fn()
+    };
+    cache.client = client;
+    calendar = {
+      url: CAL_URL,
+      displayName: 'Travel (Alice Example)',
+      reports: ['syncCollection'],
+      syncToken: 'token-1'
+    };
+  });
+
+  it('should do a full fetch on first refresh and remember the sync token', async () => {
+    client.fetchCalendarObjects.mockResolvedValue([
+      object('a', 'Event A', '"1"'),
+      object('b', 'Event B', '"1"')
+    ]);
+
+    const events = await cache.refreshCalendar(calendar);
+
+    expect(events).toHaveLength(2);
+    expect(client.fetchCalendarObjects).toHaveBeenCalledWith(expect.objectContaining({ timeRange: expect.any(Object) }));
+    expect(client.syncCollection).not.toHaveBeenCalled();
+    expect(cache.syncState.get(CAL_URL).syncToken).toBe('token-1');
+    expect(cache.getCalendar(CAL_URL).events).toHaveLength(2);
+  });
+
+  it('should skip network fetches when the sync token is unchanged', async () => {
+    client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A', '"1"')]);
+    await cache.refreshCalendar(calendar);
+    client.fetchCalendarObjects.mockClear();
+
+    const events = await cache.refreshCalendar({ ...calendar });
+
+    expect(events).toHaveLength(1);
+    expect(client.syncCollection).not.toHaveBeenCalled();
+    expect(client.fetchCalendarObjects).not.toHaveBeenCalled();
+  });
+
+  it('should fetch only changed objects and drop deleted ones', async () => {
+    client.fetchCalendarObjects.mockResolvedValue([
+      object('a', 'Event A', '"1"'),
+      object('b', 'Event B', '"1"'),
+      object('c', 'Event C', '"1"')
+    ]);
+    await cache.refreshCalendar(calendar);
+    client.fetchCalendarObjects.mockReset();
+
+    client.syncCollection.mockResolvedValue([
+      { href: '/remote.php/dav/calendars/user/travel/a.ics', status: 200, ok: true, props: { getetag: '"2"' }, raw: { multistatus: { syncToken: 'token-2' } } },
+      { href: '/remote.php/dav/calendars/user/travel/b.ics', status: 200, ok: true, props: { getetag: '"1"' } },
+      { href: '/remote.php/dav/calendars/user/travel/c.ics', status: 404, ok: true, props: {} },
+      { href: '/remote.php/dav/calendars/user/travel/d.ics', status: 200, ok: true, props: { getetag: '"1"' } }
+    ]);
+    client.fetchCalendarObjects.mockResolvedValue([
+      object('a', 'Event A renamed', '"2"'),
+      object('d', 'Event D', '"1"')
+    ]);
+
+    const events = await cache.refreshCalendar({ ...calendar, syncToken: 'token-2' });
+
+    expect(client.syncCollection).toHaveBeenCalledWith(expect.objectContaining({ syncToken: 'token-1' }));
+    expect(client.fetchCalendarObjects).toHaveBeenCalledWith({
+      calendar: expect.any(Object),
+      objectUrls: [`${CAL_URL}a.ics`, `${CAL_URL}d.ics`]
+    });
+    expect(events.map(e => e.summary).sort()).toEqual(['Event A renamed', 'Event B', 'Event D']);
+    expect(cache.syncState.get(CAL_URL).syncToken).toBe('token-2');
+  });
+
+  it('should ask the server for changes on a single refresh despite the cached sync token', async () => {
+    cache.calendars = [calendar];
+    client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A', '"1"')]);
+    await cache.refreshCalendar(calendar);
+    client.fetchCalendarObjects.mockReset();
+
+    client.syncCollection.mockResolvedValue([
+      { href: '/remote.php/dav/calendars/user/travel/a.ics', status: 200, ok: true, props: { getetag: '"2"' }, raw: { multistatus: { syncToken: 'token-2' } } }
+    ]);
+    client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A renamed', '"2"')]);
+
+    expect(await cache.refreshSingleCalendar(CAL_URL)).toBe(true);
+
+    expect(client.syncCollection).toHaveBeenCalledWith(expect.objectContaining({ syncToken: 'token-1' }));
+    expect(cache.getCalendar(CAL_URL).events.map(e => e.summary)).toEqual(['Event A renamed']);
+    expect(cache.syncState.get(CAL_URL).syncToken).toBe('token-2');
+  });
+
+  it('should fall back to a full fetch when the sync token is rejected', async () => {
+    client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A', '"1"')]);
+    await cache.refreshCalendar(calendar);
+
+    client.syncCollection.mockResolvedValue([{ ok: false, status: 403, raw: 'valid-sync-token' }]);
+    client.fetchCalendarObjects.mockResolvedValue([object('b', 'Event B', '"1"')]);
+
+    const events = await cache.refreshCalendar({ ...calendar, syncToken: 'token-9' });
+
+    expect(events.map(e => e.summary)).toEqual(['Event B']);
+    expect(client.fetchCalendarObjects).toHaveBeenLastCalledWith(expect.objectContaining({ timeRange: expect.any(Object) }));
+    expect(cache.syncState.get(CAL_URL).syncToken).toBe('token-9');
+  });
+
+  it('should always do a full fetch when the server lacks sync-collection', async () => {
+    const plain = { ...calendar, reports: [] };
+    client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A', '"1"')]);
+    await cache.refreshCalendar(plain);
+    await cache.refreshCalendar({ ...plain, syncToken: 'token-2' });
+
+    expect(client.syncCollection).not.toHaveBeenCalled();
+    expect(client.fetchCalendarObjects).toHaveBeenCalledTimes(2);
+  });
+
+  it('should refetch everything when fullSync is requested', async () => {
+    client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A', '"1"')]);
+    await cache.refreshCalendar(calendar);
+    await cache.refreshCalendar(calendar, { fullSync: true });
+
+    expect(client.syncCollection).not.toHaveBeenCalled();
+    expect(client.fetchCalendarObjects).toHaveBeenCalledTimes(2);
+  });
+
+  describe('change events', () => {
+    let changes;
+
+    beforeEach(() => {
+      changes = [];
+      cache.on('change', change => changes.push(change));
+    });
+
+    it('should not publish anything on the first refresh', async () => {
+      client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A', '"1"')]);
+
+      await cache.refreshCalendar(calendar);
+
+      expect(changes).toEqual([]);
+    });
+
+    it('should publish upserted and removed events after a sync', async () => {
+      client.fetchCalendarObjects.mockResolvedValue([
+        object('a', 'Event A', '"1"'),
+        object('b', 'Event B', '"1"')
+      ]);
+      await cache.refreshCalendar(calendar);
+
+      client.syncCollection.mockResolvedValue([
+        { href: '/remote.php/dav/calendars/user/travel/a.ics', status: 200, ok: true, props: { getetag: '"2"' }, raw: { multistatus: { syncToken: 'token-2' } } },
+        { href: '/remote.php/dav/calendars/user/travel/b.ics', status: 404, ok: true, props: {} }
+      ]);
+      client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A renamed', '"2"')]);
+
+      await cache.refreshCalendar({ ...calendar, syncToken: 'token-2' });
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0].calendarUrl).toBe(CAL_URL);
+      expect(changes[0].upserted.map(e => e.summary)).toEqual(['Event A renamed']);
+      expect(changes[0].removed).toEqual([`${CAL_URL}-b`]);
+    });
+
+    it('should stay quiet when a full fetch returns the same events', async () => {
+      client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A', '"1"')]);
+      await cache.refreshCalendar(calendar);
+      await cache.refreshCalendar(calendar, { fullSync: true });
+
+      expect(changes).toEqual([]);
+    });
+
+    it('should publish local writes once', async () => {
+      client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A', '"1"')]);
+      await cache.refreshCalendar(calendar);
+
+      const written = object('a', 'Event A edited', '"2"');
+      await cache.recordLocalWrite(CAL_URL, written.url, written.data, '"2"');
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0].upserted.map(e => e.summary)).toEqual(['Event A edited']);
+
+      // The following refresh sees the written object and has nothing new to report
+      client.syncCollection.mockResolvedValue([
+        { href: '/remote.php/dav/calendars/user/travel/a.ics', status: 200, ok: true, props: { getetag: '"2"' }, raw: { multistatus: { syncToken: 'token-2' } } }
+      ]);
+      await cache.refreshCalendar({ ...calendar, syncToken: 'token-2' });
+
+      expect(changes).toHaveLength(1);
+    });
+
+    it('should publish local deletes', async () => {
+      client.fetchCalendarObjects.mockResolvedValue([object('a', 'Event A', '"1"')]);
+      await cache.refreshCalendar(calendar);
+
+      cache.recordLocalDelete(CAL_URL, `${CAL_URL}a.ics`);
+
+      expect(changes).toEqual([{ calendarUrl: CAL_URL, upserted: [], removed: [`${CAL_URL}-a`] }]);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tests for timed (non-all-day) events: creation with TZID/VTIMEZONE,
+ * updates that keep the time zone, and parsing of timed objects
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+vi.mock('../geocoding.js', () => ({
+  geocodeLocations: vi.fn(async () => new Map())
+}));
+
+vi.mock('../audit-history.js', () => ({
+  auditHistory: {
+    getEventHistory: vi.fn(async () => []),
+    logOperation: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('../../utils/operation-log.js', () => ({
+  logOperation: vi.fn(async () => {})
+}));
+
+const { CalendarCache } = await import('../calendar.js');
+const { auditHistory } = await import('../audit-history.js');
+
+const CAL_URL = 'https://cloud.example.com/remote.php/dav/calendars/user/travel/';
+
+const berlinIcs = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VTIMEZONE',
+  'TZID:Europe/Berlin',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:20250330T020000',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'DTSTART:20251026T030000',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+  'BEGIN:VEVENT',
+  'UID:abc',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250703T090000',
+  'DTEND;TZID=Europe/Berlin:20250703T103000',
+  'SUMMARY:Remote session',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+function setup() {
+  const cache = new CalendarCache();
+  const client = {
+    account: { credentials: { username: 'u', password: 'p' } },
+    createCalendarObject: vi.fn(async () => ({ headers: new Headers({ etag: '"1"' }) })),
+    fetchCalendarObjects: vi.fn(async () => [{ url: `${CAL_URL}abc.ics`, etag: '"1"', data: berlinIcs }])
+  };
+  cache.calendarClients[CAL_URL] = { client, calendar: { url: CAL_URL } };
+  return { cache, client };
+}
+
+describe('CalendarCache timed events', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    auditHistory.logOperation.mockClear();
+  });
+
+  describe('expandCalendarObject', () => {
+    it('should parse TZID times as instants and keep the zone', () => {
+      const cache = new CalendarCache();
+      const [event] = cache.expandCalendarObject(
+        { url: `${CAL_URL}abc.ics`, data: berlinIcs },
+        { url: CAL_URL, displayName: 'Travel' },
+        new Date('2025-01-01'),
+        new Date('2026-01-01')
+      );
+
+      expect(event).toMatchObject({
+        start: '2025-07-03T07:00:00.000Z',
+        end: '2025-07-03T08:30:00.000Z',
+        allDay: false,
+        timezone: 'Europe/Berlin'
+      });
+    });
+
+    it('should treat midnight date-times as timed', () => {
+      const cache = new CalendarCache();
+      const ics = berlinIcs
+        .replace('DTSTART;TZID=Europe/Berlin:20250703T090000', 'DTSTART:20250703T000000Z')
+        .replace('DTEND;TZID=Europe/Berlin:20250703T103000', 'DTEND:20250704T000000Z');
+      const [event] = cache.expandCalendarObject(
+        { url: `${CAL_URL}abc.ics`, data: ics },
+        { url: CAL_URL, displayName: 'Travel' },
+        new Date('2025-01-01'),
+        new Date('2026-01-01')
+      );
+
+      expect(event).toMatchObject({ start: '2025-07-03T00:00:00.000Z', allDay: false, timezone: 'UTC' });
+    });
+  });
+
+  describe('createEvent', () => {
+    it('should write TZID times with a VTIMEZONE block', async () => {
+      const { cache, client } = setup();
+
+      const result = await cache.createEvent({
+        calendarUrl: CAL_URL,
+        summary: 'Remote session',
+        start: '2025-07-03T09:00',
+        end: '2025-07-03T10:30',
+        timezone: 'Europe/Berlin'
+      });
+
+      const { iCalString } = client.createCalendarObject.mock.calls[0][0];
+      expect(iCalString).toContain('DTSTART;TZID=Europe/Berlin:20250703T090000');
+      expect(iCalString).toContain('DTEND;TZID=Europe/Berlin:20250703T103000');
+      expect(iCalString.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(iCalString.indexOf('BEGIN:VEVENT'));
+      expect(result).toMatchObject({
+        success: true,
+        start: '2025-07-03T07:00:00.000Z',
+        end: '2025-07-03T08:30:00.000Z',
+        allDay: false,
+        timezone: 'Europe/Berlin'
+      });
+      expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'CREATE',
+        afterState: expect.objectContaining({ allDay: false, timezone: 'Europe/Berlin' })
+      }));
+    });
+
+    it('should use plain UTC times without a VTIMEZONE', async () => {
+      const { cache, client } = setup();
+
+      await cache.createEvent({
+        calendarUrl: CAL_URL,
+        summary: 'Call',
+        start: '2025-07-03T09:00:00Z',
+        end: '2025-07-03T10:00:00Z',
+        allDay: false
+      });
+
+      const { iCalString } = client.createCalendarObject.mock.calls[0][0];
+      expect(iCalString).toContain('DTSTART:20250703T090000Z');
+      expect(iCalString).not.toContain('VTIMEZONE');
+    });
+
+    it('should delegate date-only ranges to createAllDayEvent', async () => {
+      const { cache, client } = setup();
+
+      const result = await cache.createEvent({ calendarUrl: CAL_URL, summary: 'Install', start: '2025-07-03', end: '2025-07-04' });
+
+      expect(client.createCalendarObject.mock.calls[0][0].iCalString).toContain('DTSTART;VALUE=DATE:20250703');
+      expect(result).toMatchObject({ start: '2025-07-03', end: '2025-07-04', allDay: true });
+    });
+
+    it('should reject unknown zones and inverted ranges', async () => {
+      const { cache, client } = setup();
+      const payload = { calendarUrl: CAL_URL, summary: 'Call', start: '2025-07-03T09:00', end: '2025-07-03T10:00' };
+
+      await expect(cache.createEvent({ ...payload, timezone: 'Mars/Olympus' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(cache.createEvent({ ...payload, end: '2025-07-03T08:00' })).rejects.toMatchObject({ statusCode: 400 });
+      expect(client.createCalendarObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateEvent', () => {
+    const timedEvent = {
+      uid: 'abc',
+      summary: 'Remote session',
+      description: '',
+      location: '',
+      start: '2025-07-03T07:00:00.000Z',
+      end: '2025-07-03T08:30:00.000Z',
+      allDay: false,
+      timezone: 'Europe/Berlin',
+      meta: null,
+      calendar: CAL_URL,
+      calendarUrl: CAL_URL
+    };
+
+    function setupUpdate() {
+      const { cache } = setup();
+      cache.getEvent = vi.fn(async () => ({ ...timedEvent }));
+      const fetchMock = vi.fn(async () => ({ ok: true, headers: new Headers({ etag: '"2"' }) }));
+      vi.stubGlobal('fetch', fetchMock);
+      return { cache, fetchMock };
+    }
+
+    it('should keep the time zone and wall-clock time when moving to another day', async () => {
+      const { cache, fetchMock } = setupUpdate();
+
+      const result = await cache.updateEvent('abc', { start: '2025-12-10', end: '2025-12-10' }, '');
+
+      const body = fetchMock.mock.calls[0][1].body;
+      expect(body).toContain('DTSTART;TZID=Europe/Berlin:20251210T090000');
+      expect(body).toContain('DTEND;TZID=Europe/Berlin:20251210T103000');
+      expect(body).toContain('BEGIN:VTIMEZONE');
+      expect(body).not.toContain('VALUE=DATE');
+      expect(result).toMatchObject({ start: '2025-12-10T08:00:00.000Z', end: '2025-12-10T09:30:00.000Z', timezone: 'Europe/Berlin' });
+    });
+
+    it('should read new wall-clock times in a new time zone', async () => {
+      const { cache, fetchMock } = setupUpdate();
+
+      await cache.updateEvent('abc', { start: '2025-07-03T09:00', end: '2025-07-03T10:00', timezone: 'America/New_York' }, '');
+
+      const body = fetchMock.mock.calls[0][1].body;
+      expect(body).toContain('DTSTART;TZID=America/New_York:20250703T090000');
+      expect(body).toContain('TZID:America/New_York');
+    });
+
+    it('should reject an end before the start', async () => {
+      const { cache, fetchMock } = setupUpdate();
+
+      await expect(cache.updateEvent('abc', { end: '2025-07-03T06:00:00Z' }, '')).rejects.toMatchObject({ statusCode: 400 });
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,4 +1,5 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { calendarOwners } from '../../config/calendar-order.js';
 
 describe('calendar service', () => {
   describe('CalendarCache class', () => {
@@ -69,6 +70,48 @@ describe('calendar service', () => {
     });
   });
 
+  describe('getCalendarsForUser', () => {
+    const ALICE_URL = 'https://cloud.example.com/calendars/admin/travel_shared_by_asmith/';
+    const OTHER_ALICE_URL = 'https://cloud.example.com/calendars/admin/travel_shared_by_asmith2/';
+
+    beforeEach(() => {
+      Object.assign(calendarOwners, {
+        [ALICE_URL]: 'Alice.Smith@example.com',
+        [OTHER_ALICE_URL]: 'alice.smith@other.example.com'
+      });
+    });
+
+    afterEach(() => {
+      delete calendarOwners[ALICE_URL];
+      delete calendarOwners[OTHER_ALICE_URL];
+    });
+
+    it('should match the owner email configured in calendarOwners', async () => {
+      const { CalendarCache } = await import('../calendar.js');
+      const cache = new CalendarCache();
+      cache.calendars = [
+        { url: ALICE_URL, displayName: 'Travel' },
+        { url: 'https://cloud.example.com/calendars/admin/travel_bob/', displayName: 'Travel (Bob Jones)' }
+      ];
+
+      expect(cache.getCalendarsForUser({ name: 'Alice Smith', email: 'alice.smith@example.com' })).toEqual([ALICE_URL]);
+      expect(cache.getCalendarsForUser({ name: 'Alice Smith' })).toEqual([]);
+      expect(cache.getCalendarsForUser(undefined)).toEqual([]);
+    });
+
+    it('should not give users with the same display name each other\'s calendars', async () => {
+      const { CalendarCache } = await import('../calendar.js');
+      const cache = new CalendarCache();
+      cache.calendars = [
+        { url: ALICE_URL, displayName: 'Travel (Alice Smith)' },
+        { url: OTHER_ALICE_URL, displayName: 'Travel (Alice Smith)' }
+      ];
+
+      expect(cache.getCalendarsForUser({ name: 'Alice Smith', email: 'alice.smith@example.com', preferred_username: 'asmith2' })).toEqual([ALICE_URL]);
+      expect(cache.getCalendarsForUser({ name: 'Alice Smith', email: 'alice.smith@other.example.com', preferred_username: 'asmith' })).toEqual([OTHER_ALICE_URL]);
+    });
+  });
+
   describe('extractYaml', () => {
     it('should extract YAML from description', async () => {
       const { CalendarCache } = await import('../calendar.js');
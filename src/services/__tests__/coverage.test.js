@@ -0,0 +1,76 @@
+/**
+ * Tests for the support coverage report
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../calendar.js', () => ({
+  calendarCache: {
+    cache: { keys: vi.fn(() => ['calendar:https://cloud.example.com/cal/alice/', 'calendar:https://cloud.example.com/cal/bob/']) },
+    getEvents: vi.fn()
+  }
+}));
+
+const { getCoverageReport, formatCoverageCsv, formatCoverageIcs } = await import('../coverage.js');
+const { calendarCache } = await import('../calendar.js');
+const { getEventType } = await import('../event-type.js');
+
+const event = (uid, summary, start, end, calendarName, extra = {}) => ({
+  uid,
+  summary,
+  start,
+  end,
+  calendar: `https://cloud.example.com/cal/${calendarName.toLowerCase()}/`,
+  calendarName,
+  ...extra
+});
+
+describe('support coverage report', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    calendarCache.getEvents.mockResolvedValue({
+      calendars: [],
+      events: [
+        // Bob's support is written on Alice's calendar
+        event('s1', 'Support 1 Bob', '2025-07-07', '2025-07-09', 'Alice'),
+        event('s2', 'Support 2', '2025-07-07', '2025-07-08', 'Alice'),
+        event('v', 'Vacation', '2025-07-08', '2025-07-08', 'Bob'),
+        event('t', 'Demo Lyon', '2025-07-09', '2025-07-09', 'Bob', { location: 'Lyon', meta: { locationCountryCode: 'fr' } }),
+        event('o', 'Office Berlin', '2025-07-07', '2025-07-07', 'Alice', { location: 'Berlin', meta: { locationCountryCode: 'DE' } })
+      ]
+    });
+  });
+
+  it('should flag missing slots, conflicts and trips abroad', async () => {
+    const report = await getCoverageReport({ from: '2025-07-07', to: '2025-07-09', homeCountryCode: 'DE', conflictTypes: ['vacation'] });
+
+    expect(report.issues.map(issue => [issue.date, issue.slot, issue.issue, issue.assignee, issue.event?.uid ?? null])).toEqual([
+      ['2025-07-08', 'Support 1', 'conflict', 'Bob', 'v'],
+      ['2025-07-09', 'Support 1', 'abroad', 'Bob', 't'],
+      ['2025-07-09', 'Support 2', 'missing', null, null]
+    ]);
+    expect(report.issues[1].event).toEqual({ uid: 't', summary: 'Demo Lyon', type: getEventType('Demo Lyon'), location: 'Lyon', countryCode: 'FR' });
+    expect(report.summary).toEqual({ missing: 1, conflict: 1, abroad: 1 });
+  });
+
+  it('should skip the country check without a home country', async () => {
+    const report = await getCoverageReport({ from: '2025-07-07', to: '2025-07-09', homeCountryCode: '', conflictTypes: ['sick'] });
+
+    expect(report.summary).toEqual({ missing: 1, conflict: 0, abroad: 0 });
+  });
+
+  it('should render CSV and iCalendar', async () => {
+    const report = await getCoverageReport({ from: '2025-07-07', to: '2025-07-09', homeCountryCode: 'DE', conflictTypes: ['vacation'] });
+
+    const csv = formatCoverageCsv(report).split('\r\n');
+    const ics = formatCoverageIcs(report, new Date('2025-07-01T08:00:00Z'));
+
+    expect(csv[0]).toBe('"date","weekend","issue","slot","assignee","event","eventType","location","countryCode","calendar"');
+    expect(csv).toHaveLength(report.issues.length + 2);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+    expect(ics).toContain('DTSTART;VALUE=DATE:20250709\r\nDTEND;VALUE=DATE:20250710\r\nSUMMARY:No Support 2');
+    expect(ics).toContain('SUMMARY:Support 1 Bob abroad (FR): Demo Lyon');
+    expect(ics).toContain('DTSTAMP:20250701T080000Z');
+    expect(formatCoverageIcs(report)).toMatch(ics.match(/UID:[^\r]+/)[0]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for the public holidays service
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { getPublicHolidays, clearHolidayCache } from '../holidays.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const HOLIDAYS_2025 = [
+  { date: '2025-01-01', localName: 'Neujahr', name: "New Year's Day", counties: null },
+  { date: '2025-03-08', localName: 'Internationaler Frauentag', name: "International Women's Day", counties: ['DE-BE', 'DE-MV'] },
+  { date: '2025-04-18', localName: 'Karfreitag', name: 'Good Friday', counties: null },
+  { date: '2025-06-19', localName: 'Fronleichnam', name: 'Corpus Christi', counties: ['DE-BW', 'DE-BY'] }
+];
+
+describe('public holidays', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    clearHolidayCache();
+  });
+
+  it('should return nationwide holidays and those of the region', async () => {
+    global.fetch.mockResolvedValue({ ok: true, json: async () => HOLIDAYS_2025 });
+
+    const result = await getPublicHolidays('2025-03-01', '2025-06-30', { countryCode: 'DE', region: 'DE-BE' });
+
+    expect(result).toEqual({
+      holidays: [
+        { date: '2025-03-08', name: 'Internationaler Frauentag' },
+        { date: '2025-04-18', name: 'Karfreitag' }
+      ],
+      complete: true
+    });
+    expect(global.fetch).toHaveBeenCalledWith('https://date.nager.at/api/v3/PublicHolidays/2025/DE', expect.any(Object));
+  });
+
+  it('should load each year once', async () => {
+    global.fetch.mockResolvedValue({ ok: true, json: async () => HOLIDAYS_2025 });
+
+    await getPublicHolidays('2025-01-01', '2025-02-01', { countryCode: 'DE', region: 'DE-BE' });
+    await getPublicHolidays('2025-04-01', '2025-05-01', { countryCode: 'DE', region: 'DE-BY' });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should answer without holidays when the API fails, and retry later', async () => {
+    global.fetch.mockRejectedValueOnce(new Error('timeout')).mockResolvedValueOnce({ ok: false, status: 503 });
+
+    expect(await getPublicHolidays('2025-01-01', '2025-01-31', { countryCode: 'DE' })).toEqual({ holidays: [], complete: false });
+    expect(await getPublicHolidays('2025-01-01', '2025-01-31', { countryCode: 'DE' })).toEqual({ holidays: [], complete: false });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should have no holidays without a country', async () => {
+    expect(await getPublicHolidays('2025-01-01', '2025-12-31', { countryCode: '' })).toEqual({ holidays: [], complete: true });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
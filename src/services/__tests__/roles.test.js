@@ -0,0 +1,161 @@
+/**
+ * Tests for role grants and role resolution
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+vi.mock('../audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => 1)
+  }
+}));
+
+const { auditHistory } = await import('../audit-history.js');
+const { RoleService } = await import('../roles.js');
+
+const DEFAULTS = {
+  adminGroups: ['planner-admins'],
+  editorGroups: ['support'],
+  adminEmails: ['boss@example.com'],
+  editorEmails: ['carol@example.com']
+};
+
+const ADMIN = { email: 'boss@example.com', name: 'Boss' };
+
+describe('RoleService', () => {
+  let roleService;
+  let testDbPath;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    const random = Math.random().toString(36).substring(7);
+    testDbPath = path.join(process.cwd(), 'data', `test-roles-${Date.now()}-${random}.db`);
+    roleService = new RoleService(testDbPath, DEFAULTS);
+  });
+
+  afterEach(async () => {
+    await roleService.close();
+    try {
+      await fs.unlink(testDbPath);
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  });
+
+  describe('resolveRole', () => {
+    it('should map env emails over env groups and default to reader', async () => {
+      expect(await roleService.resolveRole({ email: 'Carol@Example.com', groups: ['planner-admins'] })).toEqual({ role: 'editor', source: 'env:email' });
+      expect(await roleService.resolveRole({ email: 'dave@example.com', groups: ['Support'] })).toEqual({ role: 'editor', source: 'env:group' });
+      expect(await roleService.resolveRole({ email: 'dave@example.com', groups: [] })).toEqual({ role: 'reader', source: 'default' });
+    });
+
+    it('should let grants replace the env mapping of the same email or group', async () => {
+      await roleService.grantRole({ type: 'email', subject: 'boss@example.com', role: 'reader' }, ADMIN);
+      await roleService.grantRole({ type: 'group', subject: 'support', role: 'admin' }, ADMIN);
+
+      expect(await roleService.resolveRole({ email: 'boss@example.com', groups: ['support'] })).toEqual({ role: 'reader', source: 'grant:email' });
+      expect(await roleService.resolveRole({ email: 'dave@example.com', groups: ['support'] })).toEqual({ role: 'admin', source: 'grant:group' });
+    });
+
+    it('should take the highest role among the user\'s groups', async () => {
+      await roleService.grantRole({ type: 'group', subject: 'planner-admins', role: 'reader' }, ADMIN);
+      await roleService.grantRole({ type: 'group', subject: 'interns', role: 'editor' }, ADMIN);
+
+      expect(await roleService.resolveRole({ groups: ['planner-admins', 'interns'] })).toEqual({ role: 'editor', source: 'grant:group' });
+      expect(await roleService.resolveRole({ groups: ['planner-admins', 'interns', 'support'] })).toMatchObject({ role: 'editor' });
+    });
+
+    it('should ignore expired grants', async () => {
+      const expiresAt = '2025-07-01T00:00:00.000Z';
+      await roleService.grantRole({ type: 'email', subject: 'dave@example.com', role: 'editor', expiresAt }, ADMIN);
+
+      expect(await roleService.resolveRole({ email: 'dave@example.com' }, new Date('2025-06-30T00:00:00Z'))).toEqual({ role: 'editor', source: 'grant:email' });
+      expect(await roleService.resolveRole({ email: 'dave@example.com' }, new Date('2025-07-01T00:00:00Z'))).toEqual({ role: 'reader', source: 'default' });
+      expect(await roleService.listGrants(new Date('2025-07-02T00:00:00Z'))).toEqual([
+        expect.objectContaining({ subject: 'dave@example.com', expiresAt, expired: true })
+      ]);
+    });
+  });
+
+  describe('grantRole and revokeRole', () => {
+    it('should persist grants and log every change to the audit history', async () => {
+      const first = await roleService.grantRole({ type: 'email', subject: ' Dave@Example.com ', role: 'editor', note: 'Covering June' }, ADMIN);
+      const second = await roleService.grantRole({ type: 'email', subject: 'dave@example.com', role: 'admin' }, ADMIN);
+
+      expect(first).toMatchObject({ type: 'email', subject: 'dave@example.com', role: 'editor', expiresAt: null, note: 'Covering June', grantedBy: 'boss@example.com' });
+      expect(auditHistory.logOperation).toHaveBeenLastCalledWith({
+        eventUid: 'role:email:dave@example.com',
+        operation: 'ROLE_GRANT',
+        userEmail: 'boss@example.com',
+        userName: 'Boss',
+        calendarUrl: '',
+        beforeState: first,
+        afterState: second
+      });
+
+      // A fresh service reads the grants back from the database
+      await roleService.close();
+      const reopened = new RoleService(testDbPath, DEFAULTS);
+      expect(await reopened.listGrants()).toEqual([{ ...second, expired: false }]);
+
+      expect(await reopened.revokeRole({ type: 'email', subject: 'DAVE@example.com' }, ADMIN)).toEqual(second);
+      expect(auditHistory.logOperation).toHaveBeenLastCalledWith(expect.objectContaining({
+        eventUid: 'role:email:dave@example.com',
+        operation: 'ROLE_REVOKE',
+        beforeState: second,
+        afterState: null
+      }));
+      expect(await reopened.listGrants()).toEqual([]);
+      await reopened.close();
+    });
+
+    it('should return null when revoking a subject without grant', async () => {
+      expect(await roleService.revokeRole({ type: 'group', subject: 'support' }, ADMIN)).toBeNull();
+      expect(auditHistory.logOperation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('calendar grants', () => {
+    const TEAM = ['https://cloud.example.com/calendars/support/travel_shared_by_bob/', 'https://cloud.example.com/calendars/support/travel_shared_by_carol/'];
+
+    it('should replace the calendars of a subject and resolve them by email or group', async () => {
+      await roleService.setCalendarGrants({ type: 'group', subject: 'Leads', calendarUrls: [TEAM[0]] }, ADMIN);
+      const grant = await roleService.setCalendarGrants({ type: 'group', subject: 'leads', calendarUrls: TEAM }, ADMIN);
+      await roleService.setCalendarGrants({ type: 'email', subject: 'dave@example.com', calendarUrls: [TEAM[1]] }, ADMIN);
+
+      expect(grant).toMatchObject({ type: 'group', subject: 'leads', calendarUrls: TEAM, grantedBy: 'boss@example.com' });
+      expect((await roleService.getGrantedCalendars({ email: 'dave@example.com', groups: ['LEADS'] })).sort()).toEqual(TEAM);
+      expect(await roleService.getGrantedCalendars({ email: 'eve@example.com', groups: [] })).toEqual([]);
+      expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+        eventUid: 'calendars:group:leads',
+        operation: 'ROLE_GRANT',
+        beforeState: expect.objectContaining({ calendarUrls: [TEAM[0]] }),
+        afterState: grant
+      }));
+    });
+
+    it('should revoke with an empty list', async () => {
+      await roleService.setCalendarGrants({ type: 'email', subject: 'dave@example.com', calendarUrls: TEAM }, ADMIN);
+
+      expect(await roleService.setCalendarGrants({ type: 'email', subject: 'dave@example.com', calendarUrls: [] }, ADMIN)).toBeNull();
+      expect(await roleService.listCalendarGrants()).toEqual([]);
+      expect(auditHistory.logOperation).toHaveBeenLastCalledWith(expect.objectContaining({
+        operation: 'ROLE_REVOKE',
+        afterState: null
+      }));
+    });
+  });
+
+  describe('previewRole', () => {
+    it('should resolve the role as if a grant were changed without storing it', async () => {
+      await roleService.grantRole({ type: 'group', subject: 'interns', role: 'admin' }, ADMIN);
+      const user = { email: 'dave@example.com', groups: ['interns'] };
+
+      expect(await roleService.previewRole(user, { type: 'group', subject: 'interns', role: null })).toEqual({ role: 'reader', source: 'default' });
+      expect(await roleService.previewRole(user, { type: 'email', subject: 'dave@example.com', role: 'editor' })).toEqual({ role: 'editor', source: 'grant:email' });
+      expect(await roleService.resolveRole(user)).toEqual({ role: 'admin', source: 'grant:group' });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for the support rota planner
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../calendar.js', () => ({
+  calendarCache: {
+    cache: { keys: vi.fn(() => []) },
+    getCalendarName: vi.fn(),
+    getEvents: vi.fn(),
+    createAllDayEvent: vi.fn()
+  }
+}));
+
+vi.mock('../audit-history.js', () => ({
+  auditHistory: {
+    logOperation: vi.fn(async () => 1),
+    withBatch: vi.fn(async (batchId, fn) => fn()),
+    trackFailures: vi.fn(async (tracker, fn) => fn())
+  }
+}));
+
+const { planRota, createRota } = await import('../rota.js');
+const { calendarCache } = await import('../calendar.js');
+const { auditHistory } = await import('../audit-history.js');
+const { getEventType } = await import('../event-type.js');
+
+const calendar = name => `https://cloud.example.com/remote.php/dav/calendars/support/${name.toLowerCase()}/`;
+const engineers = names => names.map(name => ({ calendarUrl: calendar(name), name }));
+const allDay = (name, summary, start, end = start) => ({ calendar: calendar(name), calendarName: name, summary, start, end });
+const brief = plan => plan.events.map(event => `${event.summary} ${event.start}..${event.end}`);
+
+describe('support rota', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should rotate after the maximum consecutive days and merge runs into one event', () => {
+    const plan = planRota({
+      engineers: engineers(['Alice', 'Bob', 'Carol', 'Dave']),
+      events: [],
+      from: '2025-07-07',
+      to: '2025-07-11',
+      rules: { maxConsecutiveDays: 3 }
+    });
+
+    expect(brief(plan)).toEqual([
+      'Support 1 Alice 2025-07-07..2025-07-09',
+      'Support 2 Bob 2025-07-07..2025-07-09',
+      'Support 1 Carol 2025-07-10..2025-07-11',
+      'Support 2 Dave 2025-07-10..2025-07-11'
+    ]);
+    expect(plan.gaps).toEqual([]);
+  });
+
+  it('should skip engineers who are away', () => {
+    const plan = planRota({
+      engineers: engineers(['Alice', 'Bob', 'Carol']),
+      events: [allDay('Alice', 'Vacation', '2025-07-08', '2025-07-09'), allDay('Bob', 'Office day', '2025-07-08')],
+      from: '2025-07-07',
+      to: '2025-07-09'
+    });
+
+    expect(brief(plan)).toEqual([
+      'Support 1 Alice 2025-07-07..2025-07-07',
+      'Support 2 Bob 2025-07-07..2025-07-09',
+      'Support 1 Carol 2025-07-08..2025-07-09'
+    ]);
+    expect(plan.days[1].unavailable).toEqual({ [calendar('Alice')]: getEventType('Vacation') });
+  });
+
+  it('should keep existing assignments and share weekends out', () => {
+    const plan = planRota({
+      engineers: engineers(['Alice', 'Bob', 'Carol', 'Dave']),
+      events: [allDay('Alice', 'Support 1', '2025-07-05', '2025-07-06')],
+      from: '2025-07-05',
+      to: '2025-07-13'
+    });
+
+    expect(plan.days[0].assignments['Support 1']).toEqual({ calendarUrl: calendar('Alice'), name: 'Alice', existing: true });
+    expect(plan.events.find(event => event.summary === 'Support 1 Alice')).toEqual({
+      calendarUrl: calendar('Alice'),
+      summary: 'Support 1 Alice',
+      start: '2025-07-07',
+      end: '2025-07-09'
+    });
+    expect(plan.engineers.map(engineer => engineer.weekendDays)).toEqual([2, 2, 2, 2]);
+    expect(plan.gaps).toEqual([]);
+  });
+
+  it('should report slots nobody can take', () => {
+    const plan = planRota({
+      engineers: engineers(['Alice', 'Bob']),
+      events: [allDay('Bob', 'Sick', '2025-07-08')],
+      from: '2025-07-07',
+      to: '2025-07-08',
+      rules: { includeWeekends: false }
+    });
+
+    expect(plan.gaps).toEqual([{ date: '2025-07-08', slot: 'Support 2' }]);
+    expect(plan.days[1].assignments['Support 1'].name).toBe('Alice');
+  });
+
+  it('should create the planned events in one audit batch', async () => {
+    calendarCache.getCalendarName.mockImplementation(url => ({ [calendar('Alice')]: 'Alice', [calendar('Bob')]: 'Bob' })[url]);
+    calendarCache.getEvents.mockResolvedValue({ calendars: [], events: [] });
+    calendarCache.createAllDayEvent
+      .mockResolvedValueOnce({ uid: 'a' })
+      .mockRejectedValueOnce(Object.assign(new Error('Calendar is read-only'), { statusCode: 403 }));
+    const user = { email: 'dave@example.com', name: 'Dave' };
+
+    const { batchId, plan, results } = await createRota({
+      calendarUrls: [calendar('Alice'), calendar('Bob')],
+      from: '2025-07-07',
+      to: '2025-07-08'
+    }, user);
+
+    expect(auditHistory.withBatch).toHaveBeenCalledWith(batchId, expect.any(Function));
+    expect(calendarCache.createAllDayEvent).toHaveBeenCalledWith({ ...plan.events[0], user });
+    expect(results).toEqual([
+      { index: 0, success: true, event: { uid: 'a' } },
+      { index: 1, success: false, status: 403, error: 'Calendar is read-only' }
+    ]);
+    expect(auditHistory.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+      operation: 'CREATE',
+      calendarUrl: calendar('Bob'),
+      status: 'REJECTED'
+    }));
+  });
+
+  it('should reject unknown calendars and long ranges', async () => {
+    calendarCache.getCalendarName.mockReturnValue(null);
+
+    await expect(createRota({ calendarUrls: [calendar('Eve')], from: '2025-07-07', to: '2025-07-08' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(createRota({ calendarUrls: [calendar('Eve')], from: '2025-01-01', to: '2025-12-31' }))
+      .rejects.toThrow('at most 92 days');
+    expect(calendarCache.createAllDayEvent).not.toHaveBeenCalled();
+  });
+});
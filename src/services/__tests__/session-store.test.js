@@ -0,0 +1,112 @@
+/**
+ * Tests for the SQLite session store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { SqliteSessionStore } from '../session-store.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const userSession = (user, expires) => ({
+  cookie: { originalMaxAge: HOUR, expires: expires?.toISOString(), httpOnly: true, path: '/' },
+  user
+});
+
+describe('SqliteSessionStore', () => {
+  let store;
+  let testDbPath;
+
+  beforeEach(() => {
+    const random = Math.random().toString(36).substring(7);
+    testDbPath = path.join(process.cwd(), 'data', `test-sessions-${Date.now()}-${random}.db`);
+    store = new SqliteSessionStore(testDbPath, { idleTimeoutMs: HOUR, absoluteTimeoutMs: 24 * HOUR });
+  });
+
+  afterEach(async () => {
+    await store.close();
+    try {
+      await fs.unlink(testDbPath);
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  });
+
+  it('should keep sessions across store instances through the callback interface', async () => {
+    const sess = userSession({ sub: 'abc', email: 'Dave@Example.com', name: 'Dave', role: 'editor' }, new Date(Date.now() + HOUR));
+
+    await promisify(store.set.bind(store))('sid-1', sess);
+    await store.close();
+
+    const reopened = new SqliteSessionStore(testDbPath, { idleTimeoutMs: HOUR, absoluteTimeoutMs: 24 * HOUR });
+    expect(await promisify(reopened.get.bind(reopened))('sid-1')).toEqual(sess);
+    expect(await promisify(reopened.length.bind(reopened))()).toBe(1);
+    await promisify(reopened.destroy.bind(reopened))('sid-1');
+    expect(await promisify(reopened.get.bind(reopened))('sid-1')).toBeNull();
+    await reopened.close();
+  });
+
+  it('should end sessions after the idle timeout unless touched', async () => {
+    const start = new Date('2025-07-01T08:00:00Z');
+    await store.setSession('sid-1', { user: { email: 'dave@example.com' } }, start);
+
+    await store.touchSession('sid-1', {}, new Date('2025-07-01T08:50:00Z'));
+
+    expect(await store.getSession('sid-1', new Date('2025-07-01T09:30:00Z'))).not.toBeNull();
+    expect(await store.getSession('sid-1', new Date('2025-07-01T09:50:00Z'))).toBeNull();
+  });
+
+  it('should end sessions after the absolute timeout, active or not', async () => {
+    const start = new Date('2025-07-01T08:00:00Z');
+    await store.setSession('sid-1', { user: { email: 'dave@example.com' } }, start);
+
+    // Saved again shortly before the absolute timeout: the start time is kept
+    const later = new Date('2025-07-02T07:30:00Z');
+    await store.setSession('sid-1', { user: { email: 'dave@example.com' }, visits: 2 }, later);
+
+    expect(await store.getSession('sid-1', new Date('2025-07-02T07:45:00Z'))).toEqual({ user: { email: 'dave@example.com' }, visits: 2 });
+    expect(await store.getSession('sid-1', new Date('2025-07-02T08:00:00Z'))).toBeNull();
+  });
+
+  it('should list sessions of signed-in users and revoke them per user', async () => {
+    const now = new Date();
+    await store.setSession('sid-1', { user: { sub: 'a', email: 'Dave@Example.com', name: 'Dave', role: 'editor' } }, now);
+    await store.setSession('sid-2', { user: { sub: 'a', email: 'dave@example.com', name: 'Dave', role: 'editor' } }, now);
+    await store.setSession('sid-3', { user: { sub: 'b', email: 'eve@example.com', name: 'Eve', role: 'admin' } }, now);
+    await store.setSession('sid-4', { code_verifier: 'pending-login' }, now);
+
+    const sessions = await store.listSessions({ currentSid: 'sid-3' });
+
+    expect(sessions).toHaveLength(3);
+    expect(sessions.map(s => s.id).join()).not.toContain('sid-');
+    expect(sessions.find(s => s.current)).toMatchObject({ user: { sub: 'b', email: 'eve@example.com', name: 'Eve', role: 'admin' } });
+
+    expect(await store.destroyUserSessions('DAVE@example.com')).toBe(2);
+    expect(await store.listSessions()).toHaveLength(1);
+    expect(await store.getSession('sid-4')).toEqual({ code_verifier: 'pending-login' });
+  });
+
+  it('should end the sessions of an IdP session on back-channel logout', async () => {
+    await store.setSession('sid-1', { oidc_sid: 'idp-1', user: { sub: 'a', email: 'dave@example.com' } });
+    await store.setSession('sid-2', { oidc_sid: 'idp-2', user: { sub: 'a', email: 'dave@example.com' } });
+    await store.setSession('sid-3', { oidc_sid: 'idp-3', user: { sub: 'b', email: 'eve@example.com' } });
+
+    expect(await store.destroyOidcSessions({ sub: 'a', sid: 'idp-1' })).toBe(1);
+    expect(await store.getSession('sid-2')).not.toBeNull();
+    expect(await store.destroyOidcSessions({ sub: 'a' })).toBe(1);
+    expect(await store.destroyOidcSessions({ sid: 'idp-3' })).toBe(1);
+    expect(await store.destroyOidcSessions({})).toBe(0);
+  });
+
+  it('should prune expired sessions', async () => {
+    await store.setSession('idle', {}, new Date('2025-07-01T08:00:00Z'));
+    await store.setSession('old', {}, new Date('2025-06-30T08:00:00Z'));
+    await store.touchSession('old', {}, new Date('2025-07-01T08:30:00Z'));
+    await store.setSession('fresh', {}, new Date('2025-07-01T08:45:00Z'));
+
+    expect(await store.prune(new Date('2025-07-01T09:15:00Z'))).toBe(2);
+    expect(await store.getSession('fresh', new Date('2025-07-01T09:15:00Z'))).toEqual({});
+  });
+});
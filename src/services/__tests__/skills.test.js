@@ -0,0 +1,156 @@
+/**
+ * Tests for the system skills service
+ */
+
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skills-'));
+const file = path.join(dir, 'system-skills.yaml');
+process.env.SYSTEM_SKILLS_FILE = file;
+
+vi.mock('../calendar.js', () => ({
+  calendarCache: {
+    getAllCalendars: vi.fn(),
+    getEvent: vi.fn(),
+    getEvents: vi.fn()
+  }
+}));
+
+vi.mock('../holidays.js', () => ({
+  getPublicHolidays: vi.fn()
+}));
+
+const { validateSkills, getSkills, findSystem, listSkills, suggestEngineers } = await import('../skills.js');
+const { calendarCache } = await import('../calendar.js');
+const { getPublicHolidays } = await import('../holidays.js');
+
+const SKILLS = `systems:
+  - name: Luminosa
+    experts: [Alice, Bob, Carol]
+  - name: FT250/FT300
+    experts: [Bob, Dave]
+  - name: LSM Upgrade Kits
+    subsystems:
+      - name: "Nikon "
+        experts: [Carol]
+      - name: Zeiss
+        experts: [Alice]
+`;
+
+const calendar = name => `https://cloud.example.com/cal/${name.toLowerCase()}/`;
+const event = (name, uid, summary, start, end, systemType) => ({
+  uid,
+  calendar: calendar(name),
+  summary,
+  start,
+  end,
+  ...(systemType && { meta: { systemType } })
+});
+
+/**
+ * Write the skills file with a new modification time
+ */
+function writeSkills(source, mtime) {
+  fs.writeFileSync(file, source);
+  fs.utimesSync(file, mtime, mtime);
+}
+
+describe('system skills', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    writeSkills(SKILLS, new Date('2025-01-01T00:00:00Z'));
+    calendarCache.getAllCalendars.mockReturnValue(['Alice', 'Bob', 'Carol'].map(name => ({ url: calendar(name), displayName: name })));
+    getPublicHolidays.mockResolvedValue({ holidays: [], complete: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should validate the skills file', () => {
+    expect(validateSkills({ systems: [{ name: 'Luminosa', experts: ['Alice'] }] })).toEqual([]);
+    expect(validateSkills({ systems: [{ name: 'A', experts: 'Alice' }, { name: 'a', subsystems: [{ experts: [''] }] }] })).toEqual([
+      'systems[0].experts must be a list',
+      'systems[1].name "a" is used twice',
+      'systems[1].subsystems[0].name is required',
+      'systems[1].subsystems[0].experts[0] must be a name'
+    ]);
+    expect(validateSkills([])).toEqual(['The file must contain a "systems" list']);
+  });
+
+  it('should reload changes and keep the last valid skills', () => {
+    expect(getSkills().systems.map(system => system.name)).toEqual(['Luminosa', 'FT250/FT300', 'LSM Upgrade Kits']);
+    expect(getSkills().systems[2].subsystems[0].name).toBe('Nikon');
+
+    writeSkills('systems:\n  - name: MT200\n    experts: [Dave]\n', new Date('2025-01-02T00:00:00Z'));
+    expect(getSkills().systems.map(system => system.name)).toEqual(['MT200']);
+
+    writeSkills('systems:\n  - name: MT200\n', new Date('2025-01-03T00:00:00Z'));
+    const invalid = getSkills();
+    expect(invalid.systems.map(system => system.name)).toEqual(['MT200']);
+    expect(invalid.error).toContain('systems[0] needs experts or subsystems');
+  });
+
+  it('should match system types', () => {
+    const { systems } = getSkills();
+
+    expect(findSystem('luminosa', systems).name).toBe('Luminosa');
+    expect(findSystem('FT 300', systems).name).toBe('FT250/FT300');
+    expect(findSystem('Nikon', systems).name).toBe('LSM Upgrade Kits / Nikon');
+    expect(findSystem('LSM upgrade kits', systems).experts).toEqual(['Carol', 'Alice']);
+    expect(findSystem('Luminosa #2 (Berlin)', systems).name).toBe('Luminosa');
+    expect(findSystem('MT100', systems)).toBeNull();
+  });
+
+  it('should map experts to calendars', () => {
+    const { systems, unmappedExperts } = listSkills();
+
+    expect(systems[1].experts).toEqual([{ name: 'Bob', calendarUrl: calendar('Bob') }, { name: 'Dave', calendarUrl: null }]);
+    expect(unmappedExperts).toEqual(['Dave']);
+  });
+
+  it('should rank experts by availability, then recent experience', async () => {
+    calendarCache.getEvents.mockImplementation(async (urls, from) => ({
+      calendars: [],
+      events: from === '2025-03-10'
+        ? [event('Bob', 'v', 'Vacation', '2025-03-11', '2025-03-11')]
+        : [
+          event('Alice', 'a1', 'Install Luminosa', '2025-01-20', '2025-01-22', 'Luminosa'),
+          event('Carol', 'c1', 'Install Luminosa', '2025-02-24', '2025-02-26', 'luminosa 2'),
+          event('Carol', 'c2', 'Install Nikon', '2025-03-03', '2025-03-04', 'Nikon')
+        ]
+    }));
+
+    const result = await suggestEngineers({ systemType: 'Luminosa', from: '2025-03-10', to: '2025-03-14' });
+
+    expect(result.system.name).toBe('Luminosa');
+    expect(result.workdays).toBe(5);
+    expect(result.candidates.map(candidate => [candidate.name, candidate.available, candidate.experience])).toEqual([
+      ['Carol', true, { events: 1, lastDate: '2025-02-26' }],
+      ['Alice', true, { events: 1, lastDate: '2025-01-22' }],
+      ['Bob', false, { events: 0, lastDate: null }]
+    ]);
+    expect(result.candidates[2].blockedDates).toEqual(['2025-03-11']);
+  });
+
+  it('should suggest engineers for an event', async () => {
+    calendarCache.getEvent.mockResolvedValue(event('Dave', 'job', 'Install FT300', '2025-03-10', '2025-03-12', 'FT300'));
+    calendarCache.getEvents.mockResolvedValue({ calendars: [], events: [] });
+
+    const result = await suggestEngineers({ uid: 'job' });
+
+    expect(result).toMatchObject({ systemType: 'FT300', from: '2025-03-10', to: '2025-03-12', unmappedExperts: ['Dave'] });
+    expect(result.candidates.map(candidate => candidate.name)).toEqual(['Bob']);
+  });
+
+  it('should reject unknown events and systems', async () => {
+    calendarCache.getEvent.mockResolvedValue(null);
+
+    await expect(suggestEngineers({ uid: 'missing' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(suggestEngineers({ systemType: 'MT100', from: '2025-03-10', to: '2025-03-12' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(suggestEngineers({ systemType: 'Luminosa', from: '2025-03-10' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
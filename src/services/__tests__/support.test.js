@@ -0,0 +1,101 @@
+/**
+ * Tests for the support assignment lookups
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../calendar.js', () => ({
+  calendarCache: {
+    cache: { keys: vi.fn(() => ['calendar:https://cloud.example.com/cal/alice/', 'calendar:https://cloud.example.com/cal/bob/', 'other']) },
+    getEvents: vi.fn()
+  }
+}));
+
+const { parseSupportAssignment, getSupportAssignments, getHandovers } = await import('../support.js');
+const { calendarCache } = await import('../calendar.js');
+
+const event = (uid, summary, start, end = start, calendarName = 'Alice') => ({
+  uid,
+  summary,
+  start,
+  end,
+  calendar: `https://cloud.example.com/cal/${calendarName.toLowerCase()}/`,
+  calendarName
+});
+
+describe('support assignments', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should parse support assignments', () => {
+    expect(parseSupportAssignment('Support 1 Alice')).toEqual({ slot: 'Support 1', name: 'Alice' });
+    expect(parseSupportAssignment('support2: Bob')).toEqual({ slot: 'Support 2', name: 'Bob' });
+    expect(parseSupportAssignment('Support 1')).toEqual({ slot: 'Support 1', name: null });
+    expect(parseSupportAssignment('Install Berlin')).toBeNull();
+  });
+
+  it('should parse custom slots', () => {
+    const slots = [{ name: 'On-call', pattern: 'on-?call|bereitschaft' }];
+
+    expect(parseSupportAssignment('Bereitschaft - Carol', slots)).toEqual({ slot: 'On-call', name: 'Carol' });
+    expect(parseSupportAssignment('Support 1 Alice', slots)).toBeNull();
+  });
+
+  it('should report assignments, gaps and double-bookings per day', async () => {
+    calendarCache.getEvents.mockResolvedValue({
+      calendars: [],
+      events: [
+        event('a', 'Support 1', '2025-07-07', '2025-07-08'),
+        event('b', 'Support 2 Bob', '2025-07-08', '2025-07-08', 'Bob'),
+        event('c', 'Support 2: Carol', '2025-07-08', '2025-07-09'),
+        event('d', 'Install Berlin', '2025-07-09')
+      ]
+    });
+
+    const result = await getSupportAssignments({ from: '2025-07-07', to: '2025-07-09' });
+
+    expect(calendarCache.getEvents).toHaveBeenCalledWith(
+      ['https://cloud.example.com/cal/alice/', 'https://cloud.example.com/cal/bob/'],
+      '2025-07-07',
+      '2025-07-09'
+    );
+    expect(result.slots).toEqual(['Support 1', 'Support 2']);
+    expect(result.days[0].assignments).toEqual({
+      'Support 1': { name: 'Alice', start: '2025-07-07', end: '2025-07-08' },
+      'Support 2': null
+    });
+    expect(result.gaps).toEqual([{ date: '2025-07-09', slot: 'Support 1', weekend: false }]);
+    expect(result.doubleBookings).toEqual([{ date: '2025-07-08', slot: 'Support 2', names: ['Bob', 'Carol'], uids: ['b', 'c'] }]);
+    expect(result.events.map(e => e.uid)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should list handovers from the day before the range on', async () => {
+    calendarCache.getEvents.mockResolvedValue({
+      calendars: [],
+      events: [
+        event('a', 'Support 1 Alice', '2025-07-04', '2025-07-08'),
+        event('b', 'Support 1 Bob', '2025-07-09', '2025-07-11', 'Bob'),
+        event('c', 'Support 2 Carol', '2025-07-10', '2025-07-10')
+      ]
+    });
+
+    const result = await getHandovers({ from: '2025-07-07' });
+
+    expect(result.to).toBe('2025-08-03');
+    expect(calendarCache.getEvents).toHaveBeenCalledWith(expect.any(Array), '2025-07-06', '2025-08-03');
+    expect(result.current['Support 1']).toEqual({ name: 'Alice', start: '2025-07-04', end: '2025-07-08' });
+    expect(result.handovers).toEqual([
+      { date: '2025-07-09', slot: 'Support 1', from: 'Alice', to: 'Bob' },
+      { date: '2025-07-10', slot: 'Support 2', from: null, to: 'Carol' },
+      { date: '2025-07-11', slot: 'Support 2', from: 'Carol', to: null },
+      { date: '2025-07-12', slot: 'Support 1', from: 'Bob', to: null }
+    ]);
+  });
+
+  it('should reject reversed and too long ranges', async () => {
+    await expect(getSupportAssignments({ from: '2025-07-09', to: '2025-07-07' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(getHandovers({ from: '2025-01-01', to: '2025-12-31' })).rejects.toThrow('at most 92 days');
+    expect(calendarCache.getEvents).not.toHaveBeenCalled();
+  });
+});
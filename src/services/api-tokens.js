@@ -0,0 +1,391 @@
+/**
+ * API Token Service
+ *
+ * Stores named API tokens for bots and scripts in SQLite, next to the static
+ * BOT_TOKENS env list. Tokens are generated by the server and only their
+ * SHA-256 hash is stored; the plain token is returned once on creation.
+ *
+ * A token has:
+ * - A role (reader/editor/admin)
+ * - Optionally the calendars it may edit (otherwise all its role allows)
+ * - Optionally an expiry date and an IP allow-list (addresses or CIDR ranges)
+ * - Usage tracking: last use, last IP and request count
+ *
+ * Revoked tokens stay listed for reference but no longer authenticate.
+ * Every creation and revocation is recorded in the audit history.
+ *
+ * @module services/api-tokens
+ */
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { BlockList, isIP } from 'net';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { auditHistory } from './audit-history.js';
+import { createLogger } from '../utils/index.js';
+
+const logger = createLogger('ApiTokens');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Database file path - store in data directory next to the audit history
+const DB_PATH = join(__dirname, '../../data/api-tokens.db');
+
+// Prefix of generated tokens, so they are recognizable in configs and logs
+const TOKEN_PREFIX = 'spt_';
+
+/**
+ * Hash a presented token for lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex SHA-256 hash
+ * @private
+ */
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients
+ * @param {string} ip - Client address
+ * @returns {string}
+ * @private
+ */
+function normalizeIp(ip) {
+  const address = String(ip || '').trim();
+  return address.startsWith('::ffff:') && isIP(address.slice(7)) === 4 ? address.slice(7) : address;
+}
+
+/**
+ * Whether an address or CIDR range is valid for an allow-list
+ * @param {string} entry - Address (e.g. 10.0.0.5) or range (e.g. 10.0.0.0/24)
+ * @returns {boolean}
+ */
+export function isValidIpRule(entry) {
+  const [address, prefix, ...rest] = String(entry || '').trim().split('/');
+  const family = isIP(address);
+  if (!family || rest.length > 0) return false;
+  if (prefix === undefined) return true;
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits >= 0 && bits <= (family === 4 ? 32 : 128);
+}
+
+/**
+ * Whether a client address matches an allow-list
+ * @param {string[]} rules - Addresses and CIDR ranges
+ * @param {string} ip - Client address
+ * @returns {boolean}
+ * @private
+ */
+function ipAllowed(rules, ip) {
+  const address = normalizeIp(ip);
+  const family = isIP(address);
+  if (!family) return false;
+
+  const list = new BlockList();
+  for (const rule of rules) {
+    const [ruleAddress, prefix] = rule.split('/');
+    const type = isIP(ruleAddress) === 4 ? 'ipv4' : 'ipv6';
+    if (prefix === undefined) {
+      list.addAddress(ruleAddress, type);
+    } else {
+      list.addSubnet(ruleAddress, Number(prefix), type);
+    }
+  }
+  return list.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Format a token row for API responses and audit snapshots (never the hash)
+ * @param {Object} row - Database row
+ * @param {Date} now - Reference time for expiry
+ * @returns {Object} Token
+ * @private
+ */
+function formatToken(row, now = new Date()) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    role: row.role,
+    calendarUrls: row.calendar_urls ? JSON.parse(row.calendar_urls) : null,
+    allowedIps: row.allowed_ips ? JSON.parse(row.allowed_ips) : null,
+    expiresAt: row.expires_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    requestCount: row.request_count,
+    revokedAt: row.revoked_at,
+    revokedBy: row.revoked_by,
+    active: !row.revoked_at && (!row.expires_at || new Date(row.expires_at) > now)
+  };
+}
+
+export class ApiTokenService {
+  /**
+   * @param {string} [dbPath] - SQLite file to use (defaults to data/api-tokens.db)
+   */
+  constructor(dbPath = DB_PATH) {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the tokens database
+   *
+   * Creates the tokens table if it doesn't exist.
+   * Safe to call multiple times (idempotent).
+   *
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      this.db = await open({
+        filename: this.dbPath,
+        driver: sqlite3.Database
+      });
+
+      await this.db.exec(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          prefix TEXT NOT NULL,
+          role TEXT NOT NULL,
+          calendar_urls TEXT,
+          allowed_ips TEXT,
+          expires_at TEXT,
+          created_by TEXT,
+          created_at TEXT NOT NULL,
+          last_used_at TEXT,
+          last_used_ip TEXT,
+          request_count INTEGER NOT NULL DEFAULT 0,
+          revoked_at TEXT,
+          revoked_by TEXT
+        )
+      `);
+
+      this.isInitialized = true;
+      logger.info('Database initialized', { path: this.dbPath });
+    } catch (error) {
+      logger.error('Failed to initialize database', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List all tokens, newest first
+   *
+   * @param {Date} [now] - Reference time for expiry
+   * @returns {Promise<Array<Object>>} Tokens with an `active` flag (never the token itself)
+   */
+  async listTokens(now = new Date()) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const rows = await this.db.all('SELECT * FROM api_tokens ORDER BY created_at DESC, name');
+    return rows.map(row => formatToken(row, now));
+  }
+
+  /**
+   * Get a token by id
+   *
+   * @param {string} id - Token id
+   * @returns {Promise<Object|null>} Token or null
+   */
+  async getToken(id) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const row = await this.db.get('SELECT * FROM api_tokens WHERE id = ?', [id]);
+    return row ? formatToken(row) : null;
+  }
+
+  /**
+   * Create a token
+   *
+   * Logged to the audit history as TOKEN_CREATE.
+   *
+   * @param {Object} params - Token parameters
+   * @param {string} params.name - Name, e.g. the script using it
+   * @param {string} params.role - Role (reader/editor/admin)
+   * @param {string[]} [params.calendarUrls] - Calendars the token may edit; all its role allows without
+   * @param {string[]} [params.allowedIps] - Addresses or CIDR ranges the token may be used from
+   * @param {string} [params.expiresAt] - ISO 8601 expiry; the token does not expire without it
+   * @param {Object} [actor] - Session user creating the token
+   * @returns {Promise<{token: string}>} Stored token plus the plain `token`, only returned here
+   */
+  async createToken({ name, role, calendarUrls, allowedIps, expiresAt }, actor) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const plain = TOKEN_PREFIX + randomBytes(32).toString('base64url');
+    const id = randomUUID();
+    const urls = calendarUrls?.length ? [...new Set(calendarUrls)] : null;
+    const ips = allowedIps?.length ? [...new Set(allowedIps.map(ip => ip.trim()))] : null;
+
+    await this.db.run(
+      `INSERT INTO api_tokens (id, name, token_hash, prefix, role, calendar_urls, allowed_ips, expires_at, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        name,
+        hashToken(plain),
+        plain.slice(0, TOKEN_PREFIX.length + 4),
+        role,
+        urls ? JSON.stringify(urls) : null,
+        ips ? JSON.stringify(ips) : null,
+        expiresAt ? new Date(expiresAt).toISOString() : null,
+        actor?.email || actor?.name || null,
+        new Date().toISOString()
+      ]
+    );
+    const token = await this.getToken(id);
+
+    await auditHistory.logOperation({
+      eventUid: `token:${id}`,
+      operation: 'TOKEN_CREATE',
+      userEmail: actor?.email,
+      userName: actor?.name,
+      calendarUrl: '',
+      beforeState: null,
+      afterState: token
+    });
+
+    logger.info('API token created', { id, name, role, by: token.createdBy });
+    return { ...token, token: plain };
+  }
+
+  /**
+   * Revoke a token
+   *
+   * Takes effect on the token's next request. Logged to the audit history
+   * as TOKEN_REVOKE.
+   *
+   * @param {string} id - Token id
+   * @param {Object} [actor] - Session user revoking the token
+   * @returns {Promise<Object|null>} Revoked token, or null if unknown or already revoked
+   */
+  async revokeToken(id, actor) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const previous = await this.getToken(id);
+    if (!previous || previous.revokedAt) {
+      return null;
+    }
+
+    await this.db.run(
+      'UPDATE api_tokens SET revoked_at = ?, revoked_by = ? WHERE id = ?',
+      [new Date().toISOString(), actor?.email || actor?.name || null, id]
+    );
+    const revoked = await this.getToken(id);
+
+    await auditHistory.logOperation({
+      eventUid: `token:${id}`,
+      operation: 'TOKEN_REVOKE',
+      userEmail: actor?.email,
+      userName: actor?.name,
+      calendarUrl: '',
+      beforeState: previous,
+      afterState: revoked
+    });
+
+    logger.info('API token revoked', { id, name: previous.name, by: revoked.revokedBy });
+    return revoked;
+  }
+
+  /**
+   * Authenticate a presented token
+   *
+   * Counts the request and records the time and address of the use. Never
+   * throws; unknown, revoked or expired tokens and addresses outside the
+   * allow-list yield null.
+   *
+   * @param {string} presented - Bearer token from the request
+   * @param {string} ip - Client address
+   * @param {Date} [now] - Reference time for expiry
+   * @returns {Promise<Object|null>} Token or null
+   */
+  async authenticate(presented, ip, now = new Date()) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const row = await this.db.get('SELECT * FROM api_tokens WHERE token_hash = ?', [hashToken(presented)]);
+      if (!row) return null;
+
+      const token = formatToken(row, now);
+      if (!token.active) {
+        logger.warn('Rejected inactive API token', { id: token.id, name: token.name });
+        return null;
+      }
+      if (token.allowedIps && !ipAllowed(token.allowedIps, ip)) {
+        logger.warn('Rejected API token from address outside its allow-list', { id: token.id, name: token.name, ip });
+        return null;
+      }
+
+      const usedAt = now.toISOString();
+      await this.db.run(
+        'UPDATE api_tokens SET last_used_at = ?, last_used_ip = ?, request_count = request_count + 1 WHERE id = ?',
+        [usedAt, normalizeIp(ip), token.id]
+      );
+      return { ...token, lastUsedAt: usedAt, lastUsedIp: normalizeIp(ip), requestCount: token.requestCount + 1 };
+    } catch (error) {
+      logger.error('Failed to authenticate API token', error);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a token still authenticates (not revoked or expired)
+   *
+   * Used to end sessions created by a token once it is revoked.
+   *
+   * @param {string} id - Token id
+   * @param {Date} [now] - Reference time for expiry
+   * @returns {Promise<boolean>}
+   */
+  async isActive(id, now = new Date()) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+      const row = await this.db.get('SELECT * FROM api_tokens WHERE id = ?', [id]);
+      return Boolean(row) && formatToken(row, now).active;
+    } catch (error) {
+      logger.error('Failed to check API token', error);
+      return false;
+    }
+  }
+
+  /**
+   * Close database connection
+   *
+   * Call during graceful shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      this.isInitialized = false;
+      logger.info('Database connection closed');
+    }
+  }
+}
+
+// Export singleton instance
+export const apiTokenService = new ApiTokenService();
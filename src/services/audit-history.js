@@ -9,15 +9,23 @@
  * - Multi-user tracking
  * - Undo support by restoring previous state
  * - Efficient querying with indexes
+ * - Batch ids grouping the entries of one multi-event request
+ * - Undo/redo links between entries (which entry an undo reverted)
+ * - Tamper-evident hash chain over all entries
+ * - Retention: pruning old entries and compacting old snapshots to diffs
+ * - Streaming export of filtered history
+ * - Per-user change feed since the user's last visit
  * 
  * @module services/audit-history
  */
 
 import sqlite3 from 'sqlite3';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
 import { open } from 'sqlite';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { createLogger } from '../utils/index.js';
+import { createLogger, diffEventStates } from '../utils/index.js';
 
 const logger = createLogger('AuditHistory');
 
@@ -27,6 +35,316 @@ const __dirname = dirname(__filename);
 // Database file path - store in data directory
 const DB_PATH = join(__dirname, '../../data/audit-history.db');
 
+// Columns selected for audit entries; last_undo_id/last_redo_id tell whether the entry is currently undone
+const ENTRY_COLUMNS = `
+  id, event_uid, operation, user_email, user_name, timestamp,
+  calendar_url, target_calendar_url, before_state, after_state,
+  status, error_message, batch_id, undo_of, redo_of, snapshot_digest, created_at,
+  (SELECT MAX(u.id) FROM audit_history u WHERE u.undo_of = audit_history.id AND u.status = 'SUCCESS') AS last_undo_id,
+  (SELECT MAX(r.id) FROM audit_history r WHERE r.redo_of = audit_history.id AND r.status = 'SUCCESS') AS last_redo_id`;
+
+// Columns covered by an entry's hash, in hashing order
+const CHAINED_COLUMNS = [
+  'event_uid', 'operation', 'user_email', 'user_name', 'timestamp',
+  'calendar_url', 'target_calendar_url', 'before_state', 'after_state',
+  'status', 'error_message', 'batch_id', 'undo_of', 'redo_of'
+];
+
+// Snapshot columns enter the hash through their digest, which compaction keeps
+const SNAPSHOT_COLUMNS = ['before_state', 'after_state'];
+
+// Rows read per query when verifying, compacting or exporting
+const VERIFY_PAGE_SIZE = 1000;
+const COMPACT_PAGE_SIZE = 500;
+const EXPORT_PAGE_SIZE = 500;
+
+// Fields kept in compacted snapshots so entries stay readable
+const IDENTITY_FIELDS = ['uid', 'summary', 'start', 'end', 'calendar', 'calendarUrl'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Condition leaving out changes to role grants and API tokens, which only admins see
+const WITHOUT_ADMIN_OPERATIONS = `operation NOT IN ('ROLE_GRANT', 'ROLE_REVOKE', 'TOKEN_CREATE', 'TOKEN_REVOKE')`;
+
+// Per-group counts of all, failed and rejected entries for failure rates
+const FAILURE_COUNTS = `COUNT(*) AS total,
+  SUM(CASE WHEN status IN ('FAILED', 'PARTIAL') THEN 1 ELSE 0 END) AS failed,
+  SUM(CASE WHEN status = 'REJECTED' THEN 1 ELSE 0 END) AS rejected`;
+
+/**
+ * Hash a value as JSON
+ * 
+ * @param {*} value - Value
+ * @returns {string} Hex SHA-256 digest
+ * @private
+ */
+function sha256(value) {
+  return createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+}
+
+/**
+ * Digest each field of a stored snapshot
+ * 
+ * Meta keys are digested one by one (`meta.<key>`), matching the fields
+ * compaction keeps, so a compacted snapshot can still be checked field by
+ * field.
+ * 
+ * @param {string|null} json - Snapshot column value
+ * @returns {Object|null} Field name to digest, sorted by name, or null without a snapshot
+ * @private
+ */
+function fieldDigests(json) {
+  if (json == null) return null;
+  const state = JSON.parse(json);
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    return { '': sha256(state) };
+  }
+
+  const digests = {};
+  for (const [field, value] of Object.entries(state)) {
+    if (field === 'meta' && value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [key, metaValue] of Object.entries(value)) {
+        digests[`meta.${key}`] = sha256(metaValue);
+      }
+    } else {
+      digests[field] = sha256(value);
+    }
+  }
+  return Object.fromEntries(Object.entries(digests).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+/**
+ * Digest the fields of an audit row's snapshots
+ * 
+ * @param {Object} row - Row with before_state/after_state
+ * @returns {{before: (Object|null), after: (Object|null)}} Field digests per snapshot
+ * @private
+ */
+function snapshotFieldDigests(row) {
+  return { before: fieldDigests(row.before_state), after: fieldDigests(row.after_state) };
+}
+
+/**
+ * Compute the digest of an audit row's snapshots
+ * 
+ * Hashes the field digests rather than the snapshots, so the digest of a
+ * compacted row can be rebuilt from the field digests compaction stored.
+ * 
+ * @param {Object} row - Row with before_state/after_state (and snapshot_digest once compacted)
+ * @returns {string} Hex digest of the original snapshots
+ * @private
+ */
+function snapshotDigest(row) {
+  const { before, after } = row.snapshot_digest ? JSON.parse(row.snapshot_digest) : snapshotFieldDigests(row);
+  return sha256([before, after]);
+}
+
+/**
+ * Check the snapshots of a compacted row against its stored field digests
+ * 
+ * Every field left in a compacted snapshot must match the digest of the
+ * original field, and the identifying fields compaction always keeps must
+ * still be there. Rows that were never compacted are hashed in full.
+ * 
+ * @param {Object} row - Row with before_state, after_state and snapshot_digest
+ * @returns {boolean} Whether the snapshots are unchanged parts of the originals
+ * @private
+ */
+function compactedSnapshotsMatch(row) {
+  if (!row.snapshot_digest) return true;
+  const stored = JSON.parse(row.snapshot_digest);
+  const current = snapshotFieldDigests(row);
+  return ['before', 'after'].every(side => {
+    if (!stored[side] || !current[side]) return !stored[side] === !current[side];
+    return Object.entries(current[side]).every(([field, digest]) => stored[side][field] === digest)
+      && IDENTITY_FIELDS.every(field => !(field in stored[side]) || field in current[side]);
+  });
+}
+
+/**
+ * Compute the chain hash of an audit row
+ * 
+ * SHA-256 over the previous entry's hash, the row's chained columns and
+ * the digest of its snapshots, so changing, removing or reordering any
+ * entry breaks every later link.
+ * 
+ * @param {string|null} prevHash - Hash of the previous entry
+ * @param {Object} row - Row with the chained columns
+ * @returns {string} Hex digest
+ * @private
+ */
+function hashEntry(prevHash, row) {
+  const values = CHAINED_COLUMNS.map(column => SNAPSHOT_COLUMNS.includes(column) ? null : row[column] ?? null);
+  return sha256([prevHash || null, ...values, snapshotDigest(row)]);
+}
+
+/**
+ * Check a stored row against its hash
+ * 
+ * @param {Object} row - Row with prev_hash, hash, snapshot_digest and the chained columns
+ * @returns {boolean} Whether the row's content matches its hash
+ * @private
+ */
+function entryMatchesHash(row) {
+  try {
+    return compactedSnapshotsMatch(row) && row.hash === hashEntry(row.prev_hash, row);
+  } catch (error) {
+    // Snapshots or digests that are no longer valid JSON
+    return false;
+  }
+}
+
+/**
+ * Copy the given fields of an event state
+ * 
+ * Field names are those of diffEventStates (`calendar`, `meta.<key>`).
+ * 
+ * @param {Object} state - Event state
+ * @param {Array<string>} fields - Fields to copy
+ * @returns {Object} Partial state
+ * @private
+ */
+function pickFields(state, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (field.startsWith('meta.')) {
+      const key = field.slice('meta.'.length);
+      if (state.meta && key in state.meta) {
+        picked.meta = { ...picked.meta, [key]: state.meta[key] };
+      }
+    } else if (field in state) {
+      picked[field] = state[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Reduce the snapshots of an entry to the fields that changed
+ * 
+ * Creates and deletes have nothing to diff against and keep only the
+ * identifying fields.
+ * 
+ * @param {Object|null} before - Before state
+ * @param {Object|null} after - After state
+ * @returns {{before: (Object|null), after: (Object|null)}} Compacted snapshots
+ * @private
+ */
+function compactStates(before, after) {
+  const changed = before && after ? diffEventStates(before, after).map(change => change.field) : [];
+  const fields = [...IDENTITY_FIELDS, ...changed];
+  return {
+    before: before && pickFields(before, fields),
+    after: after && pickFields(after, fields)
+  };
+}
+
+/**
+ * Add the share of unsuccessful entries to a row of failure counts
+ * 
+ * @param {Object} row - Row with total, failed and rejected
+ * @returns {Object} Row with failureRate (0-1, rounded to 4 places)
+ * @private
+ */
+function withFailureRate(row) {
+  const failureRate = row.total > 0 ? Math.round(((row.failed + row.rejected) / row.total) * 10000) / 10000 : 0;
+  return { ...row, failureRate };
+}
+
+/**
+ * Build the WHERE conditions for history filters
+ * 
+ * @param {Object} filters - Filters as taken by getRecentHistory
+ * @returns {{conditions: Array<string>, params: Array<*>}} SQL conditions and their parameters
+ * @private
+ */
+function buildFilterConditions({ operation, withoutAdminOperations, status, userEmail, calendarUrl, batchId, since, until }) {
+  const conditions = [];
+  const params = [];
+
+  if (operation) {
+    conditions.push('operation = ?');
+    params.push(operation);
+  }
+
+  if (withoutAdminOperations) {
+    conditions.push(WITHOUT_ADMIN_OPERATIONS);
+  }
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  if (userEmail) {
+    conditions.push('user_email = ?');
+    params.push(userEmail);
+  }
+
+  if (calendarUrl) {
+    // Moves are logged on the source calendar and name the target separately
+    conditions.push('(calendar_url = ? OR target_calendar_url = ?)');
+    params.push(calendarUrl, calendarUrl);
+  }
+
+  if (batchId) {
+    conditions.push('batch_id = ?');
+    params.push(batchId);
+  }
+
+  if (since) {
+    conditions.push('timestamp >= ?');
+    params.push(since.toISOString());
+  }
+
+  if (until) {
+    conditions.push('timestamp <= ?');
+    params.push(until.toISOString());
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Convert a database row to an audit entry
+ * 
+ * Parses the JSON state snapshots and transforms to camelCase with a
+ * nested user object.
+ * 
+ * @param {Object} entry - Row from audit_history
+ * @returns {Object} Audit entry
+ * @private
+ */
+function formatEntry(entry) {
+  return {
+    ...entry,
+    beforeState: entry.before_state ? JSON.parse(entry.before_state) : null,
+    afterState: entry.after_state ? JSON.parse(entry.after_state) : null,
+    batchId: entry.batch_id,
+    undoOf: entry.undo_of,
+    redoOf: entry.redo_of,
+    compacted: Boolean(entry.snapshot_digest),
+    // Undone when the latest undo of the entry is newer than its latest redo
+    undone: Boolean(entry.last_undo_id && entry.last_undo_id > (entry.last_redo_id || 0)),
+    user: entry.user_email || entry.user_name ? {
+      email: entry.user_email,
+      name: entry.user_name
+    } : null,
+    before_state: undefined, // Remove snake_case
+    after_state: undefined,
+    user_email: undefined,
+    user_name: undefined,
+    batch_id: undefined,
+    undo_of: undefined,
+    redo_of: undefined,
+    last_undo_id: undefined,
+    last_redo_id: undefined,
+    prev_hash: undefined,
+    hash: undefined,
+    snapshot_digest: undefined
+  };
+}
+
 /**
  * Audit History Service Class
  * 
@@ -34,9 +352,16 @@ const DB_PATH = join(__dirname, '../../data/audit-history.db');
  * Uses SQLite for persistent, queryable storage.
  */
 export class AuditHistoryService {
-  constructor() {
+  /**
+   * @param {string} [dbPath] - SQLite file to use (defaults to data/audit-history.db)
+   */
+  constructor(dbPath = DB_PATH) {
+    this.dbPath = dbPath;
     this.db = null;
     this.isInitialized = false;
+    this.context = new AsyncLocalStorage();
+    // Appends and pruning run one at a time so each entry links to the one before it
+    this.writeQueue = Promise.resolve();
   }
 
   /**
@@ -53,7 +378,7 @@ export class AuditHistoryService {
     try {
       // Open database connection
       this.db = await open({
-        filename: DB_PATH,
+        filename: this.dbPath,
         driver: sqlite3.Database
       });
 
@@ -75,10 +400,48 @@ export class AuditHistoryService {
           after_state TEXT,
           status TEXT NOT NULL DEFAULT 'SUCCESS',
           error_message TEXT,
+          batch_id TEXT,
+          undo_of INTEGER,
+          redo_of INTEGER,
+          prev_hash TEXT,
+          hash TEXT,
+          snapshot_digest TEXT,
           created_at TEXT NOT NULL DEFAULT (datetime('now'))
         )
       `);
 
+      // Databases created by earlier versions lack the newer columns
+      const columns = (await this.db.all('PRAGMA table_info(audit_history)')).map(column => column.name);
+      for (const [name, type] of [['batch_id', 'TEXT'], ['undo_of', 'INTEGER'], ['redo_of', 'INTEGER'], ['prev_hash', 'TEXT'], ['hash', 'TEXT'], ['snapshot_digest', 'TEXT']]) {
+        if (!columns.includes(name)) {
+          await this.db.exec(`ALTER TABLE audit_history ADD COLUMN ${name} ${type}`);
+        }
+      }
+
+      // Bookkeeping such as the hash of the last pruned entry
+      await this.db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_meta (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        )
+      `);
+
+      // Chains written before the start was recorded begin at their first hashed entry
+      if (await this.getMeta('chain_start') === null) {
+        const first = await this.db.get('SELECT MIN(id) AS id FROM audit_history WHERE hash IS NOT NULL');
+        if (first.id !== null) {
+          await this.setMeta('chain_start', String(first.id));
+        }
+      }
+
+      // When each user last looked at their change feed
+      await this.db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_last_seen (
+          user_key TEXT PRIMARY KEY,
+          seen_at TEXT NOT NULL
+        )
+      `);
+
       // Create indexes for efficient queries
       await this.db.exec(`
         CREATE INDEX IF NOT EXISTS idx_event_uid 
@@ -95,30 +458,86 @@ export class AuditHistoryService {
         
         CREATE INDEX IF NOT EXISTS idx_calendar_url 
         ON audit_history(calendar_url);
+        
+        CREATE INDEX IF NOT EXISTS idx_batch_id 
+        ON audit_history(batch_id);
+        
+        CREATE INDEX IF NOT EXISTS idx_undo_of 
+        ON audit_history(undo_of);
+        
+        CREATE INDEX IF NOT EXISTS idx_redo_of 
+        ON audit_history(redo_of);
       `);
 
       this.isInitialized = true;
-      logger.info('Database initialized', { path: DB_PATH });
+      logger.info('Database initialized', { path: this.dbPath });
     } catch (error) {
       logger.error('Failed to initialize database', error);
       throw error;
     }
   }
 
+  /**
+   * Run a function with a batch id attached to every operation it logs
+   * 
+   * The id follows the async call chain, so calendar operations invoked
+   * from fn are grouped without passing it through each of them.
+   * 
+   * @param {string} batchId - Batch id to record
+   * @param {Function} fn - Function to run
+   * @returns {Promise<*>} Result of fn
+   */
+  withBatch(batchId, fn) {
+    return this.withContext({ batchId }, fn);
+  }
+
+  /**
+   * Run a function with context recorded on every operation it logs
+   * 
+   * Nested calls add to the outer context, e.g. an undo inside a batch.
+   * 
+   * @param {Object} context - Fields to record
+   * @param {string} [context.batchId] - Batch id
+   * @param {number} [context.undoOf] - Audit entry the operations undo
+   * @param {number} [context.redoOf] - Audit entry the operations redo
+   * @param {Function} fn - Function to run
+   * @returns {Promise<*>} Result of fn
+   */
+  withContext(context, fn) {
+    return this.context.run({ ...this.context.getStore(), ...context }, fn);
+  }
+
+  /**
+   * Run a function, noting whether it logs an unsuccessful operation
+   * 
+   * Callers that record failed attempts themselves use this to skip
+   * failures the calendar service already logged with more detail.
+   * 
+   * @param {Object} tracker - Object whose `logged` is set to true on a logged failure
+   * @param {Function} fn - Function to run
+   * @returns {*} Result of fn
+   */
+  trackFailures(tracker, fn) {
+    return this.context.run({ ...this.context.getStore(), failureTracker: tracker }, fn);
+  }
+
   /**
    * Log an operation to audit history
    * 
    * @param {Object} params - Operation parameters
    * @param {string} params.eventUid - Event UID
-   * @param {string} params.operation - Operation type (CREATE/UPDATE/DELETE/MOVE)
+   * @param {string} params.operation - Operation type (CREATE/UPDATE/DELETE/MOVE, BULK for rejected bulk requests, UNDO/REVERT/REDO/RESTORE for unsuccessful audit restores, ROLE_GRANT/ROLE_REVOKE for role changes, TOKEN_CREATE/TOKEN_REVOKE for API tokens)
    * @param {string} [params.userEmail] - User email from session
    * @param {string} [params.userName] - User display name
    * @param {string} params.calendarUrl - Source calendar URL
    * @param {string} [params.targetCalendarUrl] - Target calendar URL (for MOVE)
    * @param {Object} [params.beforeState] - Event state before operation
    * @param {Object} [params.afterState] - Event state after operation
-   * @param {string} [params.status='SUCCESS'] - Operation status
+   * @param {string} [params.status='SUCCESS'] - Operation status (SUCCESS/FAILED/PARTIAL/REJECTED)
    * @param {string} [params.errorMessage] - Error message if failed
+   * @param {string} [params.batchId] - Batch id (defaults to the one set by withBatch)
+   * @param {number} [params.undoOf] - Audit entry this operation undoes (defaults to the context)
+   * @param {number} [params.redoOf] - Audit entry this operation redoes (defaults to the context)
    * @returns {Promise<number>} Audit entry ID
    */
   async logOperation({
@@ -131,38 +550,40 @@ export class AuditHistoryService {
     beforeState,
     afterState,
     status = 'SUCCESS',
-    errorMessage
+    errorMessage,
+    batchId = this.context.getStore()?.batchId,
+    undoOf = this.context.getStore()?.undoOf,
+    redoOf = this.context.getStore()?.redoOf
   }) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
-    try {
-      const timestamp = new Date().toISOString();
+    const failureTracker = this.context.getStore()?.failureTracker;
+    if (failureTracker && status !== 'SUCCESS') {
+      failureTracker.logged = true;
+    }
 
-      const result = await this.db.run(
-        `INSERT INTO audit_history (
-          event_uid, operation, user_email, user_name, timestamp,
-          calendar_url, target_calendar_url, before_state, after_state,
-          status, error_message
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          eventUid,
-          operation,
-          userEmail || null,
-          userName || null,
-          timestamp,
-          calendarUrl,
-          targetCalendarUrl || null,
-          beforeState ? JSON.stringify(beforeState) : null,
-          afterState ? JSON.stringify(afterState) : null,
-          status,
-          errorMessage || null
-        ]
-      );
+    try {
+      const id = await this.appendEntry({
+        event_uid: eventUid,
+        operation,
+        user_email: userEmail || null,
+        user_name: userName || null,
+        timestamp: new Date().toISOString(),
+        calendar_url: calendarUrl,
+        target_calendar_url: targetCalendarUrl || null,
+        before_state: beforeState ? JSON.stringify(beforeState) : null,
+        after_state: afterState ? JSON.stringify(afterState) : null,
+        status,
+        error_message: errorMessage || null,
+        batch_id: batchId || null,
+        undo_of: undoOf || null,
+        redo_of: redoOf || null
+      });
 
       logger.debug('Logged operation', { operation, eventUid, userEmail: userEmail || 'system' });
-      return result.lastID;
+      return id;
     } catch (error) {
       logger.error('Failed to log operation', error);
       // Don't throw - audit logging should never break the application
@@ -170,6 +591,73 @@ export class AuditHistoryService {
     }
   }
 
+  /**
+   * Insert a row chained to the latest entry
+   * 
+   * @param {Object} row - Values of the chained columns
+   * @returns {Promise<number>} Audit entry ID
+   * @private
+   */
+  appendEntry(row) {
+    return this.serialize(async () => {
+      const last = await this.db.get('SELECT hash FROM audit_history ORDER BY id DESC LIMIT 1');
+      // With every entry pruned, the chain continues from the last pruned one
+      const prevHash = last ? last.hash : await this.getMeta('chain_anchor');
+
+      const result = await this.db.run(
+        `INSERT INTO audit_history (${CHAINED_COLUMNS.join(', ')}, prev_hash, hash)
+        VALUES (${CHAINED_COLUMNS.map(() => '?').join(', ')}, ?, ?)`,
+        [...CHAINED_COLUMNS.map(column => row[column]), prevHash, hashEntry(prevHash, row)]
+      );
+      // Entries from here on must carry a hash
+      if (await this.getMeta('chain_start') === null) {
+        await this.setMeta('chain_start', String(result.lastID));
+      }
+      return result.lastID;
+    });
+  }
+
+  /**
+   * Run a write after all previously queued writes
+   * 
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of fn
+   * @private
+   */
+  serialize(fn) {
+    const run = this.writeQueue.then(fn);
+    // A failed write must not block the ones queued after it
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read a bookkeeping value
+   * 
+   * @param {string} key - Key
+   * @returns {Promise<string|null>} Value or null
+   * @private
+   */
+  async getMeta(key) {
+    const row = await this.db.get('SELECT value FROM audit_meta WHERE key = ?', [key]);
+    return row ? row.value : null;
+  }
+
+  /**
+   * Store a bookkeeping value
+   * 
+   * @param {string} key - Key
+   * @param {string|null} value - Value
+   * @returns {Promise<void>}
+   * @private
+   */
+  async setMeta(key, value) {
+    await this.db.run(
+      'INSERT INTO audit_meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+      [key, value]
+    );
+  }
+
   /**
    * Get audit history for a specific event
    * 
@@ -177,40 +665,27 @@ export class AuditHistoryService {
    * 
    * @param {string} eventUid - Event UID
    * @param {number} [limit=50] - Maximum number of entries to return
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.withoutAdminOperations] - Leave out role and token changes
    * @returns {Promise<Array<Object>>} Audit history entries
    */
-  async getEventHistory(eventUid, limit = 50) {
+  async getEventHistory(eventUid, limit = 50, { withoutAdminOperations } = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
     try {
       const entries = await this.db.all(
-        `SELECT 
-          id, event_uid, operation, user_email, user_name, timestamp,
-          calendar_url, target_calendar_url, before_state, after_state,
-          status, error_message, created_at
+        `SELECT ${ENTRY_COLUMNS}
         FROM audit_history
         WHERE event_uid = ?
+          ${withoutAdminOperations ? `AND ${WITHOUT_ADMIN_OPERATIONS}` : ''}
         ORDER BY timestamp DESC
         LIMIT ?`,
         [eventUid, limit]
       );
 
-      // Parse JSON fields and transform to camelCase with nested user object
-      return entries.map(entry => ({
-        ...entry,
-        beforeState: entry.before_state ? JSON.parse(entry.before_state) : null,
-        afterState: entry.after_state ? JSON.parse(entry.after_state) : null,
-        user: entry.user_email || entry.user_name ? {
-          email: entry.user_email,
-          name: entry.user_name
-        } : null,
-        before_state: undefined, // Remove snake_case
-        after_state: undefined,
-        user_email: undefined,
-        user_name: undefined
-      }));
+      return entries.map(formatEntry);
     } catch (error) {
       logger.error('Failed to get event history', error);
       return [];
@@ -222,8 +697,11 @@ export class AuditHistoryService {
    * 
    * @param {Object} [filters] - Optional filters
    * @param {string} [filters.operation] - Filter by operation type
+   * @param {boolean} [filters.withoutAdminOperations] - Leave out role and token changes
+   * @param {string} [filters.status] - Filter by status
    * @param {string} [filters.userEmail] - Filter by user email
-   * @param {string} [filters.calendarUrl] - Filter by calendar URL
+   * @param {string} [filters.calendarUrl] - Filter by calendar URL (as source or target of a move)
+   * @param {string} [filters.batchId] - Filter by batch id
    * @param {Date} [filters.since] - Filter by start date
    * @param {Date} [filters.until] - Filter by end date
    * @param {number} [filters.limit=100] - Maximum entries to return
@@ -235,82 +713,309 @@ export class AuditHistoryService {
     }
 
     try {
-      const {
-        operation,
-        userEmail,
-        calendarUrl,
-        since,
-        until,
-        limit = 100
-      } = filters;
-
-      // Build WHERE clause dynamically
-      const conditions = [];
-      const params = [];
-
-      if (operation) {
-        conditions.push('operation = ?');
-        params.push(operation);
-      }
+      const { limit = 100 } = filters;
+      const { conditions, params } = buildFilterConditions(filters);
 
-      if (userEmail) {
-        conditions.push('user_email = ?');
-        params.push(userEmail);
-      }
+      const whereClause = conditions.length > 0
+        ? 'WHERE ' + conditions.join(' AND ')
+        : '';
+
+      params.push(limit);
+
+      const entries = await this.db.all(
+        `SELECT ${ENTRY_COLUMNS}
+        FROM audit_history
+        ${whereClause}
+        ORDER BY timestamp DESC
+        LIMIT ?`,
+        params
+      );
+
+      return entries.map(formatEntry);
+    } catch (error) {
+      logger.error('Failed to get recent history', error);
+      return [];
+    }
+  }
 
-      if (calendarUrl) {
-        conditions.push('calendar_url = ?');
-        params.push(calendarUrl);
+  /**
+   * Iterate over filtered history, oldest first
+   * 
+   * Reads the history page by page so exports of any size stay within
+   * bounded memory. Unlike the other getters, errors are thrown, since a
+   * partial export must not look complete.
+   * 
+   * @param {Object} [filters] - Filters as taken by getRecentHistory (without limit)
+   * @yields {Object} Audit history entries
+   */
+  async *exportHistory(filters = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const { conditions, params } = buildFilterConditions(filters);
+    let lastId = 0;
+
+    for (;;) {
+      const entries = await this.db.all(
+        `SELECT ${ENTRY_COLUMNS}
+        FROM audit_history
+        WHERE ${[...conditions, 'id > ?'].join(' AND ')}
+        ORDER BY id ASC
+        LIMIT ${EXPORT_PAGE_SIZE}`,
+        [...params, lastId]
+      );
+      if (entries.length === 0) return;
+
+      for (const entry of entries) {
+        yield formatEntry(entry);
       }
+      lastId = entries[entries.length - 1].id;
+    }
+  }
+
+  /**
+   * Get a single audit entry
+   * 
+   * @param {number} auditId - Audit entry ID
+   * @returns {Promise<Object|null>} Audit entry (with `undone`) or null
+   */
+  async getEntry(auditId) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      const entry = await this.db.get(
+        `SELECT ${ENTRY_COLUMNS}
+        FROM audit_history
+        WHERE id = ?`,
+        [auditId]
+      );
+
+      return entry ? formatEntry(entry) : null;
+    } catch (error) {
+      logger.error('Failed to get audit entry', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the most recent successful undo of an audit entry
+   * 
+   * @param {number} auditId - Audit entry ID
+   * @returns {Promise<Object|null>} Audit entry logged by the undo, or null
+   */
+  async getLatestUndo(auditId) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      const entry = await this.db.get(
+        `SELECT ${ENTRY_COLUMNS}
+        FROM audit_history
+        WHERE undo_of = ? AND status = 'SUCCESS'
+        ORDER BY id DESC
+        LIMIT 1`,
+        [auditId]
+      );
+
+      return entry ? formatEntry(entry) : null;
+    } catch (error) {
+      logger.error('Failed to get latest undo', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all audit entries of a batch
+   * 
+   * Returns the operations in the order they were performed (oldest first).
+   * 
+   * @param {string} batchId - Batch id
+   * @returns {Promise<Array<Object>>} Audit history entries
+   */
+  async getBatchHistory(batchId) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      const entries = await this.db.all(
+        `SELECT ${ENTRY_COLUMNS}
+        FROM audit_history
+        WHERE batch_id = ?
+        ORDER BY id ASC`,
+        [batchId]
+      );
+
+      return entries.map(formatEntry);
+    } catch (error) {
+      logger.error('Failed to get batch history', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the changes made since a point in time to events of a calendar
+   * 
+   * Returns every successful entry after `since` for each event that was in
+   * the calendar or moved into or out of it after that time, including the
+   * event's entries in other calendars, oldest first. The first entry per
+   * event holds its state at `since` (before-state, null if created later).
+   * 
+   * @param {string} calendarUrl - Calendar URL
+   * @param {Date} since - Point in time
+   * @returns {Promise<Array<Object>>} Audit history entries
+   */
+  async getCalendarChangesSince(calendarUrl, since) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      const sinceIso = since.toISOString();
+      const entries = await this.db.all(
+        `SELECT ${ENTRY_COLUMNS}
+        FROM audit_history
+        WHERE timestamp > ?
+          AND status = 'SUCCESS'
+          AND ${WITHOUT_ADMIN_OPERATIONS}
+          AND event_uid IN (
+            SELECT event_uid FROM audit_history
+            WHERE timestamp > ? AND (calendar_url = ? OR target_calendar_url = ?)
+          )
+        ORDER BY id ASC`,
+        [sinceIso, sinceIso, calendarUrl, calendarUrl]
+      );
+
+      return entries.map(formatEntry);
+    } catch (error) {
+      logger.error('Failed to get calendar changes', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the changes relevant to a user since a point in time
+   * 
+   * Relevant are changes on the given calendars (as source or target) and
+   * changes to events the user created. The user's own changes and changes to
+   * role grants and API tokens are left out.
+   * 
+   * @param {Object} params - Feed parameters
+   * @param {string} [params.userEmail] - User email (for created events and own changes)
+   * @param {Array<string>} [params.calendarUrls] - The user's calendars
+   * @param {Date} params.since - Point in time
+   * @param {number} [params.limit=200] - Maximum entries to return
+   * @returns {Promise<Array<Object>>} Audit entries (newest first) with reason 'calendar' or 'created'
+   */
+  async getUserFeed({ userEmail, calendarUrls = [], since, limit = 200 }) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      const relevant = [];
+      const params = [since.toISOString()];
 
-      if (since) {
-        conditions.push('timestamp >= ?');
-        params.push(since.toISOString());
+      if (calendarUrls.length > 0) {
+        const placeholders = calendarUrls.map(() => '?').join(', ');
+        relevant.push(`calendar_url IN (${placeholders}) OR target_calendar_url IN (${placeholders})`);
+        params.push(...calendarUrls, ...calendarUrls);
       }
 
-      if (until) {
-        conditions.push('timestamp <= ?');
-        params.push(until.toISOString());
+      if (userEmail) {
+        relevant.push(`event_uid IN (
+          SELECT event_uid FROM audit_history
+          WHERE operation = 'CREATE' AND status = 'SUCCESS' AND user_email = ?
+        )`);
+        params.push(userEmail);
       }
 
-      const whereClause = conditions.length > 0
-        ? 'WHERE ' + conditions.join(' AND ')
-        : '';
+      if (relevant.length === 0) {
+        return [];
+      }
 
+      let ownChanges = '';
+      if (userEmail) {
+        ownChanges = 'AND (user_email IS NULL OR user_email <> ?)';
+        params.push(userEmail);
+      }
       params.push(limit);
 
       const entries = await this.db.all(
-        `SELECT 
-          id, event_uid, operation, user_email, user_name, timestamp,
-          calendar_url, target_calendar_url, before_state, after_state,
-          status, error_message, created_at
+        `SELECT ${ENTRY_COLUMNS}
         FROM audit_history
-        ${whereClause}
-        ORDER BY timestamp DESC
+        WHERE timestamp > ?
+          AND status = 'SUCCESS'
+          AND (${relevant.join(' OR ')})
+          ${ownChanges}
+        ORDER BY id DESC
         LIMIT ?`,
         params
       );
 
-      // Parse JSON fields and transform to camelCase with nested user object
+      const calendars = new Set(calendarUrls);
       return entries.map(entry => ({
-        ...entry,
-        beforeState: entry.before_state ? JSON.parse(entry.before_state) : null,
-        afterState: entry.after_state ? JSON.parse(entry.after_state) : null,
-        user: entry.user_email || entry.user_name ? {
-          email: entry.user_email,
-          name: entry.user_name
-        } : null,
-        before_state: undefined,
-        after_state: undefined,
-        user_email: undefined,
-        user_name: undefined
+        ...formatEntry(entry),
+        reason: calendars.has(entry.calendar_url) || calendars.has(entry.target_calendar_url) ? 'calendar' : 'created'
       }));
     } catch (error) {
-      logger.error('Failed to get recent history', error);
+      logger.error('Failed to get user feed', error);
       return [];
     }
   }
 
+  /**
+   * Get when a user last looked at their change feed
+   * 
+   * @param {string} userKey - User key (email, or name without one)
+   * @returns {Promise<string|null>} ISO timestamp or null if never
+   */
+  async getLastSeen(userKey) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      const row = await this.db.get('SELECT seen_at FROM audit_last_seen WHERE user_key = ?', [userKey]);
+      return row ? row.seen_at : null;
+    } catch (error) {
+      logger.error('Failed to get last seen marker', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record that a user has seen their change feed up to a point in time
+   * 
+   * The marker never moves backwards, so a stale tab cannot bring back
+   * changes another tab already marked as seen.
+   * 
+   * @param {string} userKey - User key (email, or name without one)
+   * @param {Date} [at] - Point in time seen (defaults to now)
+   * @returns {Promise<string|null>} The stored ISO timestamp or null on error
+   */
+  async markSeen(userKey, at = new Date()) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      await this.db.run(
+        `INSERT INTO audit_last_seen (user_key, seen_at) VALUES (?, ?)
+        ON CONFLICT(user_key) DO UPDATE SET seen_at = MAX(seen_at, excluded.seen_at)`,
+        [userKey, at.toISOString()]
+      );
+      return this.getLastSeen(userKey);
+    } catch (error) {
+      logger.error('Failed to store last seen marker', error);
+      return null;
+    }
+  }
+
   /**
    * Get the previous state of an event for undo
    * 
@@ -318,7 +1023,7 @@ export class AuditHistoryService {
    * Useful for implementing undo functionality.
    * 
    * @param {string} eventUid - Event UID
-   * @returns {Promise<Object|null>} Previous event state or null
+   * @returns {Promise<Object|null>} Previous event state ({auditId, state, operation, timestamp, calendarUrl, targetCalendarUrl, compacted}) or null
    */
   async getPreviousState(eventUid) {
     if (!this.isInitialized) {
@@ -327,7 +1032,7 @@ export class AuditHistoryService {
 
     try {
       const entry = await this.db.get(
-        `SELECT before_state, operation, timestamp
+        `SELECT id, before_state, operation, timestamp, snapshot_digest, calendar_url, target_calendar_url
         FROM audit_history
         WHERE event_uid = ? 
           AND status = 'SUCCESS'
@@ -342,9 +1047,13 @@ export class AuditHistoryService {
       }
 
       return {
+        auditId: entry.id,
         state: JSON.parse(entry.before_state),
         operation: entry.operation,
-        timestamp: entry.timestamp
+        timestamp: entry.timestamp,
+        calendarUrl: entry.calendar_url,
+        targetCalendarUrl: entry.target_calendar_url,
+        compacted: Boolean(entry.snapshot_digest)
       };
     } catch (error) {
       logger.error('Failed to get previous state', error);
@@ -355,7 +1064,9 @@ export class AuditHistoryService {
   /**
    * Get statistics about audit history
    * 
-   * Returns summary statistics for monitoring and reporting.
+   * Returns summary statistics for monitoring and reporting. Failure rates
+   * count FAILED and PARTIAL entries as failed and REJECTED entries as
+   * rejected, out of all entries of the operation or user.
    * 
    * @returns {Promise<Object>} Statistics object
    */
@@ -365,7 +1076,7 @@ export class AuditHistoryService {
     }
 
     try {
-      const [totalOps, byOperation, byUser, recentCount] = await Promise.all([
+      const [totalOps, byOperation, byUser, recentCount, failuresByOperation, failuresByUser] = await Promise.all([
         // Total operations
         this.db.get('SELECT COUNT(*) as count FROM audit_history'),
         
@@ -391,6 +1102,25 @@ export class AuditHistoryService {
           SELECT COUNT(*) as count
           FROM audit_history
           WHERE timestamp >= datetime('now', '-1 day')
+        `),
+
+        // Unsuccessful operations by type
+        this.db.all(`
+          SELECT operation, ${FAILURE_COUNTS}
+          FROM audit_history
+          GROUP BY operation
+          ORDER BY operation
+        `),
+
+        // Users with the most unsuccessful operations
+        this.db.all(`
+          SELECT user_email, ${FAILURE_COUNTS}
+          FROM audit_history
+          WHERE user_email IS NOT NULL
+          GROUP BY user_email
+          HAVING failed + rejected > 0
+          ORDER BY failed + rejected DESC
+          LIMIT 10
         `)
       ]);
 
@@ -401,7 +1131,11 @@ export class AuditHistoryService {
           return acc;
         }, {}),
         topUsers: byUser,
-        last24Hours: recentCount.count
+        last24Hours: recentCount.count,
+        failureRates: {
+          byOperation: failuresByOperation.map(withFailureRate),
+          byUser: failuresByUser.map(withFailureRate)
+        }
       };
     } catch (error) {
       logger.error('Failed to get statistics', error);
@@ -409,6 +1143,188 @@ export class AuditHistoryService {
     }
   }
 
+  /**
+   * Apply the retention policy
+   * 
+   * Deletes entries older than `retentionDays` and reduces the snapshots of
+   * entries older than `compactAfterDays` to the fields that changed.
+   * Compacted entries keep the field digests of their original snapshots,
+   * so the hash chain and the fields that are left stay verifiable, but
+   * they can no longer be undone. The hash
+   * of the last deleted entry is kept as the new start of the chain.
+   * 
+   * @param {Object} policy - Retention policy
+   * @param {number} [policy.retentionDays] - Keep entries this many days (0 or unset keeps all)
+   * @param {number} [policy.compactAfterDays] - Compact snapshots after this many days (0 or unset disables)
+   * @param {Date} [policy.now] - Reference time (defaults to now)
+   * @returns {Promise<{pruned: number, compacted: number}>} Number of deleted and compacted entries
+   */
+  async applyRetention({ retentionDays, compactAfterDays, now = new Date() }) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    return this.serialize(async () => {
+      let pruned = 0;
+      let compacted = 0;
+
+      if (retentionDays > 0) {
+        const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+        // Only ever delete from the start of the chain
+        const last = await this.db.get(
+          `SELECT id, hash FROM audit_history
+          WHERE id = (SELECT MAX(id) FROM audit_history WHERE timestamp < ?)`,
+          [cutoff]
+        );
+
+        if (last) {
+          await this.db.exec('BEGIN');
+          try {
+            const result = await this.db.run('DELETE FROM audit_history WHERE id <= ?', [last.id]);
+            await this.setMeta('chain_anchor', last.hash);
+            // The chain now starts at the first entry left, or at the next one written
+            const start = await this.getMeta('chain_start');
+            if (start !== null && Number(start) <= last.id) {
+              const first = await this.db.get('SELECT MIN(id) AS id FROM audit_history');
+              await this.setMeta('chain_start', first.id === null ? null : String(first.id));
+            }
+            await this.db.exec('COMMIT');
+            pruned = result.changes;
+          } catch (error) {
+            await this.db.exec('ROLLBACK');
+            throw error;
+          }
+        }
+      }
+
+      if (compactAfterDays > 0) {
+        const cutoff = new Date(now.getTime() - compactAfterDays * DAY_MS).toISOString();
+        let lastId = 0;
+
+        for (;;) {
+          const rows = await this.db.all(
+            `SELECT id, before_state, after_state FROM audit_history
+            WHERE id > ?
+              AND timestamp < ?
+              AND snapshot_digest IS NULL
+              AND (before_state IS NOT NULL OR after_state IS NOT NULL)
+            ORDER BY id ASC
+            LIMIT ${COMPACT_PAGE_SIZE}`,
+            [lastId, cutoff]
+          );
+          if (rows.length === 0) break;
+
+          await this.db.exec('BEGIN');
+          try {
+            for (const row of rows) {
+              const { before, after } = compactStates(
+                row.before_state ? JSON.parse(row.before_state) : null,
+                row.after_state ? JSON.parse(row.after_state) : null
+              );
+              await this.db.run(
+                'UPDATE audit_history SET before_state = ?, after_state = ?, snapshot_digest = ? WHERE id = ?',
+                [before && JSON.stringify(before), after && JSON.stringify(after), JSON.stringify(snapshotFieldDigests(row)), row.id]
+              );
+            }
+            await this.db.exec('COMMIT');
+          } catch (error) {
+            await this.db.exec('ROLLBACK');
+            throw error;
+          }
+
+          compacted += rows.length;
+          lastId = rows[rows.length - 1].id;
+        }
+      }
+
+      if (pruned || compacted) {
+        logger.info('Applied audit retention', { pruned, compacted });
+      }
+      return { pruned, compacted };
+    });
+  }
+
+  /**
+   * Verify the hash chain
+   * 
+   * Walks all entries in id order and recomputes their hashes. Entries
+   * written before the chain was introduced have no hash and are only
+   * counted; after pruning, the chain starts at the last pruned entry.
+   * The id of the first chained entry is kept in audit_meta, so removing
+   * hashes or the first entry itself is reported as well. Reports the
+   * first entry whose link or content does not match.
+   * 
+   * @returns {Promise<Object|null>} {valid, checked, unchained, head, brokenAt} or null on error
+   */
+  async verifyChain() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      let lastId = 0;
+      let prevHash = await this.getMeta('chain_anchor');
+      const start = await this.getMeta('chain_start');
+      const chainStart = start === null ? null : Number(start);
+      let checked = 0;
+      let unchained = 0;
+      let head = null;
+
+      for (;;) {
+        const rows = await this.db.all(
+          `SELECT id, prev_hash, hash, snapshot_digest, ${CHAINED_COLUMNS.join(', ')}
+          FROM audit_history
+          WHERE id > ?
+          ORDER BY id ASC
+          LIMIT ${VERIFY_PAGE_SIZE}`,
+          [lastId]
+        );
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          lastId = row.id;
+
+          // Entries from before the chain existed
+          if (!row.hash && checked === 0 && (chainStart === null || row.id < chainStart)) {
+            unchained++;
+            continue;
+          }
+
+          let reason = null;
+          if (checked === 0 && chainStart !== null && row.id !== chainStart) {
+            reason = 'First chained entry is missing (entries removed)';
+          } else if (!row.hash) {
+            reason = 'Entry has no hash (chain removed)';
+          } else if ((row.prev_hash || null) !== prevHash) {
+            reason = 'Link to the previous entry does not match (entries removed, inserted or reordered)';
+          } else if (!entryMatchesHash(row)) {
+            reason = 'Entry content does not match its hash (entry modified)';
+          }
+
+          if (reason) {
+            logger.warn('Audit hash chain broken', { id: row.id, reason });
+            return { valid: false, checked, unchained, head, brokenAt: { id: row.id, reason } };
+          }
+
+          prevHash = row.hash;
+          head = { id: row.id, hash: row.hash };
+          checked++;
+        }
+      }
+
+      if (checked === 0 && chainStart !== null) {
+        const reason = 'First chained entry is missing (entries removed)';
+        logger.warn('Audit hash chain broken', { id: chainStart, reason });
+        return { valid: false, checked, unchained, head, brokenAt: { id: chainStart, reason } };
+      }
+
+      return { valid: true, checked, unchained, head, brokenAt: null };
+    } catch (error) {
+      logger.error('Failed to verify hash chain', error);
+      return null;
+    }
+  }
+
   /**
    * Close database connection
    * 
@@ -0,0 +1,189 @@
+/**
+ * Availability finder
+ *
+ * Finds engineers who are free for a number of consecutive workdays in a
+ * date window, e.g. for scheduling an installation, from the cached
+ * calendars.
+ *
+ * Rules:
+ * - Workdays are Monday to Friday without public holidays (see services/holidays)
+ * - A workday is blocked by an event whose type (see getEventType) is in
+ *   the blocking types, e.g. vacation, sick leave or another trip; other
+ *   events such as meetings do not block
+ * - Consecutive workdays skip weekends and holidays: Thursday to Tuesday
+ *   over a weekend are four consecutive workdays
+ * - Candidates are ranked by fit: earliest fitting window first, then fewest
+ *   booked workdays in the search window, then calendar order
+ *
+ * @module services/availability
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { calendarCache } from './calendar.js';
+import { getEventType } from './event-type.js';
+import { getPublicHolidays } from './holidays.js';
+import { eventDays, dateRange, isWeekend } from './support.js';
+import { DEFAULT_ROTA_RULES } from './rota.js';
+import { badRequest } from '../utils/index.js';
+
+dayjs.extend(utc);
+
+/**
+ * Event types (case-insensitive) that block a day by default: the ones the
+ * rota treats as unavailable
+ * @type {string[]}
+ */
+export const DEFAULT_BLOCKING_TYPES = DEFAULT_ROTA_RULES.unavailableTypes;
+
+/**
+ * Longest date window that can be searched, in days
+ * @type {number}
+ */
+export const MAX_AVAILABILITY_DAYS = 92;
+
+/**
+ * Runs of consecutive free workdays
+ * @param {string[]} workdays - Workdays in order
+ * @param {Set<string>} blocked - Blocked dates
+ * @returns {Array<{start: string, end: string, workdays: number}>}
+ * @private
+ */
+function freeWindows(workdays, blocked) {
+  const windows = [];
+  let current = null;
+  for (const date of workdays) {
+    if (blocked.has(date)) {
+      current = null;
+      continue;
+    }
+    if (current) {
+      current.end = date;
+      current.workdays += 1;
+    } else {
+      current = { start: date, end: date, workdays: 1 };
+      windows.push(current);
+    }
+  }
+  return windows;
+}
+
+/**
+ * Workdays in a date window
+ *
+ * @param {Object} params - Window
+ * @param {string} params.from - First day (YYYY-MM-DD)
+ * @param {string} params.to - Last day (YYYY-MM-DD, inclusive)
+ * @param {boolean} [params.includeWeekends=false] - Count weekends as workdays
+ * @returns {Promise<{workdays: string[], holidays: Array<Object>, complete: boolean}>} Workdays in
+ *   order, the public holidays skipped and whether all holidays could be loaded
+ */
+export async function loadWorkdays({ from, to, includeWeekends = false }) {
+  const { holidays, complete } = await getPublicHolidays(from, to);
+  const holidayDates = new Set(holidays.map(holiday => holiday.date));
+  const workdays = dateRange(from, to).filter(date => (includeWeekends || !isWeekend(date)) && !holidayDates.has(date));
+  return { workdays, holidays, complete };
+}
+
+/**
+ * Days blocked by events of the blocking types, per calendar
+ *
+ * @param {Object} params - Calendars and window
+ * @param {string[]} params.calendarUrls - Calendars
+ * @param {string} params.from - First day (YYYY-MM-DD)
+ * @param {string} params.to - Last day (YYYY-MM-DD, inclusive)
+ * @param {string[]} [params.blockingTypes] - Event types that block a day (defaults to DEFAULT_BLOCKING_TYPES)
+ * @param {string} [params.excludeUid] - Event to ignore, e.g. the one being planned
+ * @returns {Promise<Map<string, Set<string>>>} Blocked dates within the window by calendar URL
+ */
+export async function loadBlockedDays({ calendarUrls, from, to, blockingTypes = DEFAULT_BLOCKING_TYPES, excludeUid }) {
+  const blocking = new Set(blockingTypes.map(type => String(type).toLowerCase()));
+  const blocked = new Map(calendarUrls.map(calendarUrl => [calendarUrl, new Set()]));
+  const { events } = await calendarCache.getEvents(calendarUrls, from, to);
+  for (const event of events || []) {
+    const dates = blocked.get(event.calendar);
+    if (!dates || (excludeUid && event.uid === excludeUid)) continue;
+    if (!blocking.has(String(getEventType(event.summary)).toLowerCase())) continue;
+    const { first, last } = eventDays(event);
+    for (const date of dateRange(first < from ? from : first, last > to ? to : last)) {
+      dates.add(date);
+    }
+  }
+  return blocked;
+}
+
+/**
+ * Find engineers who are free for `days` consecutive workdays
+ *
+ * @param {Object} params - Search
+ * @param {string} params.from - First day of the window (YYYY-MM-DD)
+ * @param {string} params.to - Last day of the window (YYYY-MM-DD, inclusive)
+ * @param {number} params.days - Consecutive workdays needed
+ * @param {string[]} [params.calendarUrls] - Engineer calendars (defaults to all calendars)
+ * @param {string[]} [params.blockingTypes] - Event types that block a day (defaults to DEFAULT_BLOCKING_TYPES)
+ * @param {boolean} [params.includeWeekends=false] - Count weekends as workdays
+ * @returns {Promise<Object>} { from, to, days, workdays, holidays, holidaysComplete, candidates, unavailable };
+ *   candidates carry their fitting `windows` (free runs of at least `days` workdays)
+ * @throws {Error} With statusCode 400 for an invalid window or unknown calendars
+ */
+export async function findAvailability({
+  from,
+  to,
+  days,
+  calendarUrls,
+  blockingTypes = DEFAULT_BLOCKING_TYPES,
+  includeWeekends = false
+}) {
+  if (to < from) {
+    throw badRequest('to must not be before from');
+  }
+  if (dayjs.utc(to).diff(dayjs.utc(from), 'day') >= MAX_AVAILABILITY_DAYS) {
+    throw badRequest(`The window can cover at most ${MAX_AVAILABILITY_DAYS} days`);
+  }
+
+  const engineers = calendarUrls
+    ? calendarUrls.map(calendarUrl => ({ calendarUrl, name: calendarCache.getCalendarName(calendarUrl) }))
+    : calendarCache.getAllCalendars().map(calendar => ({ calendarUrl: calendar.url, name: calendar.displayName }));
+  const unknown = engineers.filter(engineer => !engineer.name);
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown calendars: ${unknown.map(engineer => engineer.calendarUrl).join(', ')}`);
+  }
+
+  const { workdays, holidays, complete } = await loadWorkdays({ from, to, includeWeekends });
+  const blocked = await loadBlockedDays({ calendarUrls: engineers.map(engineer => engineer.calendarUrl), from, to, blockingTypes });
+
+  const candidates = [];
+  const unavailable = [];
+  engineers.forEach((engineer, order) => {
+    const windows = freeWindows(workdays, blocked.get(engineer.calendarUrl));
+    const bookedWorkdays = workdays.filter(date => blocked.get(engineer.calendarUrl).has(date)).length;
+    const fitting = windows.filter(window => window.workdays >= days);
+    const summary = {
+      calendarUrl: engineer.calendarUrl,
+      name: engineer.name,
+      freeWorkdays: workdays.length - bookedWorkdays,
+      bookedWorkdays
+    };
+
+    if (fitting.length === 0) {
+      unavailable.push({ ...summary, longestWindow: Math.max(0, ...windows.map(window => window.workdays)) });
+      return;
+    }
+    candidates.push({ ...summary, earliestStart: fitting[0].start, windows: fitting, order });
+  });
+
+  candidates.sort((a, b) => a.earliestStart.localeCompare(b.earliestStart)
+    || a.bookedWorkdays - b.bookedWorkdays
+    || a.order - b.order);
+
+  return {
+    from,
+    to,
+    days,
+    workdays: workdays.length,
+    holidays,
+    holidaysComplete: complete,
+    candidates: candidates.map(({ order, ...candidate }) => candidate),
+    unavailable
+  };
+}
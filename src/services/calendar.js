@@ -7,7 +7,10 @@
  * Features:
  * - CalDAV client for Nextcloud integration
  * - 30-minute cache with automatic refresh
+ * - Incremental refresh via RFC 6578 sync-collection and per-object ETags
+ * - Emits `change` events with per-event deltas (see publishChanges)
  * - Recurring event expansion using ical-expander
+ * - Recurring series edits per occurrence, following occurrences or whole series
  * - Event CRUD operations (create, read, update, delete, move)
  * - YAML metadata extraction from event descriptions
  * - Calendar ordering and color management
@@ -15,29 +18,107 @@
  * @module services/calendar
  */
 
+import { EventEmitter } from 'events';
 import { DAVClient } from 'tsdav';
 import NodeCache from 'node-cache';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
+import timezonePlugin from 'dayjs/plugin/timezone.js';
 import isSameOrBefore from 'dayjs/plugin/isSameOrBefore.js';
 import isSameOrAfter from 'dayjs/plugin/isSameOrAfter.js';
-import { randomUUID } from 'crypto';
+import { randomUUID, createHash } from 'crypto';
 import { logOperation } from '../utils/operation-log.js';
 import { auditHistory } from './audit-history.js';
 import IcalExpander from 'ical-expander';
 import YAML from 'yaml';
-import { calendarOrder, calendarExclude } from '../config/calendar-order.js';
+import { calendarOrder, calendarOwners, calendarExclude } from '../config/calendar-order.js';
 import { calendarColorOverrides } from '../config/calendar-colors.js';
-import { createLogger } from '../utils/index.js';
+import {
+  createLogger,
+  mergeEventFields,
+  isValidTimeZone,
+  toUtcDate,
+  formatIcalLocal,
+  buildVTimezone,
+  isValidRecurrenceRule,
+  formatRecurrenceId,
+  getSeries,
+  getOccurrence,
+  excludeOccurrence,
+  setOccurrenceOverride,
+  replaceSeriesMaster,
+  splitSeries,
+  badRequest,
+  httpError
+} from '../utils/index.js';
 import { geocodeLocations } from './geocoding.js';
 
 const logger = createLogger('CalendarService');
 
 // Enable required Dayjs plugins for comparison helpers used below
 dayjs.extend(utc);
+dayjs.extend(timezonePlugin);
 dayjs.extend(isSameOrBefore);
 dayjs.extend(isSameOrAfter);
 
+/**
+ * Build the error thrown when an If-Match precondition fails
+ * 
+ * Carries the current server version so routes can answer 412 with it.
+ * 
+ * @param {Object} currentEvent - Current event state on the server
+ * @param {string|null} currentEtag - Current ETag of the event
+ * @returns {Error} Error with statusCode 412
+ * @private
+ */
+function preconditionFailed(currentEvent, currentEtag) {
+  const error = new Error('Precondition Failed: event was modified since it was loaded');
+  error.statusCode = 412;
+  error.currentEvent = currentEvent;
+  error.currentEtag = currentEtag;
+  return error;
+}
+
+/**
+ * Build the error thrown when a three-way merge finds conflicting fields
+ * 
+ * @param {Object} currentEvent - Current event state on the server
+ * @param {string|null} currentEtag - Current ETag of the event
+ * @param {Array<Object>} conflicts - Conflicts from mergeEventFields
+ * @param {Object} merged - Merge result with conflicting fields at the server value
+ * @returns {Error} Error with statusCode 409
+ * @private
+ */
+function mergeConflict(currentEvent, currentEtag, conflicts, merged) {
+  const error = new Error(`Conflict: ${conflicts.map(c => c.field).join(', ')} changed concurrently`);
+  error.statusCode = 409;
+  error.currentEvent = currentEvent;
+  error.currentEtag = currentEtag;
+  error.conflicts = conflicts;
+  error.merged = merged;
+  return error;
+}
+
+// Audit operation recorded for a failed bulk operation
+const BULK_AUDIT_OPERATIONS = {
+  update: 'UPDATE',
+  move: 'MOVE',
+  delete: 'DELETE',
+  shift: 'UPDATE'
+};
+
+/**
+ * HTTP status reported for a failed bulk operation
+ * 
+ * @param {Error} error - Error thrown by the operation
+ * @returns {number} The error's statusCode, 404 for missing events, else 500
+ * @private
+ */
+function bulkErrorStatus(error) {
+  if (error.statusCode) return error.statusCode;
+  return /not found/i.test(error.message) ? 404 : 500;
+}
+
 /**
  * Calendar cache class
  * 
@@ -45,10 +126,18 @@ dayjs.extend(isSameOrAfter);
  * Handles event CRUD operations and recurring event expansion.
  * Includes race condition protection via operation locking.
  * 
+ * Emits `change` with `{ calendarUrl, upserted, removed }` whenever cached
+ * events of a calendar are added, changed or removed.
+ * 
  * @class CalendarCache
+ * @extends EventEmitter
  */
-export class CalendarCache {
+export class CalendarCache extends EventEmitter {
   constructor() {
+    super();
+    // One listener per open event stream
+    this.setMaxListeners(0);
+    
     // Cache with 5 minute TTL and check for expired items every minute
     // Shorter TTL for multi-user environments to reduce stale data
     this.cache = new NodeCache({
@@ -66,6 +155,10 @@ export class CalendarCache {
     
     // Track ongoing update operations to prevent race conditions
     this.updateLocks = new Map(); // Map<eventUid, Promise>
+    
+    // Per-calendar sync state for incremental refreshes
+    // Map<calendarUrl, { syncToken, windowKey, objects: Map<objectUrl, { etag, events }> }>
+    this.syncState = new Map();
   }
 
   /**
@@ -171,15 +264,20 @@ export class CalendarCache {
    * @param {string} payload.start - YYYY-MM-DD inclusive start date
    * @param {string} payload.end - YYYY-MM-DD inclusive end date
    * @param {Object} [payload.meta] - Metadata object (orderNumber, ticketLink, systemType)
+   * @param {string} [payload.rrule] - Recurrence rule, e.g. "FREQ=WEEKLY;COUNT=4" (start/end are the first occurrence)
    * @param {Object} [payload.user] - User info from session (email, name)
    * @returns {Promise<Object>} Created event object
    * @throws {Error} If CalDAV creation fails or validation fails
    */
-  async createAllDayEvent({ calendarUrl, summary, description = '', location = '', start, end, meta, user }) {
+  async createAllDayEvent({ calendarUrl, summary, description = '', location = '', start, end, meta, rrule, user }) {
     if (!calendarUrl || !summary || !start || !end) {
       throw new Error('calendarUrl, summary, start, and end are required');
     }
 
+    if (rrule && !isValidRecurrenceRule(rrule)) {
+      throw badRequest(`Invalid recurrence rule: ${rrule}`);
+    }
+
     // Validate date-only format
     const isDateOnly = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
     if (!isDateOnly(start) || !isDateOnly(end)) {
@@ -223,21 +321,247 @@ export class CalendarCache {
       `DTSTAMP:${dtStamp}`,
       `DTSTART;VALUE=DATE:${formatDate(start)}`,
       `DTEND;VALUE=DATE:${formatDate(exclusiveEnd.format('YYYY-MM-DD'))}`,
+      rrule ? `RRULE:${rrule}` : '',
       `SUMMARY:${summary.replace(/\n/g, '\\n')}`,
       combinedDescription ? `DESCRIPTION:${combinedDescription.replace(/\n/g, '\\n')}` : 'DESCRIPTION:',
       location ? `LOCATION:${location.replace(/\n/g, '\\n')}` : 'LOCATION:',
       'TRANSP:OPAQUE',
       'END:VEVENT',
       'END:VCALENDAR'
-    ].join('\n');
+    ].filter(Boolean).join('\n');
+
+    // Build the event state for audit log
+    const eventState = {
+      uid,
+      summary,
+      description,
+      location,
+      start,
+      end,
+      allDay: true,
+      ...(rrule && { rrule }),
+      meta,
+      calendar: calendarUrl
+    };
+
+    return this._performCreate({ calendarInfo, calendarUrl, uid, icalData: icalLines, eventState, combinedDescription, user });
+  }
+
+  /**
+   * Create a new event in the given calendar, all-day or timed.
+   *
+   * All-day events (allDay true, or both dates given as YYYY-MM-DD) are
+   * delegated to createAllDayEvent. Timed events take ISO date-times: values
+   * without an offset are wall-clock times in `timezone`. They are stored as
+   * `DTSTART;TZID=` with a matching VTIMEZONE block (plain UTC for "UTC").
+   *
+   * @param {Object} payload
+   * @param {string} payload.calendarUrl - CalDAV calendar URL
+   * @param {string} payload.summary - Event title/summary
+   * @param {string} [payload.description] - Event description (plain text)
+   * @param {string} [payload.location] - Event location
+   * @param {string} payload.start - Start date-time (or YYYY-MM-DD for all-day)
+   * @param {string} payload.end - End date-time (or inclusive YYYY-MM-DD for all-day)
+   * @param {boolean} [payload.allDay] - Force all-day (true) or timed (false)
+   * @param {string} [payload.timezone='UTC'] - IANA time zone of timed events
+   * @param {Object} [payload.meta] - Metadata object (orderNumber, ticketLink, systemType)
+   * @param {string} [payload.rrule] - Recurrence rule; start/end are the first occurrence
+   * @param {Object} [payload.user] - User info from session (email, name)
+   * @returns {Promise<Object>} Created event object (timed events carry UTC ISO start/end and timezone)
+   * @throws {Error} If validation fails (statusCode 400) or CalDAV creation fails
+   */
+  async createEvent({ calendarUrl, summary, description = '', location = '', start, end, allDay, timezone, meta, rrule, user }) {
+    const isDateOnly = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+    if (allDay === true || (allDay === undefined && isDateOnly(start) && isDateOnly(end))) {
+      return this.createAllDayEvent({ calendarUrl, summary, description, location, start, end, meta, rrule, user });
+    }
+
+    if (!calendarUrl || !summary || !start || !end) {
+      throw badRequest('calendarUrl, summary, start, and end are required');
+    }
+
+    if (rrule && !isValidRecurrenceRule(rrule)) {
+      throw badRequest(`Invalid recurrence rule: ${rrule}`);
+    }
 
+    const tz = timezone || 'UTC';
+    if (!isValidTimeZone(tz)) {
+      throw badRequest(`Unknown time zone: ${tz}`);
+    }
+
+    const startDate = toUtcDate(start, tz);
+    const endDate = toUtcDate(end, tz);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      throw badRequest('start and end must be valid date-times');
+    }
+    if (endDate <= startDate) {
+      throw badRequest('End must be after start');
+    }
+
+    const calendarInfo = this.calendarClients[calendarUrl];
+    if (!calendarInfo || !calendarInfo.client) {
+      throw new Error(`No client found for calendar: ${calendarUrl}`);
+    }
+
+    const uid = randomUUID();
+    const combinedDescription = this.buildDescription(description, meta);
+    const { vtimezone, dateLines } = this.buildTimedDateLines(startDate, endDate, tz);
+
+    const icalData = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Support Planner//NONSGML v1.0//EN',
+      ...vtimezone,
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${this.formatDateForIcal(new Date())}`,
+      ...dateLines,
+      ...(rrule ? [`RRULE:${rrule}`] : []),
+      `SUMMARY:${summary.replace(/\n/g, '\\n')}`,
+      combinedDescription ? `DESCRIPTION:${combinedDescription.replace(/\n/g, '\\n')}` : 'DESCRIPTION:',
+      location ? `LOCATION:${location.replace(/\n/g, '\\n')}` : 'LOCATION:',
+      'TRANSP:OPAQUE',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const eventState = {
+      uid,
+      summary,
+      description,
+      location,
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+      allDay: false,
+      timezone: tz,
+      ...(rrule && { rrule }),
+      meta,
+      calendar: calendarUrl
+    };
+
+    return this._performCreate({ calendarInfo, calendarUrl, uid, icalData, eventState, combinedDescription, user });
+  }
+
+  /**
+   * Build the DTSTART/DTEND lines of a timed event
+   *
+   * UTC events use the `Z` form; other zones use `TZID=` local times and
+   * need the returned VTIMEZONE block in the same VCALENDAR.
+   *
+   * @param {Date} start - Start instant
+   * @param {Date} end - End instant
+   * @param {string} tz - IANA time zone
+   * @returns {{vtimezone: Array<string>, dateLines: Array<string>}} iCal lines
+   * @private
+   */
+  buildTimedDateLines(start, end, tz) {
+    if (tz === 'UTC' || tz === 'Etc/UTC') {
+      return {
+        vtimezone: [],
+        dateLines: [`DTSTART:${this.formatDateForIcal(start)}`, `DTEND:${this.formatDateForIcal(end)}`]
+      };
+    }
+    return {
+      vtimezone: buildVTimezone(tz, start, end),
+      dateLines: [
+        `DTSTART;TZID=${tz}:${formatIcalLocal(start, tz)}`,
+        `DTEND;TZID=${tz}:${formatIcalLocal(end, tz)}`
+      ]
+    };
+  }
+
+  /**
+   * Build the VEVENT lines for an updated event
+   *
+   * All-day events take an inclusive end date and get an exclusive
+   * DTEND;VALUE=DATE; timed events keep their time zone and need the
+   * returned VTIMEZONE block in the same VCALENDAR.
+   *
+   * @param {Object} event - Event fields (uid, summary, description, meta, location, start, end)
+   * @param {boolean} isAllDay - Whether to write DATE values
+   * @param {string|null} timezone - IANA time zone of a timed event
+   * @param {Array<string>} [extraLines] - Additional properties (e.g. RRULE, EXDATE)
+   * @returns {{vtimezone: Array<string>, lines: Array<string>}} iCal lines from BEGIN:VEVENT to END:VEVENT
+   * @private
+   */
+  buildVEvent(event, isAllDay, timezone, extraLines = []) {
+    // Format dates for iCal (all-day events use DATE format YYYYMMDD)
+    const formatDate = (dateStr) => {
+      const date = new Date(dateStr);
+      return date.toISOString().replace(/[-:T.]/g, '').substring(0, 8);
+    };
+
+    // Timed events keep their time zone: TZID local times plus a VTIMEZONE block
+    const timed = isAllDay ? null : this.buildTimedDateLines(new Date(event.start), new Date(event.end), timezone);
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`, // Keep the same UID
+      `DTSTAMP:${this.formatDateForIcal(new Date())}`
+    ];
+
+    // Add DTSTART and DTEND with proper format for all-day vs timed events
+    if (isAllDay) {
+      // For all-day events, client sends inclusive end date.
+      // In iCal, DTEND (DATE) must be exclusive, so add 1 day to the inclusive end.
+      const inclusiveEnd = new Date(event.end);
+      const exclusiveEnd = new Date(Date.UTC(inclusiveEnd.getUTCFullYear(), inclusiveEnd.getUTCMonth(), inclusiveEnd.getUTCDate() + 1));
+      lines.push(
+        `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+        `DTEND;VALUE=DATE:${formatDate(exclusiveEnd.toISOString())}`,
+        'X-MICROSOFT-CDO-ALLDAYEVENT:TRUE',
+        'X-MICROSOFT-CDO-INTENDEDSTATUS:BUSY',
+        'TRANSP:OPAQUE'  // Blocks time on calendar
+      );
+    } else {
+      lines.push(
+        ...timed.dateLines,
+        'X-MICROSOFT-CDO-INTENDEDSTATUS:BUSY',
+        'TRANSP:OPAQUE'  // Blocks time on calendar
+      );
+    }
+
+    // Add other event properties
+    const combinedDescription = this.buildDescription(event.description, event.meta);
+    lines.push(
+      ...extraLines,
+      `SUMMARY:${event.summary || ''}`,
+      combinedDescription ? `DESCRIPTION:${combinedDescription.replace(/\n/g, '\\n')}` : '',
+      event.location ? `LOCATION:${event.location}` : '',
+      'STATUS:CONFIRMED',
+      'END:VEVENT'
+    );
+
+    return { vtimezone: timed ? timed.vtimezone : [], lines: lines.filter(Boolean) };
+  }
+
+  /**
+   * Store a new calendar object and record the creation
+   *
+   * Shared by createAllDayEvent and createEvent: writes the object, publishes
+   * it, and logs success or failure to the audit history and operation log.
+   *
+   * @param {Object} params
+   * @param {Object} params.calendarInfo - Calendar client entry
+   * @param {string} params.calendarUrl - CalDAV calendar URL
+   * @param {string} params.uid - New event UID
+   * @param {string} params.icalData - Complete VCALENDAR text
+   * @param {Object} params.eventState - Event as recorded in the audit log
+   * @param {string} params.combinedDescription - Description with metadata as stored
+   * @param {Object} [params.user] - User info from session (email, name)
+   * @returns {Promise<Object>} Created event object
+   * @throws {Error} If CalDAV creation fails
+   * @private
+   */
+  async _performCreate({ calendarInfo, calendarUrl, uid, icalData, eventState, combinedDescription, user }) {
+    const { summary, start, end, location, allDay } = eventState;
     const client = calendarInfo.client;
     
     // CRITICAL: Wrap in try-catch to prevent retries on partial failures
     try {
       const result = await client.createCalendarObject({
         calendar: calendarInfo.calendar || { url: calendarUrl },
-        iCalString: icalLines,
+        iCalString: icalData,
         filename: `${uid}.ics`
       });
 
@@ -249,18 +573,12 @@ export class CalendarCache {
         logger.warn('Cache invalidation failed (non-critical)', cacheError);
       }
 
-      // Build the event state for audit log
-      const eventState = {
-        uid,
-        summary,
-        description,
-        location,
-        start,
-        end,
-        allDay: true,
-        meta,
-        calendar: calendarUrl
-      };
+      // Publish the new event without waiting for the next refresh (non-critical)
+      try {
+        await this.recordLocalWrite(calendarUrl, `${uid}.ics`, icalData, result?.headers?.get?.('etag') || null);
+      } catch (syncError) {
+        logger.warn('Sync state update failed (non-critical)', syncError);
+      }
 
       // Log to audit history (non-critical)
       try {
@@ -275,7 +593,7 @@ export class CalendarCache {
           status: 'SUCCESS'
         });
       } catch (auditError) {
-        logger.error('[createAllDayEvent] Audit logging failed (non-critical):', auditError);
+        logger.error('[createEvent] Audit logging failed (non-critical):', auditError);
       }
 
       // Log the operation to file (legacy, non-critical)
@@ -285,24 +603,18 @@ export class CalendarCache {
           summary,
           calendarUrl,
           status: 'SUCCESS',
-          metadata: { start, end, location, allDay: true }
+          metadata: { start, end, location, allDay }
         });
       } catch (logError) {
         logger.warn('Operation logging failed (non-critical)', logError);
       }
 
+      const { calendar, ...fields } = eventState;
       return {
         success: true,
-        uid,
-        summary,
-        description: description,
+        ...fields,
         descriptionRaw: combinedDescription,
-        meta,
-        location,
-        start,
-        end,
-        allDay: true,
-        calendar: calendarUrl,
+        calendar,
       };
     } catch (error) {
       // CalDAV creation failed - log and rethrow
@@ -322,7 +634,7 @@ export class CalendarCache {
           errorMessage: error.message
         });
       } catch (auditError) {
-        logger.error('[createAllDayEvent] Audit logging failed (non-critical):', auditError);
+        logger.error('[createEvent] Audit logging failed (non-critical):', auditError);
       }
 
       // Try to log the failure to file (legacy, best effort)
@@ -389,12 +701,14 @@ export class CalendarCache {
    * Refresh all calendars from CalDAV server
    * 
    * Fetches latest calendar data for all discovered calendars.
-   * Expands recurring events and updates cache.
+   * Uses incremental sync where possible; see refreshCalendar().
    * Prevents concurrent refreshes.
    * 
+   * @param {Object} [options]
+   * @param {boolean} [options.fullSync=false] - Discard sync tokens and refetch every object
    * @returns {Promise<void>}
    */
-  async refreshAllCalendars() {
+  async refreshAllCalendars({ fullSync = false } = {}) {
     if (this.refreshInProgress) {
       logger.debug('Refresh already in progress, skipping');
       return;
@@ -411,7 +725,7 @@ export class CalendarCache {
       
       // Refresh each calendar in parallel
       const refreshPromises = this.calendars.map(calendar => 
-        this.refreshCalendar(calendar)
+        this.refreshCalendar(calendar, { fullSync })
       );
       
       await Promise.all(refreshPromises);
@@ -428,25 +742,27 @@ export class CalendarCache {
   /**
    * Refresh a single calendar
    * 
-   * Fetches calendar objects from CalDAV, parses iCal data,
-   * expands recurring events, and caches the results.
+   * Brings the cached events for a calendar up to date. When the server
+   * supports RFC 6578 sync-collection and we hold a valid sync token, only
+   * the objects that changed since the last refresh are fetched and
+   * re-expanded; everything else is reused from the per-object sync state.
+   * Falls back to a full fetch of the -3/+12 month window on the first
+   * refresh, when the window moves to a new day, when the server rejects
+   * the token, or when `fullSync` is requested.
    * 
-   * @param {Object} calendar - Calendar object with url and displayName
-   * @returns {Promise<void>}
+   * @param {Object} calendar - Calendar object with url, displayName and syncToken
+   * @param {Object} [options]
+   * @param {boolean} [options.fullSync=false] - Ignore sync state and refetch everything
+   * @param {boolean} [options.staleProps=false] - The calendar's sync token may be out of date
+   *   (cached calendar object), so always ask the server for changes
+   * @returns {Promise<Array<Object>>} All cached events for the calendar
    * @private
    */
-  async refreshCalendar(calendar) {
+  async refreshCalendar(calendar, { fullSync = false, staleProps = false } = {}) {
     const cacheKey = `calendar:${calendar.url}`;
-    const now = dayjs();
-    const threeMonthsAgo = now.subtract(3, 'month');
-    const threeMonthsFromNow = now.add(12, 'month'); // Cache 12 months ahead
-    
-    // Convert to JavaScript Date objects for ical-expander
-    const threeMonthsAgoDate = threeMonthsAgo.toDate();
-    const threeMonthsFromNowDate = threeMonthsFromNow.toDate();
+    const { start: threeMonthsAgo, end: threeMonthsFromNow, key: windowKey } = this.getSyncWindow();
     
     const displayName = this.extractFirstname(calendar.displayName) || calendar.url;
-    logger.debug(`[${displayName}] Fetching events from ${threeMonthsAgo.format('YYYY-MM-DD')} to ${threeMonthsFromNow.format('YYYY-MM-DD')}`);
     
     // Store the calendar client for later use in updates
     if (!this.calendarClients[calendar.url]) {
@@ -458,125 +774,66 @@ export class CalendarCache {
     }
     
     try {
-      const objects = await this.client.fetchCalendarObjects({
-        calendar,
-        timeRange: { 
-          start: threeMonthsAgo.format('YYYY-MM-DDTHH:mm:ss[Z]'), 
-          end: threeMonthsFromNow.format('YYYY-MM-DDTHH:mm:ss[Z]') 
-        },
-      });
+      const previous = this.syncState.get(calendar.url);
+      // Snapshot before the object map is patched so deltas can be published
+      const previousEvents = previous ? this.flattenObjects(previous.objects) : null;
+      const canSync = !fullSync &&
+        previous &&
+        previous.syncToken &&
+        previous.windowKey === windowKey &&
+        this.supportsSyncCollection(calendar);
       
-      logger.debug(`[${displayName}] Found ${objects.length} calendar objects`);
+      let changes = null;
+      if (canSync) {
+        changes = await this.fetchCalendarChanges(calendar, previous, { staleProps });
+      }
       
-      const events = [];
-      let eventCount = 0;
-      let occurrenceCount = 0;
+      let objects;
+      let syncToken;
+      let changedObjects;
+      let deletedUrls = [];
       
-      // Process all calendar objects in parallel
-      await Promise.all(objects.map(async (obj, index) => {
-        try {
-          logger.debug(`[${displayName}] Processing object ${index + 1}/${objects.length}`);
-          const icalExpander = new IcalExpander({ ics: obj.data, maxIterations: 1000 });
-          const expanded = icalExpander.between(threeMonthsAgoDate, threeMonthsFromNowDate);
-          
-          // Process events
-          expanded.events.forEach(event => {
-            const isAllDay = !event.startDate.hour && !event.startDate.minute;
-            const startIso = event.startDate.toJSDate();
-            const endIso = event.endDate.toJSDate();
-            // For all-day events, DTEND is exclusive. Convert to inclusive by subtracting 1 day for display.
-            const endDisplayDate = isAllDay ? dayjs(endIso).subtract(1, 'day').format('YYYY-MM-DD') : endIso.toISOString();
-            const rawDesc = event.description || '';
-            const parsed = this.extractYaml(rawDesc);
-            // For all-day events, send date-only strings to avoid timezone shifts in UI
-            const eventData = {
-              type: 'event',
-              uid: event.uid,
-              summary: event.summary,
-              description: parsed.text, // plain text only, YAML removed
-              descriptionRaw: rawDesc,
-              meta: parsed.meta,
-              location: event.location,
-              start: isAllDay ? dayjs(startIso).format('YYYY-MM-DD') : startIso.toISOString(),
-              end: isAllDay ? endDisplayDate : endIso.toISOString(),
-              allDay: isAllDay,
-              calendar: calendar.url,
-              calendarName: this.extractFirstname(calendar.displayName) || 'Unnamed Calendar'
-            };
-            
-            // Log details of event for debugging
-            logger.debug(`[${displayName}] Processing event: ${eventData.uid} - ${eventData.summary} (${eventData.start} - ${eventData.end})`);
-            
-            events.push(eventData);
-            eventCount++;
-            
-            if (eventCount <= 3) { // Log first few events for debugging
-              logger.debug(`[${displayName}] Event: ${eventData.summary} (${eventData.start} - ${eventData.end})`);
-            }
-          });
-          
-          // Process recurring event instances
-          expanded.occurrences.forEach(occurrence => {
-            const isAllDayOcc = !occurrence.startDate.hour && !occurrence.startDate.minute;
-            const occStartIso = occurrence.startDate.toJSDate();
-            const occEndIso = occurrence.endDate.toJSDate();
-            const occEndDisplayDate = isAllDayOcc ? dayjs(occEndIso).subtract(1, 'day').format('YYYY-MM-DD') : occEndIso.toISOString();
-            const rawDesc = occurrence.item.description || '';
-            const parsed = this.extractYaml(rawDesc);
-            const occurrenceData = {
-              type: 'occurrence',
-              uid: occurrence.item.uid,
-              summary: occurrence.item.summary,
-              description: parsed.text,
-              descriptionRaw: rawDesc,
-              meta: parsed.meta,
-              location: occurrence.item.location,
-              start: isAllDayOcc ? dayjs(occStartIso).format('YYYY-MM-DD') : occStartIso.toISOString(),
-              end: isAllDayOcc ? occEndDisplayDate : occEndIso.toISOString(),
-              allDay: isAllDayOcc,
-              calendar: calendar.url,
-              calendarName: this.extractFirstname(calendar.displayName) || 'Unnamed Calendar',
-              isRecurring: true,
-              recurringEventId: occurrence.item.uid
-            };
-            events.push(occurrenceData);
-            occurrenceCount++;
-            
-            if (occurrenceCount <= 3) { // Log first few occurrences for debugging
-              logger.debug(`[${calendar.displayName || calendar.url}] Occurrence: ${occurrenceData.summary} (${occurrenceData.start} - ${occurrenceData.end})`);
-            }
-          });
-          
-          logger.debug(`[${calendar.displayName || calendar.url}] Processed object ${index + 1}/${objects.length}: ${expanded.events.length} events, ${expanded.occurrences.length} occurrences`);
-          
-        } catch (error) {
-          logger.error(`[${calendar.displayName || calendar.url}] Error processing calendar object:`, error);
-        }
-      }));
+      if (changes) {
+        objects = previous.objects;
+        syncToken = changes.syncToken;
+        changedObjects = changes.changed;
+        deletedUrls = changes.deleted;
+        logger.debug(`[${displayName}] Incremental sync: ${changedObjects.length} changed, ${deletedUrls.length} deleted`);
+      } else {
+        // Capture the token before fetching so changes made during the fetch are replayed next time
+        syncToken = calendar.syncToken || null;
+        objects = new Map();
+        logger.debug(`[${displayName}] Full fetch from ${threeMonthsAgo.format('YYYY-MM-DD')} to ${threeMonthsFromNow.format('YYYY-MM-DD')}`);
+        changedObjects = await this.client.fetchCalendarObjects({
+          calendar,
+          timeRange: { 
+            start: threeMonthsAgo.format('YYYY-MM-DDTHH:mm:ss[Z]'), 
+            end: threeMonthsFromNow.format('YYYY-MM-DDTHH:mm:ss[Z]') 
+          },
+        });
+        logger.debug(`[${displayName}] Found ${changedObjects.length} calendar objects`);
+      }
       
-      // Enrich events with structured location data (country, city, countryCode)
-      const uniqueLocations = [...new Set(events.map(e => e.location).filter(Boolean))];
-      logger.info(`[${displayName}] Found ${uniqueLocations.length} unique locations to enrich`);
-      if (uniqueLocations.length > 0) {
-        try {
-          const geocodeMap = await geocodeLocations(uniqueLocations);
-          let enrichedCount = 0;
-          for (const event of events) {
-            if (event.location && geocodeMap.has(event.location)) {
-              const geo = geocodeMap.get(event.location);
-              event.meta = event.meta || {};
-              event.meta.locationCountry = geo.country || '';
-              event.meta.locationCountryCode = geo.countryCode || '';
-              event.meta.locationCity = geo.city || '';
-              enrichedCount++;
-            }
-          }
-          logger.info(`[${displayName}] Enriched ${enrichedCount} events with location data from ${geocodeMap.size} geocoded locations`);
-        } catch (geoError) {
-          logger.warn(`[${displayName}] Failed to enrich locations (non-critical):`, geoError.message);
-        }
+      for (const url of deletedUrls) {
+        objects.delete(url);
       }
       
+      // Expand only the objects that changed
+      const changedEvents = [];
+      for (const obj of changedObjects) {
+        const objectUrl = this.normalizeObjectUrl(obj.url, calendar.url);
+        const events = this.expandCalendarObject(obj, calendar, threeMonthsAgo.toDate(), threeMonthsFromNow.toDate());
+        objects.set(objectUrl, { etag: obj.etag || null, events });
+        changedEvents.push(...events);
+      }
+      
+      // Enrich new/changed events with structured location data (country, city, countryCode)
+      await this.enrichEventLocations(changedEvents, displayName);
+      
+      this.syncState.set(calendar.url, { syncToken, windowKey, objects });
+      
+      const events = this.flattenObjects(objects);
+      
       // Update cache
       this.cache.set(cacheKey, {
         events,
@@ -589,7 +846,12 @@ export class CalendarCache {
         }
       });
       
-      logger.debug(`[${calendar.displayName || calendar.url}] Cache updated with ${events.length} events (${eventCount} regular, ${occurrenceCount} occurrences)`);
+      logger.debug(`[${displayName}] Cache updated with ${events.length} events from ${objects.size} objects (${changes ? 'incremental' : 'full'})`);
+      
+      // Nothing to compare against on the first refresh
+      if (previousEvents) {
+        this.publishChanges(calendar.url, previousEvents, events);
+      }
       return events;
     } catch (error) {
       logger.error(`Failed to refresh calendar ${calendar.displayName || calendar.url}:`, error);
@@ -597,11 +859,529 @@ export class CalendarCache {
     }
   }
 
+  /**
+   * Get the date window cached for every calendar
+   * 
+   * Three months back and twelve months ahead of today. The key changes once
+   * a day, which forces a full fetch so objects entering the window are seen.
+   * 
+   * @returns {{start: dayjs.Dayjs, end: dayjs.Dayjs, key: string}} Window bounds and key
+   * @private
+   */
+  getSyncWindow() {
+    const now = dayjs();
+    const start = now.subtract(3, 'month');
+    return {
+      start,
+      end: now.add(12, 'month'), // Cache 12 months ahead
+      key: start.format('YYYY-MM-DD')
+    };
+  }
+
+  /**
+   * Check whether a calendar advertises the sync-collection report
+   * 
+   * @param {Object} calendar - Calendar object from fetchCalendars
+   * @returns {boolean} True if RFC 6578 sync is available
+   * @private
+   */
+  supportsSyncCollection(calendar) {
+    return Array.isArray(calendar.reports) && calendar.reports.includes('syncCollection');
+  }
+
+  /**
+   * Normalize a calendar object href to an absolute URL
+   * 
+   * sync-collection returns server-relative hrefs while fetchCalendarObjects
+   * returns absolute URLs; both are keyed the same way in the sync state.
+   * 
+   * @param {string} href - Object href (relative or absolute)
+   * @param {string} calendarUrl - Calendar URL used as base
+   * @returns {string} Absolute object URL
+   * @private
+   */
+  normalizeObjectUrl(href, calendarUrl) {
+    try {
+      return new URL(href, calendarUrl).href;
+    } catch (e) {
+      return href;
+    }
+  }
+
+  /**
+   * Fetch objects changed since the stored sync token
+   * 
+   * Uses the calendar's current sync token (from fetchCalendars) to skip the
+   * REPORT entirely when nothing changed, unless that token may be stale.
+   * Otherwise issues a sync-collection REPORT for ETags only and multigets
+   * the objects whose ETag differs.
+   * 
+   * @param {Object} calendar - Calendar object
+   * @param {{syncToken: string, objects: Map<string, {etag: string}>}} previous - Stored sync state
+   * @param {Object} [options]
+   * @param {boolean} [options.staleProps=false] - Don't trust the calendar's sync token
+   * @returns {Promise<{changed: Array<Object>, deleted: string[], syncToken: string}|null>}
+   *   Changes, or null if the token was rejected and a full fetch is needed
+   * @private
+   */
+  async fetchCalendarChanges(calendar, previous, { staleProps = false } = {}) {
+    const displayName = this.extractFirstname(calendar.displayName) || calendar.url;
+    
+    if (!staleProps && calendar.syncToken && calendar.syncToken === previous.syncToken) {
+      return { changed: [], deleted: [], syncToken: previous.syncToken };
+    }
+    
+    let responses;
+    try {
+      responses = await this.client.syncCollection({
+        url: calendar.url,
+        props: { 'd:getetag': {} },
+        syncLevel: 1,
+        syncToken: previous.syncToken
+      });
+    } catch (error) {
+      logger.warn(`[${displayName}] sync-collection failed, falling back to full fetch`, error.message);
+      return null;
+    }
+    
+    // Non-multistatus replies (403/409 valid-sync-token, 5xx) come back without props
+    if (responses.some(r => r.ok === false && !r.props)) {
+      logger.info(`[${displayName}] Sync token rejected (status ${responses[0]?.status}), falling back to full fetch`);
+      return null;
+    }
+    
+    const changedUrls = [];
+    const deleted = [];
+    for (const response of responses) {
+      if (!response.href || !String(response.href).endsWith('.ics')) continue;
+      const objectUrl = this.normalizeObjectUrl(response.href, calendar.url);
+      if (response.status === 404) {
+        deleted.push(objectUrl);
+        continue;
+      }
+      const known = previous.objects.get(objectUrl);
+      const etag = response.props?.getetag;
+      if (known && etag && known.etag === etag) continue;
+      changedUrls.push(objectUrl);
+    }
+    
+    const changed = changedUrls.length > 0
+      ? await this.client.fetchCalendarObjects({ calendar, objectUrls: changedUrls })
+      : [];
+    
+    const syncToken = responses[0]?.raw?.multistatus?.syncToken ||
+      (staleProps ? previous.syncToken : calendar.syncToken || previous.syncToken);
+    return { changed, deleted, syncToken };
+  }
+
+  /**
+   * Expand a single calendar object into event and occurrence records
+   * 
+   * Each record carries the object's ETag, so clients can send back the
+   * ETag of exactly the version they were shown.
+   * 
+   * @param {{url: string, data: string, etag: (string|undefined)}} obj - Calendar object with iCal data
+   * @param {Object} calendar - Calendar the object belongs to
+   * @param {Date} rangeStart - Expansion window start
+   * @param {Date} rangeEnd - Expansion window end
+   * @returns {Array<Object>} Events within the window (empty on parse error)
+   * @private
+   */
+  expandCalendarObject(obj, calendar, rangeStart, rangeEnd) {
+    const events = [];
+    const calendarName = this.extractFirstname(calendar.displayName) || 'Unnamed Calendar';
+    
+    try {
+      const icalExpander = new IcalExpander({ ics: obj.data, maxIterations: 1000 });
+      const expanded = icalExpander.between(rangeStart, rangeEnd);
+      
+      // Process events
+      expanded.events.forEach(event => {
+        // DATE values are all-day; DATE-TIME values (even at midnight) are timed
+        const isAllDay = event.startDate.isDate;
+        const startIso = event.startDate.toJSDate();
+        const endIso = event.endDate.toJSDate();
+        // For all-day events, DTEND is exclusive. Convert to inclusive by subtracting 1 day for display.
+        const endDisplayDate = isAllDay ? dayjs(endIso).subtract(1, 'day').format('YYYY-MM-DD') : endIso.toISOString();
+        const rawDesc = event.description || '';
+        const parsed = this.extractYaml(rawDesc);
+        // An edited occurrence that kept its original start is listed as a plain event
+        const isException = event.isRecurrenceException();
+        // For all-day events, send date-only strings to avoid timezone shifts in UI
+        events.push({
+          type: isException ? 'occurrence' : 'event',
+          uid: event.uid,
+          summary: event.summary,
+          description: parsed.text, // plain text only, YAML removed
+          descriptionRaw: rawDesc,
+          meta: parsed.meta,
+          location: event.location,
+          start: isAllDay ? dayjs(startIso).format('YYYY-MM-DD') : startIso.toISOString(),
+          end: isAllDay ? endDisplayDate : endIso.toISOString(),
+          allDay: isAllDay,
+          timezone: isAllDay ? null : this.timezoneOf(event.startDate),
+          calendar: calendar.url,
+          calendarName,
+          etag: obj.etag || null,
+          ...(isException && {
+            isRecurring: true,
+            recurringEventId: event.uid,
+            recurrenceId: formatRecurrenceId(event.recurrenceId)
+          })
+        });
+      });
+      
+      // Process recurring event instances
+      expanded.occurrences.forEach(occurrence => {
+        const isAllDayOcc = occurrence.startDate.isDate;
+        const occStartIso = occurrence.startDate.toJSDate();
+        const occEndIso = occurrence.endDate.toJSDate();
+        const occEndDisplayDate = isAllDayOcc ? dayjs(occEndIso).subtract(1, 'day').format('YYYY-MM-DD') : occEndIso.toISOString();
+        const rawDesc = occurrence.item.description || '';
+        const parsed = this.extractYaml(rawDesc);
+        events.push({
+          type: 'occurrence',
+          uid: occurrence.item.uid,
+          summary: occurrence.item.summary,
+          description: parsed.text,
+          descriptionRaw: rawDesc,
+          meta: parsed.meta,
+          location: occurrence.item.location,
+          start: isAllDayOcc ? dayjs(occStartIso).format('YYYY-MM-DD') : occStartIso.toISOString(),
+          end: isAllDayOcc ? occEndDisplayDate : occEndIso.toISOString(),
+          allDay: isAllDayOcc,
+          timezone: isAllDayOcc ? null : this.timezoneOf(occurrence.startDate),
+          calendar: calendar.url,
+          calendarName,
+          etag: obj.etag || null,
+          isRecurring: true,
+          recurringEventId: occurrence.item.uid,
+          // Original start of the occurrence; addresses it in scoped edits and deletes
+          recurrenceId: formatRecurrenceId(occurrence.recurrenceId),
+          rrule: occurrence.item.component.getFirstPropertyValue('rrule')?.toString() || null
+        });
+      });
+    } catch (error) {
+      logger.error(`[${calendar.displayName || calendar.url}] Error processing calendar object:`, error);
+    }
+    
+    return events;
+  }
+
+  /**
+   * Get the time zone of a timed iCal value
+   * @param {Object} time - ical.js Time
+   * @returns {string|null} IANA zone, "UTC", or null for floating times
+   * @private
+   */
+  timezoneOf(time) {
+    const tzid = time.zone?.tzid || time.timezone;
+    return tzid && tzid !== 'floating' ? tzid : null;
+  }
+
+  /**
+   * Enrich events with structured location data (country, city, countryCode)
+   * 
+   * Mutates event.meta in place. Failures are logged and ignored.
+   * 
+   * @param {Array<Object>} events - Events to enrich
+   * @param {string} displayName - Calendar name for log messages
+   * @returns {Promise<void>}
+   * @private
+   */
+  async enrichEventLocations(events, displayName) {
+    const uniqueLocations = [...new Set(events.map(e => e.location).filter(Boolean))];
+    if (uniqueLocations.length === 0) return;
+    
+    logger.info(`[${displayName}] Found ${uniqueLocations.length} unique locations to enrich`);
+    try {
+      const geocodeMap = await geocodeLocations(uniqueLocations);
+      let enrichedCount = 0;
+      for (const event of events) {
+        if (event.location && geocodeMap.has(event.location)) {
+          const geo = geocodeMap.get(event.location);
+          event.meta = event.meta || {};
+          event.meta.locationCountry = geo.country || '';
+          event.meta.locationCountryCode = geo.countryCode || '';
+          event.meta.locationCity = geo.city || '';
+          enrichedCount++;
+        }
+      }
+      logger.info(`[${displayName}] Enriched ${enrichedCount} events with location data from ${geocodeMap.size} geocoded locations`);
+    } catch (geoError) {
+      logger.warn(`[${displayName}] Failed to enrich locations (non-critical):`, geoError.message);
+    }
+  }
+
+  /**
+   * Get the ETag clients should echo back in If-Match for an event
+   * 
+   * Uses the CalDAV object ETag the event was expanded from or, failing
+   * that, from the sync state, otherwise a content hash of the cached event
+   * (see computeContentEtag).
+   * 
+   * @param {Object} event - Event as returned by getEvent()
+   * @returns {string|null} Quoted ETag value
+   */
+  getEventEtag(event) {
+    if (!event) return null;
+    if (event.etag) return event.etag;
+    const state = this.syncState.get(event.calendarUrl || event.calendar);
+    if (state) {
+      for (const entry of state.objects.values()) {
+        if (entry.etag && entry.events.some(e => e.uid === event.uid)) {
+          return entry.etag;
+        }
+      }
+    }
+    return this.computeContentEtag(event);
+  }
+
+  /**
+   * Compute a content-hash ETag for an event
+   * 
+   * Fallback for objects whose CalDAV ETag is unknown (e.g. right after a move).
+   * 
+   * @param {Object} event - Cached event
+   * @returns {string} Quoted ETag value prefixed with "sp-"
+   * @private
+   */
+  computeContentEtag(event) {
+    const { uid, summary, description, location, start, end, allDay, meta } = event;
+    const hash = createHash('sha1')
+      .update(JSON.stringify({ uid, summary, description, location, start, end, allDay, meta, calendar: event.calendarUrl || event.calendar }))
+      .digest('hex');
+    return `"sp-${hash.substring(0, 20)}"`;
+  }
+
+  /**
+   * Compute the content-hash ETag of an event's freshly fetched object
+   * 
+   * The cached event may be outdated, so the fallback ETag accepted in
+   * If-Match must describe the server's copy (the same occurrence for
+   * recurring events).
+   * 
+   * @param {{url: string, data: string}} obj - Calendar object fetched from CalDAV
+   * @param {Object} calendar - Calendar the object belongs to
+   * @param {Object} event - Cached event
+   * @returns {string|null} Quoted ETag value, or null if the object has no such event
+   * @private
+   */
+  computeObjectContentEtag(obj, calendar, event) {
+    const events = this.expandCalendarObject(obj, calendar, new Date(0), dayjs().add(10, 'year').toDate())
+      .filter(e => e.uid === event.uid);
+    const current = events.find(e => (e.recurrenceId || null) === (event.recurrenceId || null)) || events[0];
+    return current ? this.computeContentEtag({ ...current, calendarUrl: calendar.url }) : null;
+  }
+
+  /**
+   * Check an If-Match header against the current ETags of an event
+   * 
+   * A missing header always matches (legacy last-write-wins), `*` forces an
+   * overwrite. Weak validators (W/) are compared by their opaque tag.
+   * 
+   * @param {string|undefined} ifMatch - If-Match header value
+   * @param {Array<string|null>} currentEtags - Acceptable current ETags
+   * @returns {boolean} True if the update may proceed
+   */
+  etagMatches(ifMatch, currentEtags) {
+    if (!ifMatch) return true;
+    const normalize = (tag) => String(tag).trim().replace(/^W\//, '');
+    const presented = String(ifMatch).split(',').map(normalize).filter(Boolean);
+    if (presented.includes('*')) return true;
+    return currentEtags.filter(Boolean).map(normalize).some(tag => presented.includes(tag));
+  }
+
+  /**
+   * Find the version an editor started from in the audit history
+   * 
+   * Audit snapshots carry the ETag of the version they describe, so the
+   * If-Match value identifies the common ancestor of a concurrent edit.
+   * 
+   * @param {string} uid - Event UID
+   * @param {string|undefined} ifMatch - If-Match header value
+   * @returns {Promise<Object|null>} Ancestor snapshot, or null if unknown
+   * @private
+   */
+  async findMergeBase(uid, ifMatch) {
+    if (!ifMatch || String(ifMatch).trim() === '*') return null;
+    
+    try {
+      const history = await auditHistory.getEventHistory(uid);
+      for (const entry of history) {
+        if (entry.status !== 'SUCCESS') continue;
+        for (const snapshot of [entry.afterState, entry.beforeState]) {
+          if (snapshot && this.etagMatches(ifMatch, [snapshot.etag, this.computeContentEtag(snapshot)])) {
+            return snapshot;
+          }
+        }
+      }
+    } catch (error) {
+      logger.warn(`[updateEvent] Could not look up merge base for ${uid}:`, error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Build the 412 error for a write the CalDAV server rejected
+   * 
+   * The object changed between our ETag check and the write, so the
+   * server's current copy is fetched and sent back like a stale If-Match.
+   * 
+   * @param {Object} client - tsdav client
+   * @param {Object} calendar - Calendar the object belongs to
+   * @param {Object} event - Event as we last knew it (used if the refetch fails)
+   * @returns {Promise<Error>} Error with statusCode 412
+   * @private
+   */
+  async serverPreconditionFailed(client, calendar, event) {
+    try {
+      const calendarObjects = await client.fetchCalendarObjects({ calendar });
+      const eventObject = calendarObjects.find(obj => obj.data && obj.data.includes(`UID:${event.uid}`));
+      const currentEvent = eventObject && this.parseEventObject(eventObject, calendar, event.uid);
+      if (currentEvent) {
+        return preconditionFailed(currentEvent, eventObject.etag || this.computeContentEtag(currentEvent));
+      }
+    } catch (error) {
+      logger.warn(`Could not load the current version of ${event.uid}:`, error.message);
+    }
+    return preconditionFailed(event, null);
+  }
+
+  /**
+   * Parse a raw calendar object into the master event record
+   * 
+   * @param {{url: string, data: string}} obj - Calendar object fetched from CalDAV
+   * @param {Object} calendar - Calendar the object belongs to
+   * @param {string} uid - Event UID to pick
+   * @returns {Object|null} Event record with calendarUrl, or null if unparseable
+   * @private
+   */
+  parseEventObject(obj, calendar, uid) {
+    const events = this.expandCalendarObject(obj, calendar, new Date(0), dayjs().add(10, 'year').toDate());
+    const event = events.find(e => e.uid === uid) || events[0];
+    return event ? { ...event, calendarUrl: calendar.url } : null;
+  }
+
+  /**
+   * Record an object we just wrote in the sync state
+   * 
+   * Re-expands the written iCal data so GET returns the new ETag
+   * immediately and the change is published without waiting for the next
+   * refresh. Without an ETag the object is refetched on the next sync.
+   * 
+   * @param {string} calendarUrl - Calendar URL
+   * @param {string} objectUrl - Calendar object URL
+   * @param {string} icalData - iCal data that was written
+   * @param {string|null} etag - ETag returned by the server
+   * @returns {Promise<void>}
+   * @private
+   */
+  async recordLocalWrite(calendarUrl, objectUrl, icalData, etag) {
+    const key = this.normalizeObjectUrl(objectUrl, calendarUrl);
+    const calendar = this.calendarClients[calendarUrl]?.calendar || { url: calendarUrl };
+    const { start, end } = this.getSyncWindow();
+    const events = this.expandCalendarObject({ url: key, data: icalData, etag }, calendar, start.toDate(), end.toDate());
+    await this.enrichEventLocations(events, this.extractFirstname(calendar.displayName) || calendarUrl);
+    
+    const state = this.syncState.get(calendarUrl);
+    const previousEvents = state?.objects.get(key)?.events || [];
+    if (state) {
+      state.objects.set(key, { etag: etag || null, events });
+    }
+    this.publishChanges(calendarUrl, previousEvents, events);
+  }
+
+  /**
+   * Record an object we just deleted in the sync state
+   * 
+   * @param {string} calendarUrl - Calendar URL
+   * @param {string} objectUrl - Calendar object URL
+   * @returns {void}
+   * @private
+   */
+  recordLocalDelete(calendarUrl, objectUrl) {
+    const state = this.syncState.get(calendarUrl);
+    if (!state) return;
+    
+    const key = this.normalizeObjectUrl(objectUrl, calendarUrl);
+    const entry = state.objects.get(key);
+    if (!entry) return;
+    
+    state.objects.delete(key);
+    this.publishChanges(calendarUrl, entry.events, []);
+  }
+
+  /**
+   * Flatten the per-object sync state into a list of events
+   * 
+   * @param {Map<string, {events: Array<Object>}>} objects - Objects by URL
+   * @returns {Array<Object>} All events of all objects
+   * @private
+   */
+  flattenObjects(objects) {
+    const events = [];
+    for (const entry of objects.values()) {
+      events.push(...entry.events);
+    }
+    return events;
+  }
+
+  /**
+   * Build the key identifying an event instance
+   * 
+   * Matches the timeline item ids built by the events route, so clients can
+   * apply deltas to the items they already hold.
+   * 
+   * @param {Object} event - Cached event
+   * @returns {string} Key unique within all calendars
+   * @private
+   */
+  eventKey(event) {
+    return event.type === 'occurrence'
+      ? `${event.calendar}-${event.uid}-${event.start}`
+      : `${event.calendar}-${event.uid}`;
+  }
+
+  /**
+   * Compare two event lists of a calendar and emit the difference
+   * 
+   * Emits `change` with the added or changed events (`upserted`) and the
+   * keys of removed events (`removed`). Nothing is emitted when the lists
+   * are equal.
+   * 
+   * @param {string} calendarUrl - Calendar URL
+   * @param {Array<Object>} previousEvents - Events before the change
+   * @param {Array<Object>} events - Events after the change
+   * @returns {void}
+   * @private
+   */
+  publishChanges(calendarUrl, previousEvents, events) {
+    const before = new Map(previousEvents.map(e => [this.eventKey(e), e]));
+    const upserted = [];
+    for (const event of events) {
+      const key = this.eventKey(event);
+      const old = before.get(key);
+      before.delete(key);
+      if (old !== event && JSON.stringify(old) !== JSON.stringify(event)) {
+        upserted.push(event);
+      }
+    }
+    const removed = [...before.keys()];
+    
+    if (upserted.length === 0 && removed.length === 0) return;
+    
+    logger.debug(`Publishing changes for ${calendarUrl}: ${upserted.length} upserted, ${removed.length} removed`);
+    this.emit('change', { calendarUrl, upserted, removed });
+  }
+
   /**
    * Refresh a single calendar by URL
    * 
    * More efficient than refreshAllCalendars when only one calendar changed.
-   * Used after event create/update/delete operations.
+   * Used after event create/update/delete operations. The calendar list is
+   * not refetched, so its sync token is stale and changes are always
+   * requested from the server.
    * 
    * @param {string} calendarUrl - Calendar URL to refresh
    * @returns {Promise<boolean>} True if calendar was found and refreshed
@@ -614,7 +1394,7 @@ export class CalendarCache {
     }
     
     try {
-      await this.refreshCalendar(calendar);
+      await this.refreshCalendar(calendar, { staleProps: true });
       logger.info(`Single calendar refreshed: ${calendar.displayName || calendarUrl}`);
       return true;
     } catch (error) {
@@ -634,6 +1414,17 @@ export class CalendarCache {
     return this.cache.get(cacheKey);
   }
 
+  /**
+   * Get the display name of a calendar as shown in the timeline
+   * 
+   * @param {string} calendarUrl - Calendar URL
+   * @returns {string|null} Display name (first name for personal calendars) or null if unknown
+   */
+  getCalendarName(calendarUrl) {
+    const calendar = this.calendars.find(c => c.url === calendarUrl);
+    return calendar ? this.extractFirstname(calendar.displayName) || null : null;
+  }
+
   /**
    * Generate a consistent color based on display name
    * 
@@ -720,6 +1511,27 @@ export class CalendarCache {
     });
   }
 
+  /**
+   * Get the calendars belonging to a user
+   * 
+   * Matches the user's OIDC email against the owners configured in
+   * `calendarOwners`. Display names and user names are not considered, as
+   * they are neither unique nor stable.
+   * 
+   * @param {Object} user - Session user (email)
+   * @returns {string[]} Calendar URLs
+   */
+  getCalendarsForUser(user) {
+    const email = String(user?.email || '').trim().toLowerCase();
+    if (!email) {
+      return [];
+    }
+
+    return this.calendars
+      .filter(calendar => String(calendarOwners[calendar.url] || '').trim().toLowerCase() === email)
+      .map(calendar => calendar.url);
+  }
+
   /**
    * Get events from specified calendars within date range
    * 
@@ -842,6 +1654,7 @@ export class CalendarCache {
       clearInterval(this.refreshInterval);
       this.refreshInterval = null;
     }
+    this.syncState.clear();
     this.isInitialized = false;
   }
 
@@ -952,11 +1765,19 @@ export class CalendarCache {
 
   /**
    * Delete an event by UID
+   *
+   * For recurring events, `scope` `this` removes one occurrence (EXDATE) and
+   * `following` ends the series before the occurrence; `all` deletes the series.
+   *
    * @param {string} uid - The UID of the event to delete
    * @param {Object} [user] - User info from session (email, name)
+   * @param {Object} [options]
+   * @param {string} [options.scope='all'] - One of RECURRENCE_SCOPES
+   * @param {string} [options.recurrenceId] - Occurrence to delete; required unless scope is `all`
    * @returns {Promise<boolean>} True if the event was deleted, false otherwise
+   * @throws {Error} With statusCode 400 for unknown occurrences
    */
-  async deleteEvent(uid, user) {
+  async deleteEvent(uid, user, { scope = 'all', recurrenceId } = {}) {
     if (!uid) {
       throw new Error('Event UID is required');
     }
@@ -990,6 +1811,21 @@ export class CalendarCache {
       throw new Error(`Event with UID ${uid} not found in calendar objects`);
     }
 
+    const series = event.isRecurring ? getSeries(eventObject.data, uid) : null;
+    if (series && scope !== 'all') {
+      if (!recurrenceId) {
+        throw badRequest(`recurrenceId is required for scope "${scope}"`);
+      }
+      const occurrence = getOccurrence(eventObject.data, uid, recurrenceId);
+      if (!occurrence) {
+        throw badRequest(`Event ${uid} has no occurrence ${recurrenceId}`);
+      }
+      // Deleting "this and following" from the first occurrence deletes the series
+      if (scope === 'this' || occurrence.recurrenceId !== series.start) {
+        return this._performOccurrenceDelete({ event, eventObject, calendarInfo, calendarUrl, user, scope, occurrence });
+      }
+    }
+
     // 3) Delete the calendar object
     logger.debug(`[deleteEvent] Attempting to delete calendar object:`, {
       url: eventObject.url,
@@ -1015,6 +1851,12 @@ export class CalendarCache {
       logger.error('[deleteEvent] Cache invalidation failed (non-critical):', cacheError);
     }
     
+    try {
+      this.recordLocalDelete(calendarUrl, eventObject.url);
+    } catch (syncError) {
+      logger.warn('[deleteEvent] Sync state update failed (non-critical):', syncError);
+    }
+    
     // Log to audit history (non-critical)
     try {
       // Ensure event state has all required fields for restoration
@@ -1026,6 +1868,9 @@ export class CalendarCache {
         start: event.start,
         end: event.end,
         allDay: event.allDay,
+        timezone: event.timezone,
+        // A deleted series is recorded by its first occurrence and rule
+        ...(series && { start: series.start, end: series.end, rrule: series.rrule }),
         calendar: calendarUrl,
         calendarUrl: calendarUrl,
         meta: event.meta
@@ -1058,10 +1903,177 @@ export class CalendarCache {
     } catch (logError) {
       logger.error('[deleteEvent] Operation logging failed (non-critical):', logError);
     }
-    
-    return true;
+    
+    return true;
+  }
+  
+  /**
+   * Remove one occurrence, or an occurrence and all later ones, from a series
+   *
+   * @param {Object} params
+   * @param {Object} params.event - Cached event of the series
+   * @param {Object} params.eventObject - CalDAV object holding the series
+   * @param {Object} params.calendarInfo - Calendar client entry
+   * @param {string} params.calendarUrl - Calendar URL
+   * @param {Object} [params.user] - User info from session (email, name)
+   * @param {string} params.scope - `this` or `following`
+   * @param {Object} params.occurrence - Occurrence fields (see getOccurrence)
+   * @returns {Promise<boolean>} True once the series was rewritten
+   * @throws {Error} If the CalDAV update fails
+   * @private
+   */
+  async _performOccurrenceDelete({ event, eventObject, calendarInfo, calendarUrl, user, scope, occurrence }) {
+    const uid = event.uid;
+    const icalData = scope === 'this'
+      ? excludeOccurrence(eventObject.data, uid, occurrence.recurrenceId)
+      : splitSeries(eventObject.data, uid, occurrence.recurrenceId, randomUUID()).head;
+
+    let newEtag;
+    try {
+      newEtag = await this.putCalendarObject(calendarInfo.client, eventObject.url, calendarUrl, icalData, eventObject.etag);
+      logger.debug(`[deleteEvent] Removed ${scope === 'this' ? 'occurrence' : 'occurrences from'} ${occurrence.recurrenceId} of ${uid}`);
+    } catch (error) {
+      logger.error(`[deleteEvent] Failed to update series in Nextcloud:`, error);
+      throw new Error(`Failed to delete event from Nextcloud: ${error.message}`);
+    }
+
+    try {
+      this.cache.del(`calendar:${calendarUrl}`);
+    } catch (cacheError) {
+      logger.error('[deleteEvent] Cache invalidation failed (non-critical):', cacheError);
+    }
+
+    try {
+      await this.recordLocalWrite(calendarUrl, eventObject.url, icalData, newEtag);
+    } catch (syncError) {
+      logger.warn('[deleteEvent] Sync state update failed (non-critical):', syncError);
+    }
+
+    // The series still exists, so this is recorded as an update of it (non-critical)
+    try {
+      await auditHistory.logOperation({
+        eventUid: uid,
+        operation: 'UPDATE',
+        userEmail: user?.email,
+        userName: user?.name,
+        calendarUrl,
+        beforeState: { ...this.seriesEvent(uid, calendarUrl, getSeries(eventObject.data, uid)), etag: eventObject.etag || null },
+        afterState: {
+          ...this.seriesEvent(uid, calendarUrl, getSeries(icalData, uid)),
+          scope,
+          deletedRecurrenceId: occurrence.recurrenceId,
+          etag: newEtag || null
+        },
+        status: 'SUCCESS'
+      });
+    } catch (auditError) {
+      logger.error('[deleteEvent] Audit logging failed (non-critical):', auditError);
+    }
+
+    // Log the operation to file (legacy, non-critical)
+    try {
+      await logOperation('DELETE', {
+        uid,
+        summary: occurrence.summary,
+        calendarUrl,
+        status: 'SUCCESS',
+        metadata: { scope, recurrenceId: occurrence.recurrenceId }
+      });
+    } catch (logError) {
+      logger.error('[deleteEvent] Operation logging failed (non-critical):', logError);
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply update data to an event
+   *
+   * Extracts YAML metadata from the description, preserves existing metadata
+   * unless new metadata is given, and keeps the event's all-day or timed
+   * nature. Timed start/end values are resolved to UTC instants in the
+   * event's time zone; a bare date keeps the event's time of day.
+   *
+   * @param {Object} event - Current event (cached event format)
+   * @param {Object} updateData - Changes (summary, description, location, start, end, timezone, meta)
+   * @returns {{updatedEvent: Object, isAllDay: boolean, timezone: string|null, cleanDescription: (string|undefined), metaToUse: *, metaProvided: boolean}}
+   * @throws {Error} With statusCode 400 for unknown time zones or invalid ranges
+   * @private
+   */
+  applyEventChanges(event, updateData) {
+    // Handle metadata properly
+    // If updateData contains description, check if it has embedded YAML
+    // If it does, extract it to meta field. Otherwise, use provided meta.
+    let cleanDescription = updateData.description;
+    let metaToUse = updateData.meta;
+    
+    if (updateData.description) {
+      const parsed = this.extractYaml(updateData.description);
+      cleanDescription = parsed.text;
+      
+      // If YAML was found in description, use it (unless explicit meta provided)
+      if (parsed.meta && !updateData.meta) {
+        metaToUse = parsed.meta;
+        logger.debug(`[updateEvent] Extracted metadata from description:`, metaToUse);
+      }
+    }
+    
+    // Remember whether this update touches metadata at all (needed for merging)
+    const metaProvided = metaToUse !== undefined;
+    
+    // If no new metadata provided (and meta wasn't explicitly set to null), preserve existing metadata
+    if (metaToUse === undefined && event.meta) {
+      metaToUse = event.meta;
+      logger.debug(`[updateEvent] Preserving existing metadata:`, metaToUse);
+    } else if (updateData.meta !== undefined) {
+      // Meta was explicitly provided (even if null), so use it
+      logger.debug(`[updateEvent] Using provided metadata:`, metaToUse);
+    }
+
+    // Update the event data
+    const updatedEvent = {
+      ...event,
+      ...updateData,
+      description: cleanDescription !== undefined ? cleanDescription : event.description,
+      meta: metaToUse,
+      updatedAt: new Date().toISOString()
+    };
+
+    // Preserve the original event's all-day status if it exists, otherwise determine from the time
+    const isAllDay = event.allDay !== undefined ? event.allDay : 
+                   (updatedEvent.start && updatedEvent.start.endsWith('T00:00:00.000Z') && 
+                    updatedEvent.end && updatedEvent.end.endsWith('T00:00:00.000Z'));
+    
+    // Timed events: resolve the new start/end to UTC instants in the event's time zone
+    let timezone = null;
+    if (!isAllDay) {
+      timezone = updateData.timezone || event.timezone || 'UTC';
+      if (!isValidTimeZone(timezone)) {
+        throw badRequest(`Unknown time zone: ${timezone}`);
+      }
+      const resolveTime = (value, original) => {
+        // A bare date moves the event to that day and keeps its wall-clock time
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value) && original) {
+          return toUtcDate(`${value}T${dayjs(original).tz(timezone).format('HH:mm:ss')}`, timezone);
+        }
+        return toUtcDate(value, timezone);
+      };
+      const startDate = resolveTime(updatedEvent.start, event.start);
+      const endDate = resolveTime(updatedEvent.end, event.end);
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        throw badRequest('start and end must be valid date-times');
+      }
+      if (endDate <= startDate) {
+        throw badRequest('End must be after start');
+      }
+      updatedEvent.start = startDate.toISOString();
+      updatedEvent.end = endDate.toISOString();
+      updatedEvent.timezone = timezone;
+    }
+
+    return { updatedEvent, isAllDay, timezone, cleanDescription, metaToUse, metaProvided };
   }
-  
+
   /**
    * Update an existing event with race condition protection
    * 
@@ -1072,10 +2084,12 @@ export class CalendarCache {
    * @param {Object} updateData - The data to update (summary, start, end, description, location, meta, targetCalendarUrl)
    * @param {string} [authHeader] - Optional authorization header from the client (currently unused)
    * @param {Object} [user] - User info from session (email, name)
-   * @returns {Promise<Object>} The updated event object
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header; rejects with statusCode 412 when the event changed
+   * @returns {Promise<Object>} The updated event object (with the new `etag` when the server returned one)
    * @throws {Error} If event not found or CalDAV update fails
    */
-  async updateEvent(uid, updateData, authHeader, user) {
+  async updateEvent(uid, updateData, authHeader, user, options = {}) {
     if (!uid) {
       throw new Error('Event UID is required');
     }
@@ -1095,7 +2109,7 @@ export class CalendarCache {
     logger.debug(`[updateEvent] Update data:`, JSON.stringify(updateData, null, 2));
 
     // Create a promise for this update operation
-    const updatePromise = this._performUpdate(uid, updateData, authHeader, user);
+    const updatePromise = this._performUpdate(uid, updateData, authHeader, user, options);
     
     // Register the lock
     this.updateLocks.set(uid, updatePromise);
@@ -1121,10 +2135,14 @@ export class CalendarCache {
    * @param {Object} updateData - The data to update
    * @param {string} [authHeader] - Optional authorization header (currently unused)
    * @param {Object} [user] - User info from session (email, name)
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header value
+   * @param {string} [options.scope='all'] - Part of a recurring series to change (see _performSeriesUpdate)
+   * @param {string} [options.recurrenceId] - Occurrence the scope refers to
    * @returns {Promise<Object>} The updated event object
    * @throws {Error} If event not found or update fails
    */
-  async _performUpdate(uid, updateData, authHeader, user) {
+  async _performUpdate(uid, updateData, authHeader, user, { ifMatch, scope = 'all', recurrenceId } = {}) {
     // 1. Get the current event data
     let event = await this.getEvent(uid);
     if (!event) {
@@ -1141,15 +2159,25 @@ export class CalendarCache {
       allDay: event.allDay
     });
     
+    // Recurring events (and events becoming recurring) are edited through their series;
+    // the scope only applies to them
+    const recurring = Boolean(event.isRecurring) || updateData.rrule !== undefined;
+    const moving = updateData.targetCalendarUrl && updateData.targetCalendarUrl !== (event.calendarUrl || event.calendar);
+    if (moving && recurring && scope !== 'all') {
+      throw badRequest('Only a whole series can be moved to another calendar');
+    }
+
     // Handle moving to a different calendar if requested (single-pass, no recursion)
-    if (updateData.targetCalendarUrl && updateData.targetCalendarUrl !== (event.calendarUrl || event.calendar)) {
+    if (moving) {
       logger.debug(`[updateEvent] Moving event ${uid} to calendar ${updateData.targetCalendarUrl}`);
-      const movedEvent = await this.moveEvent(uid, updateData.targetCalendarUrl, user);
+      const movedEvent = await this.moveEvent(uid, updateData.targetCalendarUrl, user, { ifMatch });
 
       // Adopt moved event as the current base event and strip targetCalendarUrl from updates
+      // The precondition was checked by the move; the moved object has a new ETag
       const { targetCalendarUrl, ...remainingUpdates } = updateData;
       event = movedEvent;
       updateData = remainingUpdates;
+      ifMatch = undefined;
 
       // If there are no further updates, return immediately
       if (Object.keys(updateData).length === 0) {
@@ -1165,40 +2193,13 @@ export class CalendarCache {
       calendar: event.calendarUrl
     });
 
-    // 2. Handle metadata properly
-    // If updateData contains description, check if it has embedded YAML
-    // If it does, extract it to meta field. Otherwise, use provided meta.
-    let cleanDescription = updateData.description;
-    let metaToUse = updateData.meta;
-    
-    if (updateData.description) {
-      const parsed = this.extractYaml(updateData.description);
-      cleanDescription = parsed.text;
-      
-      // If YAML was found in description, use it (unless explicit meta provided)
-      if (parsed.meta && !updateData.meta) {
-        metaToUse = parsed.meta;
-        logger.debug(`[updateEvent] Extracted metadata from description:`, metaToUse);
-      }
-    }
-    
-    // If no new metadata provided (and meta wasn't explicitly set to null), preserve existing metadata
-    if (metaToUse === undefined && event.meta) {
-      metaToUse = event.meta;
-      logger.debug(`[updateEvent] Preserving existing metadata:`, metaToUse);
-    } else if (updateData.meta !== undefined) {
-      // Meta was explicitly provided (even if null), so use it
-      logger.debug(`[updateEvent] Using provided metadata:`, metaToUse);
+    if (recurring) {
+      const { targetCalendarUrl, ...seriesUpdates } = updateData;
+      return this._performSeriesUpdate(event, seriesUpdates, user, { ifMatch, scope, recurrenceId });
     }
 
-    // 3. Update the event data
-    const updatedEvent = {
-      ...event,
-      ...updateData,
-      description: cleanDescription !== undefined ? cleanDescription : event.description,
-      meta: metaToUse,
-      updatedAt: new Date().toISOString()
-    };
+    // 2. Apply the changes (metadata handling, time zone resolution for timed events)
+    const { updatedEvent, isAllDay, timezone, cleanDescription, metaToUse, metaProvided } = this.applyEventChanges(event, updateData);
 
     logger.debug(`[updateEvent] Updated event data:`, {
       summary: updatedEvent.summary,
@@ -1254,6 +2255,39 @@ export class CalendarCache {
         throw new Error(`Event with UID ${uid} not found in calendar`);
       }
       
+      let beforeState = { ...event, etag: eventObject.etag || null };
+      
+      // Optimistic concurrency: the client edited an outdated version. Merge its
+      // changes into the server version using the audit snapshot it started from.
+      const contentEtag = ifMatch ? this.computeObjectContentEtag(eventObject, calendarInfo.calendar || calendar, event) : null;
+      if (!this.etagMatches(ifMatch, [eventObject.etag, contentEtag])) {
+        const currentEvent = this.parseEventObject(eventObject, calendarInfo.calendar || calendar, uid) || event;
+        const currentEtag = eventObject.etag || contentEtag;
+        const base = await this.findMergeBase(uid, ifMatch);
+        if (!base) {
+          throw preconditionFailed(currentEvent, currentEtag);
+        }
+        
+        const mine = {
+          summary: updateData.summary !== undefined ? updateData.summary : base.summary,
+          start: updateData.start !== undefined ? updatedEvent.start : base.start,
+          end: updateData.end !== undefined ? updatedEvent.end : base.end,
+          location: updateData.location !== undefined ? updateData.location : base.location,
+          description: cleanDescription !== undefined ? cleanDescription : base.description,
+          meta: metaProvided ? metaToUse : base.meta
+        };
+        const { merged, conflicts, autoMerged } = mergeEventFields(base, mine, currentEvent);
+        if (conflicts.length > 0) {
+          logger.info(`[updateEvent] Merge conflict on ${uid}`, { fields: conflicts.map(c => c.field) });
+          throw mergeConflict(currentEvent, currentEtag, conflicts, merged);
+        }
+        
+        logger.info(`[updateEvent] Merged concurrent edits of ${uid}`, { autoMerged });
+        Object.assign(updatedEvent, merged);
+        updatedEvent.mergedFields = autoMerged;
+        beforeState = { ...event, ...currentEvent, etag: eventObject.etag || null };
+      }
+      
       logger.debug('[updateEvent] Found event object:', {
         url: eventObject.url,
         etag: eventObject.etag || 'no etag',
@@ -1264,66 +2298,17 @@ export class CalendarCache {
       const currentEtag = eventObject.etag; // only send If-Match when present
 
       // 6. Create iCal data for the updated event
-      // Preserve the original event's all-day status if it exists, otherwise determine from the time
-      const isAllDay = event.allDay !== undefined ? event.allDay : 
-                     (updatedEvent.start && updatedEvent.start.endsWith('T00:00:00.000Z') && 
-                      updatedEvent.end && updatedEvent.end.endsWith('T00:00:00.000Z'));
-      
       logger.debug(`[updateEvent] Generating iCal data for ${isAllDay ? 'all-day' : 'timed'} event (preserved from original: ${event.allDay !== undefined ? 'yes' : 'no'})`);
       
-      // Format dates for iCal
-      const formatDate = (dateStr) => {
-        const date = new Date(dateStr);
-        if (isAllDay) {
-          // For all-day events, use DATE format (YYYYMMDD)
-          return date.toISOString().replace(/[-:T.]/g, '').substring(0, 8);
-        } else {
-          // For timed events, use UTC format (YYYYMMDDTHHMMSSZ)
-          return date.toISOString().replace(/[-:.]/g, '');
-        }
-      };
-      
+      const { vtimezone, lines } = this.buildVEvent(updatedEvent, isAllDay, timezone);
       const icalLines = [
         'BEGIN:VCALENDAR',
         'VERSION:2.0',
         'PRODID:-//Support Planner//NONSGML v1.0//EN',
-        'BEGIN:VEVENT',
-        `UID:${updatedEvent.uid}`, // Keep the same UID
-        `DTSTAMP:${this.formatDateForIcal(new Date())}`
-      ];
-      
-      // Add DTSTART and DTEND with proper format for all-day vs timed events
-      if (isAllDay) {
-        // For all-day events, client sends inclusive end date.
-        // In iCal, DTEND (DATE) must be exclusive, so add 1 day to the inclusive end.
-        const inclusiveEnd = new Date(updatedEvent.end);
-        const exclusiveEnd = new Date(Date.UTC(inclusiveEnd.getUTCFullYear(), inclusiveEnd.getUTCMonth(), inclusiveEnd.getUTCDate() + 1));
-        icalLines.push(
-          `DTSTART;VALUE=DATE:${formatDate(updatedEvent.start)}`,
-          `DTEND;VALUE=DATE:${formatDate(exclusiveEnd.toISOString())}`,
-          'X-MICROSOFT-CDO-ALLDAYEVENT:TRUE',
-          'X-MICROSOFT-CDO-INTENDEDSTATUS:BUSY',
-          'TRANSP:OPAQUE'  // Blocks time on calendar
-        );
-      } else {
-        icalLines.push(
-          `DTSTART:${formatDate(updatedEvent.start)}`,
-          `DTEND:${formatDate(updatedEvent.end)}`,
-          'X-MICROSOFT-CDO-INTENDEDSTATUS:BUSY',
-          'TRANSP:OPAQUE'  // Blocks time on calendar
-        );
-      }
-      
-      // Add other event properties
-      const combinedDescription = this.buildDescription(updatedEvent.description, updatedEvent.meta);
-      icalLines.push(
-        `SUMMARY:${updatedEvent.summary || ''}`,
-        combinedDescription ? `DESCRIPTION:${combinedDescription.replace(/\n/g, '\\n')}` : '',
-        updatedEvent.location ? `LOCATION:${updatedEvent.location}` : '',
-        'STATUS:CONFIRMED',
-        'END:VEVENT',
+        ...vtimezone,
+        ...lines,
         'END:VCALENDAR'
-      );
+      ];
       
       const icalData = icalLines.filter(Boolean).join('\r\n');
       logger.debug('[updateEvent] Generated iCal data:', icalData);
@@ -1331,57 +2316,17 @@ export class CalendarCache {
       // 7. Update the event on the CalDAV server
       logger.debug(`[updateEvent] Updating event with UID: ${uid}`);
       
-      // Make sure the URL is a full URL (not relative)
-      const fullEventUrl = eventUrl.startsWith('http') ? eventUrl : `${calendar.url}${eventUrl}`;
-      
-      logger.debug(`[updateEvent] Updating event at URL: ${fullEventUrl} with ETag: ${currentEtag}`);
-      
       try {
-        // Get the account object from the client
-        const account = client.account;
-        if (!account) {
-          throw new Error('No account object found in client');
-        }
-        
-        // Get the credentials from the account
-        const credentials = account.credentials;
-        if (!credentials) {
-          throw new Error('No credentials found in account');
-        }
-        
-        // Create basic auth header
-        const authHeader = `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')}`;
-        
-        // Make a direct PUT request to update the event
-        const headers = {
-          'Content-Type': 'text/calendar; charset=utf-8',
-          'Authorization': authHeader,
-          'Depth': '1',
-          'Prefer': 'return-minimal'
-        };
-        if (currentEtag) {
-          headers['If-Match'] = currentEtag;
-        }
-
-        const response = await fetch(fullEventUrl, {
-          method: 'PUT',
-          headers,
-          body: icalData
-        });
+        const newEtag = await this.putCalendarObject(client, eventUrl, calendar.url, icalData, currentEtag);
+        logger.debug(`[updateEvent] Successfully updated event ${uid} in calendar ${event.calendar}`);
         
-        if (!response.ok) {
-          const errorText = await response.text();
-          logger.error('[updateEvent] PUT failed', {
-            status: response.status,
-            statusText: response.statusText,
-            errorText
-          });
-          throw new Error(`Failed to update event: ${response.status} ${response.statusText}: ${errorText}`);
+        updatedEvent.etag = newEtag || null;
+        try {
+          await this.recordLocalWrite(calendarUrl, eventObject.url, icalData, newEtag);
+        } catch (syncError) {
+          logger.warn('[updateEvent] Sync state update failed (non-critical):', syncError);
         }
         
-        logger.debug(`[updateEvent] Successfully updated event at ${fullEventUrl}`);
-        logger.debug(`[updateEvent] Successfully updated event ${uid} in calendar ${event.calendar}`);
-        
         // 8. Invalidate the cache for this calendar (non-critical)
         try {
           const cacheKey = `calendar:${event.calendar}`;
@@ -1399,7 +2344,7 @@ export class CalendarCache {
             userEmail: user?.email,
             userName: user?.name,
             calendarUrl: event.calendar,
-            beforeState: event, // Original state before update
+            beforeState, // State on the server before update (with its ETag, used as merge base)
             afterState: updatedEvent, // New state after update
             status: 'SUCCESS'
           });
@@ -1427,15 +2372,385 @@ export class CalendarCache {
         // 9. Return the updated event
         return updatedEvent;
       } catch (error) {
+        // The event changed on the server after our ETag check
+        if (error.statusCode === 412) {
+          throw await this.serverPreconditionFailed(client, calendarInfo.calendar || calendar, event);
+        }
+        if (error.statusCode === 409) throw error;
         logger.error(`[updateEvent] Error updating event:`, error);
         throw new Error(`Failed to update event: ${error.message}`);
       }
     } catch (error) {
+      if (error.statusCode === 412 || error.statusCode === 409) throw error;
       logger.error(`[updateEvent] Error updating event ${uid}:`, error);
       throw new Error(`Failed to update event: ${error.message}`);
     }
   }
 
+  /**
+   * Update a recurring event
+   *
+   * Scopes:
+   * - `all`: rewrites the series master. When `recurrenceId` is given, the
+   *   start/end values are those of that occurrence and the whole series
+   *   moves by the same wall-clock distance; EXDATEs and overrides move along.
+   * - `this`: stores an override (RECURRENCE-ID) for one occurrence.
+   * - `following`: ends the series before the occurrence and continues it as
+   *   a new series (new UID) that receives the changes.
+   *
+   * Concurrent edits of a series are not merged: a stale If-Match fails with 412.
+   *
+   * @param {Object} event - Cached event (any occurrence of the series)
+   * @param {Object} updateData - Changes, including an optional `rrule` ('' or null ends the recurrence)
+   * @param {Object} [user] - User info from session (email, name)
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header value
+   * @param {string} [options.scope='all'] - One of RECURRENCE_SCOPES
+   * @param {string} [options.recurrenceId] - Occurrence to change; required unless scope is `all`
+   * @returns {Promise<Object>} The edited occurrence (for `following`, in the new series)
+   * @throws {Error} With statusCode 400 for unknown occurrences, 412 for stale versions
+   * @private
+   */
+  async _performSeriesUpdate(event, updateData, user, { ifMatch, scope = 'all', recurrenceId } = {}) {
+    const uid = event.uid;
+    const calendarUrl = event.calendarUrl || event.calendar;
+    const calendarInfo = this.calendarClients[calendarUrl];
+    if (!calendarInfo || !calendarInfo.client) {
+      throw new Error(`No calendar client found for URL: ${calendarUrl}`);
+    }
+    const { client } = calendarInfo;
+
+    const calendarObjects = await client.fetchCalendarObjects({
+      calendar: calendarInfo.calendar || { url: calendarUrl }
+    });
+    const eventObject = calendarObjects.find(obj => obj.data && obj.data.includes(`UID:${uid}`));
+    if (!eventObject) {
+      throw new Error(`Event with UID ${uid} not found in calendar`);
+    }
+
+    const contentEtag = ifMatch ? this.computeObjectContentEtag(eventObject, calendarInfo.calendar || { url: calendarUrl }, event) : null;
+    if (!this.etagMatches(ifMatch, [eventObject.etag, contentEtag])) {
+      throw preconditionFailed(event, eventObject.etag || contentEtag);
+    }
+
+    const series = getSeries(eventObject.data, uid);
+    if (!series) {
+      throw new Error(`Event with UID ${uid} not found in calendar`);
+    }
+    if (scope !== 'all' && !recurrenceId) {
+      throw badRequest(`recurrenceId is required for scope "${scope}"`);
+    }
+    const occurrence = recurrenceId ? getOccurrence(eventObject.data, uid, recurrenceId) : null;
+    if (recurrenceId && !occurrence) {
+      throw badRequest(`Event ${uid} has no occurrence ${recurrenceId}`);
+    }
+    if (scope === 'this' && updateData.rrule !== undefined) {
+      throw badRequest('The recurrence rule can only be changed for the whole series or following occurrences');
+    }
+    // Changing "this and following" from the first occurrence changes the whole series
+    if (scope === 'following' && occurrence.recurrenceId === series.start) {
+      scope = 'all';
+    }
+
+    let icalData;
+    let result;
+    let beforeState;
+    let tail = null;
+    if (scope === 'this') {
+      const current = this.seriesEvent(uid, calendarUrl, occurrence);
+      const { updatedEvent, isAllDay, timezone } = this.applyEventChanges(current, updateData);
+      const { vtimezone, lines } = this.buildVEvent(updatedEvent, isAllDay, timezone);
+      icalData = setOccurrenceOverride(eventObject.data, uid, occurrence.recurrenceId, lines, vtimezone);
+      beforeState = { ...current, scope, etag: eventObject.etag || null };
+      result = { ...updatedEvent, isRecurring: true, recurringEventId: uid, rrule: series.rrule, scope };
+    } else if (scope === 'all') {
+      const changed = this.applySeriesChanges(eventObject.data, uid, series, updateData, occurrence, calendarUrl);
+      icalData = changed.icalData;
+      beforeState = { ...this.seriesEvent(uid, calendarUrl, series), scope, etag: eventObject.etag || null };
+      result = { ...changed.event, isRecurring: Boolean(changed.event.rrule), scope };
+    } else {
+      const tailUid = randomUUID();
+      const split = splitSeries(eventObject.data, uid, occurrence.recurrenceId, tailUid);
+      tail = this.applySeriesChanges(
+        split.tail,
+        tailUid,
+        getSeries(split.tail, tailUid),
+        updateData,
+        getOccurrence(split.tail, tailUid, occurrence.recurrenceId),
+        calendarUrl
+      );
+      tail.uid = tailUid;
+      icalData = split.head;
+      beforeState = { ...this.seriesEvent(uid, calendarUrl, series), scope, etag: eventObject.etag || null };
+      result = { ...tail.event, uid: tailUid, isRecurring: Boolean(tail.event.rrule), recurringEventId: tailUid, scope };
+    }
+
+    // The rest of a split series becomes a new event of its own. It is created
+    // before the head is cut short, so a failed create loses no occurrences
+    if (tail) {
+      const tailState = this.seriesEvent(tail.uid, calendarUrl, getSeries(tail.icalData, tail.uid));
+      tail.state = { ...tailState, calendar: calendarUrl };
+      await this._performCreate({
+        calendarInfo,
+        calendarUrl,
+        uid: tail.uid,
+        icalData: tail.icalData,
+        eventState: tail.state,
+        combinedDescription: tailState.descriptionRaw,
+        user
+      });
+    }
+
+    let newEtag;
+    try {
+      newEtag = await this.putCalendarObject(client, eventObject.url, calendarUrl, icalData, eventObject.etag);
+    } catch (error) {
+      logger.error(`[updateEvent] Error updating series ${uid}:`, error);
+      if (tail) {
+        await this._removeSplitTail(client, calendarUrl, tail, user);
+      }
+      if (error.statusCode === 412) {
+        throw await this.serverPreconditionFailed(client, calendarInfo.calendar || { url: calendarUrl }, event);
+      }
+      throw new Error(`Failed to update event: ${error.message}`);
+    }
+    logger.info(`[updateEvent] Updated recurring event ${uid} (scope: ${scope})`);
+
+    try {
+      await this.recordLocalWrite(calendarUrl, eventObject.url, icalData, newEtag);
+    } catch (syncError) {
+      logger.warn('[updateEvent] Sync state update failed (non-critical):', syncError);
+    }
+
+    const afterState = scope === 'this'
+      ? { ...result, etag: newEtag || null }
+      : { ...this.seriesEvent(uid, calendarUrl, getSeries(icalData, uid)), scope, etag: newEtag || null };
+    if (tail) {
+      afterState.continuedAs = tail.uid;
+    }
+    result.etag = tail ? null : newEtag || null;
+
+    try {
+      this.cache.del(`calendar:${calendarUrl}`);
+    } catch (cacheError) {
+      logger.error('[updateEvent] Cache invalidation failed (non-critical):', cacheError);
+    }
+
+    // Log to audit history (non-critical)
+    try {
+      await auditHistory.logOperation({
+        eventUid: uid,
+        operation: 'UPDATE',
+        userEmail: user?.email,
+        userName: user?.name,
+        calendarUrl,
+        beforeState,
+        afterState,
+        status: 'SUCCESS'
+      });
+    } catch (auditError) {
+      logger.error('[updateEvent] Audit logging failed (non-critical):', auditError);
+    }
+
+    // Log the operation to file (legacy, non-critical)
+    try {
+      await logOperation('UPDATE', {
+        uid,
+        summary: result.summary,
+        calendarUrl,
+        status: 'SUCCESS',
+        metadata: { start: result.start, end: result.end, scope, recurrenceId: occurrence?.recurrenceId }
+      });
+    } catch (logError) {
+      logger.error('[updateEvent] Operation logging failed (non-critical):', logError);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove the tail of a split series after the head could not be cut short
+   *
+   * Otherwise the tail's occurrences would appear twice. The removal is
+   * recorded as a DELETE of the tail; if it fails too, the duplicate is
+   * logged for manual cleanup.
+   *
+   * @param {Object} client - tsdav client of the calendar
+   * @param {string} calendarUrl - Calendar URL
+   * @param {{uid: string, state: Object}} tail - Created tail series
+   * @param {Object} [user] - User info from session (email, name)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeSplitTail(client, calendarUrl, tail, user) {
+    const objectUrl = `${tail.uid}.ics`;
+    try {
+      await client.deleteCalendarObject({ calendarObject: { url: `${calendarUrl}${objectUrl}` } });
+      this.recordLocalDelete(calendarUrl, objectUrl);
+      this.cache.del(`calendar:${calendarUrl}`);
+    } catch (error) {
+      logger.error(`[updateEvent] CRITICAL: Could not remove split series ${tail.uid}; its occurrences now appear twice`, error);
+      return;
+    }
+
+    try {
+      await auditHistory.logOperation({
+        eventUid: tail.uid,
+        operation: 'DELETE',
+        userEmail: user?.email,
+        userName: user?.name,
+        calendarUrl,
+        beforeState: tail.state,
+        afterState: null,
+        status: 'SUCCESS'
+      });
+    } catch (auditError) {
+      logger.error('[updateEvent] Audit logging failed (non-critical):', auditError);
+    }
+  }
+
+  /**
+   * Apply update data to the master of a series
+   *
+   * The changes are applied to `anchor` (an occurrence, or the master itself
+   * when no occurrence is given); the master then moves by the wall-clock
+   * distance the anchor moved and takes the anchor's new duration.
+   *
+   * @param {string} ics - iCal data of the series
+   * @param {string} uid - Series UID
+   * @param {Object} series - Master fields (see getSeries)
+   * @param {Object} updateData - Changes, including an optional `rrule` and `exdates`
+   *   (the exact occurrences to exclude, when restoring a snapshot)
+   * @param {Object|null} anchor - Occurrence fields (see getOccurrence)
+   * @param {string} calendarUrl - Calendar of the series
+   * @returns {{icalData: string, event: Object}} New iCal data and the edited anchor
+   * @throws {Error} With statusCode 400 for invalid rules, zones or ranges
+   * @private
+   */
+  applySeriesChanges(ics, uid, series, updateData, anchor, calendarUrl) {
+    const { rrule: newRule, exdates, ...changes } = updateData;
+    const rrule = newRule !== undefined ? (newRule || null) : series.rrule;
+    if (rrule && !isValidRecurrenceRule(rrule)) {
+      throw badRequest(`Invalid recurrence rule: ${rrule}`);
+    }
+
+    const current = this.seriesEvent(uid, calendarUrl, anchor || series);
+    const { updatedEvent, isAllDay, timezone } = this.applyEventChanges(current, changes);
+
+    // Wall-clock milliseconds: all-day values count whole days, timed values
+    // are read in the series' zone so a move keeps the local time across DST
+    const wallClock = (value, tz) => isAllDay
+      ? Date.parse(`${String(value).substring(0, 10)}T00:00:00Z`)
+      : Date.parse(`${dayjs(value).tz(tz).format('YYYY-MM-DDTHH:mm:ss')}Z`);
+    let shift = 0;
+    let { start, end } = series;
+    if (changes.start !== undefined || changes.end !== undefined || changes.timezone !== undefined) {
+      shift = wallClock(updatedEvent.start, timezone) - wallClock(current.start, current.timezone || timezone);
+      const duration = isAllDay
+        ? wallClock(updatedEvent.end) - wallClock(updatedEvent.start)
+        : Date.parse(updatedEvent.end) - Date.parse(updatedEvent.start);
+      const masterStart = new Date(wallClock(series.start, series.timezone || timezone) + shift).toISOString();
+      start = isAllDay ? masterStart.substring(0, 10) : toUtcDate(masterStart.substring(0, 19), timezone).toISOString();
+      end = isAllDay
+        ? new Date(Date.parse(masterStart) + duration).toISOString().substring(0, 10)
+        : new Date(Date.parse(start) + duration).toISOString();
+    }
+
+    const { vtimezone, lines } = this.buildVEvent({ ...updatedEvent, start, end }, isAllDay, timezone, rrule ? [`RRULE:${rrule}`] : []);
+    return {
+      icalData: replaceSeriesMaster(ics, uid, lines, vtimezone, shift / 1000, Array.isArray(exdates) ? exdates : undefined),
+      event: { ...updatedEvent, rrule }
+    };
+  }
+
+  /**
+   * Convert series or occurrence fields to the cached event format
+   * @param {string} uid - Event UID
+   * @param {string} calendarUrl - Calendar URL
+   * @param {Object} fields - Output of getSeries or getOccurrence
+   * @returns {Object} Event with plain description and parsed metadata
+   * @private
+   */
+  seriesEvent(uid, calendarUrl, fields) {
+    const parsed = this.extractYaml(fields.descriptionRaw);
+    return {
+      ...fields,
+      uid,
+      description: parsed.text,
+      meta: parsed.meta,
+      calendar: calendarUrl,
+      calendarUrl
+    };
+  }
+
+  /**
+   * Write a calendar object with a direct PUT request
+   *
+   * Uses the account's basic auth credentials and sends If-Match when an
+   * ETag is known, so concurrent server-side changes are not overwritten.
+   *
+   * @param {Object} client - tsdav client (its account carries the credentials)
+   * @param {string} eventUrl - Object URL, absolute or relative to the calendar
+   * @param {string} calendarUrl - Calendar URL used to resolve relative object URLs
+   * @param {string} icalData - Complete VCALENDAR text
+   * @param {string} [etag] - Current ETag, sent as If-Match when present
+   * @returns {Promise<string|null>} New ETag returned by the server
+   * @throws {Error} If credentials are missing or the server rejects the write
+   *   (with the server's statusCode, e.g. 412 when the object changed)
+   * @private
+   */
+  async putCalendarObject(client, eventUrl, calendarUrl, icalData, etag) {
+    // Make sure the URL is a full URL (not relative)
+    const fullEventUrl = eventUrl.startsWith('http') ? eventUrl : `${calendarUrl}${eventUrl}`;
+    
+    logger.debug(`[updateEvent] Updating event at URL: ${fullEventUrl} with ETag: ${etag}`);
+    
+    // Get the account object from the client
+    const account = client.account;
+    if (!account) {
+      throw new Error('No account object found in client');
+    }
+    
+    // Get the credentials from the account
+    const credentials = account.credentials;
+    if (!credentials) {
+      throw new Error('No credentials found in account');
+    }
+    
+    // Create basic auth header
+    const authHeader = `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')}`;
+    
+    // Make a direct PUT request to update the event
+    const headers = {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Authorization': authHeader,
+      'Depth': '1',
+      'Prefer': 'return-minimal'
+    };
+    if (etag) {
+      headers['If-Match'] = etag;
+    }
+
+    const response = await fetch(fullEventUrl, {
+      method: 'PUT',
+      headers,
+      body: icalData
+    });
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error('[updateEvent] PUT failed', {
+        status: response.status,
+        statusText: response.statusText,
+        errorText
+      });
+      throw httpError(response.status, `Failed to update event: ${response.status} ${response.statusText}: ${errorText}`);
+    }
+    
+    logger.debug(`[updateEvent] Successfully updated event at ${fullEventUrl}`);
+    return response.headers.get('etag');
+  }
+
   /**
    * Format a Date object for iCal format
    * @private
@@ -1451,9 +2766,11 @@ export class CalendarCache {
    * @param {string} uid - The UID of the event to move
    * @param {string} targetCalendarUrl - The URL of the target calendar
    * @param {Object} [user] - User info from session (email, name)
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header; rejects with statusCode 412 when the event changed
    * @returns {Promise<Object>} The moved event
    */
-  async moveEvent(uid, targetCalendarUrl, user) {
+  async moveEvent(uid, targetCalendarUrl, user, { ifMatch } = {}) {
     logger.debug(`[moveEvent] Starting to move event ${uid} to ${targetCalendarUrl}`);
 
     if (!uid || !targetCalendarUrl) {
@@ -1521,6 +2838,14 @@ export class CalendarCache {
       throw new Error(`Failed to fetch event from source calendar: ${error.message}`);
     }
     
+    // Optimistic concurrency: reject if the client moved an outdated version
+    const sourceCalendar = sourceCalendarInfo.calendar || { url: sourceCalendarUrl };
+    const contentEtag = ifMatch ? this.computeObjectContentEtag(eventObject, sourceCalendar, event) : null;
+    if (!this.etagMatches(ifMatch, [eventObject.etag, contentEtag])) {
+      const currentEvent = this.parseEventObject(eventObject, sourceCalendar, uid) || event;
+      throw preconditionFailed(currentEvent, eventObject.etag || contentEtag);
+    }
+    
     // 4. Create the event in the target calendar
     let filename;
     let createdInTarget = false;
@@ -1563,10 +2888,14 @@ export class CalendarCache {
       // 5. Delete the event from the source calendar
       try {
         logger.debug(`[moveEvent] Deleting event from source calendar...`);
-        await sourceClient.deleteCalendarObject({
+        const response = await sourceClient.deleteCalendarObject({
           calendarObject: eventObject,
           etag: eventObject.etag
         });
+        // tsdav resolves with the response even when the server refused
+        if (response && response.ok === false) {
+          throw httpError(response.status, `Delete failed: ${response.status} ${response.statusText || ''}`.trim());
+        }
         logger.debug(`[moveEvent] Successfully deleted event from source calendar`);
       } catch (deleteError) {
         // If deletion fails, we have a duplicate - try to clean up
@@ -1604,8 +2933,6 @@ export class CalendarCache {
             status: 'FAILED',
             error: `Could not delete from source: ${deleteError.message}`
           });
-          
-          throw new Error(`Move failed: Could not delete from source calendar. Operation rolled back.`);
         } catch (cleanupError) {
           logger.error(`[moveEvent] CRITICAL: Rollback failed:`, cleanupError);
           logger.error(`[moveEvent] Event is now duplicated in both calendars!`);
@@ -1638,11 +2965,23 @@ export class CalendarCache {
             `Manual cleanup required. Original error: ${deleteError.message}`
           );
         }
+        
+        // Rolled back: someone changed the source event after our ETag check
+        if (deleteError.statusCode === 412) {
+          throw await this.serverPreconditionFailed(sourceClient, sourceCalendar, event);
+        }
+        throw new Error(`Move failed: Could not delete from source calendar. Operation rolled back.`);
       }
       
       // 6. Update the cache (invalidate both involved calendars)
       this.cache.del(`calendar:${sourceCalendarUrl}`);
       this.cache.del(`calendar:${targetCalendarUrl}`);
+      try {
+        this.recordLocalDelete(sourceCalendarUrl, eventObject.url);
+        await this.recordLocalWrite(targetCalendarUrl, verifyCreated.url, verifyCreated.data, verifyCreated.etag);
+      } catch (syncError) {
+        logger.warn('[moveEvent] Sync state update failed (non-critical):', syncError);
+      }
 
       // Build before and after states for audit log
       const beforeState = { ...event, calendar: sourceCalendarUrl };
@@ -1680,10 +3019,139 @@ export class CalendarCache {
       };
       
     } catch (error) {
+      if (error.statusCode === 412 || error.statusCode === 409) throw error;
       logger.error(`[moveEvent] Error moving event:`, error);
       throw new Error(`Failed to move event: ${error.message}`);
     }
   }
+
+  /**
+   * Apply a list of event operations as one batch
+   *
+   * Operations run in order through updateEvent, moveEvent and deleteEvent;
+   * a failing operation is reported in its result, recorded in the audit
+   * history as FAILED or REJECTED, and the batch continues.
+   * All audit entries written by the batch share one batch id. Each
+   * operation updates the cache itself, so callers refresh once at the end.
+   *
+   * Operation shapes:
+   * - `{ op: 'update', uid, changes, scope?, recurrenceId?, ifMatch? }`
+   * - `{ op: 'move', uid, targetCalendarUrl, ifMatch? }`
+   * - `{ op: 'delete', uid, scope?, recurrenceId? }`
+   * - `{ op: 'shift', uid, days, ifMatch? }` moves start and end by whole days
+   *   (timed events keep their wall-clock time, recurring events move as a series)
+   *
+   * @param {Array<Object>} operations - Operations to apply
+   * @param {Object} [user] - User info from session (email, name)
+   * @returns {Promise<{batchId: string, results: Array<Object>}>} One result per
+   *   operation: `{ index, op, uid, success, event }` or `{ index, op, uid, success, status, error }`
+   */
+  async applyBulkOperations(operations, user) {
+    const batchId = randomUUID();
+    const results = [];
+
+    await auditHistory.withBatch(batchId, async () => {
+      for (const [index, operation] of operations.entries()) {
+        const { op, uid } = operation;
+        const tracker = { logged: false };
+        try {
+          const event = await auditHistory.trackFailures(tracker, () => this._performBulkOperation(operation, user));
+          results.push({ index, op, uid, success: true, event });
+        } catch (error) {
+          logger.warn(`[bulk] ${op} of ${uid} failed: ${error.message}`);
+          const status = bulkErrorStatus(error);
+          results.push({ index, op, uid, success: false, status, error: error.message });
+
+          // Record the failed attempt unless the operation already did
+          if (!tracker.logged) {
+            const event = await this.getEvent(uid).catch(() => null);
+            await auditHistory.logOperation({
+              eventUid: uid,
+              operation: BULK_AUDIT_OPERATIONS[op] || 'BULK',
+              userEmail: user?.email,
+              userName: user?.name,
+              calendarUrl: event?.calendarUrl || '',
+              targetCalendarUrl: operation.targetCalendarUrl,
+              beforeState: null,
+              afterState: operation,
+              status: status >= 500 ? 'FAILED' : 'REJECTED',
+              errorMessage: error.message
+            });
+          }
+        }
+      }
+    });
+
+    logger.info('Bulk operations completed', {
+      batchId,
+      total: results.length,
+      failed: results.filter(result => !result.success).length
+    });
+    return { batchId, results };
+  }
+
+  /**
+   * Apply a single bulk operation
+   * @param {Object} operation - See applyBulkOperations
+   * @param {Object} [user] - User info from session (email, name)
+   * @returns {Promise<Object|null>} The resulting event (null for deletes)
+   * @throws {Error} From the underlying operation, or with statusCode 400 for unknown operations
+   * @private
+   */
+  async _performBulkOperation({ op, uid, changes, targetCalendarUrl, days, scope, recurrenceId, ifMatch }, user) {
+    switch (op) {
+      case 'update':
+        return this.updateEvent(uid, changes || {}, '', user, { ifMatch, scope, recurrenceId });
+
+      case 'move':
+        return this.moveEvent(uid, targetCalendarUrl, user, { ifMatch });
+
+      case 'delete': {
+        const deleted = await this.deleteEvent(uid, user, { scope, recurrenceId });
+        if (!deleted) {
+          throw new Error(`Event ${uid} not found`);
+        }
+        return null;
+      }
+
+      case 'shift': {
+        const event = await this.getEvent(uid);
+        if (!event) {
+          throw new Error(`Event ${uid} not found`);
+        }
+        const shifted = this.shiftEventDates(event, days);
+        // Recurring events are addressed through the cached occurrence; scope `all` moves the series by the same distance
+        const options = event.isRecurring ? { ifMatch, scope: 'all', recurrenceId: event.recurrenceId } : { ifMatch };
+        return this.updateEvent(uid, shifted, '', user, options);
+      }
+
+      default:
+        throw badRequest(`Unknown bulk operation: ${op}`);
+    }
+  }
+
+  /**
+   * Compute start/end of an event moved by whole days
+   *
+   * All-day events shift their dates; timed events shift their wall-clock
+   * time in the event's time zone, so the time of day survives DST changes.
+   *
+   * @param {Object} event - Cached event
+   * @param {number} days - Days to shift by (negative moves earlier)
+   * @returns {{start: string, end: string}} Values accepted by updateEvent
+   * @private
+   */
+  shiftEventDates(event, days) {
+    if (event.allDay) {
+      return {
+        start: dayjs.utc(event.start).add(days, 'day').format('YYYY-MM-DD'),
+        end: dayjs.utc(event.end).add(days, 'day').format('YYYY-MM-DD')
+      };
+    }
+    const timezone = event.timezone || 'UTC';
+    const shift = (value) => dayjs(value).tz(timezone).add(days, 'day').format('YYYY-MM-DDTHH:mm:ss');
+    return { start: shift(event.start), end: shift(event.end) };
+  }
 }
 
 // Export a singleton instance
@@ -0,0 +1,236 @@
+/**
+ * Support coverage report
+ *
+ * Scans the support assignments of a date range across all cached
+ * calendars and flags:
+ * - missing: a support slot nobody has that day
+ * - conflict: the assignee has an event that makes them unavailable
+ *   (vacation, sick leave, trips; see getEventType) the same day
+ * - abroad: the assignee has an event located outside the home office
+ *   country (HOME_COUNTRY_CODE) the same day, by the geocoded
+ *   `locationCountryCode`
+ *
+ * The report can be rendered as CSV or as an iCalendar feed with one
+ * all-day event per issue, for the team lead's calendar.
+ *
+ * @module services/coverage
+ */
+
+import { createHash } from 'crypto';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { calendarCache } from './calendar.js';
+import { getEventType } from './event-type.js';
+import { getSupportAssignments, parseSupportAssignment, cachedCalendarUrls, eventDays, dateRange, isWeekend } from './support.js';
+import { DEFAULT_ROTA_RULES } from './rota.js';
+import { HOME_COUNTRY_CODE } from '../config/env.js';
+import { toCsvLine } from '../utils/index.js';
+
+dayjs.extend(utc);
+
+/**
+ * Issue kinds, in report order for the same day and slot
+ * @type {string[]}
+ */
+export const COVERAGE_ISSUES = ['missing', 'conflict', 'abroad'];
+
+/**
+ * Days covered when no end date is given
+ * @type {number}
+ */
+export const DEFAULT_COVERAGE_DAYS = 28;
+
+// CSV columns: header and value of an issue
+const CSV_COLUMNS = [
+  ['date', issue => issue.date],
+  ['weekend', issue => issue.weekend],
+  ['issue', issue => issue.issue],
+  ['slot', issue => issue.slot],
+  ['assignee', issue => issue.assignee],
+  ['event', issue => issue.event?.summary],
+  ['eventType', issue => issue.event?.type],
+  ['location', issue => issue.event?.location],
+  ['countryCode', issue => issue.event?.countryCode],
+  ['calendar', issue => issue.calendarName]
+];
+
+/**
+ * Build the support coverage report
+ *
+ * @param {Object} params - Report options
+ * @param {string} params.from - First day (YYYY-MM-DD)
+ * @param {string} [params.to] - Last day (YYYY-MM-DD, inclusive; defaults to DEFAULT_COVERAGE_DAYS days from `from`)
+ * @param {boolean} [params.includeWeekends=true] - Report weekend days too
+ * @param {string[]} [params.conflictTypes] - Event types (case-insensitive) that conflict with support
+ *   (defaults to the rota's unavailable types)
+ * @param {string} [params.homeCountryCode] - Home office country (defaults to HOME_COUNTRY_CODE; empty skips the check)
+ * @returns {Promise<Object>} { from, to, homeCountryCode, issues, summary }; each issue
+ *   { date, weekend, issue, slot, assignee, calendarName, event }
+ * @throws {Error} With statusCode 400 for an invalid range
+ */
+export async function getCoverageReport({
+  from,
+  to = dayjs.utc(from).add(DEFAULT_COVERAGE_DAYS - 1, 'day').format('YYYY-MM-DD'),
+  includeWeekends = true,
+  conflictTypes = DEFAULT_ROTA_RULES.unavailableTypes,
+  homeCountryCode = HOME_COUNTRY_CODE
+}) {
+  const { days, events: supportEvents } = await getSupportAssignments({ from, to });
+  const { events } = await calendarCache.getEvents(cachedCalendarUrls(), from, to);
+
+  const conflicting = new Set(conflictTypes.map(type => String(type).toLowerCase()));
+  const home = String(homeCountryCode || '').toUpperCase();
+
+  // Calendars by owner name, to find the calendar of an assignee named in a summary
+  const calendarsByName = new Map();
+  const otherEvents = new Map();
+  for (const event of events || []) {
+    if (event.calendarName) calendarsByName.set(event.calendarName.toLowerCase(), event.calendar);
+    if (parseSupportAssignment(event.summary)) continue;
+    if (!otherEvents.has(event.calendar)) otherEvents.set(event.calendar, []);
+    otherEvents.get(event.calendar).push(event);
+  }
+
+  const issues = [];
+  const skip = date => !includeWeekends && isWeekend(date);
+
+  for (const day of days) {
+    if (skip(day.date)) continue;
+    for (const [slot, assignment] of Object.entries(day.assignments)) {
+      if (!assignment) {
+        issues.push({ date: day.date, weekend: day.weekend, issue: 'missing', slot, assignee: null, calendarName: null, event: null });
+      }
+    }
+  }
+
+  for (const support of supportEvents) {
+    const calendar = calendarsByName.get(String(support.name).toLowerCase()) || support.calendar;
+    const { first, last } = eventDays(support);
+    for (const date of dateRange(first < from ? from : first, last > to ? to : last)) {
+      if (skip(date)) continue;
+      for (const event of otherEvents.get(calendar) || []) {
+        const { first: eventFirst, last: eventLast } = eventDays(event);
+        if (date < eventFirst || date > eventLast) continue;
+
+        const type = getEventType(event.summary);
+        const countryCode = String(event.meta?.locationCountryCode || '').toUpperCase();
+        const details = {
+          uid: event.uid,
+          summary: event.summary,
+          type,
+          location: event.location || null,
+          countryCode: countryCode || null
+        };
+        const base = { date, weekend: isWeekend(date), slot: support.slot, assignee: support.name, calendarName: event.calendarName || null, event: details };
+
+        if (conflicting.has(String(type).toLowerCase())) {
+          issues.push({ ...base, issue: 'conflict' });
+        }
+        if (home && countryCode && countryCode !== home) {
+          issues.push({ ...base, issue: 'abroad' });
+        }
+      }
+    }
+  }
+
+  const slotOrder = days[0] ? Object.keys(days[0].assignments) : [];
+  issues.sort((a, b) => a.date.localeCompare(b.date)
+    || slotOrder.indexOf(a.slot) - slotOrder.indexOf(b.slot)
+    || COVERAGE_ISSUES.indexOf(a.issue) - COVERAGE_ISSUES.indexOf(b.issue));
+
+  return {
+    from,
+    to,
+    homeCountryCode: home || null,
+    issues,
+    summary: Object.fromEntries(COVERAGE_ISSUES.map(kind => [kind, issues.filter(issue => issue.issue === kind).length]))
+  };
+}
+
+/**
+ * Render a coverage report as CSV
+ * @param {Object} report - Result of getCoverageReport
+ * @returns {string} CSV with a header line
+ */
+export function formatCoverageCsv(report) {
+  return [CSV_COLUMNS.map(([name]) => name), ...report.issues.map(issue => CSV_COLUMNS.map(([, value]) => value(issue)))]
+    .map(toCsvLine)
+    .join('');
+}
+
+/**
+ * Escape a text value for iCalendar (RFC 5545, section 3.3.11)
+ * @param {string} text - Text
+ * @returns {string}
+ * @private
+ */
+function escapeIcalText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Title of the calendar entry for an issue
+ * @param {Object} issue - Coverage issue
+ * @returns {string}
+ * @private
+ */
+function issueTitle(issue) {
+  switch (issue.issue) {
+    case 'missing':
+      return `No ${issue.slot}`;
+    case 'conflict':
+      return `${issue.slot} ${issue.assignee}: ${issue.event.summary}`;
+    default:
+      return `${issue.slot} ${issue.assignee} abroad (${issue.event.countryCode}): ${issue.event.summary}`;
+  }
+}
+
+/**
+ * Render a coverage report as an iCalendar feed
+ *
+ * One all-day event per issue. UIDs are derived from the issue, so a
+ * subscribed calendar updates entries in place when the report is fetched
+ * again.
+ *
+ * @param {Object} report - Result of getCoverageReport
+ * @param {Date} [now] - DTSTAMP of the entries
+ * @returns {string} VCALENDAR text
+ */
+export function formatCoverageIcs(report, now = new Date()) {
+  const dtStamp = dayjs.utc(now).format('YYYYMMDD[T]HHmmss[Z]');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Support Planner//Coverage Report//EN',
+    'X-WR-CALNAME:Support coverage'
+  ];
+
+  for (const issue of report.issues) {
+    const key = [issue.date, issue.issue, issue.slot, issue.assignee, issue.event?.uid].join('|');
+    const uid = createHash('sha256').update(key).digest('hex').slice(0, 32);
+    const description = issue.event
+      ? [`Event: ${issue.event.summary}`, issue.event.location && `Location: ${issue.event.location}`, issue.calendarName && `Calendar: ${issue.calendarName}`]
+        .filter(Boolean)
+        .join('\n')
+      : `Nobody is assigned to ${issue.slot}`;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:coverage-${uid}@supportplanner`,
+      `DTSTAMP:${dtStamp}`,
+      `DTSTART;VALUE=DATE:${issue.date.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${dayjs.utc(issue.date).add(1, 'day').format('YYYYMMDD')}`,
+      `SUMMARY:${escapeIcalText(issueTitle(issue))}`,
+      `DESCRIPTION:${escapeIcalText(description)}`,
+      `CATEGORIES:${issue.issue.toUpperCase()}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n') + '\r\n';
+}
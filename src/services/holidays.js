@@ -0,0 +1,100 @@
+/**
+ * Public holidays service
+ *
+ * Loads public holidays from the Nager.Date API (the source the timeline
+ * uses), per country and year, and keeps them in memory. Regional holidays
+ * count only for the configured region.
+ *
+ * Failures are not fatal: the lookup answers without holidays and retries
+ * on the next call.
+ *
+ * @module services/holidays
+ */
+
+import { HOME_COUNTRY_CODE, HOLIDAY_REGION } from '../config/env.js';
+import { createLogger } from '../utils/index.js';
+// Note: Using Node.js 20+ built-in fetch (no import needed)
+
+const logger = createLogger('Holidays');
+
+/**
+ * Timeout for a holiday API request (ms)
+ * @type {number}
+ */
+const REQUEST_TIMEOUT = 5000;
+
+/**
+ * Holidays per "<country>:<year>"
+ * @type {Map<string, Array<Object>>}
+ */
+const holidayCache = new Map();
+
+/**
+ * Load the public holidays of a country and year
+ * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+ * @param {number} year - Year
+ * @returns {Promise<Array<Object>|null>} Nager.Date holidays, or null if they could not be loaded
+ * @private
+ */
+async function loadYear(countryCode, year) {
+  const key = `${countryCode}:${year}`;
+  if (holidayCache.has(key)) return holidayCache.get(key);
+
+  try {
+    const response = await fetch(`https://date.nager.at/api/v3/PublicHolidays/${year}/${countryCode}`, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    if (!response.ok) {
+      logger.warn(`Holiday API error for ${key}: ${response.status}`);
+      return null;
+    }
+    const holidays = await response.json();
+    holidayCache.set(key, Array.isArray(holidays) ? holidays : []);
+    return holidayCache.get(key);
+  } catch (error) {
+    logger.warn(`Failed to load holidays for ${key}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the public holidays in a date range
+ *
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+ * @param {Object} [options] - Holiday source
+ * @param {string} [options.countryCode] - Country (defaults to HOME_COUNTRY_CODE; empty means no holidays)
+ * @param {string} [options.region] - Region for regional holidays (defaults to HOLIDAY_REGION)
+ * @returns {Promise<{holidays: Array<{date: string, name: string}>, complete: boolean}>} Holidays by
+ *   date; `complete` is false if a year could not be loaded
+ */
+export async function getPublicHolidays(from, to, { countryCode = HOME_COUNTRY_CODE, region = HOLIDAY_REGION } = {}) {
+  if (!countryCode) {
+    return { holidays: [], complete: true };
+  }
+
+  const holidays = [];
+  let complete = true;
+  for (let year = Number(from.slice(0, 4)); year <= Number(to.slice(0, 4)); year++) {
+    const yearHolidays = await loadYear(countryCode.toUpperCase(), year);
+    if (!yearHolidays) {
+      complete = false;
+      continue;
+    }
+    for (const holiday of yearHolidays) {
+      const regional = Array.isArray(holiday.counties) && holiday.counties.length > 0;
+      if (holiday.date < from || holiday.date > to) continue;
+      if (regional && !holiday.counties.includes(region)) continue;
+      holidays.push({ date: holiday.date, name: holiday.localName || holiday.name });
+    }
+  }
+  return { holidays, complete };
+}
+
+/**
+ * Forget loaded holidays
+ */
+export function clearHolidayCache() {
+  holidayCache.clear();
+}
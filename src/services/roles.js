@@ -0,0 +1,551 @@
+/**
+ * Role Service
+ *
+ * Stores role grants in SQLite, so admins can change who may edit or
+ * administer the planner without redeploying. A grant maps an email or an
+ * IdP group to a role, optionally until an expiry date, and is combined with
+ * the env defaults (ADMIN_GROUPS, EDITOR_GROUPS, ADMIN_EMAILS, EDITOR_EMAILS).
+ *
+ * Precedence:
+ * - A grant replaces the env mapping of the same email or group
+ * - Email mappings override group mappings
+ * - Among the user's groups the highest role wins
+ * - Expired grants are ignored, so the env mapping applies again
+ * - Without any mapping the role is reader
+ *
+ * Calendar grants give an email or group (e.g. a team lead) edit rights on
+ * a set of calendars beyond the user's own; see middleware/permissions.
+ *
+ * Every grant and revocation is recorded in the audit history.
+ *
+ * @module services/roles
+ */
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { ADMIN_GROUPS, EDITOR_GROUPS, ADMIN_EMAILS, EDITOR_EMAILS } from '../config/index.js';
+import { auditHistory } from './audit-history.js';
+import { createLogger } from '../utils/index.js';
+
+const logger = createLogger('Roles');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Database file path - store in data directory next to the audit history
+const DB_PATH = join(__dirname, '../../data/roles.db');
+
+/**
+ * Roles in ascending order of rights
+ * @type {string[]}
+ */
+export const ROLES = ['reader', 'editor', 'admin'];
+
+/**
+ * What a grant can be given to
+ * @type {string[]}
+ */
+export const SUBJECT_TYPES = ['email', 'group'];
+
+const ROLE_ORDER = { reader: 0, editor: 1, admin: 2 };
+
+// Role mappings from the environment, read on use rather than at import
+const ENV_DEFAULTS = {
+  get adminGroups() { return ADMIN_GROUPS; },
+  get editorGroups() { return EDITOR_GROUPS; },
+  get adminEmails() { return ADMIN_EMAILS; },
+  get editorEmails() { return EDITOR_EMAILS; }
+};
+
+/**
+ * Normalize an email or group name for comparison
+ * @param {string} subject - Email or group
+ * @returns {string}
+ * @private
+ */
+function normalizeSubject(subject) {
+  return String(subject || '').trim().toLowerCase();
+}
+
+/**
+ * Role the env defaults map an email or group to
+ *
+ * @param {Object} defaults - Env role mappings
+ * @param {string} type - Subject type (email/group)
+ * @param {string} subject - Normalized email or group
+ * @returns {string|null} Role or null without a mapping
+ * @private
+ */
+function envRole(defaults, type, subject) {
+  const [admins, editors] = type === 'email'
+    ? [defaults.adminEmails, defaults.editorEmails]
+    : [defaults.adminGroups, defaults.editorGroups];
+  if (admins.includes(subject)) return 'admin';
+  if (editors.includes(subject)) return 'editor';
+  return null;
+}
+
+/**
+ * Whether a grant is in effect
+ * @param {Object} grant - Grant
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ * @private
+ */
+function isActive(grant, now) {
+  return !grant.expiresAt || new Date(grant.expiresAt) > now;
+}
+
+/**
+ * Resolve a user's role from grants and env defaults
+ *
+ * @param {Array<Object>} grants - All stored grants
+ * @param {Object} defaults - Env role mappings
+ * @param {Object} user - User with email and groups
+ * @param {Date} now - Reference time for expiry
+ * @returns {{role: string, source: string}} Role and where it came from
+ *   (grant:email, env:email, grant:group, env:group or default)
+ * @private
+ */
+function resolveFrom(grants, defaults, user, now) {
+  const active = new Map(grants.filter(grant => isActive(grant, now)).map(grant => [`${grant.type}:${grant.subject}`, grant.role]));
+
+  const mapped = (type, subject) => {
+    const granted = active.get(`${type}:${subject}`);
+    if (granted) return { role: granted, source: `grant:${type}` };
+    const role = envRole(defaults, type, subject);
+    return role ? { role, source: `env:${type}` } : null;
+  };
+
+  const email = normalizeSubject(user?.email);
+  const byEmail = email ? mapped('email', email) : null;
+  if (byEmail) return byEmail;
+
+  let best = null;
+  for (const group of (user?.groups || []).map(normalizeSubject)) {
+    const byGroup = mapped('group', group);
+    if (byGroup && (!best || ROLE_ORDER[byGroup.role] > ROLE_ORDER[best.role])) {
+      best = byGroup;
+    }
+  }
+
+  return best || { role: 'reader', source: 'default' };
+}
+
+/**
+ * Whether a grant's email or group applies to a user
+ * @param {Object} grant - Role or calendar grant
+ * @param {Object} user - User with email and groups
+ * @returns {boolean}
+ * @private
+ */
+function appliesTo(grant, user) {
+  return grant.type === 'email'
+    ? grant.subject === normalizeSubject(user?.email)
+    : (user?.groups || []).map(normalizeSubject).includes(grant.subject);
+}
+
+/**
+ * Format a grant row for API responses and audit snapshots
+ * @param {Object} row - Database row
+ * @returns {Object} Grant
+ * @private
+ */
+function formatGrant(row) {
+  return {
+    type: row.subject_type,
+    subject: row.subject,
+    role: row.role,
+    expiresAt: row.expires_at,
+    note: row.note,
+    grantedBy: row.granted_by,
+    grantedAt: row.granted_at
+  };
+}
+
+export class RoleService {
+  /**
+   * @param {string} [dbPath] - SQLite file to use (defaults to data/roles.db)
+   * @param {Object} [defaults] - Env role mappings (adminGroups, editorGroups, adminEmails, editorEmails)
+   */
+  constructor(dbPath = DB_PATH, defaults = ENV_DEFAULTS) {
+    this.dbPath = dbPath;
+    this.defaults = defaults;
+    this.db = null;
+    this.isInitialized = false;
+    // All grants, kept in memory since roles are resolved on every request
+    this.grants = [];
+    this.calendarGrants = [];
+  }
+
+  /**
+   * Initialize the roles database
+   *
+   * Creates the grants table if it doesn't exist and loads the grants.
+   * Safe to call multiple times (idempotent).
+   *
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      this.db = await open({
+        filename: this.dbPath,
+        driver: sqlite3.Database
+      });
+
+      await this.db.exec(`
+        CREATE TABLE IF NOT EXISTS role_grants (
+          subject_type TEXT NOT NULL,
+          subject TEXT NOT NULL,
+          role TEXT NOT NULL,
+          expires_at TEXT,
+          note TEXT,
+          granted_by TEXT,
+          granted_at TEXT NOT NULL,
+          PRIMARY KEY (subject_type, subject)
+        )
+      `);
+
+      // Calendars an email or group may edit in addition to their own
+      await this.db.exec(`
+        CREATE TABLE IF NOT EXISTS calendar_grants (
+          subject_type TEXT NOT NULL,
+          subject TEXT NOT NULL,
+          calendar_url TEXT NOT NULL,
+          granted_by TEXT,
+          granted_at TEXT NOT NULL,
+          PRIMARY KEY (subject_type, subject, calendar_url)
+        )
+      `);
+
+      await this.loadGrants();
+
+      this.isInitialized = true;
+      logger.info('Database initialized', { path: this.dbPath, grants: this.grants.length });
+    } catch (error) {
+      logger.error('Failed to initialize database', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reload the in-memory grants from the database
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadGrants() {
+    const rows = await this.db.all('SELECT * FROM role_grants ORDER BY subject_type, subject');
+    this.grants = rows.map(formatGrant);
+
+    const calendarRows = await this.db.all('SELECT * FROM calendar_grants ORDER BY subject_type, subject, calendar_url');
+    const bySubject = new Map();
+    for (const row of calendarRows) {
+      const key = `${row.subject_type}:${row.subject}`;
+      if (!bySubject.has(key)) {
+        bySubject.set(key, { type: row.subject_type, subject: row.subject, calendarUrls: [], grantedBy: row.granted_by, grantedAt: row.granted_at });
+      }
+      bySubject.get(key).calendarUrls.push(row.calendar_url);
+    }
+    this.calendarGrants = [...bySubject.values()];
+  }
+
+  /**
+   * List all grants
+   *
+   * @param {Date} [now] - Reference time for expiry
+   * @returns {Promise<Array<Object>>} Grants with an `expired` flag
+   */
+  async listGrants(now = new Date()) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    return this.grants.map(grant => ({ ...grant, expired: !isActive(grant, now) }));
+  }
+
+  /**
+   * Get the grant of an email or group
+   *
+   * @param {string} type - Subject type (email/group)
+   * @param {string} subject - Email or group
+   * @returns {Promise<Object|null>} Grant or null
+   */
+  async getGrant(type, subject) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const normalized = normalizeSubject(subject);
+    return this.grants.find(grant => grant.type === type && grant.subject === normalized) || null;
+  }
+
+  /**
+   * Resolve the role of a signed-in user
+   *
+   * Falls back to the env defaults alone when the database is unavailable,
+   * so a broken roles store never locks everyone out.
+   *
+   * @param {Object} user - User with email and groups (from the IdP claims)
+   * @param {Date} [now] - Reference time for expiry
+   * @returns {Promise<{role: string, source: string}>} Role and where it came from
+   */
+  async resolveRole(user, now = new Date()) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+      return resolveFrom(this.grants, this.defaults, user, now);
+    } catch (error) {
+      logger.error('Failed to resolve role from grants', error);
+      return resolveFrom([], this.defaults, user, now);
+    }
+  }
+
+  /**
+   * Resolve a user's role as if a grant were changed
+   *
+   * Lets callers check a change before making it, e.g. that admins do not
+   * revoke their own admin rights.
+   *
+   * @param {Object} user - User with email and groups
+   * @param {Object} change - Grant change
+   * @param {string} change.type - Subject type (email/group)
+   * @param {string} change.subject - Email or group
+   * @param {string|null} change.role - New role, or null for a revocation
+   * @param {string} [change.expiresAt] - Expiry of the new grant
+   * @param {Date} [now] - Reference time for expiry
+   * @returns {Promise<{role: string, source: string}>} Resulting role
+   */
+  async previewRole(user, { type, subject, role, expiresAt }, now = new Date()) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const normalized = normalizeSubject(subject);
+    const grants = this.grants.filter(grant => !(grant.type === type && grant.subject === normalized));
+    if (role) {
+      grants.push({ type, subject: normalized, role, expiresAt: expiresAt || null });
+    }
+    return resolveFrom(grants, this.defaults, user, now);
+  }
+
+  /**
+   * Grant a role to an email or group
+   *
+   * Replaces an existing grant of the same subject. Logged to the audit
+   * history as ROLE_GRANT with the previous and new grant.
+   *
+   * @param {Object} params - Grant parameters
+   * @param {string} params.type - Subject type (email/group)
+   * @param {string} params.subject - Email or group
+   * @param {string} params.role - Role (reader/editor/admin)
+   * @param {string} [params.expiresAt] - ISO 8601 expiry; the grant is permanent without it
+   * @param {string} [params.note] - Free text, e.g. why the role was granted
+   * @param {Object} [actor] - Session user making the change
+   * @returns {Promise<Object>} Stored grant
+   */
+  async grantRole({ type, subject, role, expiresAt, note }, actor) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const normalized = normalizeSubject(subject);
+    const previous = await this.getGrant(type, normalized);
+    const grant = {
+      type,
+      subject: normalized,
+      role,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      note: note || null,
+      grantedBy: actor?.email || actor?.name || null,
+      grantedAt: new Date().toISOString()
+    };
+
+    await this.db.run(
+      `INSERT INTO role_grants (subject_type, subject, role, expires_at, note, granted_by, granted_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(subject_type, subject) DO UPDATE SET
+        role = excluded.role,
+        expires_at = excluded.expires_at,
+        note = excluded.note,
+        granted_by = excluded.granted_by,
+        granted_at = excluded.granted_at`,
+      [grant.type, grant.subject, grant.role, grant.expiresAt, grant.note, grant.grantedBy, grant.grantedAt]
+    );
+    await this.loadGrants();
+
+    await auditHistory.logOperation({
+      eventUid: `role:${type}:${normalized}`,
+      operation: 'ROLE_GRANT',
+      userEmail: actor?.email,
+      userName: actor?.name,
+      calendarUrl: '',
+      beforeState: previous,
+      afterState: grant
+    });
+
+    logger.info('Role granted', { type, subject: normalized, role, expiresAt: grant.expiresAt, by: grant.grantedBy });
+    return grant;
+  }
+
+  /**
+   * Revoke the grant of an email or group
+   *
+   * The env mapping of the subject applies again. Logged to the audit
+   * history as ROLE_REVOKE with the revoked grant.
+   *
+   * @param {Object} params - Revoke parameters
+   * @param {string} params.type - Subject type (email/group)
+   * @param {string} params.subject - Email or group
+   * @param {Object} [actor] - Session user making the change
+   * @returns {Promise<Object|null>} Revoked grant, or null if there was none
+   */
+  async revokeRole({ type, subject }, actor) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const normalized = normalizeSubject(subject);
+    const previous = await this.getGrant(type, normalized);
+    if (!previous) {
+      return null;
+    }
+
+    await this.db.run('DELETE FROM role_grants WHERE subject_type = ? AND subject = ?', [type, normalized]);
+    await this.loadGrants();
+
+    await auditHistory.logOperation({
+      eventUid: `role:${type}:${normalized}`,
+      operation: 'ROLE_REVOKE',
+      userEmail: actor?.email,
+      userName: actor?.name,
+      calendarUrl: '',
+      beforeState: previous,
+      afterState: null
+    });
+
+    logger.info('Role revoked', { type, subject: normalized, role: previous.role, by: actor?.email || actor?.name || null });
+    return previous;
+  }
+
+  /**
+   * List all calendar grants
+   *
+   * @returns {Promise<Array<Object>>} Grants ({ type, subject, calendarUrls, grantedBy, grantedAt })
+   */
+  async listCalendarGrants() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    return this.calendarGrants;
+  }
+
+  /**
+   * Calendars a user may edit through calendar grants of their email or groups
+   *
+   * Returns no calendars when the database is unavailable.
+   *
+   * @param {Object} user - User with email and groups
+   * @returns {Promise<string[]>} Calendar URLs
+   */
+  async getGrantedCalendars(user) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+      const urls = this.calendarGrants.filter(grant => appliesTo(grant, user)).flatMap(grant => grant.calendarUrls);
+      return [...new Set(urls)];
+    } catch (error) {
+      logger.error('Failed to read calendar grants', error);
+      return [];
+    }
+  }
+
+  /**
+   * Set the calendars an email or group may edit
+   *
+   * Replaces the previous set; an empty list revokes the grant. Logged to
+   * the audit history as ROLE_GRANT (or ROLE_REVOKE when emptied) with the
+   * previous and new grant.
+   *
+   * @param {Object} params - Grant parameters
+   * @param {string} params.type - Subject type (email/group)
+   * @param {string} params.subject - Email or group
+   * @param {string[]} params.calendarUrls - Calendar URLs
+   * @param {Object} [actor] - Session user making the change
+   * @returns {Promise<Object|null>} Stored grant, or null once revoked
+   */
+  async setCalendarGrants({ type, subject, calendarUrls }, actor) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const normalized = normalizeSubject(subject);
+    const previous = this.calendarGrants.find(grant => grant.type === type && grant.subject === normalized) || null;
+    const urls = [...new Set(calendarUrls)];
+    const grant = urls.length > 0 ? {
+      type,
+      subject: normalized,
+      calendarUrls: urls,
+      grantedBy: actor?.email || actor?.name || null,
+      grantedAt: new Date().toISOString()
+    } : null;
+
+    if (!previous && !grant) {
+      return null;
+    }
+
+    await this.db.exec('BEGIN');
+    try {
+      await this.db.run('DELETE FROM calendar_grants WHERE subject_type = ? AND subject = ?', [type, normalized]);
+      for (const url of urls) {
+        await this.db.run(
+          'INSERT INTO calendar_grants (subject_type, subject, calendar_url, granted_by, granted_at) VALUES (?, ?, ?, ?, ?)',
+          [type, normalized, url, grant.grantedBy, grant.grantedAt]
+        );
+      }
+      await this.db.exec('COMMIT');
+    } catch (error) {
+      await this.db.exec('ROLLBACK');
+      throw error;
+    }
+    await this.loadGrants();
+
+    await auditHistory.logOperation({
+      eventUid: `calendars:${type}:${normalized}`,
+      operation: grant ? 'ROLE_GRANT' : 'ROLE_REVOKE',
+      userEmail: actor?.email,
+      userName: actor?.name,
+      calendarUrl: '',
+      beforeState: previous,
+      afterState: grant
+    });
+
+    logger.info('Calendar grants set', { type, subject: normalized, calendars: urls.length, by: actor?.email || actor?.name || null });
+    return grant;
+  }
+
+  /**
+   * Close database connection
+   *
+   * Call during graceful shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      this.isInitialized = false;
+      logger.info('Database connection closed');
+    }
+  }
+}
+
+// Export singleton instance
+export const roleService = new RoleService();
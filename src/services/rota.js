@@ -0,0 +1,308 @@
+/**
+ * Support rota service
+ *
+ * Proposes daily assignments for the support slots (Support 1 / Support 2,
+ * see config/support-slots) for a date range from the engineers' calendars,
+ * and creates them as "Support 1 <name>" all-day events in one audited batch.
+ *
+ * Rules:
+ * - Engineers are taken in rotation order (the order of their calendars)
+ * - A slot stays with its engineer until they reach `maxConsecutiveDays`
+ *   support days in a row (either slot) or become unavailable
+ * - Engineers are unavailable on days with an event whose type (see
+ *   getEventType) is in `unavailableTypes`, e.g. vacation, sick leave or trips
+ * - A new engineer is picked by fewest support days so far, weekend days by
+ *   fewest weekend days first; ties go by rotation order
+ * - Existing support events are kept and count towards the distribution
+ *
+ * @module services/rota
+ */
+
+import { randomUUID } from 'crypto';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { calendarCache } from './calendar.js';
+import { auditHistory } from './audit-history.js';
+import { getEventType } from './event-type.js';
+import { parseSupportAssignment, eventDays, dateRange, isWeekend, cachedCalendarUrls } from './support.js';
+import { supportSlots } from '../config/support-slots.js';
+import { createLogger, badRequest } from '../utils/index.js';
+
+dayjs.extend(utc);
+
+const logger = createLogger('Rota');
+
+/**
+ * Support slots, in the order they are filled each day (see config/support-slots)
+ * @type {string[]}
+ */
+export const SUPPORT_SLOTS = supportSlots.map(slot => slot.name);
+
+/**
+ * Longest date range a rota can be planned for, in days
+ * @type {number}
+ */
+export const MAX_ROTA_DAYS = 92;
+
+/**
+ * Default planning rules
+ *
+ * `unavailableTypes` lists event type keys (case-insensitive) that make an
+ * engineer unavailable; it covers the built-in types and the ones in the
+ * shipped event-types.json.
+ *
+ * @type {{maxConsecutiveDays: number, includeWeekends: boolean, unavailableTypes: string[]}}
+ */
+export const DEFAULT_ROTA_RULES = {
+  maxConsecutiveDays: 5,
+  includeWeekends: true,
+  unavailableTypes: ['vacation', 'sick', 'business', 'install', 'service/training', 'demo', 'final check']
+};
+
+/**
+ * Plan a support rota
+ *
+ * Pure planning step: works on already loaded events and creates nothing.
+ *
+ * @param {Object} params - Planning input
+ * @param {Array<{calendarUrl: string, name: string}>} params.engineers - Engineers in rotation order
+ * @param {Array<Object>} params.events - Events of the engineers' calendars in the range
+ * @param {string} params.from - First day (YYYY-MM-DD)
+ * @param {string} params.to - Last day (YYYY-MM-DD, inclusive)
+ * @param {Object} [params.rules] - Overrides of DEFAULT_ROTA_RULES
+ * @returns {Object} Plan ({ from, to, rules, days, events, gaps, engineers }); `events` are
+ *   the events to create, one per run of consecutive days of an engineer in a slot
+ */
+export function planRota({ engineers, events, from, to, rules = {} }) {
+  const effectiveRules = { ...DEFAULT_ROTA_RULES, ...rules };
+  const unavailableTypes = new Set(effectiveRules.unavailableTypes.map(type => String(type).toLowerCase()));
+  const byUrl = new Map(engineers.map(engineer => [engineer.calendarUrl, engineer]));
+  const byName = new Map(engineers.map(engineer => [String(engineer.name).toLowerCase(), engineer]));
+
+  // Existing assignments and absences per day
+  const existing = new Map();
+  const absences = new Map();
+  for (const event of events || []) {
+    const { first, last } = eventDays(event);
+    const support = parseSupportAssignment(event.summary);
+    const type = support ? null : getEventType(event.summary);
+    const owner = byUrl.get(event.calendar || event.calendarUrl);
+
+    for (const date of dateRange(first < from ? from : first, last > to ? to : last)) {
+      if (support) {
+        const engineer = (support.name && byName.get(support.name.toLowerCase())) || owner;
+        if (!existing.has(date)) existing.set(date, {});
+        existing.get(date)[support.slot] = { calendarUrl: engineer?.calendarUrl || null, name: support.name || engineer?.name || event.calendarName || null };
+      } else if (owner && unavailableTypes.has(String(type).toLowerCase())) {
+        if (!absences.has(date)) absences.set(date, new Map());
+        absences.get(date).set(owner.calendarUrl, type);
+      }
+    }
+  }
+
+  const stats = new Map(engineers.map(engineer => [engineer.calendarUrl, { days: 0, weekendDays: 0, streak: 0, lastDate: null }]));
+  const holders = {};
+  const days = [];
+  const gaps = [];
+  let previousDate = null;
+
+  const countDay = (calendarUrl, date) => {
+    const stat = stats.get(calendarUrl);
+    if (!stat || stat.lastDate === date) return;
+    stat.streak = stat.lastDate && dayjs.utc(stat.lastDate).add(1, 'day').format('YYYY-MM-DD') === date ? stat.streak + 1 : 1;
+    stat.lastDate = date;
+    stat.days += 1;
+    if (isWeekend(date)) stat.weekendDays += 1;
+  };
+
+  // Support days in a row up to the day before `date`
+  const streakBefore = (calendarUrl, date) => {
+    const stat = stats.get(calendarUrl);
+    return stat.lastDate === dayjs.utc(date).subtract(1, 'day').format('YYYY-MM-DD') ? stat.streak : 0;
+  };
+
+  for (const date of dateRange(from, to)) {
+    const weekend = isWeekend(date);
+    if (weekend && !effectiveRules.includeWeekends) continue;
+
+    const absent = absences.get(date) || new Map();
+    const taken = existing.get(date) || {};
+    const assigned = new Set(Object.values(taken).map(assignment => assignment.calendarUrl).filter(Boolean));
+    const day = { date, weekend, assignments: {}, unavailable: Object.fromEntries(absent) };
+
+    // Existing events count first, so the streaks below see them
+    for (const assignment of Object.values(taken)) {
+      if (assignment.calendarUrl) countDay(assignment.calendarUrl, date);
+    }
+
+    for (const slot of SUPPORT_SLOTS) {
+      if (taken[slot]) {
+        day.assignments[slot] = { ...taken[slot], existing: true };
+        holders[slot] = taken[slot].calendarUrl;
+        continue;
+      }
+
+      const canTake = engineer => !absent.has(engineer.calendarUrl)
+        && !assigned.has(engineer.calendarUrl)
+        && streakBefore(engineer.calendarUrl, date) < effectiveRules.maxConsecutiveDays;
+      const holder = byUrl.get(holders[slot]);
+      const holdsOn = holder && stats.get(holder.calendarUrl).lastDate === previousDate;
+      // A new weekend is shared out by weekend days, so it is not simply kept by the weekday holder
+      const weekendStarts = weekend && !(previousDate && isWeekend(previousDate));
+
+      let chosen = holdsOn && !weekendStarts && canTake(holder) ? holder : null;
+      if (!chosen) {
+        const start = holder ? engineers.indexOf(holder) + 1 : 0;
+        const rotation = engineers.map((_, i) => engineers[(start + i) % engineers.length]);
+        chosen = rotation
+          .filter(canTake)
+          .map((engineer, order) => ({ engineer, order, stat: stats.get(engineer.calendarUrl) }))
+          .sort((a, b) => (weekend ? a.stat.weekendDays - b.stat.weekendDays : 0)
+            || a.stat.days - b.stat.days
+            || a.order - b.order)[0]?.engineer || null;
+      }
+
+      if (!chosen) {
+        day.assignments[slot] = null;
+        gaps.push({ date, slot });
+        holders[slot] = null;
+        continue;
+      }
+
+      day.assignments[slot] = { calendarUrl: chosen.calendarUrl, name: chosen.name, existing: false };
+      holders[slot] = chosen.calendarUrl;
+      assigned.add(chosen.calendarUrl);
+      countDay(chosen.calendarUrl, date);
+    }
+
+    days.push(day);
+    previousDate = date;
+  }
+
+  // One event per run of consecutive days of the same engineer in a slot
+  const newEvents = [];
+  for (const slot of SUPPORT_SLOTS) {
+    let run = null;
+    for (const day of days) {
+      const assignment = day.assignments[slot];
+      const continues = run && assignment && !assignment.existing
+        && assignment.calendarUrl === run.calendarUrl
+        && dayjs.utc(run.end).add(1, 'day').format('YYYY-MM-DD') === day.date;
+      if (continues) {
+        run.end = day.date;
+        continue;
+      }
+      if (run) newEvents.push(run);
+      run = assignment && !assignment.existing ? {
+        calendarUrl: assignment.calendarUrl,
+        summary: `${slot} ${assignment.name}`,
+        start: day.date,
+        end: day.date
+      } : null;
+    }
+    if (run) newEvents.push(run);
+  }
+  newEvents.sort((a, b) => a.start.localeCompare(b.start) || a.summary.localeCompare(b.summary));
+
+  return {
+    from,
+    to,
+    rules: effectiveRules,
+    days,
+    events: newEvents,
+    gaps,
+    engineers: engineers.map(engineer => ({
+      calendarUrl: engineer.calendarUrl,
+      name: engineer.name,
+      days: stats.get(engineer.calendarUrl).days,
+      weekendDays: stats.get(engineer.calendarUrl).weekendDays
+    }))
+  };
+}
+
+/**
+ * Plan a support rota from the cached calendars
+ *
+ * @param {Object} params - Planning input
+ * @param {string[]} params.calendarUrls - Engineer calendars, in rotation order
+ * @param {string} params.from - First day (YYYY-MM-DD)
+ * @param {string} params.to - Last day (YYYY-MM-DD, inclusive)
+ * @param {Object} [params.rules] - Overrides of DEFAULT_ROTA_RULES
+ * @returns {Promise<Object>} Plan, see planRota
+ * @throws {Error} With statusCode 400 for an invalid range or unknown calendars
+ */
+export async function previewRota({ calendarUrls, from, to, rules }) {
+  if (to < from) {
+    throw badRequest('to must not be before from');
+  }
+  if (dayjs.utc(to).diff(dayjs.utc(from), 'day') >= MAX_ROTA_DAYS) {
+    throw badRequest(`A rota can cover at most ${MAX_ROTA_DAYS} days`);
+  }
+
+  const engineers = calendarUrls.map(calendarUrl => ({ calendarUrl, name: calendarCache.getCalendarName(calendarUrl) }));
+  const unknown = engineers.filter(engineer => !engineer.name);
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown calendars: ${unknown.map(engineer => engineer.calendarUrl).join(', ')}`);
+  }
+
+  // Support events on any calendar fill a slot; absences only count on engineer calendars
+  const { events } = await calendarCache.getEvents([...new Set([...cachedCalendarUrls(), ...calendarUrls])], from, to);
+
+  return planRota({ engineers, events, from, to, rules });
+}
+
+/**
+ * Plan a support rota and create its events
+ *
+ * All events are created in one audit batch, so the rota can be undone as a
+ * whole. Failed creates are reported per event and do not stop the rest.
+ *
+ * @param {Object} params - See previewRota
+ * @param {Object} [user] - User info from session (email, name)
+ * @returns {Promise<{batchId: string, plan: Object, results: Array<Object>}>}
+ * @throws {Error} With statusCode 400 for an invalid range or unknown calendars
+ */
+export async function createRota(params, user) {
+  const plan = await previewRota(params);
+  const batchId = randomUUID();
+  const results = [];
+
+  await auditHistory.withBatch(batchId, async () => {
+    for (const [index, planned] of plan.events.entries()) {
+      const tracker = { logged: false };
+      try {
+        const event = await auditHistory.trackFailures(tracker, () => calendarCache.createAllDayEvent({ ...planned, user }));
+        results.push({ index, success: true, event });
+      } catch (error) {
+        logger.warn(`[rota] Creating "${planned.summary}" on ${planned.start} failed: ${error.message}`);
+        const status = error.statusCode || 500;
+        results.push({ index, success: false, status, error: error.message });
+
+        // Record the failed attempt unless the create already did
+        if (!tracker.logged) {
+          await auditHistory.logOperation({
+            eventUid: '',
+            operation: 'CREATE',
+            userEmail: user?.email,
+            userName: user?.name,
+            calendarUrl: planned.calendarUrl,
+            beforeState: null,
+            afterState: planned,
+            status: status >= 500 ? 'FAILED' : 'REJECTED',
+            errorMessage: error.message
+          });
+        }
+      }
+    }
+  });
+
+  logger.info('Rota created', {
+    batchId,
+    from: plan.from,
+    to: plan.to,
+    events: results.length,
+    failed: results.filter(result => !result.success).length,
+    gaps: plan.gaps.length
+  });
+  return { batchId, plan, results };
+}
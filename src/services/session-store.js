@@ -0,0 +1,380 @@
+/**
+ * Session Store
+ *
+ * SQLite-backed store for express-session, so sign-ins and pending OIDC
+ * callbacks survive restarts and redeploys. Sessions end after an idle
+ * timeout (no request for a while) and an absolute timeout (a while after
+ * they started, active or not); expired sessions are deleted on access and
+ * by a periodic cleanup.
+ *
+ * The signed-in user and the IdP session id are kept in separate columns,
+ * so admins can list active sessions and revoke all sessions of a user,
+ * and IdP back-channel logouts can end the matching sessions.
+ *
+ * @module services/session-store
+ */
+
+import session from 'express-session';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { SESSION_IDLE_TIMEOUT_MINUTES, SESSION_ABSOLUTE_TIMEOUT_HOURS } from '../config/env.js';
+import { createLogger } from '../utils/index.js';
+
+const logger = createLogger('SessionStore');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Database file path - store in data directory next to the audit history
+const DB_PATH = join(__dirname, '../../data/sessions.db');
+
+/**
+ * Public id of a session; the session id itself is a credential
+ * @param {string} sid - Session id
+ * @returns {string}
+ * @private
+ */
+function publicId(sid) {
+  return createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
+/**
+ * Hand the outcome of a promise to an express-session callback
+ * @param {Promise<*>} promise - Store operation
+ * @param {Function} [callback] - Node-style callback
+ * @private
+ */
+function callbackify(promise, callback) {
+  promise.then(result => callback?.(null, result), error => callback?.(error));
+}
+
+export class SqliteSessionStore extends session.Store {
+  /**
+   * @param {string} [dbPath] - SQLite file to use (defaults to data/sessions.db)
+   * @param {Object} [options] - Timeouts
+   * @param {number} [options.idleTimeoutMs] - Session ends after this long without a request
+   * @param {number} [options.absoluteTimeoutMs] - Session ends this long after it started (0 disables)
+   */
+  constructor(dbPath = DB_PATH, {
+    idleTimeoutMs = SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000,
+    absoluteTimeoutMs = SESSION_ABSOLUTE_TIMEOUT_HOURS * 60 * 60 * 1000
+  } = {}) {
+    super();
+    this.dbPath = dbPath;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.absoluteTimeoutMs = absoluteTimeoutMs;
+    this.db = null;
+    this.initPromise = null;
+  }
+
+  /**
+   * Initialize the sessions database
+   *
+   * Creates the sessions table if it doesn't exist.
+   * Safe to call multiple times (idempotent), also concurrently from
+   * parallel requests.
+   *
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        try {
+          this.db = await open({
+            filename: this.dbPath,
+            driver: sqlite3.Database
+          });
+
+          await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+              sid TEXT PRIMARY KEY,
+              data TEXT NOT NULL,
+              user_sub TEXT,
+              user_email TEXT,
+              user_name TEXT,
+              oidc_sid TEXT,
+              created_at TEXT NOT NULL,
+              updated_at TEXT NOT NULL,
+              expires_at TEXT NOT NULL
+            )
+          `);
+          await this.db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)');
+          await this.db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_user_email ON sessions(user_email)');
+
+          logger.info('Database initialized', { path: this.dbPath });
+        } catch (error) {
+          this.initPromise = null;
+          logger.error('Failed to initialize database', error);
+          throw error;
+        }
+      })();
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Expiry of a session touched now
+   * @param {Object} sess - Session data
+   * @param {Date} now - Reference time
+   * @returns {string} ISO timestamp
+   * @private
+   */
+  expiryOf(sess, now) {
+    const cookieExpiry = sess?.cookie?.expires ? new Date(sess.cookie.expires) : null;
+    return (cookieExpiry && !isNaN(cookieExpiry) ? cookieExpiry : new Date(now.getTime() + this.idleTimeoutMs)).toISOString();
+  }
+
+  /**
+   * Whether a stored session has passed its idle or absolute timeout
+   * @param {Object} row - Database row
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   * @private
+   */
+  isExpired(row, now) {
+    if (new Date(row.expires_at) <= now) return true;
+    return this.absoluteTimeoutMs > 0 && new Date(row.created_at).getTime() + this.absoluteTimeoutMs <= now.getTime();
+  }
+
+  /**
+   * Load a session, deleting it if it expired
+   *
+   * @param {string} sid - Session id
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object|null>} Session data or null
+   */
+  async getSession(sid, now = new Date()) {
+    await this.initialize();
+
+    const row = await this.db.get('SELECT * FROM sessions WHERE sid = ?', [sid]);
+    if (!row) return null;
+    if (this.isExpired(row, now)) {
+      await this.destroySession(sid);
+      return null;
+    }
+    return JSON.parse(row.data);
+  }
+
+  /**
+   * Store a session
+   *
+   * Keeps the start time of existing sessions, so the absolute timeout
+   * counts from the first save.
+   *
+   * @param {string} sid - Session id
+   * @param {Object} sess - Session data
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<void>}
+   */
+  async setSession(sid, sess, now = new Date()) {
+    await this.initialize();
+
+    const user = sess?.user;
+    await this.db.run(
+      `INSERT INTO sessions (sid, data, user_sub, user_email, user_name, oidc_sid, created_at, updated_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(sid) DO UPDATE SET
+        data = excluded.data,
+        user_sub = excluded.user_sub,
+        user_email = excluded.user_email,
+        user_name = excluded.user_name,
+        oidc_sid = excluded.oidc_sid,
+        updated_at = excluded.updated_at,
+        expires_at = excluded.expires_at`,
+      [
+        sid,
+        JSON.stringify(sess),
+        user?.sub || null,
+        user?.email ? String(user.email).toLowerCase() : null,
+        user?.name || null,
+        sess?.oidc_sid || null,
+        now.toISOString(),
+        now.toISOString(),
+        this.expiryOf(sess, now)
+      ]
+    );
+  }
+
+  /**
+   * Extend the idle timeout of a session without rewriting it
+   *
+   * @param {string} sid - Session id
+   * @param {Object} sess - Session data
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<void>}
+   */
+  async touchSession(sid, sess, now = new Date()) {
+    await this.initialize();
+
+    await this.db.run(
+      'UPDATE sessions SET updated_at = ?, expires_at = ? WHERE sid = ?',
+      [now.toISOString(), this.expiryOf(sess, now), sid]
+    );
+  }
+
+  /**
+   * Delete a session
+   *
+   * @param {string} sid - Session id
+   * @returns {Promise<void>}
+   */
+  async destroySession(sid) {
+    await this.initialize();
+
+    await this.db.run('DELETE FROM sessions WHERE sid = ?', [sid]);
+  }
+
+  // express-session store interface
+
+  get(sid, callback) {
+    callbackify(this.getSession(sid), callback);
+  }
+
+  set(sid, sess, callback) {
+    callbackify(this.setSession(sid, sess), callback);
+  }
+
+  touch(sid, sess, callback) {
+    callbackify(this.touchSession(sid, sess), callback);
+  }
+
+  destroy(sid, callback) {
+    callbackify(this.destroySession(sid), callback);
+  }
+
+  length(callback) {
+    callbackify(this.initialize().then(() => this.db.get('SELECT COUNT(*) AS count FROM sessions')).then(row => row.count), callback);
+  }
+
+  clear(callback) {
+    callbackify(this.initialize().then(() => this.db.run('DELETE FROM sessions')).then(() => undefined), callback);
+  }
+
+  /**
+   * List the active sessions of signed-in users, most recently used first
+   *
+   * @param {Object} [options] - List options
+   * @param {string} [options.currentSid] - Session id of the caller, flagged as `current`
+   * @param {Date} [options.now] - Reference time
+   * @returns {Promise<Array<Object>>} Sessions ({ id, user, createdAt, lastSeenAt, expiresAt, current })
+   */
+  async listSessions({ currentSid, now = new Date() } = {}) {
+    await this.initialize();
+
+    const rows = await this.db.all(
+      `SELECT * FROM sessions
+      WHERE (user_sub IS NOT NULL OR user_email IS NOT NULL) AND expires_at > ?
+      ORDER BY updated_at DESC`,
+      [now.toISOString()]
+    );
+
+    return rows
+      .filter(row => !this.isExpired(row, now))
+      .map(row => {
+        const absoluteExpiry = this.absoluteTimeoutMs > 0
+          ? new Date(new Date(row.created_at).getTime() + this.absoluteTimeoutMs).toISOString()
+          : null;
+        return {
+          id: publicId(row.sid),
+          user: {
+            sub: row.user_sub,
+            email: row.user_email,
+            name: row.user_name,
+            role: JSON.parse(row.data).user?.role || null
+          },
+          createdAt: row.created_at,
+          lastSeenAt: row.updated_at,
+          expiresAt: absoluteExpiry && absoluteExpiry < row.expires_at ? absoluteExpiry : row.expires_at,
+          current: row.sid === currentSid
+        };
+      });
+  }
+
+  /**
+   * Delete all sessions of a user, signing them out everywhere
+   *
+   * @param {string} email - User email (case-insensitive)
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  async destroyUserSessions(email) {
+    await this.initialize();
+
+    const result = await this.db.run('DELETE FROM sessions WHERE user_email = ?', [String(email).trim().toLowerCase()]);
+    logger.info('User sessions revoked', { email, sessions: result.changes });
+    return result.changes;
+  }
+
+  /**
+   * Delete the sessions an IdP logout applies to
+   *
+   * With an IdP session id only the sessions created by that IdP session
+   * end; otherwise all sessions of the subject.
+   *
+   * @param {Object} params - Logout token claims
+   * @param {string} [params.sub] - IdP subject
+   * @param {string} [params.sid] - IdP session id
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  async destroyOidcSessions({ sub, sid }) {
+    await this.initialize();
+
+    let result;
+    if (sid) {
+      result = sub
+        ? await this.db.run('DELETE FROM sessions WHERE oidc_sid = ? AND user_sub = ?', [sid, sub])
+        : await this.db.run('DELETE FROM sessions WHERE oidc_sid = ?', [sid]);
+    } else if (sub) {
+      result = await this.db.run('DELETE FROM sessions WHERE user_sub = ?', [sub]);
+    } else {
+      return 0;
+    }
+    return result.changes;
+  }
+
+  /**
+   * Delete sessions past their idle or absolute timeout
+   *
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  async prune(now = new Date()) {
+    await this.initialize();
+
+    const params = [now.toISOString()];
+    let sql = 'DELETE FROM sessions WHERE expires_at <= ?';
+    if (this.absoluteTimeoutMs > 0) {
+      sql += ' OR created_at <= ?';
+      params.push(new Date(now.getTime() - this.absoluteTimeoutMs).toISOString());
+    }
+    const result = await this.db.run(sql, params);
+    if (result.changes > 0) {
+      logger.info('Expired sessions deleted', { sessions: result.changes });
+    }
+    return result.changes;
+  }
+
+  /**
+   * Close database connection
+   *
+   * Call during graceful shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.initPromise) {
+      await this.initPromise.catch(() => {});
+    }
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      this.initPromise = null;
+      logger.info('Database connection closed');
+    }
+  }
+}
+
+// Export singleton instance
+export const sessionStore = new SqliteSessionStore();
@@ -0,0 +1,412 @@
+/**
+ * System skills service
+ *
+ * Loads which engineers are experts on which systems from
+ * mobile/public/data/system-skills.yaml (the data behind the help overlay)
+ * and suggests qualified engineers for an event or a planned job.
+ *
+ * Features:
+ * - Validation: an invalid file is rejected with the reasons and the last
+ *   valid version stays in use
+ * - Hot reload: the file is read again when it changes, no restart needed
+ *   (another file can be configured with SYSTEM_SKILLS_FILE)
+ * - Experts are mapped to calendars by the calendar's (first) name
+ * - System types such as "FT300" or "Luminosa" match the systems by name,
+ *   by each part of "FT250/FT300" style names, or by subsystem name
+ *
+ * Suggestions rank the experts by availability in the requested dates
+ * (see services/availability for workdays and blocking events), then by
+ * recent experience: past events with the same `meta.systemType` in the
+ * cached history.
+ *
+ * @module services/skills
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import YAML from 'yaml';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { calendarCache } from './calendar.js';
+import { eventDays } from './support.js';
+import { DEFAULT_BLOCKING_TYPES, MAX_AVAILABILITY_DAYS, loadWorkdays, loadBlockedDays } from './availability.js';
+import { SYSTEM_SKILLS_FILE } from '../config/env.js';
+import { createLogger, badRequest, httpError } from '../utils/index.js';
+
+dayjs.extend(utc);
+
+const logger = createLogger('Skills');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Skills file: SYSTEM_SKILLS_FILE, or the one shared with the mobile help overlay
+ * @type {string}
+ */
+export const SKILLS_FILE = SYSTEM_SKILLS_FILE
+  ? resolve(SYSTEM_SKILLS_FILE)
+  : join(__dirname, '../../mobile/public/data/system-skills.yaml');
+
+/**
+ * Days before the requested dates searched for experience with a system
+ * (the calendar cache keeps about three months of history)
+ * @type {number}
+ */
+export const EXPERIENCE_DAYS = 90;
+
+/**
+ * Loaded skills per file: modification time, last valid skills and the
+ * error of the last load
+ * @type {Map<string, {mtimeMs: number, skills: Object|null, error: string|null}>}
+ */
+const loaded = new Map();
+
+/**
+ * Check a parsed skills file
+ *
+ * Expects `systems`, a list of systems with a `name` and `experts` (names)
+ * and/or `subsystems` (systems again).
+ *
+ * @param {*} data - Parsed YAML
+ * @returns {string[]} Problems found, empty if the file is valid
+ */
+export function validateSkills(data) {
+  const errors = [];
+
+  const checkSystems = (systems, path) => {
+    if (!Array.isArray(systems)) {
+      errors.push(`${path} must be a list`);
+      return;
+    }
+    const names = new Set();
+    systems.forEach((system, index) => {
+      const at = `${path}[${index}]`;
+      if (!system || typeof system !== 'object' || Array.isArray(system)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      const name = typeof system.name === 'string' ? system.name.trim() : '';
+      if (!name) {
+        errors.push(`${at}.name is required`);
+      } else if (names.has(name.toLowerCase())) {
+        errors.push(`${at}.name "${name}" is used twice`);
+      }
+      names.add(name.toLowerCase());
+
+      if (system.experts !== undefined && system.experts !== null) {
+        if (!Array.isArray(system.experts)) {
+          errors.push(`${at}.experts must be a list`);
+        } else {
+          system.experts.forEach((expert, expertIndex) => {
+            if (typeof expert !== 'string' || !expert.trim()) {
+              errors.push(`${at}.experts[${expertIndex}] must be a name`);
+            }
+          });
+        }
+      }
+      if (system.subsystems !== undefined && system.subsystems !== null) {
+        checkSystems(system.subsystems, `${at}.subsystems`);
+      }
+      if (!system.experts?.length && !system.subsystems?.length) {
+        errors.push(`${at} needs experts or subsystems`);
+      }
+    });
+  };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['The file must contain a "systems" list'];
+  }
+  checkSystems(data.systems, 'systems');
+  return errors;
+}
+
+/**
+ * Parse and validate a skills file
+ *
+ * @param {string} source - YAML source
+ * @returns {{systems: Array<Object>}} Systems with trimmed names and experts
+ * @throws {Error} If the YAML is invalid or fails validation
+ */
+export function parseSkills(source) {
+  const data = YAML.parse(source);
+  const errors = validateSkills(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid skills file: ${errors.join('; ')}`);
+  }
+
+  const normalize = systems => (systems || []).map(system => ({
+    name: system.name.trim(),
+    experts: (system.experts || []).map(expert => expert.trim()),
+    subsystems: normalize(system.subsystems)
+  }));
+  return { systems: normalize(data.systems) };
+}
+
+/**
+ * Get the skills, reading the file again if it changed
+ *
+ * @param {string} [file=SKILLS_FILE] - Skills file
+ * @returns {{systems: Array<Object>, error: string|null}} Last valid systems (empty
+ *   if none could be loaded) and the error of the last load
+ */
+export function getSkills(file = SKILLS_FILE) {
+  const state = loaded.get(file) || { mtimeMs: null, skills: null, error: null };
+
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (mtimeMs !== state.mtimeMs) {
+      state.mtimeMs = mtimeMs;
+      try {
+        state.skills = parseSkills(fs.readFileSync(file, 'utf8'));
+        state.error = null;
+        logger.info(`Loaded ${state.skills.systems.length} systems from ${file}`);
+      } catch (error) {
+        state.error = error.message;
+        logger.error(`Failed to load ${file}, keeping the last valid skills`, error.message);
+      }
+    }
+  } catch (error) {
+    state.mtimeMs = null;
+    state.error = `Skills file not readable: ${error.message}`;
+    logger.warn(state.error);
+  }
+
+  loaded.set(file, state);
+  return { systems: state.skills?.systems || [], error: state.error };
+}
+
+/**
+ * Normalize a name for matching: lowercase letters and digits only
+ * @param {string} value - Name
+ * @returns {string}
+ * @private
+ */
+function matchKey(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Flatten the system tree
+ *
+ * Parent systems carry the experts of all their subsystems.
+ *
+ * @param {Array<Object>} systems - System tree
+ * @param {string[]} [parents] - Names of the parent systems
+ * @returns {Array<{name: string, path: string[], experts: string[]}>} Systems, parents before their subsystems
+ */
+export function flattenSystems(systems, parents = []) {
+  return systems.flatMap(system => {
+    const path = [...parents, system.name];
+    const children = flattenSystems(system.subsystems || [], path);
+    const experts = [...new Set([...system.experts, ...children.flatMap(child => child.experts)])];
+    return [{ name: path.join(' / '), path, experts }, ...children];
+  });
+}
+
+/**
+ * Find the system a system type refers to
+ *
+ * Matches, ignoring case, spaces and punctuation: the full name
+ * ("LSM Upgrade Kits / Nikon"), the system's own name, or a part of a
+ * "FT250/FT300" style name. Failing that, the longest such name contained
+ * in the system type ("Luminosa #2") wins. Subsystems win ties.
+ *
+ * @param {string} systemType - Event system type
+ * @param {Array<Object>} systems - System tree
+ * @returns {{name: string, path: string[], experts: string[]}|null} Matching system or null
+ */
+export function findSystem(systemType, systems) {
+  const wanted = matchKey(systemType);
+  if (!wanted) return null;
+
+  const flat = flattenSystems(systems);
+  const keysOf = system => {
+    const own = system.path[system.path.length - 1];
+    return [system.name, own, ...own.split('/')].map(matchKey).filter(Boolean);
+  };
+  const deepestFirst = [...flat].sort((a, b) => b.path.length - a.path.length);
+
+  const exact = deepestFirst.find(system => keysOf(system).includes(wanted));
+  if (exact) return exact;
+
+  let best = null;
+  let bestLength = 0;
+  for (const system of deepestFirst) {
+    for (const key of keysOf(system)) {
+      if (key.length > bestLength && wanted.includes(key)) {
+        best = system;
+        bestLength = key.length;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Map expert names to calendars
+ *
+ * An expert belongs to the calendar whose name (the first name for personal
+ * calendars) equals the expert's name, ignoring case.
+ *
+ * @param {string[]} experts - Expert names
+ * @returns {{mapped: Array<{name: string, calendarUrl: string}>, unmapped: string[]}}
+ */
+export function mapExpertsToCalendars(experts) {
+  const calendars = new Map();
+  for (const calendar of calendarCache.getAllCalendars()) {
+    const key = String(calendar.displayName || '').trim().toLowerCase();
+    if (key && !calendars.has(key)) calendars.set(key, calendar.url);
+  }
+
+  const mapped = [];
+  const unmapped = [];
+  for (const name of experts) {
+    const calendarUrl = calendars.get(name.toLowerCase());
+    if (calendarUrl) {
+      mapped.push({ name, calendarUrl });
+    } else {
+      unmapped.push(name);
+    }
+  }
+  return { mapped, unmapped };
+}
+
+/**
+ * List the systems with their experts' calendars
+ *
+ * @returns {{systems: Array<Object>, unmappedExperts: string[], error: string|null}} System
+ *   tree with `experts` as `{name, calendarUrl}` (null when no calendar matches)
+ */
+export function listSkills() {
+  const { systems, error } = getSkills();
+  const unmappedExperts = new Set();
+
+  const withCalendars = list => list.map(system => {
+    const { mapped, unmapped } = mapExpertsToCalendars(system.experts);
+    unmapped.forEach(name => unmappedExperts.add(name));
+    const calendarOf = new Map(mapped.map(expert => [expert.name, expert.calendarUrl]));
+    return {
+      name: system.name,
+      experts: system.experts.map(name => ({ name, calendarUrl: calendarOf.get(name) || null })),
+      subsystems: withCalendars(system.subsystems)
+    };
+  });
+
+  return { systems: withCalendars(systems), unmappedExperts: [...unmappedExperts], error };
+}
+
+/**
+ * Suggest qualified engineers for a system and dates
+ *
+ * Give either an event `uid` (its `meta.systemType` and dates are used
+ * unless `systemType`, `from` or `to` are given) or `systemType`, `from`
+ * and `to` for a job being planned.
+ *
+ * Ranking: engineers free on all workdays first, then fewest blocked
+ * workdays, then most recent experience with the system (latest event,
+ * then number of events within EXPERIENCE_DAYS before `from`), then the
+ * order of the skills file. Experience counts events on the system or
+ * one of its subsystems.
+ *
+ * @param {Object} params - Search
+ * @param {string} [params.uid] - Event to staff
+ * @param {string} [params.systemType] - System type
+ * @param {string} [params.from] - First day (YYYY-MM-DD)
+ * @param {string} [params.to] - Last day (YYYY-MM-DD, inclusive)
+ * @param {string[]} [params.blockingTypes] - Event types that block a day (defaults to DEFAULT_BLOCKING_TYPES)
+ * @param {boolean} [params.includeWeekends=false] - Count weekends as workdays
+ * @returns {Promise<Object>} { systemType, system, from, to, workdays, holidays, holidaysComplete,
+ *   candidates, unmappedExperts }; candidates carry `available`, their `blockedDates` and `experience`
+ * @throws {Error} With statusCode 404 for an unknown event or system, 400 for invalid input
+ */
+export async function suggestEngineers({
+  uid,
+  systemType,
+  from,
+  to,
+  blockingTypes = DEFAULT_BLOCKING_TYPES,
+  includeWeekends = false
+}) {
+  if (uid) {
+    const event = await calendarCache.getEvent(uid);
+    if (!event) {
+      throw httpError(404, `Event not found: ${uid}`);
+    }
+    const { first, last } = eventDays(event);
+    systemType = systemType || event.meta?.systemType;
+    from = from || first;
+    to = to || last;
+  }
+
+  if (!systemType) {
+    throw badRequest('systemType is required (the event has no meta.systemType)');
+  }
+  if (!from || !to) {
+    throw badRequest('from and to are required');
+  }
+  if (to < from) {
+    throw badRequest('to must not be before from');
+  }
+  if (dayjs.utc(to).diff(dayjs.utc(from), 'day') >= MAX_AVAILABILITY_DAYS) {
+    throw badRequest(`The dates can cover at most ${MAX_AVAILABILITY_DAYS} days`);
+  }
+
+  const { systems } = getSkills();
+  const system = findSystem(systemType, systems);
+  if (!system) {
+    throw httpError(404, `Unknown system type: ${systemType}`);
+  }
+
+  const { mapped, unmapped } = mapExpertsToCalendars(system.experts);
+  const calendarUrls = mapped.map(expert => expert.calendarUrl);
+  const { workdays, holidays, complete } = await loadWorkdays({ from, to, includeWeekends });
+  const blocked = await loadBlockedDays({ calendarUrls, from, to, blockingTypes, excludeUid: uid });
+
+  // Experience: past events on the system or one of its subsystems
+  const since = dayjs.utc(from).subtract(EXPERIENCE_DAYS, 'day').format('YYYY-MM-DD');
+  const experience = new Map(calendarUrls.map(calendarUrl => [calendarUrl, { events: 0, lastDate: null }]));
+  const { events } = await calendarCache.getEvents(calendarUrls, since, from);
+  for (const event of events || []) {
+    const stats = experience.get(event.calendar);
+    if (!stats || event.uid === uid || !event.meta?.systemType) continue;
+    const { last } = eventDays(event);
+    if (last >= from) continue;
+    const worked = findSystem(event.meta.systemType, systems);
+    if (!worked || !system.path.every((name, index) => worked.path[index] === name)) continue;
+    stats.events += 1;
+    if (!stats.lastDate || last > stats.lastDate) stats.lastDate = last;
+  }
+
+  const candidates = mapped.map((expert, order) => {
+    const blockedDates = workdays.filter(date => blocked.get(expert.calendarUrl).has(date));
+    return {
+      name: expert.name,
+      calendarUrl: expert.calendarUrl,
+      available: blockedDates.length === 0,
+      freeWorkdays: workdays.length - blockedDates.length,
+      blockedDates,
+      experience: experience.get(expert.calendarUrl),
+      order
+    };
+  });
+
+  candidates.sort((a, b) => Number(b.available) - Number(a.available)
+    || b.freeWorkdays - a.freeWorkdays
+    || (b.experience.lastDate || '').localeCompare(a.experience.lastDate || '')
+    || b.experience.events - a.experience.events
+    || a.order - b.order);
+
+  return {
+    systemType,
+    system: { name: system.name, experts: system.experts },
+    from,
+    to,
+    workdays: workdays.length,
+    holidays,
+    holidaysComplete: complete,
+    candidates: candidates.map(({ order, ...candidate }) => candidate),
+    unmappedExperts: unmapped
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * Support assignment service
+ *
+ * Reads who is on support from "Support 1 <name>" style events across all
+ * cached calendars. Slot names and summary patterns are configured in
+ * config/support-slots.
+ *
+ * Features:
+ * - Assignments per day and slot for any date range
+ * - Gaps: days where a required slot is not staffed
+ * - Double-bookings: days where a slot has more than one assignee
+ * - Handovers: the days a slot changes hands, and to whom
+ *
+ * @module services/support
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { calendarCache } from './calendar.js';
+import { supportSlots } from '../config/support-slots.js';
+import { badRequest } from '../utils/index.js';
+
+dayjs.extend(utc);
+
+/**
+ * Longest date range assignments can be looked up for, in days
+ * @type {number}
+ */
+export const MAX_SUPPORT_RANGE_DAYS = 92;
+
+/**
+ * Days of handovers listed when no end date is given
+ * @type {number}
+ */
+export const DEFAULT_HANDOVER_DAYS = 28;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a support assignment from an event summary
+ *
+ * Accepts "Support 1 Alice", "support2: Bob", "Support 1 - Carol" and the
+ * bare "Support 1" (assignee is the calendar owner), or whatever the
+ * configured slot patterns match.
+ *
+ * @param {string} summary - Event summary
+ * @param {Array<{name: string, pattern: string}>} [slots] - Slot definitions (defaults to the configured ones)
+ * @returns {{slot: string, name: string|null}|null} Slot and assignee, or null for other events
+ */
+export function parseSupportAssignment(summary, slots = supportSlots) {
+  if (!summary) return null;
+  const text = String(summary).trim();
+  for (const slot of slots) {
+    const m = text.match(new RegExp(`^(?:${slot.pattern})\\s*[:\\-]?\\s*(.*)$`, 'i'));
+    if (m) {
+      const name = String(m[1] || '').trim();
+      return { slot: slot.name, name: name || null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Days (YYYY-MM-DD) an event covers
+ * @param {Object} event - Cached event (all-day: inclusive date strings; timed: ISO timestamps)
+ * @returns {{first: string, last: string}}
+ */
+export function eventDays(event) {
+  const first = DATE_ONLY.test(event.start) ? event.start : dayjs(event.start).format('YYYY-MM-DD');
+  const last = DATE_ONLY.test(event.end)
+    ? event.end
+    : dayjs(event.end).subtract(1, 'millisecond').format('YYYY-MM-DD');
+  return { first, last: last < first ? first : last };
+}
+
+/**
+ * Dates from `from` to `to`, inclusive
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+export function dateRange(from, to) {
+  const dates = [];
+  for (let day = dayjs.utc(from); day.format('YYYY-MM-DD') <= to; day = day.add(1, 'day')) {
+    dates.push(day.format('YYYY-MM-DD'));
+  }
+  return dates;
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isWeekend(date) {
+  const weekday = dayjs.utc(date).day();
+  return weekday === 0 || weekday === 6;
+}
+
+/**
+ * URLs of all cached calendars
+ * @returns {string[]}
+ */
+export function cachedCalendarUrls() {
+  return calendarCache.cache.keys()
+    .filter(key => key.startsWith('calendar:'))
+    .map(key => key.replace('calendar:', ''));
+}
+
+/**
+ * Check a lookup range
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @throws {Error} With statusCode 400 for reversed or too long ranges
+ * @private
+ */
+function checkRange(from, to) {
+  if (to < from) {
+    throw badRequest('to must not be before from');
+  }
+  if (dayjs.utc(to).diff(dayjs.utc(from), 'day') >= MAX_SUPPORT_RANGE_DAYS) {
+    throw badRequest(`A support lookup can cover at most ${MAX_SUPPORT_RANGE_DAYS} days`);
+  }
+}
+
+/**
+ * Support events per day and slot
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<{events: Array<Object>, byDay: Map<string, Object>}>}
+ * @private
+ */
+async function loadAssignments(from, to) {
+  const { events } = await calendarCache.getEvents(cachedCalendarUrls(), from, to);
+
+  const supportEvents = [];
+  for (const event of events || []) {
+    const parsed = parseSupportAssignment(event.summary);
+    if (!parsed) continue;
+    supportEvents.push({
+      uid: event.uid,
+      summary: event.summary,
+      slot: parsed.slot,
+      name: parsed.name || event.calendarName || null,
+      start: event.start,
+      end: event.end,
+      calendar: event.calendar,
+      calendarName: event.calendarName
+    });
+  }
+  supportEvents.sort((a, b) => String(a.start).localeCompare(String(b.start)) || String(a.uid).localeCompare(String(b.uid)));
+
+  const byDay = new Map(dateRange(from, to).map(date => [date, Object.fromEntries(supportSlots.map(slot => [slot.name, []]))]));
+  for (const event of supportEvents) {
+    const { first, last } = eventDays(event);
+    for (const date of dateRange(first < from ? from : first, last > to ? to : last)) {
+      byDay.get(date)?.[event.slot].push(event);
+    }
+  }
+  return { events: supportEvents, byDay };
+}
+
+/**
+ * Assignee of a slot on one day
+ * @param {Array<Object>} events - Support events of the slot on that day
+ * @returns {{name: string|null, start: string, end: string}|null} First assignee, or null if unstaffed
+ * @private
+ */
+function assigneeOf(events) {
+  const [event] = events;
+  return event ? { name: event.name, start: event.start, end: event.end } : null;
+}
+
+/**
+ * Get support assignments for a date range
+ *
+ * @param {Object} params - Lookup range
+ * @param {string} params.from - First day (YYYY-MM-DD)
+ * @param {string} params.to - Last day (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object>} { from, to, slots, days, gaps, doubleBookings, events }; `days`
+ *   holds the assignee per slot and day (null if unstaffed)
+ * @throws {Error} With statusCode 400 for an invalid range
+ */
+export async function getSupportAssignments({ from, to }) {
+  checkRange(from, to);
+  const { events, byDay } = await loadAssignments(from, to);
+
+  const days = [];
+  const gaps = [];
+  const doubleBookings = [];
+  for (const [date, slots] of byDay) {
+    const weekend = isWeekend(date);
+    const assignments = {};
+    for (const slot of supportSlots) {
+      const slotEvents = slots[slot.name];
+      assignments[slot.name] = assigneeOf(slotEvents);
+
+      if (slot.required && slotEvents.length === 0) {
+        gaps.push({ date, slot: slot.name, weekend });
+      }
+      const names = [...new Map(slotEvents.map(event => [String(event.name).toLowerCase(), event.name])).values()];
+      if (names.length > 1) {
+        doubleBookings.push({ date, slot: slot.name, names, uids: slotEvents.map(event => event.uid) });
+      }
+    }
+    days.push({ date, weekend, assignments });
+  }
+
+  return {
+    from,
+    to,
+    slots: supportSlots.map(slot => slot.name),
+    days,
+    gaps,
+    doubleBookings,
+    events
+  };
+}
+
+/**
+ * Get the support handovers in a date range
+ *
+ * A handover is a day on which a slot has a different assignee than the
+ * day before (including a slot becoming unstaffed or staffed again).
+ *
+ * @param {Object} params - Lookup range
+ * @param {string} params.from - First day (YYYY-MM-DD)
+ * @param {string} [params.to] - Last day (YYYY-MM-DD, inclusive; defaults to DEFAULT_HANDOVER_DAYS days from `from`)
+ * @returns {Promise<Object>} { from, to, current, handovers }; `current` holds the assignees on
+ *   `from`, each handover { date, slot, from, to } the names before and after
+ * @throws {Error} With statusCode 400 for an invalid range
+ */
+export async function getHandovers({ from, to = dayjs.utc(from).add(DEFAULT_HANDOVER_DAYS - 1, 'day').format('YYYY-MM-DD') }) {
+  checkRange(from, to);
+  const dayBefore = dayjs.utc(from).subtract(1, 'day').format('YYYY-MM-DD');
+  const { byDay } = await loadAssignments(dayBefore, to);
+
+  const handovers = [];
+  const previous = Object.fromEntries(supportSlots.map(slot => [slot.name, assigneeOf(byDay.get(dayBefore)[slot.name])?.name ?? null]));
+  for (const [date, slots] of byDay) {
+    if (date === dayBefore) continue;
+    for (const slot of supportSlots) {
+      const name = assigneeOf(slots[slot.name])?.name ?? null;
+      if (String(name).toLowerCase() !== String(previous[slot.name]).toLowerCase()) {
+        handovers.push({ date, slot: slot.name, from: previous[slot.name], to: name });
+      }
+      previous[slot.name] = name;
+    }
+  }
+
+  return {
+    from,
+    to,
+    current: Object.fromEntries(supportSlots.map(slot => [slot.name, assigneeOf(byDay.get(from)[slot.name])])),
+    handovers
+  };
+}
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { mergeEventFields, diffEventStates } from '../merge.js';
+
+const base = {
+  summary: 'Install',
+  start: '2025-03-03',
+  end: '2025-03-05',
+  location: 'Berlin',
+  description: 'Bring cables',
+  meta: { orderNumber: 'SO-1', ticketLink: 'https://t/1' }
+};
+
+describe('merge utils', () => {
+  describe('mergeEventFields', () => {
+    it('should apply non-overlapping changes from both sides', () => {
+      const mine = { ...base, description: 'Bring cables and adapters' };
+      const theirs = { ...base, start: '2025-03-10', end: '2025-03-12' };
+
+      const { merged, conflicts, autoMerged } = mergeEventFields(base, mine, theirs);
+
+      expect(conflicts).toEqual([]);
+      expect(merged).toMatchObject({
+        summary: 'Install',
+        description: 'Bring cables and adapters',
+        start: '2025-03-10',
+        end: '2025-03-12'
+      });
+      expect(autoMerged).toEqual(['description']);
+    });
+
+    it('should report fields changed differently on both sides', () => {
+      const mine = { ...base, summary: 'Install (remote)' };
+      const theirs = { ...base, summary: 'Install (on site)' };
+
+      const { merged, conflicts } = mergeEventFields(base, mine, theirs);
+
+      expect(conflicts).toEqual([
+        { field: 'summary', base: 'Install', mine: 'Install (remote)', theirs: 'Install (on site)' }
+      ]);
+      expect(merged.summary).toBe('Install (on site)');
+    });
+
+    it('should not report identical changes as conflicts', () => {
+      const mine = { ...base, location: 'Hamburg' };
+      const theirs = { ...base, location: 'Hamburg' };
+
+      expect(mergeEventFields(base, mine, theirs).conflicts).toEqual([]);
+    });
+
+    it('should treat start and end as one unit', () => {
+      const mine = { ...base, end: '2025-03-06' };
+      const theirs = { ...base, start: '2025-03-04' };
+
+      const { conflicts } = mergeEventFields(base, mine, theirs);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].field).toBe('dates');
+      expect(conflicts[0].mine).toEqual({ start: '2025-03-03', end: '2025-03-06' });
+    });
+
+    it('should compare all-day dates by calendar day', () => {
+      const mine = { ...base, start: '2025-03-03T00:00:00.000Z', end: '2025-03-05T00:00:00.000Z', summary: 'Install v2' };
+      const theirs = { ...base, start: '2025-03-10', end: '2025-03-12' };
+
+      const { merged, conflicts } = mergeEventFields(base, mine, theirs);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.start).toBe('2025-03-10');
+      expect(merged.summary).toBe('Install v2');
+    });
+
+    it('should merge metadata key by key', () => {
+      const mine = { ...base, meta: { ...base.meta, orderNumber: 'SO-2' } };
+      const theirs = { ...base, meta: { ...base.meta, ticketLink: 'https://t/2', systemType: 'X' } };
+
+      const { merged, conflicts, autoMerged } = mergeEventFields(base, mine, theirs);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.meta).toEqual({ orderNumber: 'SO-2', ticketLink: 'https://t/2', systemType: 'X' });
+      expect(autoMerged).toEqual(['meta.orderNumber']);
+    });
+
+    it('should report conflicting metadata keys and keep removals', () => {
+      const mine = { ...base, meta: { orderNumber: 'SO-2' } };
+      const theirs = { ...base, meta: { orderNumber: 'SO-3', ticketLink: 'https://t/1' } };
+
+      const { merged, conflicts } = mergeEventFields(base, mine, theirs);
+
+      expect(conflicts).toEqual([{ field: 'meta.orderNumber', base: 'SO-1', mine: 'SO-2', theirs: 'SO-3' }]);
+      // ticketLink was removed by mine and untouched by theirs
+      expect(merged.meta).toEqual({ orderNumber: 'SO-3' });
+    });
+
+    it('should let derived location keys follow the winning location', () => {
+      const geo = { locationCountry: 'Germany', locationCity: 'Berlin' };
+      const withGeo = { ...base, meta: { ...base.meta, ...geo } };
+      const mine = { ...withGeo, location: 'Paris', meta: { ...base.meta, locationCountry: 'France', locationCity: 'Paris' } };
+      const theirs = { ...base, meta: { ...base.meta } };
+
+      const { merged, conflicts } = mergeEventFields(withGeo, mine, theirs);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.location).toBe('Paris');
+      expect(merged.meta).toMatchObject({ locationCountry: 'France', locationCity: 'Paris' });
+    });
+
+    it('should treat missing and empty text as equal', () => {
+      const noDescription = { ...base, description: undefined };
+      const mine = { ...noDescription, summary: 'Install v2' };
+      const theirs = { ...base, description: '' };
+
+      const { merged, conflicts } = mergeEventFields(noDescription, mine, theirs);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.description).toBe('');
+      expect(merged.meta).toEqual(base.meta);
+    });
+  });
+
+  describe('diffEventStates', () => {
+    it('should list changed fields and metadata keys', () => {
+      const to = { ...base, summary: 'Install v2', start: '2025-03-10', end: '2025-03-12', meta: { orderNumber: 'SO-2', ticketLink: 'https://t/1' } };
+
+      expect(diffEventStates(base, to)).toEqual([
+        { field: 'summary', from: 'Install', to: 'Install v2' },
+        { field: 'start', from: '2025-03-03', to: '2025-03-10' },
+        { field: 'end', from: '2025-03-05', to: '2025-03-12' },
+        { field: 'meta.orderNumber', from: 'SO-1', to: 'SO-2' }
+      ]);
+    });
+
+    it('should report calendar moves and ignore embedded metadata and derived keys', () => {
+      const from = { ...base, calendarUrl: 'https://cal/a/', meta: { ...base.meta, locationCity: 'Berlin' } };
+      const to = { ...base, calendar: 'https://cal/b/', description: 'Bring cables\n\n```yaml\norderNumber: SO-1\n```' };
+
+      expect(diffEventStates(from, to)).toEqual([{ field: 'calendar', from: 'https://cal/a/', to: 'https://cal/b/' }]);
+    });
+
+    it('should compare a missing state as empty', () => {
+      const fields = diffEventStates(null, { summary: 'Install', start: '2025-03-03', end: '2025-03-03' }).map(c => c.field);
+
+      expect(fields).toEqual(['summary', 'start', 'end']);
+    });
+  });
+});
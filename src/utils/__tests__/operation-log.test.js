@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pruneOperationLogs } from '../operation-log.js';
+
+describe('operation log utils', () => {
+  describe('pruneOperationLogs', () => {
+    let logDir;
+
+    async function writeLog(name, ageDays) {
+      const file = path.join(logDir, name);
+      await fs.writeFile(file, '{}\n');
+      const time = new Date(Date.now() - ageDays * 24 * 60 * 60 * 1000);
+      await fs.utimes(file, time, time);
+    }
+
+    beforeEach(async () => {
+      logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'operation-log-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(logDir, { recursive: true, force: true });
+    });
+
+    it('should delete rotated files older than the retention period', async () => {
+      await writeLog('operations.log', 1000);
+      await writeLog('operations-2023-01-01T00-00-00-000Z.log', 1000);
+      await writeLog('operations-2025-06-01T00-00-00-000Z.log', 10);
+      await writeLog('other.log', 1000);
+
+      const deleted = await pruneOperationLogs(30, logDir);
+
+      expect(deleted).toBe(1);
+      expect((await fs.readdir(logDir)).sort()).toEqual([
+        'operations-2025-06-01T00-00-00-000Z.log',
+        'operations.log',
+        'other.log'
+      ]);
+    });
+
+    it('should keep everything when retention is disabled', async () => {
+      await writeLog('operations-2023-01-01T00-00-00-000Z.log', 1000);
+
+      expect(await pruneOperationLogs(0, logDir)).toBe(0);
+      expect(await fs.readdir(logDir)).toHaveLength(1);
+    });
+
+    it('should ignore a missing log directory', async () => {
+      expect(await pruneOperationLogs(30, path.join(logDir, 'missing'))).toBe(0);
+    });
+  });
+});
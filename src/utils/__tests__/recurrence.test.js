@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import IcalExpander from 'ical-expander';
+import {
+  isValidRecurrenceRule,
+  getSeries,
+  getOccurrence,
+  excludeOccurrence,
+  setOccurrenceOverride,
+  replaceSeriesMaster,
+  splitSeries
+} from '../recurrence.js';
+import { buildVTimezone } from '../timezone.js';
+
+// Weekly on-call, 09:00-10:00 Berlin time, ten weeks from 2025-03-03 (spans the DST change)
+const weeklyIcs = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...buildVTimezone('Europe/Berlin', new Date('2025-03-03T08:00:00Z'), new Date('2025-03-03T09:00:00Z')),
+  'BEGIN:VEVENT',
+  'UID:oncall',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250303T090000',
+  'DTEND;TZID=Europe/Berlin:20250303T100000',
+  'RRULE:FREQ=WEEKLY;COUNT=10',
+  'SUMMARY:On-call',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+// Monthly maintenance day, open-ended
+const monthlyIcs = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:maint',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250301',
+  'DTEND;VALUE=DATE:20250302',
+  'RRULE:FREQ=MONTHLY',
+  'SUMMARY:Maintenance',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+function starts(ics, from = '2025-01-01', to = '2026-01-01') {
+  const { events, occurrences } = new IcalExpander({ ics }).between(new Date(from), new Date(to));
+  return [...events, ...occurrences]
+    .map(e => e.startDate.toJSDate().toISOString())
+    .sort();
+}
+
+describe('recurrence utils', () => {
+  describe('isValidRecurrenceRule', () => {
+    it('should accept rules with a frequency', () => {
+      expect(isValidRecurrenceRule('FREQ=WEEKLY;BYDAY=MO')).toBe(true);
+      expect(isValidRecurrenceRule('FREQ=MONTHLY;COUNT=6')).toBe(true);
+    });
+
+    it('should reject malformed or missing rules', () => {
+      expect(isValidRecurrenceRule('EVERY=MONDAY')).toBe(false);
+      expect(isValidRecurrenceRule('')).toBe(false);
+      expect(isValidRecurrenceRule(null)).toBe(false);
+    });
+  });
+
+  describe('getSeries', () => {
+    it('should read the master with its rule and zone', () => {
+      expect(getSeries(weeklyIcs, 'oncall')).toMatchObject({
+        summary: 'On-call',
+        start: '2025-03-03T08:00:00.000Z',
+        end: '2025-03-03T09:00:00.000Z',
+        allDay: false,
+        timezone: 'Europe/Berlin',
+        rrule: 'FREQ=WEEKLY;COUNT=10',
+        exdates: []
+      });
+    });
+
+    it('should report inclusive end dates for all-day series', () => {
+      expect(getSeries(monthlyIcs, 'maint')).toMatchObject({ start: '2025-03-01', end: '2025-03-01', allDay: true });
+    });
+
+    it('should return null for unknown UIDs', () => {
+      expect(getSeries(weeklyIcs, 'nope')).toBeNull();
+    });
+  });
+
+  describe('getOccurrence', () => {
+    it('should find occurrences after the DST change by their UTC start', () => {
+      expect(getOccurrence(weeklyIcs, 'oncall', '2025-04-07T07:00:00.000Z')).toMatchObject({
+        start: '2025-04-07T07:00:00.000Z',
+        recurrenceId: '2025-04-07T07:00:00.000Z',
+        overridden: false
+      });
+    });
+
+    it('should return null for times that are not occurrences', () => {
+      expect(getOccurrence(weeklyIcs, 'oncall', '2025-04-07T08:00:00.000Z')).toBeNull();
+      expect(getOccurrence(monthlyIcs, 'maint', '2025-05-02')).toBeNull();
+    });
+  });
+
+  describe('excludeOccurrence', () => {
+    it('should add an EXDATE in the series zone', () => {
+      const ics = excludeOccurrence(weeklyIcs, 'oncall', '2025-03-10T08:00:00.000Z');
+
+      expect(ics).toContain('EXDATE;TZID=Europe/Berlin:20250310T090000');
+      expect(starts(ics)).not.toContain('2025-03-10T08:00:00.000Z');
+      expect(getSeries(ics, 'oncall').exdates).toEqual(['2025-03-10T08:00:00.000Z']);
+    });
+  });
+
+  describe('setOccurrenceOverride', () => {
+    it('should replace one occurrence', () => {
+      const ics = setOccurrenceOverride(weeklyIcs, 'oncall', '2025-03-17T08:00:00.000Z', [
+        'BEGIN:VEVENT',
+        'UID:oncall',
+        'DTSTART:20250317T120000Z',
+        'DTEND:20250317T130000Z',
+        'SUMMARY:Moved',
+        'END:VEVENT'
+      ]);
+
+      expect(getOccurrence(ics, 'oncall', '2025-03-17T08:00:00.000Z')).toMatchObject({
+        summary: 'Moved',
+        start: '2025-03-17T12:00:00.000Z',
+        overridden: true
+      });
+      expect(starts(ics)).toHaveLength(10);
+    });
+  });
+
+  describe('replaceSeriesMaster', () => {
+    it('should move exceptions along with the series', () => {
+      const excluded = excludeOccurrence(weeklyIcs, 'oncall', '2025-03-10T08:00:00.000Z');
+      const ics = replaceSeriesMaster(excluded, 'oncall', [
+        'BEGIN:VEVENT',
+        'UID:oncall',
+        'DTSTART;TZID=Europe/Berlin:20250304T090000',
+        'DTEND;TZID=Europe/Berlin:20250304T100000',
+        'RRULE:FREQ=WEEKLY;COUNT=10',
+        'SUMMARY:On-call',
+        'END:VEVENT'
+      ], [], 24 * 60 * 60);
+
+      expect(getSeries(ics, 'oncall').exdates).toEqual(['2025-03-11T08:00:00.000Z']);
+      expect(starts(ics)).toHaveLength(9);
+    });
+
+    it('should write exactly the given exceptions', () => {
+      const excluded = excludeOccurrence(weeklyIcs, 'oncall', '2025-03-10T08:00:00.000Z');
+      const lines = [
+        'BEGIN:VEVENT',
+        'UID:oncall',
+        'DTSTART;TZID=Europe/Berlin:20250303T090000',
+        'DTEND;TZID=Europe/Berlin:20250303T100000',
+        'RRULE:FREQ=WEEKLY;COUNT=10',
+        'SUMMARY:On-call',
+        'END:VEVENT'
+      ];
+
+      expect(getSeries(replaceSeriesMaster(excluded, 'oncall', lines, [], 0, []), 'oncall').exdates).toEqual([]);
+      const ics = replaceSeriesMaster(excluded, 'oncall', lines, [], 0, ['2025-03-31T07:00:00.000Z', '2025-03-05T08:00:00.000Z']);
+      expect(getSeries(ics, 'oncall').exdates).toEqual(['2025-03-31T07:00:00.000Z']);
+      expect(ics).toContain('EXDATE;TZID=Europe/Berlin:20250331T090000');
+    });
+
+    it('should drop exceptions when the rule is removed', () => {
+      const excluded = excludeOccurrence(monthlyIcs, 'maint', '2025-04-01');
+      const ics = replaceSeriesMaster(excluded, 'maint', [
+        'BEGIN:VEVENT',
+        'UID:maint',
+        'DTSTART;VALUE=DATE:20250301',
+        'DTEND;VALUE=DATE:20250302',
+        'SUMMARY:Maintenance',
+        'END:VEVENT'
+      ]);
+
+      expect(ics).not.toContain('EXDATE');
+      expect(starts(ics)).toEqual(['2025-03-01T00:00:00.000Z']);
+    });
+  });
+
+  describe('splitSeries', () => {
+    it('should split a counted series and keep the total', () => {
+      const { head, tail } = splitSeries(weeklyIcs, 'oncall', '2025-03-24T08:00:00.000Z', 'oncall-2');
+
+      expect(getSeries(head, 'oncall').rrule).toBe('FREQ=WEEKLY;COUNT=3');
+      expect(getSeries(tail, 'oncall-2')).toMatchObject({ start: '2025-03-24T08:00:00.000Z', rrule: 'FREQ=WEEKLY;COUNT=7' });
+      expect(starts(head)).toHaveLength(3);
+      expect(starts(tail)).toHaveLength(7);
+    });
+
+    it('should end open series the day before an all-day split', () => {
+      const { head, tail } = splitSeries(monthlyIcs, 'maint', '2025-05-01', 'maint-2');
+
+      expect(getSeries(head, 'maint').rrule).toBe('FREQ=MONTHLY;UNTIL=20250430');
+      expect(starts(head)).toEqual(['2025-03-01T00:00:00.000Z', '2025-04-01T00:00:00.000Z']);
+      expect(getSeries(tail, 'maint-2')).toMatchObject({ start: '2025-05-01', end: '2025-05-01', rrule: 'FREQ=MONTHLY' });
+    });
+
+    it('should reject unknown occurrences', () => {
+      expect(() => splitSeries(monthlyIcs, 'maint', '2025-05-02', 'x')).toThrow(/not found/);
+    });
+  });
+});
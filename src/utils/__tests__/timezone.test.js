@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import IcalExpander from 'ical-expander';
+import { isValidTimeZone, toUtcDate, formatIcalLocal, buildVTimezone } from '../timezone.js';
+
+function expandStart(tz, local) {
+  const start = toUtcDate(local, tz);
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...buildVTimezone(tz, start, start),
+    'BEGIN:VEVENT',
+    'UID:tz-test',
+    'DTSTAMP:20250101T000000Z',
+    `DTSTART;TZID=${tz}:${formatIcalLocal(start, tz)}`,
+    `DTEND;TZID=${tz}:${formatIcalLocal(new Date(start.getTime() + 3600 * 1000), tz)}`,
+    'SUMMARY:Test',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  const { events } = new IcalExpander({ ics }).between(new Date('2000-01-01'), new Date('2100-01-01'));
+  return events[0].startDate.toJSDate().toISOString();
+}
+
+describe('timezone utils', () => {
+  describe('isValidTimeZone', () => {
+    it('should accept IANA zones and UTC', () => {
+      expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+    });
+
+    it('should reject unknown or missing zones', () => {
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(undefined)).toBe(false);
+    });
+  });
+
+  describe('toUtcDate', () => {
+    it('should read wall-clock times in the given zone', () => {
+      expect(toUtcDate('2025-07-03T09:00', 'Europe/Berlin').toISOString()).toBe('2025-07-03T07:00:00.000Z');
+      expect(toUtcDate('2025-01-03T09:00', 'Europe/Berlin').toISOString()).toBe('2025-01-03T08:00:00.000Z');
+    });
+
+    it('should keep explicit offsets as instants', () => {
+      expect(toUtcDate('2025-07-03T09:00:00Z', 'Europe/Berlin').toISOString()).toBe('2025-07-03T09:00:00.000Z');
+      expect(toUtcDate('2025-07-03T09:00:00+05:30', 'Europe/Berlin').toISOString()).toBe('2025-07-03T03:30:00.000Z');
+    });
+  });
+
+  describe('formatIcalLocal', () => {
+    it('should format the wall-clock time in the zone', () => {
+      expect(formatIcalLocal(new Date('2025-07-03T07:00:00Z'), 'Europe/Berlin')).toBe('20250703T090000');
+    });
+  });
+
+  describe('buildVTimezone', () => {
+    it('should list the DST transitions of the year', () => {
+      const lines = buildVTimezone('Europe/Berlin', new Date('2025-07-03T07:00:00Z'), new Date('2025-07-03T08:00:00Z'));
+
+      expect(lines[0]).toBe('BEGIN:VTIMEZONE');
+      expect(lines).toContain('TZID:Europe/Berlin');
+      expect(lines).toContain('DTSTART:20250330T020000');
+      expect(lines).toContain('DTSTART:20251026T030000');
+      expect(lines.filter(l => l === 'BEGIN:DAYLIGHT')).toHaveLength(1);
+      expect(lines.at(-1)).toBe('END:VTIMEZONE');
+    });
+
+    it('should produce a single STANDARD observance without DST', () => {
+      const lines = buildVTimezone('Asia/Kolkata', new Date('2025-07-03T07:00:00Z'), new Date('2025-07-03T08:00:00Z'));
+
+      expect(lines.filter(l => l.startsWith('BEGIN:'))).toEqual(['BEGIN:VTIMEZONE', 'BEGIN:STANDARD']);
+      expect(lines).toContain('TZOFFSETTO:+0530');
+    });
+
+    it('should round-trip through an iCal parser', () => {
+      expect(expandStart('Europe/Berlin', '2025-07-03T09:00')).toBe('2025-07-03T07:00:00.000Z');
+      expect(expandStart('Europe/Berlin', '2025-01-01T00:30')).toBe('2024-12-31T23:30:00.000Z');
+      expect(expandStart('America/New_York', '2025-11-10T09:00')).toBe('2025-11-10T14:00:00.000Z');
+      expect(expandStart('Australia/Sydney', '2025-07-03T09:00')).toBe('2025-07-02T23:00:00.000Z');
+    });
+  });
+});
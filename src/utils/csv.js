@@ -0,0 +1,28 @@
+/**
+ * CSV utility functions
+ * 
+ * @module utils/csv
+ */
+
+/**
+ * Format a CSV line
+ * 
+ * Quotes every field and prefixes text starting with a formula character,
+ * so spreadsheets don't evaluate exported values.
+ * 
+ * @param {Array<*>} values - Field values
+ * @returns {string} CSV line including the line break
+ * 
+ * @example
+ * toCsvLine(['=SUM(A1)', 'Say "hi"', null])
+ * // Returns: '"\'=SUM(A1)","Say ""hi""",""\r\n'
+ */
+export function toCsvLine(values) {
+  return values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+  }).join(',') + '\r\n';
+}
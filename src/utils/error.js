@@ -100,3 +100,32 @@ export function formatErrorResponse(error, defaultStatus = 500) {
     }
   };
 }
+
+/**
+ * Create an error carrying the HTTP status to answer with
+ * 
+ * formatErrorResponse uses the statusCode and shows the message to the
+ * client for statuses below 500.
+ * 
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Client-facing message
+ * @returns {Error} Error with statusCode
+ * 
+ * @example
+ * throw httpError(404, `Unknown system: ${system}`);
+ */
+export function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Create the error thrown for invalid input
+ * 
+ * @param {string} message - Client-facing message
+ * @returns {Error} Error with statusCode 400
+ */
+export function badRequest(message) {
+  return httpError(400, message);
+}
@@ -8,6 +8,21 @@
  */
 export { isValidDate } from './date.js';
 export { escapeHtml } from './html.js';
-export { formatError, formatErrorResponse, isClientSafeError } from './error.js';
+export { toCsvLine } from './csv.js';
+export { formatError, formatErrorResponse, isClientSafeError, httpError, badRequest } from './error.js';
 export { createLogger } from './logger.js';
+export { actorOf } from './session.js';
+export { mergeEventFields, diffEventStates } from './merge.js';
+export { isValidTimeZone, toUtcDate, formatIcalLocal, buildVTimezone } from './timezone.js';
+export {
+  RECURRENCE_SCOPES,
+  isValidRecurrenceRule,
+  formatRecurrenceId,
+  getSeries,
+  getOccurrence,
+  excludeOccurrence,
+  setOccurrenceOverride,
+  replaceSeriesMaster,
+  splitSeries
+} from './recurrence.js';
 export { default as logger } from './logger.js';
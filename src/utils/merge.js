@@ -0,0 +1,212 @@
+/**
+ * Three-way merge for concurrent event edits
+ *
+ * Compares the version an editor started from (base) with their changes
+ * (mine) and the version currently on the server (theirs). Fields changed
+ * on one side only are taken from that side; fields changed on both sides
+ * to different values are reported as conflicts.
+ *
+ * Merged units: summary, dates (start and end together), location,
+ * description and every metadata key.
+ *
+ * Also lists the field-level differences between two event states, e.g.
+ * to preview what restoring an audit snapshot would change.
+ *
+ * @module utils/merge
+ */
+
+/**
+ * Metadata keys derived from the location by geocoding
+ *
+ * They follow whichever side's location wins and never conflict on their own.
+ *
+ * @type {Set<string>}
+ */
+const DERIVED_META_KEYS = new Set(['locationCountry', 'locationCountryCode', 'locationCity']);
+
+/**
+ * Normalize a text field for comparison (missing equals empty)
+ * @param {*} value - Field value
+ * @returns {string} Trimmed string
+ */
+function normalizeText(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Normalize a date for comparison
+ *
+ * Date-only values and midnight UTC timestamps of all-day events compare
+ * by calendar day; everything else by instant.
+ *
+ * @param {*} value - Date string
+ * @returns {string} Normalized date
+ */
+function normalizeDate(value) {
+  if (!value) return '';
+  const str = String(value);
+  if (/^\d{4}-\d{2}-\d{2}(T00:00:00(\.000)?Z)?$/.test(str)) {
+    return str.substring(0, 10);
+  }
+  const date = new Date(str);
+  return isNaN(date.getTime()) ? str : date.toISOString();
+}
+
+/**
+ * Compare two metadata values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal (missing, null and empty string are equal)
+ */
+function sameMetaValue(a, b) {
+  const norm = (v) => (v === undefined || v === null || v === '' ? null : v);
+  return JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+}
+
+/**
+ * Resolve one merge unit
+ * @param {*} base - Ancestor value
+ * @param {*} mine - Editor's value
+ * @param {*} theirs - Server value
+ * @param {Function} same - Equality check
+ * @returns {{value: *, conflict: boolean, source: string}} Resolution
+ */
+function resolve(base, mine, theirs, same) {
+  if (same(mine, base)) return { value: theirs, conflict: false, source: 'theirs' };
+  if (same(theirs, base)) return { value: mine, conflict: false, source: 'mine' };
+  if (same(mine, theirs)) return { value: mine, conflict: false, source: 'both' };
+  return { value: theirs, conflict: true, source: 'theirs' };
+}
+
+/**
+ * Merge concurrent edits of an event field by field
+ *
+ * @param {Object} base - Event as the editor loaded it
+ * @param {Object} mine - Editor's version ({summary, start, end, location, description, meta})
+ * @param {Object} theirs - Current server version
+ * @returns {{merged: Object, conflicts: Array<{field: string, base: *, mine: *, theirs: *}>, autoMerged: Array<string>}}
+ *   `merged` holds every field with non-conflicting changes applied and
+ *   conflicting fields at the server value; `autoMerged` lists the fields
+ *   taken from the editor's version.
+ *
+ * @example
+ * mergeEventFields(
+ *   { summary: 'Install', start: '2025-03-03', end: '2025-03-05' },
+ *   { summary: 'Install (remote)', start: '2025-03-03', end: '2025-03-05' },
+ *   { summary: 'Install', start: '2025-03-10', end: '2025-03-12' }
+ * )
+ * // merged: { summary: 'Install (remote)', start: '2025-03-10', end: '2025-03-12', ... }, conflicts: []
+ */
+export function mergeEventFields(base, mine, theirs) {
+  const merged = {};
+  const conflicts = [];
+  const autoMerged = [];
+
+  const sameText = (a, b) => normalizeText(a) === normalizeText(b);
+  const addConflict = (field, baseValue, mineValue, theirsValue) => {
+    conflicts.push({ field, base: baseValue, mine: mineValue, theirs: theirsValue });
+  };
+
+  for (const field of ['summary', 'location', 'description']) {
+    const result = resolve(base[field], mine[field], theirs[field], sameText);
+    merged[field] = result.value ?? '';
+    if (result.conflict) addConflict(field, base[field] ?? '', mine[field] ?? '', theirs[field] ?? '');
+    if (result.source === 'mine') autoMerged.push(field);
+  }
+
+  // Start and end move together so a merge never produces an inverted range
+  const dates = (e) => ({ start: e.start, end: e.end });
+  const sameDates = (a, b) =>
+    normalizeDate(a.start) === normalizeDate(b.start) && normalizeDate(a.end) === normalizeDate(b.end);
+  const dateResult = resolve(dates(base), dates(mine), dates(theirs), sameDates);
+  merged.start = dateResult.value.start;
+  merged.end = dateResult.value.end;
+  if (dateResult.conflict) addConflict('dates', dates(base), dates(mine), dates(theirs));
+  if (dateResult.source === 'mine') autoMerged.push('dates');
+
+  const baseMeta = base.meta || {};
+  const mineMeta = mine.meta || {};
+  const theirsMeta = theirs.meta || {};
+  const locationFromMine = autoMerged.includes('location');
+  const meta = {};
+  const keys = new Set([...Object.keys(baseMeta), ...Object.keys(mineMeta), ...Object.keys(theirsMeta)]);
+
+  for (const key of keys) {
+    let value;
+    if (DERIVED_META_KEYS.has(key)) {
+      value = locationFromMine ? mineMeta[key] : theirsMeta[key];
+    } else {
+      const result = resolve(baseMeta[key], mineMeta[key], theirsMeta[key], sameMetaValue);
+      value = result.value;
+      if (result.conflict) addConflict(`meta.${key}`, baseMeta[key], mineMeta[key], theirsMeta[key]);
+      if (result.source === 'mine') autoMerged.push(`meta.${key}`);
+    }
+    if (value !== undefined && value !== null && value !== '') {
+      meta[key] = value;
+    }
+  }
+  merged.meta = Object.keys(meta).length > 0 ? meta : null;
+
+  return { merged, conflicts, autoMerged };
+}
+
+/**
+ * Remove a fenced YAML metadata block from a description
+ * @param {*} value - Description, possibly with embedded metadata
+ * @returns {string} Description text
+ */
+function descriptionText(value) {
+  return normalizeText(value).replace(/```yaml\s*[\s\S]*?\s*```/g, '').trim();
+}
+
+/**
+ * List the differences between two event states
+ *
+ * Compares summary, location, description, dates, time zone, recurrence
+ * rule, calendar and every metadata key (except those derived from the
+ * location) with the same normalization as the merge. A missing state
+ * (e.g. a deleted event) compares as empty.
+ *
+ * @param {Object|null} from - Current state
+ * @param {Object|null} to - State to compare against
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields; metadata keys as `meta.<key>`
+ *
+ * @example
+ * diffEventStates({ summary: 'Install', meta: { orderNumber: '1' } }, { summary: 'Install', meta: { orderNumber: '2' } })
+ * // [{ field: 'meta.orderNumber', from: '1', to: '2' }]
+ */
+export function diffEventStates(from, to) {
+  const a = from || {};
+  const b = to || {};
+  const changes = [];
+  const add = (field, fromValue, toValue) => {
+    changes.push({ field, from: fromValue ?? null, to: toValue ?? null });
+  };
+
+  for (const field of ['summary', 'location']) {
+    if (normalizeText(a[field]) !== normalizeText(b[field])) add(field, a[field], b[field]);
+  }
+  if (descriptionText(a.description) !== descriptionText(b.description)) {
+    add('description', descriptionText(a.description), descriptionText(b.description));
+  }
+  for (const field of ['start', 'end']) {
+    if (normalizeDate(a[field]) !== normalizeDate(b[field])) add(field, a[field], b[field]);
+  }
+  for (const field of ['timezone', 'rrule']) {
+    if (normalizeText(a[field]) !== normalizeText(b[field])) add(field, a[field], b[field]);
+  }
+
+  const calendarA = a.calendarUrl || a.calendar;
+  const calendarB = b.calendarUrl || b.calendar;
+  if (normalizeText(calendarA) !== normalizeText(calendarB)) add('calendar', calendarA, calendarB);
+
+  const metaA = a.meta || {};
+  const metaB = b.meta || {};
+  for (const key of new Set([...Object.keys(metaA), ...Object.keys(metaB)])) {
+    if (!DERIVED_META_KEYS.has(key) && !sameMetaValue(metaA[key], metaB[key])) {
+      add(`meta.${key}`, metaA[key], metaB[key]);
+    }
+  }
+
+  return changes;
+}
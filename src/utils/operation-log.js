@@ -3,7 +3,7 @@
  * 
  * Logs all calendar mutations (CREATE, UPDATE, DELETE, MOVE) with timestamp,
  * user information, and operation details. Includes automatic log rotation
- * when file size exceeds 10MB.
+ * when file size exceeds 10MB and removal of old rotated files.
  * 
  * @module utils/operation-log
  */
@@ -22,6 +22,9 @@ const LOG_FILE = path.join(LOG_DIR, 'operations.log');
 // Maximum log file size (10MB)
 const MAX_LOG_SIZE = 10 * 1024 * 1024;
 
+// Rotated log files, named by rotateLogIfNeeded
+const ARCHIVE_PATTERN = /^operations-.+\.log$/;
+
 /**
  * Ensure log directory exists
  * 
@@ -108,6 +111,42 @@ export async function logOperation(operation, details) {
   }
 }
 
+/**
+ * Delete rotated log files older than the retention period
+ * 
+ * The current log file is never deleted. Non-blocking - logs error but
+ * doesn't throw.
+ * 
+ * @param {number} retentionDays - Keep rotated files modified within this many days
+ * @param {string} [logDir] - Log directory (defaults to logs/)
+ * @returns {Promise<number>} Number of deleted files
+ */
+export async function pruneOperationLogs(retentionDays, logDir = LOG_DIR) {
+  if (!(retentionDays > 0)) return 0;
+
+  try {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let deleted = 0;
+
+    for (const name of await fs.readdir(logDir)) {
+      if (!ARCHIVE_PATTERN.test(name)) continue;
+      const file = path.join(logDir, name);
+      const stats = await fs.stat(file);
+      if (stats.mtimeMs < cutoff) {
+        await fs.unlink(file);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to prune operation logs:', error);
+    }
+    return 0;
+  }
+}
+
 /**
  * Read recent operations from log
  * @param {number} limit - Maximum number of entries to return
@@ -0,0 +1,413 @@
+/**
+ * Recurring event utilities
+ *
+ * Reads and rewrites recurring VEVENTs in iCal data: validating RRULEs,
+ * locating single occurrences, excluding them (EXDATE), overriding them
+ * (RECURRENCE-ID) and splitting a series in two.
+ *
+ * Occurrences are addressed by their recurrence id: the original start of
+ * the occurrence, as "YYYY-MM-DD" for all-day series and as a UTC ISO
+ * date-time for timed series (the format of `start` in cached events).
+ *
+ * @module utils/recurrence
+ */
+
+import ICAL from 'ical.js';
+
+/**
+ * Supported scopes for editing or deleting part of a series
+ * @type {Array<string>}
+ */
+export const RECURRENCE_SCOPES = ['all', 'this', 'following'];
+
+/** Upper bound when walking a series to find an occurrence */
+const MAX_ITERATIONS = 5000;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Check whether a string is a usable RRULE value
+ *
+ * @param {string} rule - Rule without the "RRULE:" prefix, e.g. "FREQ=WEEKLY;BYDAY=MO"
+ * @returns {boolean} True if the rule parses and has a FREQ
+ *
+ * @example
+ * isValidRecurrenceRule('FREQ=MONTHLY;BYMONTHDAY=1') // true
+ * isValidRecurrenceRule('EVERY=MONDAY') // false
+ */
+export function isValidRecurrenceRule(rule) {
+  if (!rule || typeof rule !== 'string' || !/(^|;)FREQ=/i.test(rule)) return false;
+  try {
+    const recur = ICAL.Recur.fromString(rule.replace(/^RRULE:/i, ''));
+    return Boolean(recur.freq);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Format an iCal time as a recurrence id
+ *
+ * @param {ICAL.Time} time - Occurrence start
+ * @returns {string} "YYYY-MM-DD" for dates, UTC ISO string otherwise
+ */
+export function formatRecurrenceId(time) {
+  return time.isDate ? time.toString().substring(0, 10) : time.toJSDate().toISOString();
+}
+
+/**
+ * Check whether an iCal time is the occurrence with the given recurrence id
+ * @param {ICAL.Time} time - Occurrence start
+ * @param {string} recurrenceId - Recurrence id
+ * @returns {boolean} True if they denote the same occurrence
+ * @private
+ */
+function matchesRecurrenceId(time, recurrenceId) {
+  if (time.isDate) {
+    return formatRecurrenceId(time) === String(recurrenceId).substring(0, 10);
+  }
+  return time.toJSDate().getTime() === new Date(recurrenceId).getTime();
+}
+
+/**
+ * Parse iCal data and find the VEVENTs of a UID
+ *
+ * Registers the calendar's VTIMEZONEs so TZID times resolve.
+ *
+ * @param {string} ics - iCal data
+ * @param {string} uid - Event UID
+ * @returns {{calendar: ICAL.Component, master: ICAL.Component|null, overrides: Array<ICAL.Component>}}
+ * @private
+ */
+function parseSeries(ics, uid) {
+  const calendar = new ICAL.Component(ICAL.parse(ics));
+  for (const vtimezone of calendar.getAllSubcomponents('vtimezone')) {
+    ICAL.TimezoneService.register(vtimezone);
+  }
+  const vevents = calendar.getAllSubcomponents('vevent').filter(v => v.getFirstPropertyValue('uid') === uid);
+  return {
+    calendar,
+    master: vevents.find(v => !v.hasProperty('recurrence-id')) || null,
+    overrides: vevents.filter(v => v.hasProperty('recurrence-id'))
+  };
+}
+
+/**
+ * Walk a series until the occurrence with the given recurrence id
+ * @param {ICAL.Component} master - Master VEVENT
+ * @param {string} recurrenceId - Recurrence id
+ * @returns {ICAL.Time|null} Occurrence start in the series' zone, or null if the series has no such occurrence
+ * @private
+ */
+function findOccurrenceTime(master, recurrenceId) {
+  const iterator = new ICAL.Event(master).iterator();
+  const target = new Date(recurrenceId).getTime();
+  let next;
+  for (let i = 0; i < MAX_ITERATIONS && (next = iterator.next()); i++) {
+    if (matchesRecurrenceId(next, recurrenceId)) return next.clone();
+    if (!next.isDate && next.toJSDate().getTime() > target) return null;
+    if (next.isDate && formatRecurrenceId(next) > String(recurrenceId).substring(0, 10)) return null;
+  }
+  return null;
+}
+
+/**
+ * Build a date property, adding TZID for zoned times
+ * @param {string} name - Property name, e.g. "exdate"
+ * @param {ICAL.Time} time - Value
+ * @returns {ICAL.Property} Property
+ * @private
+ */
+function timeProperty(name, time) {
+  const property = new ICAL.Property(name);
+  const tzid = time.zone?.tzid;
+  if (!time.isDate && tzid && tzid !== 'UTC' && tzid !== 'floating') {
+    property.setParameter('tzid', tzid);
+  }
+  property.setValue(time);
+  return property;
+}
+
+/**
+ * Shift an iCal time by a wall-clock amount
+ * @param {ICAL.Time} time - Time to shift (not modified)
+ * @param {number} seconds - Wall-clock seconds (whole days for dates)
+ * @returns {ICAL.Time} Shifted time
+ * @private
+ */
+function shiftTime(time, seconds) {
+  const shifted = time.clone();
+  shifted.adjust(Math.trunc(seconds / DAY_SECONDS), 0, 0, seconds % DAY_SECONDS);
+  return shifted;
+}
+
+/**
+ * Read the fields of a VEVENT in the format of cached events
+ * @param {ICAL.Event} event - Event or occurrence details
+ * @param {ICAL.Time} start - Start time
+ * @param {ICAL.Time} end - End time
+ * @returns {Object} `{summary, descriptionRaw, location, start, end, allDay, timezone}`
+ * @private
+ */
+function readFields(event, start, end) {
+  const allDay = start.isDate;
+  const tzid = start.zone?.tzid || start.timezone;
+  return {
+    summary: event.summary || '',
+    descriptionRaw: event.description || '',
+    location: event.location || '',
+    start: formatRecurrenceId(start),
+    // All-day DTEND is exclusive; cached events carry the inclusive end date
+    end: allDay ? formatRecurrenceId(shiftTime(end, -DAY_SECONDS)) : end.toJSDate().toISOString(),
+    allDay,
+    timezone: allDay ? null : (tzid && tzid !== 'floating' ? tzid : null)
+  };
+}
+
+/**
+ * Read the master of a recurring event
+ *
+ * @param {string} ics - iCal data
+ * @param {string} uid - Event UID
+ * @returns {Object|null} Master fields plus `rrule` (string or null) and
+ *   `exdates` (recurrence ids), or null if the UID has no master VEVENT
+ */
+export function getSeries(ics, uid) {
+  const { master } = parseSeries(ics, uid);
+  if (!master) return null;
+  const event = new ICAL.Event(master);
+  const rrule = master.getFirstPropertyValue('rrule');
+  return {
+    ...readFields(event, event.startDate, event.endDate),
+    rrule: rrule ? rrule.toString() : null,
+    exdates: master.getAllProperties('exdate').map(p => formatRecurrenceId(p.getFirstValue()))
+  };
+}
+
+/**
+ * Read a single occurrence of a recurring event
+ *
+ * Returns the override when the occurrence was edited before, otherwise the
+ * master's fields at the occurrence's time.
+ *
+ * @param {string} ics - iCal data
+ * @param {string} uid - Event UID
+ * @param {string} recurrenceId - Recurrence id of the occurrence
+ * @returns {Object|null} Occurrence fields plus `recurrenceId` (normalized) and
+ *   `overridden`, or null if the series has no such occurrence
+ */
+export function getOccurrence(ics, uid, recurrenceId) {
+  const { master, overrides } = parseSeries(ics, uid);
+  if (!master) return null;
+  const time = findOccurrenceTime(master, recurrenceId);
+  if (!time) return null;
+
+  const id = formatRecurrenceId(time);
+  const override = overrides.find(o => matchesRecurrenceId(o.getFirstPropertyValue('recurrence-id'), id));
+  if (override) {
+    const event = new ICAL.Event(override);
+    return { ...readFields(event, event.startDate, event.endDate), recurrenceId: id, overridden: true };
+  }
+
+  const details = new ICAL.Event(master).getOccurrenceDetails(time);
+  return { ...readFields(details.item, details.startDate, details.endDate), recurrenceId: id, overridden: false };
+}
+
+/**
+ * Remove a single occurrence from a series (EXDATE)
+ *
+ * @param {string} ics - iCal data
+ * @param {string} uid - Event UID
+ * @param {string} recurrenceId - Recurrence id of the occurrence
+ * @returns {string} Updated iCal data
+ * @throws {Error} If the series has no such occurrence
+ */
+export function excludeOccurrence(ics, uid, recurrenceId) {
+  const { calendar, master, overrides } = parseSeries(ics, uid);
+  const time = master && findOccurrenceTime(master, recurrenceId);
+  if (!time) throw new Error(`Occurrence ${recurrenceId} not found in series ${uid}`);
+
+  for (const override of overrides) {
+    if (matchesRecurrenceId(override.getFirstPropertyValue('recurrence-id'), formatRecurrenceId(time))) {
+      calendar.removeSubcomponent(override);
+    }
+  }
+  master.addProperty(timeProperty('exdate', time));
+  return calendar.toString();
+}
+
+/**
+ * Replace or add the override of a single occurrence (RECURRENCE-ID)
+ *
+ * @param {string} ics - iCal data
+ * @param {string} uid - Event UID
+ * @param {string} recurrenceId - Recurrence id of the occurrence
+ * @param {Array<string>} veventLines - New VEVENT, BEGIN:VEVENT to END:VEVENT (without RECURRENCE-ID)
+ * @param {Array<string>} [vtimezoneLines] - VTIMEZONE needed by the new VEVENT
+ * @returns {string} Updated iCal data
+ * @throws {Error} If the series has no such occurrence
+ */
+export function setOccurrenceOverride(ics, uid, recurrenceId, veventLines, vtimezoneLines = []) {
+  const { calendar, master, overrides } = parseSeries(ics, uid);
+  const time = master && findOccurrenceTime(master, recurrenceId);
+  if (!time) throw new Error(`Occurrence ${recurrenceId} not found in series ${uid}`);
+
+  for (const override of overrides) {
+    if (matchesRecurrenceId(override.getFirstPropertyValue('recurrence-id'), formatRecurrenceId(time))) {
+      calendar.removeSubcomponent(override);
+    }
+  }
+  addTimezone(calendar, vtimezoneLines);
+  const vevent = ICAL.Component.fromString(veventLines.join('\r\n'));
+  vevent.addProperty(timeProperty('recurrence-id', time));
+  calendar.addSubcomponent(vevent);
+  return calendar.toString();
+}
+
+/**
+ * Replace the master VEVENT of a series, keeping its exceptions
+ *
+ * EXDATEs and overrides are kept (moved by `shiftSeconds` when the series
+ * moves) as long as the new master still has an RRULE; a master without
+ * RRULE turns the series into a single event and drops them. Given
+ * `exdates`, the new master excludes exactly those occurrences instead of
+ * the current ones (used to restore a snapshot).
+ *
+ * @param {string} ics - iCal data
+ * @param {string} uid - Event UID
+ * @param {Array<string>} veventLines - New master VEVENT, BEGIN:VEVENT to END:VEVENT
+ * @param {Array<string>} [vtimezoneLines] - VTIMEZONE needed by the new VEVENT
+ * @param {number} [shiftSeconds=0] - Wall-clock amount the series moved by
+ * @param {Array<string>} [exdates] - Recurrence ids to exclude; occurrences the new rule does not produce are skipped
+ * @returns {string} Updated iCal data
+ */
+export function replaceSeriesMaster(ics, uid, veventLines, vtimezoneLines = [], shiftSeconds = 0, exdates) {
+  const { calendar, master, overrides } = parseSeries(ics, uid);
+  addTimezone(calendar, vtimezoneLines);
+  const vevent = ICAL.Component.fromString(veventLines.join('\r\n'));
+  const recurring = vevent.hasProperty('rrule');
+
+  if (recurring && exdates) {
+    const times = exdates.map(recurrenceId => findOccurrenceTime(vevent, recurrenceId)).filter(Boolean);
+    for (const time of times) {
+      vevent.addProperty(timeProperty('exdate', time));
+    }
+  }
+  if (master) {
+    if (recurring && !exdates) {
+      for (const exdate of master.getAllProperties('exdate')) {
+        vevent.addProperty(timeProperty('exdate', shiftTime(exdate.getFirstValue(), shiftSeconds)));
+      }
+    }
+    calendar.removeSubcomponent(master);
+  }
+  for (const override of overrides) {
+    if (!recurring) {
+      calendar.removeSubcomponent(override);
+    } else if (shiftSeconds) {
+      const id = override.getFirstPropertyValue('recurrence-id');
+      override.removeAllProperties('recurrence-id');
+      override.addProperty(timeProperty('recurrence-id', shiftTime(id, shiftSeconds)));
+    }
+  }
+
+  calendar.addSubcomponent(vevent);
+  return calendar.toString();
+}
+
+/**
+ * Split a series into the occurrences before and from an occurrence on
+ *
+ * The head keeps the UID and ends before the split (UNTIL, or a reduced
+ * COUNT). The tail is a new series with `newUid` starting at the split
+ * occurrence, with the remaining COUNT and the later EXDATEs and overrides.
+ *
+ * @param {string} ics - iCal data
+ * @param {string} uid - Event UID
+ * @param {string} recurrenceId - Recurrence id of the first occurrence of the tail
+ * @param {string} newUid - UID of the tail series
+ * @returns {{head: string, tail: string}} iCal data of both series
+ * @throws {Error} If the series has no such occurrence
+ */
+export function splitSeries(ics, uid, recurrenceId, newUid) {
+  const headParts = parseSeries(ics, uid);
+  const time = headParts.master && findOccurrenceTime(headParts.master, recurrenceId);
+  if (!time) throw new Error(`Occurrence ${recurrenceId} not found in series ${uid}`);
+  const tailParts = parseSeries(ics, uid);
+
+  const isBefore = (value) => value.compare(time) < 0;
+  const rule = headParts.master.getFirstPropertyValue('rrule');
+
+  // Head: stop generating at the split, drop everything from the split on
+  const headRule = rule.clone();
+  if (rule.count) {
+    const iterator = rule.iterator(new ICAL.Event(headParts.master).startDate);
+    let before = 0;
+    let next;
+    while ((next = iterator.next()) && isBefore(next) && before < MAX_ITERATIONS) before++;
+    headRule.count = before;
+  } else {
+    headRule.until = time.isDate
+      ? shiftTime(time, -DAY_SECONDS)
+      : ICAL.Time.fromJSDate(new Date(time.toJSDate().getTime() - 1000), true);
+  }
+  headParts.master.updatePropertyWithValue('rrule', headRule);
+  pruneExceptions(headParts, (value) => !isBefore(value));
+
+  // Tail: same event starting at the split occurrence
+  const tailEvent = new ICAL.Event(tailParts.master);
+  const duration = tailEvent.endDate.subtractDate(tailEvent.startDate);
+  if (rule.count) {
+    const tailRule = rule.clone();
+    tailRule.count = rule.count - headRule.count;
+    tailParts.master.updatePropertyWithValue('rrule', tailRule);
+  }
+  tailEvent.startDate = time.clone();
+  const end = time.clone();
+  end.addDuration(duration);
+  tailEvent.endDate = end;
+  pruneExceptions(tailParts, isBefore);
+  for (const vevent of [tailParts.master, ...tailParts.overrides]) {
+    vevent.updatePropertyWithValue('uid', newUid);
+  }
+
+  return { head: headParts.calendar.toString(), tail: tailParts.calendar.toString() };
+}
+
+/**
+ * Remove EXDATEs and overrides whose recurrence id matches a predicate
+ * @param {{calendar: ICAL.Component, master: ICAL.Component, overrides: Array<ICAL.Component>}} parts - Parsed series
+ * @param {Function} drop - Called with each ICAL.Time
+ * @private
+ */
+function pruneExceptions(parts, drop) {
+  for (const exdate of parts.master.getAllProperties('exdate')) {
+    if (drop(exdate.getFirstValue())) parts.master.removeProperty(exdate);
+  }
+  parts.overrides = parts.overrides.filter(override => {
+    if (!drop(override.getFirstPropertyValue('recurrence-id'))) return true;
+    parts.calendar.removeSubcomponent(override);
+    return false;
+  });
+}
+
+/**
+ * Add a VTIMEZONE to a calendar unless one with the same TZID exists
+ * @param {ICAL.Component} calendar - VCALENDAR
+ * @param {Array<string>} vtimezoneLines - VTIMEZONE lines (may be empty)
+ * @private
+ */
+function addTimezone(calendar, vtimezoneLines) {
+  if (vtimezoneLines.length === 0) return;
+  const vtimezone = ICAL.Component.fromString(vtimezoneLines.join('\r\n'));
+  const tzid = vtimezone.getFirstPropertyValue('tzid');
+  const exists = calendar.getAllSubcomponents('vtimezone').some(v => v.getFirstPropertyValue('tzid') === tzid);
+  if (!exists) {
+    // Keep VTIMEZONEs ahead of the VEVENTs that reference them
+    const vevents = calendar.getAllSubcomponents('vevent');
+    vevents.forEach(v => calendar.removeSubcomponent(v));
+    calendar.addSubcomponent(vtimezone);
+    vevents.forEach(v => calendar.addSubcomponent(v));
+    ICAL.TimezoneService.register(vtimezone);
+  }
+}
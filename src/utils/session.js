@@ -0,0 +1,18 @@
+/**
+ * Session helpers
+ * 
+ * Read the signed-in user from a request in the shapes services expect.
+ * 
+ * @module utils/session
+ */
+
+/**
+ * Session user recorded as actor of an admin change
+ * 
+ * @param {import('express').Request} req - Request
+ * @returns {{email: string, name: string}|undefined} Actor, or undefined without a session user
+ */
+export function actorOf(req) {
+  const user = req.session?.user;
+  return user ? { email: user.email, name: user.name } : undefined;
+}
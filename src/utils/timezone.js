@@ -0,0 +1,176 @@
+/**
+ * Time zone utilities for timed events
+ *
+ * Converts between wall-clock times in IANA time zones and UTC instants,
+ * and builds the VTIMEZONE blocks that accompany `DTSTART;TZID=` values.
+ * Offsets come from the runtime's Intl time zone database.
+ *
+ * @module utils/timezone
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is a known IANA time zone
+ *
+ * @param {string} tz - Time zone name, e.g. "Europe/Berlin"
+ * @returns {boolean} True if the runtime knows the zone
+ *
+ * @example
+ * isValidTimeZone('Europe/Berlin') // true
+ * isValidTimeZone('Mars/Olympus') // false
+ */
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Convert a date-time to a UTC instant
+ *
+ * Values with an explicit offset or `Z` denote an instant already; values
+ * without one are wall-clock times in `tz`.
+ *
+ * @param {string} value - ISO date-time, e.g. "2025-07-03T09:00"
+ * @param {string} tz - IANA time zone for wall-clock values
+ * @returns {Date} UTC instant
+ *
+ * @example
+ * toUtcDate('2025-07-03T09:00', 'Europe/Berlin').toISOString() // '2025-07-03T07:00:00.000Z'
+ */
+export function toUtcDate(value, tz) {
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    return new Date(value);
+  }
+  return dayjs.tz(value, tz).toDate();
+}
+
+/**
+ * Format an instant as an iCal local date-time in a time zone
+ *
+ * @param {Date|string} date - Instant
+ * @param {string} tz - IANA time zone
+ * @returns {string} "YYYYMMDDTHHmmss" wall-clock time in `tz`
+ */
+export function formatIcalLocal(date, tz) {
+  return dayjs(date).tz(tz).format('YYYYMMDD[T]HHmmss');
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ *
+ * @param {string} tz - IANA time zone
+ * @param {number} ms - Instant in epoch milliseconds
+ * @returns {number} Offset in minutes east of UTC
+ */
+function offsetAt(tz, ms) {
+  return dayjs(ms).tz(tz).utcOffset();
+}
+
+/**
+ * Format an offset for TZOFFSETFROM/TZOFFSETTO
+ *
+ * @param {number} minutes - Offset in minutes east of UTC
+ * @returns {string} e.g. "+0100", "-0330"
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format the local wall-clock time of an instant under a given offset
+ *
+ * @param {number} ms - Instant in epoch milliseconds
+ * @param {number} offset - Offset in minutes east of UTC
+ * @returns {string} "YYYYMMDDTHHmmss"
+ */
+function formatLocalAtOffset(ms, offset) {
+  return dayjs.utc(ms + offset * 60 * 1000).format('YYYYMMDD[T]HHmmss');
+}
+
+/**
+ * Find the instant an offset change happens, to the minute
+ *
+ * @param {string} tz - IANA time zone
+ * @param {number} lo - Instant before the change
+ * @param {number} hi - Instant after the change
+ * @returns {number} First instant with the new offset
+ */
+function findTransition(tz, lo, hi) {
+  const before = offsetAt(tz, lo);
+  while (hi - lo > 60 * 1000) {
+    const mid = lo + Math.floor((hi - lo) / 2 / 60000) * 60000;
+    if (offsetAt(tz, mid) === before) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  return hi;
+}
+
+/**
+ * Build a VTIMEZONE block covering a date range
+ *
+ * Lists the explicit observances (offset changes) from the start of the
+ * first year to the end of the last year of the range, preceded by the
+ * observance in effect at the start. Zones without DST get a single
+ * STANDARD component.
+ *
+ * @param {string} tz - IANA time zone
+ * @param {Date} start - First instant that must be covered
+ * @param {Date} end - Last instant that must be covered
+ * @returns {Array<string>} iCal lines from BEGIN:VTIMEZONE to END:VTIMEZONE
+ */
+export function buildVTimezone(tz, start, end) {
+  // Start a day early so the first observance precedes local midnight of 1 January
+  const from = Date.UTC(dayjs(start).tz(tz).year(), 0, 1) - DAY_MS;
+  const to = Date.UTC(dayjs(end).tz(tz).year() + 1, 0, 1);
+
+  const initialOffset = offsetAt(tz, from);
+  const transitions = [];
+  let previous = initialOffset;
+  for (let t = from; t < to; t += DAY_MS) {
+    const next = Math.min(t + DAY_MS, to);
+    const offset = offsetAt(tz, next);
+    if (offset !== previous) {
+      transitions.push({ at: findTransition(tz, t, next), from: previous, to: offset });
+      previous = offset;
+    }
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`];
+  const observance = (at, fromOffset, toOffset, type) => {
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${formatLocalAtOffset(at, fromOffset)}`,
+      `TZOFFSETFROM:${formatOffset(fromOffset)}`,
+      `TZOFFSETTO:${formatOffset(toOffset)}`,
+      `END:${type}`
+    );
+  };
+
+  // The standard offset is the smallest one seen in the range
+  const standardOffset = Math.min(initialOffset, ...transitions.map(t => t.to));
+  observance(from, initialOffset, initialOffset, initialOffset > standardOffset ? 'DAYLIGHT' : 'STANDARD');
+  for (const transition of transitions) {
+    observance(transition.at, transition.from, transition.to, transition.to > standardOffset ? 'DAYLIGHT' : 'STANDARD');
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}